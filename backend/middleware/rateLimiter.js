@@ -11,6 +11,7 @@
  * Configuration:
  * - Window: 15 minutes
  * - Max requests: 10 per window for auth routes
+ * - Max requests: 60 per window for token refresh
  */
 
 import { rateLimit } from "express-rate-limit";
@@ -30,3 +31,22 @@ export const authLimiter = rateLimit({
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
+
+/**
+ * Token Refresh Rate Limiter
+ *
+ * For POST /api/auth/refresh and /logout, which accept a refresh token
+ * without a login. Every open tab refreshes its access token a few times
+ * an hour, so this is looser than authLimiter while still stopping
+ * refresh tokens from being guessed.
+ * 60 requests per 15 minutes per IP.
+ */
+export const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Limit each IP to 60 refreshes per windowMs
+  message: {
+    message: "Too many attempts from this IP, please try again after 15 minutes",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -0,0 +1,54 @@
+/**
+ * ============================================================================
+ * TIME ZONE MIDDLEWARE
+ * ============================================================================
+ *
+ * Purpose:
+ * - Load the authenticated user's time zone for date-sensitive routes
+ * - Lets routes compute "today" as the user's local calendar day
+ *   instead of the server's
+ *
+ * How It Works:
+ * 1. Must run after protect() (needs req.user.id)
+ * 2. Reads the timezone field from the User document
+ * 3. Falls back to DEFAULT_TIME_ZONE (UTC) if unset or invalid
+ * 4. Attaches it to the request as req.timeZone
+ *
+ * Usage in Routes:
+ * ```javascript
+ * import { protect } from "../middleware/authMiddleware.js";
+ * import { loadTimeZone } from "../middleware/timezoneMiddleware.js";
+ *
+ * router.post("/toggle", protect, loadTimeZone, async (req, res) => {
+ *   const today = startOfDay(new Date(), req.timeZone);
+ * });
+ * ```
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import User from "../models/User.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/dateUtils.js";
+
+/**
+ * Load Time Zone Middleware Function
+ *
+ * @param {Object} req - Express request object (req.user set by protect)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * Side Effects:
+ * - Adds req.timeZone (IANA time zone name, e.g., "Europe/London")
+ */
+export const loadTimeZone = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("timezone").lean();
+    req.timeZone = isValidTimeZone(user?.timezone)
+      ? user.timezone
+      : DEFAULT_TIME_ZONE;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * ============================================================================
+ * ACHIEVEMENT MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Records the badges a user has unlocked
+ * - Badge definitions (name, description, rule) live in code, in
+ *   services/achievementService.js - only the unlock is stored
+ *
+ * Schema Fields:
+ * - userId: Reference to the user who unlocked the badge (required)
+ * - key: Badge identifier, e.g. "streak-7" (required)
+ * - unlockedAt: When the badge was unlocked (default: now)
+ *
+ * Unique Constraint:
+ * - Composite unique index on (userId + key)
+ * - A badge is unlocked once and kept, even if the check-in that
+ *   earned it is later removed
+ *
+ * Relationships:
+ * - Many Achievements → One User (many-to-one)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Achievement Schema Definition
+ */
+const achievementSchema = new mongoose.Schema({
+  // User who unlocked the badge
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  // Badge identifier (one of ACHIEVEMENTS in achievementService.js)
+  key: {
+    type: String,
+    required: true,
+  },
+
+  // When the badge was unlocked
+  unlockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One record per user per badge
+achievementSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+/**
+ * Export Achievement Model
+ *
+ * Usage:
+ * - Achievement.find({ userId }) - Badges a user has unlocked
+ * - Achievement.deleteMany({ userId }) - Cascading delete with the account
+ */
+const Achievement = mongoose.model("Achievement", achievementSchema);
+
+export default Achievement;
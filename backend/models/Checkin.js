@@ -12,11 +12,30 @@
  * - habitId: Reference to the habit that was completed (required)
  * - userId: Reference to user who completed the habit (required)
  * - date: Date of completion, normalized to midnight UTC (required)
- * - completed: Boolean flag, always true for existing check-ins (default: true)
+ * - amount: Amount logged that day (default: 1, e.g., 3 glasses of water)
+ * - completed: True once amount reaches the habit's target (default: true)
+ * - status: "done" (logged progress), "skipped" (excused), "missed" or
+ *   "frozen" (covered by a streak freeze)
+ * - reason: Why a day was skipped (rest, sick, travel, other)
+ *
+ * Statuses:
+ * - "done": Progress was logged (complete or partial, see amount/completed)
+ * - "skipped": Excused day - neither breaks the streak nor counts as a
+ *   completion (like a one-day pause)
+ * - "missed": Explicitly recorded failure, for reporting - counts exactly
+ *   like a due day with no check-in
+ * - "frozen": A missed due day covered by a streak freeze - excused like
+ *   a skip in streaks and success rates (see streakService.js)
+ * - Skipped, missed and frozen check-ins always have amount 0 and
+ *   completed false
  *
  * Check-in Logic:
  * - One check-in per habit per day
- * - Toggling: If exists, delete it; if doesn't exist, create it
+ * - Toggling: If done, delete it; otherwise mark it done (at target)
+ * - Set status: PUT /api/checkins/status sets done/skipped/missed/frozen
+ *   explicitly
+ * - Increment/decrement: Adjust amount; removed when it drops to 0
+ * - Only completed check-ins count towards streaks and statistics
  * - Date normalized to 00:00:00 UTC to prevent timezone issues
  *
  * Data Relationships:
@@ -30,11 +49,6 @@
  * - Prevents duplicate check-ins on same calendar day
  * - Ensures consistent behavior across timezones
  *
- * Streak Calculation:
- * - Sort check-ins by date descending
- * - Count consecutive days backwards from most recent
- * - Break streak when gap > 1 day found
- *
  * Collection Name:
  * - MongoDB collection: "checkins" (Mongoose automatically pluralizes)
  *
@@ -50,6 +64,10 @@
 
 import mongoose from "mongoose";
 
+// Allowed check-in states and skip reasons (also enforced in checkinRoutes.js)
+export const CHECKIN_STATUSES = ["done", "skipped", "missed", "frozen"];
+export const SKIP_REASONS = ["rest", "sick", "travel", "other"];
+
 /**
  * Check-in Schema Definition
  *
@@ -82,13 +100,37 @@ const checkinSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Amount logged for the day (quantitative habits, e.g., 3 glasses)
+  // Simple yes/no habits always store 1
+  amount: {
+    type: Number,
+    min: 0,
+    default: 1,
+  },
+
   // Completion status flag
-  // Always true for existing check-ins
+  // True once amount reaches the habit's target
+  // False for partial progress (e.g., 3 of 8 glasses)
   // Toggle behavior: Delete entire document to mark as incomplete
   completed: {
     type: Boolean,
     default: true,
   },
+
+  // What happened that day
+  // Legacy check-ins without a status are treated as "done"
+  status: {
+    type: String,
+    enum: CHECKIN_STATUSES,
+    default: "done",
+  },
+
+  // Why the day was skipped (only set when status is "skipped")
+  // Example: "sick" for a day in bed with the flu
+  reason: {
+    type: String,
+    enum: SKIP_REASONS,
+  },
 });
 
 /**
@@ -0,0 +1,98 @@
+/**
+ * ============================================================================
+ * EMAIL VERIFICATION TOKEN MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Server-side record of the one-time links that confirm an email
+ *   address (see services/emailVerificationService.js)
+ * - Sent to the account's address on signup, and to the new address
+ *   when the user changes it
+ *
+ * Schema Fields:
+ * - userId: Reference to the user (required)
+ * - email: Address the link confirms (required) - the account's own
+ *   address, or the pending new one
+ * - tokenHash: SHA-256 of the token in the emailed link (required,
+ *   unique) - the token itself is never stored
+ * - expiresAt: When the link stops working (required)
+ * - usedAt: When the link was used (null = not used yet)
+ * - createdAt: When the link was sent
+ *
+ * Rules:
+ * - Single use: usedAt is set when the address is confirmed
+ * - Sending a new link replaces the user's unused ones
+ *
+ * Cleanup:
+ * - TTL index removes tokens once expiresAt has passed
+ * - Deleted with the account
+ *
+ * Relationships:
+ * - Many EmailVerificationTokens → One User (many-to-one)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Email Verification Token Schema Definition
+ */
+const emailVerificationTokenSchema = new mongoose.Schema({
+  // User whose address the link confirms
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // Address the link was sent to (and confirms)
+  email: {
+    type: String,
+    required: true,
+  },
+
+  // SHA-256 hex digest of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Expiry (TTL index below deletes the document afterwards)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Set when the address was confirmed with this link
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // When the link was sent
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove tokens as soon as they expire
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Export EmailVerificationToken Model
+ *
+ * Usage:
+ * - EmailVerificationToken.findOneAndUpdate({ tokenHash, usedAt: null }, ...) - Use a link
+ * - EmailVerificationToken.deleteMany({ userId }) - Cascading delete with the account
+ */
+const EmailVerificationToken = mongoose.model(
+  "EmailVerificationToken",
+  emailVerificationTokenSchema
+);
+
+export default EmailVerificationToken;
@@ -12,10 +12,22 @@
  * - userId: Reference to User who owns this habit (required, indexed)
  * - name: Habit name/title (required, e.g., "Morning Exercise")
  * - description: Optional habit description/notes
- * - frequency: How often habit should be done (daily/weekdays/weekends/custom)
+ * - frequency: How often habit should be done (daily/weekdays/weekends/custom/weekly/interval)
  * - customDays: Array of days for custom frequency (e.g., ["Mon", "Wed", "Fri"])
+ * - timesPerWeek: Completions needed per week for weekly frequency (1-7)
+ * - intervalDays: Window length in days for interval frequency (2-365)
  * - icon: SVG filename from habit-icons folder (default: "target.svg")
- * - streak: Current consecutive days streak (legacy field, calculated in routes)
+ * - target: Amount needed for a day to count as done (default: 1)
+ * - unit: Label for the amount (e.g., "glasses", "pages"; optional)
+ * - archived: Hidden from the daily list but kept in stats (default: false)
+ * - archivedAt: When the habit was archived (null while active)
+ * - pauses: Date ranges during which the habit is not due
+ * - reminderTime: Local time of the daily reminder ("HH:MM", null = off)
+ * - reminderDays: Weekdays the reminder is sent (empty = every due day)
+ * - streak: Current streak in streakUnit periods (maintained by streakService)
+ * - longestStreak: Best streak in streakUnit periods (maintained by streakService)
+ * - streakUnit: "day", "week" or "interval" (depends on frequency)
+ * - streakUpdatedOn: Local day (YYYY-MM-DD) the streaks were computed for
  * - createdAt: Timestamp when habit was created
  *
  * Frequency Types:
@@ -23,6 +35,26 @@
  * - "weekdays": Monday through Friday
  * - "weekends": Saturday and Sunday
  * - "custom": Specific days defined in customDays array
+ * - "weekly": timesPerWeek times per Monday-Sunday week, on any days
+ * - "interval": Once every intervalDays days, counted from creation
+ * - Due-day and per-week/per-interval rules are evaluated by services/scheduleService.js
+ *
+ * Quantitative Habits:
+ * - A habit with target 1 and no unit behaves like a simple yes/no habit
+ * - Otherwise each check-in stores an amount (e.g., 3 of 8 glasses)
+ * - A day only counts as done once the amount reaches the target
+ *
+ * Archiving & Pausing:
+ * - Archiving stops a habit without deleting its check-in history
+ * - Archived habits are not due from the day they were archived
+ * - A pause ({ from, to }, inclusive local days) makes the habit not due
+ *   for that range, so illness or travel never breaks a streak
+ * - Unarchiving records the archived days as a pause for the same reason
+ *
+ * Reminders:
+ * - At reminderTime (the user's local time) a habit that is due and not
+ *   done yet gets an in-app notification (services/reminderService.js)
+ * - reminderDays narrows that to some weekdays, e.g. ["mon", "wed"]
  *
  * Data Isolation:
  * - Each habit belongs to exactly one user (userId reference)
@@ -44,7 +76,8 @@
  * Usage:
  * - Create habit: User defines name, frequency, and icon
  * - Update habit: Change name, description, frequency, or icon
- * - Delete habit: Remove habit (consider cascading delete of check-ins)
+ * - Archive habit: Stop tracking but keep history (preferred over delete)
+ * - Delete habit: Remove habit and cascade delete its check-ins
  * - Filter habits: By frequency type or user
  *
  * Author: John Denis Nyagah
@@ -53,6 +86,47 @@
 
 import mongoose from "mongoose";
 
+// Limits for quantitative habits (also enforced in habitRoutes.js)
+export const MAX_TARGET = 100000;
+export const MAX_UNIT_LENGTH = 20;
+
+// Limits for flexible frequencies (also enforced in habitRoutes.js)
+export const FREQUENCIES = [
+  "daily",
+  "weekdays",
+  "weekends",
+  "custom",
+  "weekly",
+  "interval",
+];
+export const MIN_INTERVAL_DAYS = 2;
+export const MAX_INTERVAL_DAYS = 365;
+
+// Longest single pause allowed, in days (also enforced in habitRoutes.js)
+export const MAX_PAUSE_DAYS = 365;
+
+// Reminder time format: 24-hour "HH:MM" (also enforced in habitRoutes.js)
+export const REMINDER_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Pause Schema (embedded in Habit)
+ *
+ * Days are stored like check-in dates: midnight UTC of the user's local day
+ */
+const pauseSchema = new mongoose.Schema({
+  // First paused day (inclusive)
+  from: {
+    type: Date,
+    required: true,
+  },
+
+  // Last paused day (inclusive)
+  to: {
+    type: Date,
+    required: true,
+  },
+});
+
 /**
  * Habit Schema Definition
  *
@@ -85,7 +159,7 @@ const habitSchema = new mongoose.Schema({
   // Enum ensures only valid frequency types can be stored
   frequency: {
     type: String,
-    enum: ["daily", "weekdays", "weekends", "custom"],
+    enum: FREQUENCIES,
     default: "daily",
   },
 
@@ -97,6 +171,22 @@ const habitSchema = new mongoose.Schema({
     default: [],
   },
 
+  // Completions needed per week for "weekly" frequency
+  // Example: 3 for "gym 3 times a week, any days"
+  timesPerWeek: {
+    type: Number,
+    min: 1,
+    max: 7,
+  },
+
+  // Window length for "interval" frequency
+  // Example: 2 for "water the plants every 2 days"
+  intervalDays: {
+    type: Number,
+    min: MIN_INTERVAL_DAYS,
+    max: MAX_INTERVAL_DAYS,
+  },
+
   // Icon filename from habit-icons folder
   // Example: "meditation.svg", "running.svg", "book.svg"
   // Frontend builds path: ../assets/habit-icons/{icon}
@@ -105,14 +195,85 @@ const habitSchema = new mongoose.Schema({
     default: "target.svg",
   },
 
-  // Legacy field: Current streak count
-  // Note: Streak now calculated dynamically from check-ins
-  // Kept for backward compatibility
+  // Daily amount needed to complete the habit
+  // Example: 8 (glasses of water), 20 (pages), 1 (simple yes/no habit)
+  target: {
+    type: Number,
+    min: 1,
+    max: MAX_TARGET,
+    default: 1,
+  },
+
+  // Unit shown next to amounts (e.g., "8 glasses", "20 pages")
+  // Empty for simple yes/no habits
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: MAX_UNIT_LENGTH,
+    default: "",
+  },
+
+  // Archived habits are hidden from the daily list but kept in stats
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+
+  // When the habit was archived (null while active)
+  // The habit stops being due from this day onwards
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Date ranges during which the habit is not due
+  // Example: [{ from: 2025-03-01, to: 2025-03-07 }] for a week of travel
+  pauses: {
+    type: [pauseSchema],
+    default: [],
+  },
+
+  // Local time of the daily reminder, 24-hour "HH:MM" (null = no reminder)
+  // Example: "07:30"
+  reminderTime: {
+    type: String,
+    match: REMINDER_TIME_PATTERN,
+    default: null,
+  },
+
+  // Weekdays the reminder is sent on (same names as customDays)
+  // Empty = every day the habit is due
+  reminderDays: {
+    type: [String],
+    default: [],
+  },
+
+  // Current streak, counted in streakUnit periods
+  // Written by services/streakService.js whenever check-ins change
   streak: {
     type: Number,
     default: 0,
   },
 
+  // Best streak ever reached, in streakUnit periods
+  longestStreak: {
+    type: Number,
+    default: 0,
+  },
+
+  // What a streak counts: days, weeks (weekly) or intervals (interval)
+  streakUnit: {
+    type: String,
+    enum: ["day", "week", "interval"],
+    default: "day",
+  },
+
+  // Local day the streaks were last computed for (null = needs refresh)
+  streakUpdatedOn: {
+    type: String,
+    default: null,
+  },
+
   // Timestamp when habit was created
   // Used for sorting and analytics
   createdAt: {
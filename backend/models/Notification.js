@@ -0,0 +1,133 @@
+/**
+ * ============================================================================
+ * NOTIFICATION MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - In-app notifications shown in the sidebar inbox
+ * - Created by the backend (e.g., habit reminders), never by clients
+ *
+ * Schema Fields:
+ * - userId: Reference to the user the notification is for (required)
+ * - habitId: Habit it is about (null for account-wide notifications)
+ * - type: What produced it (e.g., "reminder")
+ * - day: User's local day it was produced for (midnight UTC)
+ * - title: Short headline (e.g., "Time for Morning Run")
+ * - message: One-line body text
+ * - read: Whether the user has opened it (default: false)
+ * - readAt: When it was marked as read (null while unread)
+ * - createdAt: When it was created
+ *
+ * Unique Constraint:
+ * - Composite unique index on (userId + type + habitId + day)
+ * - At most one reminder per habit per day, even if the scheduler
+ *   runs twice (restarts, several server instances)
+ *
+ * Retention:
+ * - Removed automatically NOTIFICATION_TTL_DAYS after creation
+ *   (TTL index on createdAt)
+ *
+ * Relationships:
+ * - Many Notifications → One User (many-to-one)
+ * - Many Notifications → One Habit (many-to-one, optional)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+// Kinds of notification the backend creates
+export const NOTIFICATION_TYPES = ["reminder"];
+
+// Days a notification is kept before MongoDB removes it
+export const NOTIFICATION_TTL_DAYS = 90;
+
+/**
+ * Notification Schema Definition
+ */
+const notificationSchema = new mongoose.Schema({
+  // User the notification is for
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  // Habit the notification is about (null for account-wide ones)
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Habit",
+    default: null,
+  },
+
+  // What produced the notification
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+
+  // User's local day the notification was produced for (midnight UTC)
+  day: {
+    type: Date,
+    required: true,
+  },
+
+  // Short headline shown in bold
+  title: {
+    type: String,
+    required: true,
+  },
+
+  // One-line body text
+  message: {
+    type: String,
+    default: "",
+  },
+
+  // Whether the user has opened the notification
+  read: {
+    type: Boolean,
+    default: false,
+  },
+
+  // When the notification was marked as read
+  readAt: {
+    type: Date,
+    default: null,
+  },
+
+  // When the notification was created
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One notification of each type per habit per day
+notificationSchema.index(
+  { userId: 1, type: 1, habitId: 1, day: 1 },
+  { unique: true }
+);
+
+// Inbox listing (newest first) and unread counts
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+// Old notifications are removed automatically
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Export Notification Model
+ *
+ * Usage:
+ * - Notification.find({ userId }) - A user's inbox
+ * - Notification.countDocuments({ userId, read: false }) - Unread count
+ * - Notification.deleteMany({ userId }) - Cascading delete with the account
+ */
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
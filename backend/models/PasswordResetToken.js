@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * PASSWORD RESET TOKEN MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Server-side record of the one-time links sent by "Forgot password?"
+ *   (see services/passwordResetService.js)
+ *
+ * Schema Fields:
+ * - userId: Reference to the user who asked for the reset (required)
+ * - tokenHash: SHA-256 of the token in the emailed link (required,
+ *   unique) - the token itself is never stored
+ * - expiresAt: When the link stops working (required)
+ * - usedAt: When the link was used (null = not used yet)
+ * - createdAt: When the link was sent
+ *
+ * Rules:
+ * - Single use: usedAt is set when the password is reset
+ * - Asking again replaces any unused link (only the newest one works)
+ *
+ * Cleanup:
+ * - TTL index removes tokens once expiresAt has passed
+ * - Deleted with the account
+ *
+ * Relationships:
+ * - Many PasswordResetTokens → One User (many-to-one)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Password Reset Token Schema Definition
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  // User whose password the link resets
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // SHA-256 hex digest of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Expiry (TTL index below deletes the document afterwards)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Set when the password was reset with this link
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // When the link was sent
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove tokens as soon as they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Export PasswordResetToken Model
+ *
+ * Usage:
+ * - PasswordResetToken.findOneAndUpdate({ tokenHash, usedAt: null }, ...) - Use a link
+ * - PasswordResetToken.deleteMany({ userId }) - Cascading delete with the account
+ */
+const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema
+);
+
+export default PasswordResetToken;
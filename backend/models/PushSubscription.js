@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * PUSH SUBSCRIPTION MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Stores the browser PushSubscription of each device a user turned
+ *   push notifications on for
+ * - Used by services/pushService.js to deliver Web Push messages while
+ *   no tab is open
+ *
+ * Schema Fields:
+ * - userId: Reference to the user who subscribed (required)
+ * - endpoint: Push service URL for this browser (required, unique)
+ * - keys.p256dh: Browser's public key for payload encryption (required)
+ * - keys.auth: Browser's auth secret for payload encryption (required)
+ * - userAgent: Browser description, to tell devices apart (optional)
+ * - createdAt: When the device subscribed
+ * - lastUsedAt: Last successful delivery (null until the first one)
+ *
+ * Unique Constraint:
+ * - endpoint is unique: one record per browser, moved to whoever
+ *   subscribes from it last
+ *
+ * Cleanup:
+ * - Removed when the push service reports it expired (404/410)
+ * - Removed when the device turns push off or the account is deleted
+ *
+ * Relationships:
+ * - Many PushSubscriptions → One User (many-to-one)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+// Longest endpoint accepted (push service URLs are ~200-500 characters)
+export const MAX_ENDPOINT_LENGTH = 2048;
+
+/**
+ * Push Subscription Schema Definition
+ */
+const pushSubscriptionSchema = new mongoose.Schema({
+  // User who subscribed this device
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // Push service URL (unique per browser)
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: MAX_ENDPOINT_LENGTH,
+  },
+
+  // Encryption keys from PushSubscription.toJSON() (base64url)
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true },
+  },
+
+  // Browser description (e.g., "Mozilla/5.0 (Windows NT 10.0; ...)")
+  userAgent: {
+    type: String,
+    default: "",
+  },
+
+  // When the device subscribed
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Last successful delivery
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+/**
+ * Export PushSubscription Model
+ *
+ * Usage:
+ * - PushSubscription.find({ userId }) - A user's devices
+ * - PushSubscription.deleteOne({ endpoint }) - Drop an expired device
+ * - PushSubscription.deleteMany({ userId }) - Cascading delete with the account
+ */
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema
+);
+
+export default PushSubscription;
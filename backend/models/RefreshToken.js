@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * REFRESH TOKEN MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Server-side record of every refresh token handed out at login or
+ *   by POST /api/auth/refresh (see services/tokenService.js)
+ * - Lets a session outlive the short-lived access token (JWT) while the
+ *   server can still revoke it
+ *
+ * Schema Fields:
+ * - userId: Reference to the user the token belongs to (required)
+ * - family: ID shared by a login's chain of rotated tokens (required)
+ * - tokenHash: SHA-256 of the token (required, unique) - the token
+ *   itself is never stored
+ * - expiresAt: When the token stops working (required)
+ * - revokedAt: When it was used (rotated) or revoked (null = active)
+ * - replacedBy: The token issued in its place when rotated
+ * - userAgent: Browser that received it (optional)
+ * - createdAt: When it was issued
+ *
+ * Rotation And Reuse:
+ * - Each refresh revokes the presented token and issues a new one in the
+ *   same family
+ * - Presenting a token that was already rotated means it was copied:
+ *   the whole family is revoked and that login has to sign in again
+ *
+ * Cleanup:
+ * - TTL index removes tokens once expiresAt has passed
+ * - Deleted with the account
+ *
+ * Relationships:
+ * - Many RefreshTokens → One User (many-to-one)
+ * - Many RefreshTokens → One Session (same family, see models/Session.js)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Refresh Token Schema Definition
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  // Owner of the token
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // Login the token descends from (random UUID, shared by rotations)
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // SHA-256 hex digest of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Expiry (TTL index below deletes the document afterwards)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Set when rotated or revoked (null while the token can be used)
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Token that replaced this one on rotation
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "RefreshToken",
+    default: null,
+  },
+
+  // Browser description (e.g., "Mozilla/5.0 (Windows NT 10.0; ...)")
+  userAgent: {
+    type: String,
+    default: "",
+  },
+
+  // When the token was issued
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove tokens as soon as they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Export RefreshToken Model
+ *
+ * Usage:
+ * - RefreshToken.findOne({ tokenHash }) - Look up a presented token
+ * - RefreshToken.updateMany({ family }, ...) - Revoke a login's tokens
+ * - RefreshToken.deleteMany({ userId }) - Cascading delete with the account
+ */
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,69 @@
+/**
+ * ============================================================================
+ * REVOKED TOKEN MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Revocation store for access tokens (JWTs) that were logged out before
+ *   they expired
+ * - Checked by protect() in middleware/authMiddleware.js on every request
+ *
+ * Schema Fields:
+ * - jti: The token's unique ID (JWT "jti" claim, required, unique)
+ * - userId: Reference to the user the token belonged to (required)
+ * - expiresAt: When the token would have expired anyway (required)
+ *
+ * Cleanup:
+ * - TTL index removes entries once the token has expired by itself,
+ *   so the store only holds tokens that could still be used
+ *
+ * Whole Sessions:
+ * - "Log out everywhere", password changes and account deletion don't
+ *   list every token here; they bump User.tokenVersion instead, which
+ *   invalidates all tokens signed with the old version
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Revoked Token Schema Definition
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  // JWT ID of the revoked access token
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // User the token belonged to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // Token's own expiry (TTL index below deletes the entry afterwards)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Forget revoked tokens once they have expired by themselves
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Export RevokedToken Model
+ *
+ * Usage:
+ * - RevokedToken.exists({ jti }) - Is this token logged out?
+ * - RevokedToken.deleteMany({ userId }) - Cascading delete with the account
+ */
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * SESSION MODEL (MONGOOSE SCHEMA)
+ * ============================================================================
+ *
+ * Purpose:
+ * - One document per signed-in device/browser, shown on the profile
+ *   page under "Where you're signed in"
+ * - Created at login and kept up to date by each refresh (see
+ *   services/tokenService.js); the session ends when it is revoked,
+ *   logged out or unused for REFRESH_TOKEN_TTL_DAYS
+ *
+ * Schema Fields:
+ * - userId: Reference to the user (required)
+ * - family: Refresh token family of this login (required, unique) -
+ *   links the session to its tokens in models/RefreshToken.js
+ * - userAgent: Browser that logged in or last refreshed (optional)
+ * - ip: IP address of the last login or refresh (optional)
+ * - createdAt: When the user logged in
+ * - lastSeenAt: Last login or token refresh (at most ACCESS_TOKEN_TTL
+ *   behind while the device is in use)
+ * - expiresAt: When the session ends without further use (required)
+ *
+ * Revocation:
+ * - Revoking deletes the document and revokes its refresh tokens
+ * - Access tokens carry the session ID (sid); protect() rejects them
+ *   once the session is gone
+ *
+ * Cleanup:
+ * - TTL index removes sessions once expiresAt has passed
+ * - Deleted on logout, "log out everywhere", password change and with
+ *   the account
+ *
+ * Relationships:
+ * - Many Sessions → One User (many-to-one)
+ * - One Session → Many RefreshTokens (same family)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Session Schema Definition
+ */
+const sessionSchema = new mongoose.Schema({
+  // User signed in with this session
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+
+  // Refresh token family of the login (random UUID)
+  family: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Browser description (e.g., "Mozilla/5.0 (Windows NT 10.0; ...)")
+  userAgent: {
+    type: String,
+    default: "",
+  },
+
+  // Address the last login or refresh came from
+  ip: {
+    type: String,
+    default: "",
+  },
+
+  // When the user logged in
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Last login or refresh
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // End of the session unless refreshed (TTL index below deletes it)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Remove sessions as soon as they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Export Session Model
+ *
+ * Usage:
+ * - Session.find({ userId }) - List a user's signed-in devices
+ * - Session.exists({ _id: sid }) - Is an access token's session still active
+ * - Session.deleteMany({ userId }) - Log out everywhere / delete account
+ */
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
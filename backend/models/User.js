@@ -11,8 +11,26 @@
  * Schema Fields:
  * - name: User's full name (required)
  * - email: Unique email address for login (required, unique index)
+ * - emailVerified: Owner confirmed the address through an emailed link
+ *   (default: false)
+ * - pendingEmail: New address waiting to be confirmed (email changes
+ *   only take effect once the new address is verified)
  * - password: Hashed password using bcrypt (required, never plain text)
  * - profilePicture: Base64 encoded image string (optional, default: empty)
+ * - timezone: IANA time zone used to decide the user's "today" (optional)
+ * - currentStreak: Overall streak in days (maintained by streakService)
+ * - longestStreak: Best overall streak in days (maintained by streakService)
+ * - streakUpdatedOn: Local day (YYYY-MM-DD) the streaks were computed for
+ * - autoFreeze: Use streak freezes automatically on missed days (default: true)
+ * - notificationPrefs: Opt-in emails (weeklyDigest, streakAtRisk; default: off)
+ * - emailsSentFor: Week/day the last digest and streak alert covered
+ *   (maintained by emailDigestService, so each email goes out once)
+ * - tokenVersion: Bumped to log out every session (password change,
+ *   "log out everywhere"); access tokens carry the version they were
+ *   signed with (see services/tokenService.js)
+ * - twoFactor: Optional TOTP second login step (enabled flag; secret,
+ *   recovery code hashes and last used step are hidden by default, see
+ *   services/twoFactorService.js)
  * - createdAt: Timestamp when user registered (auto-generated)
  * - updatedAt: Timestamp when user last updated profile (auto-generated)
  *
@@ -39,12 +57,15 @@
  * - User registration: Create new user with hashed password
  * - User login: Find by email, compare password hash
  * - Profile management: Update name and profile picture
+ * - Email changes: services/emailVerificationService.js
+ * - Two-factor authentication: services/twoFactorService.js
  *
  * Author: John Denis Nyagah
  * ============================================================================
  */
 
 import mongoose from "mongoose";
+import { isValidTimeZone } from "../utils/dateUtils.js";
 
 /**
  * User Schema Definition
@@ -67,6 +88,18 @@ const userSchema = new mongoose.Schema(
       match: [/.+\@.+\..+/, "Please fill a valid email address"], // Basic email regex
     },
 
+    // Set once the owner clicks the link sent to the address
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Address the user is changing to, until confirmed from that inbox
+    pendingEmail: {
+      type: String,
+      default: null,
+    },
+
     // Hashed password (bcrypt with 12 salt rounds)
     // Never stored in plain text for security
     // Hidden by default for defense-in-depth against accidental leakage
@@ -84,6 +117,82 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "", // Empty string if no picture uploaded
     },
+
+    // IANA time zone (e.g., "Africa/Nairobi") used to compute the user's local day
+    // Set from the browser at registration (or first login) and editable on the profile
+    // Unset → treated as UTC (see middleware/timezoneMiddleware.js)
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Please provide a valid time zone",
+      },
+    },
+
+    // Overall streak: consecutive days with at least one habit completed
+    // Written by services/streakService.js, never by clients
+    currentStreak: {
+      type: Number,
+      default: 0,
+    },
+    longestStreak: {
+      type: Number,
+      default: 0,
+    },
+
+    // Local day the streaks were last computed for (null = needs refresh)
+    // A new day can break a streak, so stale values are recomputed on read
+    streakUpdatedOn: {
+      type: String,
+      default: null,
+    },
+
+    // Spend streak freezes automatically when a missed day would break a
+    // streak (see services/streakService.js); editable on the profile
+    autoFreeze: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Opt-in emails, editable on the profile (see services/emailDigestService.js)
+    // - weeklyDigest: Monday morning summary of last week's progress
+    // - streakAtRisk: Evening alert when a streak ends tonight unless done
+    notificationPrefs: {
+      weeklyDigest: { type: Boolean, default: false },
+      streakAtRisk: { type: Boolean, default: false },
+    },
+
+    // What the last emails covered, written by emailDigestService only
+    // - weeklyDigest: Monday (YYYY-MM-DD) of the week summarized
+    // - streakAtRisk: Local day (YYYY-MM-DD) of the alert
+    emailsSentFor: {
+      weeklyDigest: { type: String, default: null },
+      streakAtRisk: { type: String, default: null },
+    },
+
+    // Access tokens signed with an older version are rejected by protect()
+    // Written by services/tokenService.js (revokeAllSessions), never by clients
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Two-factor authentication (see services/twoFactorService.js)
+    // - enabled: Login asks for a code after the password
+    // - secret: Base32 TOTP secret shared with the authenticator app
+    // - pendingSecret: Secret being set up, until a code from it is confirmed
+    // - recoveryCodes: SHA-256 hashes of the unused recovery codes
+    // - lastUsedStep: Time step of the last accepted code (blocks replays)
+    // - enabledAt: When 2FA was turned on
+    // Everything but enabled/enabledAt is hidden unless selected explicitly
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      lastUsedStep: { type: Number, default: null, select: false },
+      enabledAt: { type: Date, default: null },
+    },
   },
   {
     // Automatically manage createdAt and updatedAt timestamps
@@ -0,0 +1,59 @@
+/**
+ * ============================================================================
+ * ACHIEVEMENT ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Lists the badges a user has unlocked (and the ones still locked)
+ * - Badges are unlocked by check-ins, never by clients
+ *   (see services/achievementService.js)
+ *
+ * Routes:
+ * - GET /api/achievements → Every badge with its unlock state
+ *
+ * Security:
+ * - All routes protected with JWT authentication
+ * - userId automatically extracted from JWT token
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { getAchievements } from "../services/achievementService.js";
+
+const router = express.Router();
+
+// ============================================================================
+// GET ACHIEVEMENTS
+// ============================================================================
+/**
+ * GET /api/achievements
+ *
+ * Purpose: Badges for the profile page
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: {
+ *     achievements: [{ key, name, description, icon, unlocked, unlockedAt }],
+ *     unlockedCount: number,
+ *     total: number
+ *   }
+ *   - unlockedAt is null for locked badges
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Badges are listed in a fixed order (easiest first)
+ * - icon is a file name in frontend/assets/icons (without .svg)
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    res.status(200).json(await getAchievements(req.user.id));
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -10,17 +10,35 @@
  *
  * Routes:
  * - POST   /api/auth/register          → Register new user account
- * - POST   /api/auth/login             → Login and receive JWT token
+ * - POST   /api/auth/login             → Login and receive JWT + refresh token
+ * - POST   /api/auth/login/2fa         → Second login step for accounts with 2FA
+ * - POST   /api/auth/refresh           → Exchange a refresh token for new tokens
+ * - POST   /api/auth/forgot-password   → Email a password reset link
+ * - POST   /api/auth/reset-password    → Set a new password with the emailed token
+ * - POST   /api/auth/verify-email      → Confirm an address with the emailed token
+ * - POST   /api/auth/resend-verification → Email a new confirmation link
  * - GET    /api/auth/profile           → Get authenticated user profile
- * - PUT    /api/auth/profile           → Update user profile name
+ * - PUT    /api/auth/profile           → Update user profile name/time zone/auto-freeze/email prefs
  * - PUT    /api/auth/profile-picture   → Update profile picture (base64)
  * - PUT    /api/auth/change-password   → Change user password
+ * - PUT    /api/auth/change-email      → Start changing the email address
+ * - DELETE /api/auth/change-email      → Cancel a pending email change
  * - DELETE /api/auth/account           → Delete user account and all data
- * - POST   /api/auth/logout            → Logout user (server-side tracking)
+ * - POST   /api/auth/logout            → Logout user (revokes this session's tokens)
+ * - POST   /api/auth/logout-all        → Log out of every session
+ *
+ * Related:
+ * - routes/twoFactorRoutes.js → /api/auth/2fa (two-factor settings)
+ * - routes/sessionRoutes.js   → /api/auth/sessions (signed-in devices)
  *
  * Security Features:
  * - Password hashing with bcrypt (10 salt rounds)
- * - JWT tokens for stateless authentication
+ * - Password reset through hashed, single-use, expiring emailed tokens
+ * - Email ownership confirmed by emailed links (signup and email changes)
+ * - Optional TOTP two-factor authentication (routes/twoFactorRoutes.js)
+ * - Short-lived JWT access tokens with rotating refresh tokens
+ * - Server-side revocation on logout, password change and account deletion
+ *   (services/tokenService.js, reuse revokes the whole login)
  * - Protected routes require valid JWT token
  * - Password validation and strength requirements
  * - Secure profile picture upload with size limits (5MB max)
@@ -38,13 +56,84 @@
 
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import { protect } from "../middleware/authMiddleware.js";
-import { authLimiter } from "../middleware/rateLimiter.js";
+import { authLimiter, refreshLimiter } from "../middleware/rateLimiter.js";
+import {
+  cancelEmailChange,
+  confirmEmail,
+  requestEmailChange,
+  sendVerificationEmail,
+} from "../services/emailVerificationService.js";
+import {
+  consumePasswordResetToken,
+  requestPasswordReset,
+} from "../services/passwordResetService.js";
+import {
+  createSession,
+  revokeAccessToken,
+  revokeAllSessions,
+  revokeRefreshToken,
+  revokeSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+} from "../services/tokenService.js";
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+} from "../services/twoFactorService.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/dateUtils.js";
 
 const router = express.Router();
 
+// Basic email format check (same as the User model)
+const EMAIL_PATTERN = /.+\@.+\..+/;
+
+// Opt-in email settings (User.notificationPrefs)
+const NOTIFICATION_PREF_KEYS = ["weeklyDigest", "streakAtRisk"];
+
+/**
+ * Device details recorded with a session (models/Session.js)
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+function getClient(req) {
+  return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+/**
+ * User details returned when a session starts
+ *
+ * @param {Object} user - User document
+ * @returns {Object} Public user fields
+ */
+function getSessionUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified === true,
+    pendingEmail: user.pendingEmail || null,
+    profilePicture: user.profilePicture || "",
+    timezone: user.timezone || DEFAULT_TIME_ZONE,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * Read a user's email settings for API responses (unset = off)
+ *
+ * @param {Object} user - User document
+ * @returns {Object} { weeklyDigest: boolean, streakAtRisk: boolean }
+ */
+function getNotificationPrefs(user) {
+  return Object.fromEntries(
+    NOTIFICATION_PREF_KEYS.map((key) => [key, user.notificationPrefs?.[key] === true])
+  );
+}
+
 // ============================================================================
 // USER REGISTRATION
 // ============================================================================
@@ -57,6 +146,7 @@ const router = express.Router();
  * - name: string (user's full name)
  * - email: string (unique email address)
  * - password: string (will be hashed before storage)
+ * - timezone: string (Optional, browser's IANA time zone, e.g., "Europe/London")
  *
  * Response:
  * - 201: User registered successfully
@@ -68,10 +158,11 @@ const router = express.Router();
  * - Checks for duplicate email addresses
  * - Hashes password with bcrypt (12 salt rounds)
  * - Never stores plain text passwords
+ * - Emails a link to confirm the address (see POST /api/auth/verify-email)
  */
 router.post("/register", authLimiter, async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Robust input validation
     if (typeof name !== "string" || name.trim().length === 0) {
@@ -87,10 +178,12 @@ router.post("/register", authLimiter, async (req, res) => {
     }
 
     // Basic email format validation
-    const emailRegex = /.+\@.+\..+/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_PATTERN.test(email)) {
       return res.status(400).json({ message: "Please provide a valid email format" });
     }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: "Please provide a valid time zone" });
+    }
 
     // Check if the email is already used
     const existingUser = await User.findOne({ email });
@@ -103,9 +196,14 @@ router.post("/register", authLimiter, async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 12);
 
     // Create and save user
-    const user = new User({ name, email, password: hashedPassword });
+    const user = new User({ name, email, password: hashedPassword, timezone });
     await user.save();
 
+    // Ask the user to confirm the address (sent in the background)
+    sendVerificationEmail(user, user.email).catch((error) => {
+      console.error("Verification email error:", error);
+    });
+
     res.status(201).json({ message: "User registered successfully" });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
@@ -118,14 +216,17 @@ router.post("/register", authLimiter, async (req, res) => {
 /**
  * POST /api/auth/login
  *
- * Purpose: Authenticate user and issue JWT token
+ * Purpose: Authenticate user and issue an access and refresh token
  *
  * Request Body:
  * - email: string (user's email address)
  * - password: string (user's password)
+ * - timezone: string (Optional, browser's IANA time zone)
  *
  * Response:
- * - 200: Login successful with JWT token and user data
+ * - 200: Login successful with { token, refreshToken, user }
+ * - 200: { twoFactorRequired: true, challengeToken } if the account uses
+ *   two-factor authentication - send the code to POST /api/auth/login/2fa
  * - 400: User not found, invalid password, or invalid input
  * - 500: Server error
  *
@@ -133,12 +234,17 @@ router.post("/register", authLimiter, async (req, res) => {
  * - Validates input types and presence
  * - Validates user credentials
  * - Compares hashed passwords using bcrypt
- * - Generates JWT token valid for 1 hour
+ * - Generates JWT access token valid for 15 minutes
  * - Token includes user ID and email in payload
+ * - Refresh token (valid 30 days, one use) renews it via POST /api/auth/refresh
+ *
+ * Time Zone:
+ * - Accounts created before time zones were stored adopt the browser's
+ *   time zone on their next login; an existing time zone is never overwritten
  */
 router.post("/login", authLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timezone } = req.body;
 
     // Robust input validation
     if (typeof email !== "string" || email.trim().length === 0) {
@@ -162,29 +268,351 @@ router.post("/login", authLimiter, async (req, res) => {
       return res.status(400).json({ message: "Invalid email or password" });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    // Adopt the browser's time zone if the account doesn't have one yet
+    if (!user.timezone && isValidTimeZone(timezone)) {
+      user.timezone = timezone;
+      await user.save();
+    }
+
+    // Accounts with two-factor authentication log in with a second request
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
+    }
+
+    // Create JWT access token and refresh token
+    const { token, refreshToken } = await createSession(user, getClient(req));
 
     res.status(200).json({
       message: "Login successful",
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        profilePicture: user.profilePicture || "",
-        createdAt: user.createdAt,
-      },
+      refreshToken,
+      user: getSessionUser(user),
     });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// ============================================================================
+// TWO-FACTOR LOGIN STEP
+// ============================================================================
+/**
+ * POST /api/auth/login/2fa
+ *
+ * Purpose: Finish logging in to an account with two-factor authentication
+ *
+ * Authentication: None (the challenge token from POST /api/auth/login
+ * proves the password was checked)
+ *
+ * Request Body:
+ * - challengeToken: string (required, from the login response)
+ * - code: string (required, 6-digit authenticator code or a recovery code)
+ *
+ * Response:
+ * - 200: Login successful with { token, refreshToken, user }
+ *   (plus recoveryCodesLeft when a recovery code was used)
+ * - 400: Invalid input or wrong code
+ * - 401: Challenge invalid or expired (5 minutes) - log in again
+ * - 500: Server error
+ *
+ * Security:
+ * - Rate limited like the password step (authLimiter)
+ * - Each authenticator code and recovery code works once
+ *   (see services/twoFactorService.js)
+ */
+router.post("/login/2fa", authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof challengeToken !== "string" || challengeToken.length === 0) {
+      return res.status(401).json({ message: "Login expired, please log in again" });
+    }
+    if (typeof code !== "string" || code.trim().length === 0 || code.length > 32) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const userId = verifyLoginChallenge(challengeToken);
+    const user = userId
+      ? await User.findById(userId).select("+twoFactor.secret +twoFactor.recoveryCodes")
+      : null;
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Login expired, please log in again" });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { token, refreshToken } = await createSession(user, getClient(req));
+
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: getSessionUser(user),
+      ...(result.method === "recovery" && {
+        recoveryCodesLeft: user.twoFactor.recoveryCodes.length - 1,
+      }),
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+/**
+ * POST /api/auth/refresh
+ *
+ * Purpose: Get a new access token when the current one has expired
+ *
+ * Authentication: None (the refresh token is the credential)
+ *
+ * Request Body:
+ * - refreshToken: string (required, from login or the previous refresh)
+ *
+ * Response:
+ * - 200: { token, refreshToken } - use both from now on
+ * - 400: Missing refresh token
+ * - 401: Refresh token invalid, expired or reused - log in again
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Rotation: the presented refresh token stops working and a new one
+ *   is returned with the new access token
+ * - Reuse detection: presenting an already used token revokes every
+ *   token of that login (see services/tokenService.js)
+ */
+router.post("/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof refreshToken !== "string" || refreshToken.length === 0) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClient(req));
+    if (result.error) {
+      const message =
+        result.error === "reused"
+          ? "Session revoked, please log in again"
+          : "Session expired, please log in again";
+      return res.status(401).json({ message });
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// FORGOT PASSWORD
+// ============================================================================
+/**
+ * POST /api/auth/forgot-password
+ *
+ * Purpose: Email a link to reset a forgotten password
+ *
+ * Authentication: None
+ *
+ * Request Body:
+ * - email: string (account's email address)
+ *
+ * Response:
+ * - 200: Same message whether or not the address has an account
+ * - 400: Missing email
+ *
+ * Behavior:
+ * - The email is sent in the background, so the response time doesn't
+ *   reveal whether an account exists either
+ * - The link opens the sign-in page's reset form and works once, for
+ *   an hour (see services/passwordResetService.js)
+ * - At most one email a minute per account
+ */
+router.post("/forgot-password", authLimiter, async (req, res) => {
+  const { email } = req.body || {};
+
+  // Robust input validation to prevent NoSQL injection
+  if (typeof email !== "string" || email.trim().length === 0) {
+    return res.status(400).json({ message: "Please provide your email" });
+  }
+
+  requestPasswordReset(email.trim()).catch((error) => {
+    console.error("Password reset email error:", error);
+  });
+
+  res.status(200).json({
+    message: "If an account uses that email, a reset link is on its way",
+  });
+});
+
+// ============================================================================
+// RESET PASSWORD
+// ============================================================================
+/**
+ * POST /api/auth/reset-password
+ *
+ * Purpose: Set a new password with the token from a reset email
+ *
+ * Authentication: None (the emailed token is the credential)
+ *
+ * Request Body:
+ * - token: string (from the reset link)
+ * - password: string (new password, minimum 6 characters)
+ *
+ * Response:
+ * - 200: Password reset, log in with the new password
+ * - 400: Missing fields, weak password, or link invalid/expired/used
+ * - 500: Server error
+ *
+ * Security:
+ * - The token works once (also when two requests race)
+ * - Hashes new password with bcrypt (12 salt rounds)
+ * - Logs out every session, in case someone else knew the old password
+ * - Marks the email as confirmed (the link reached its inbox)
+ */
+router.post("/reset-password", authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof token !== "string" || token.length === 0) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+    if (typeof password !== "string" || password.length < 6) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+    }
+
+    // Use up the token (checked after the password so a typo doesn't burn it)
+    const userId = await consumePasswordResetToken(token);
+    const user = userId && (await User.findById(userId).select("+password"));
+    if (!user) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(12);
+    user.password = await bcrypt.hash(password, salt);
+    // The link reached the inbox, which proves the user owns the address
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({ message: "Password reset, please log in" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// VERIFY EMAIL
+// ============================================================================
+/**
+ * POST /api/auth/verify-email
+ *
+ * Purpose: Confirm an email address with the token from an emailed link
+ *
+ * Authentication: None (the emailed token is the credential)
+ *
+ * Request Body:
+ * - token: string (from the confirmation link)
+ *
+ * Response:
+ * - 200: { message, email } - address confirmed (for an email change,
+ *   email is the account's new address)
+ * - 400: Link invalid, expired, used or replaced
+ * - 409: The new address was taken by another account in the meantime
+ * - 500: Server error
+ */
+router.post("/verify-email", authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof token !== "string" || token.length === 0) {
+      return res.status(400).json({ message: "Confirmation link is invalid or has expired" });
+    }
+
+    const result = await confirmEmail(token);
+    if (result.error === "taken") {
+      return res
+        .status(409)
+        .json({ message: "That email is already used by another account" });
+    }
+    if (result.error) {
+      return res.status(400).json({ message: "Confirmation link is invalid or has expired" });
+    }
+
+    res.status(200).json({
+      message: "Email confirmed",
+      email: result.user.email,
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// RESEND VERIFICATION EMAIL
+// ============================================================================
+/**
+ * POST /api/auth/resend-verification
+ *
+ * Purpose: Email a new confirmation link (the old one stops working)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: Link sent to the pending new address, or else to the account's
+ *   unconfirmed address
+ * - 400: Nothing to confirm
+ * - 404: User not found
+ * - 429: A link was sent less than a minute ago
+ * - 500: Server error (including mail delivery failures)
+ */
+router.post("/resend-verification", protect, authLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("name email emailVerified pendingEmail");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const email = user.pendingEmail || (!user.emailVerified && user.email);
+    if (!email) {
+      return res.status(400).json({ message: "Your email is already confirmed" });
+    }
+
+    if (!(await sendVerificationEmail(user, email))) {
+      return res
+        .status(429)
+        .json({ message: "Please wait a minute before asking for another link" });
+    }
+
+    res.status(200).json({ message: `Confirmation link sent to ${email}` });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ============================================================================
 // GET USER PROFILE
 // ============================================================================
@@ -222,7 +650,12 @@ router.get("/profile", protect, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified === true,
+        pendingEmail: user.pendingEmail || null,
         profilePicture: user.profilePicture || "",
+        timezone: user.timezone || DEFAULT_TIME_ZONE,
+        autoFreeze: user.autoFreeze !== false,
+        notificationPrefs: getNotificationPrefs(user),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       },
@@ -242,31 +675,67 @@ router.get("/profile", protect, async (req, res) => {
 /**
  * PUT /api/auth/profile
  *
- * Purpose: Update user's profile name
+ * Purpose: Update user's profile name, time zone, streak freeze setting
+ * and/or email settings
  *
  * Authentication: Required (JWT token)
  *
  * Request Body:
- * - name: string (new user name, trimmed)
+ * - name: string (Optional, new user name, trimmed)
+ * - timezone: string (Optional, IANA time zone, e.g., "America/New_York")
+ * - autoFreeze: boolean (Optional, use streak freezes automatically)
+ * - notificationPrefs: object (Optional, opt-in emails; only the keys
+ *   given are changed)
+ *   - weeklyDigest: boolean (Monday summary of last week's progress)
+ *   - streakAtRisk: boolean (evening alert when a streak ends tonight)
+ *   At least one of name, timezone, autoFreeze or notificationPrefs must be provided
  *
  * Response:
  * - 200: Profile updated successfully with updated user data
- * - 400: Invalid name (empty or whitespace only)
+ * - 400: Invalid name (empty or whitespace only), unknown time zone or
+ *        non-boolean autoFreeze or notificationPrefs values
  * - 404: User not found
  * - 500: Server error
  *
  * Validation:
  * - Name must not be empty after trimming
  * - Whitespace is automatically removed
+ * - Time zone must be a name known to Intl (IANA database)
+ * - Changing the time zone changes which calendar day is "today"
+ *   for new check-ins; existing check-ins keep their stored day
  */
 router.put("/profile", protect, async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, timezone, autoFreeze, notificationPrefs } = req.body;
+    const hasSettings =
+      timezone !== undefined || autoFreeze !== undefined || notificationPrefs !== undefined;
 
-    // Validate input
-    if (typeof name !== "string" || name.trim().length === 0) {
+    // Validate input (name is required unless only settings are updated)
+    if (
+      (name !== undefined || !hasSettings) &&
+      (typeof name !== "string" || name.trim().length === 0)
+    ) {
       return res.status(400).json({ message: "Please provide a valid name" });
     }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: "Please provide a valid time zone" });
+    }
+    // Robust input validation to prevent NoSQL injection
+    if (autoFreeze !== undefined && typeof autoFreeze !== "boolean") {
+      return res.status(400).json({ message: "autoFreeze must be true or false" });
+    }
+    if (
+      notificationPrefs !== undefined &&
+      (notificationPrefs === null ||
+        typeof notificationPrefs !== "object" ||
+        Array.isArray(notificationPrefs) ||
+        Object.keys(notificationPrefs).some((key) => !NOTIFICATION_PREF_KEYS.includes(key)) ||
+        Object.values(notificationPrefs).some((value) => typeof value !== "boolean"))
+    ) {
+      return res.status(400).json({
+        message: `notificationPrefs may only set ${NOTIFICATION_PREF_KEYS.join(", ")} to true or false`,
+      });
+    }
 
     // Get user from database
     const user = await User.findById(req.user.id);
@@ -274,8 +743,13 @@ router.put("/profile", protect, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Update user name
-    user.name = name.trim();
+    // Update user name, time zone, streak freeze and/or email settings
+    if (name !== undefined) user.name = name.trim();
+    if (timezone !== undefined) user.timezone = timezone;
+    if (autoFreeze !== undefined) user.autoFreeze = autoFreeze;
+    for (const [key, value] of Object.entries(notificationPrefs || {})) {
+      user.notificationPrefs[key] = value;
+    }
     await user.save();
 
     res.status(200).json({
@@ -284,7 +758,12 @@ router.put("/profile", protect, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified === true,
+        pendingEmail: user.pendingEmail || null,
         profilePicture: user.profilePicture || "",
+        timezone: user.timezone || DEFAULT_TIME_ZONE,
+        autoFreeze: user.autoFreeze !== false,
+        notificationPrefs: getNotificationPrefs(user),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       },
@@ -379,7 +858,12 @@ router.put("/profile-picture", protect, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified === true,
+        pendingEmail: user.pendingEmail || null,
         profilePicture: user.profilePicture,
+        timezone: user.timezone || DEFAULT_TIME_ZONE,
+        autoFreeze: user.autoFreeze !== false,
+        notificationPrefs: getNotificationPrefs(user),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       },
@@ -405,7 +889,8 @@ router.put("/profile-picture", protect, async (req, res) => {
  * - newPassword: string (new password, minimum 6 characters)
  *
  * Response:
- * - 200: Password updated successfully
+ * - 200: Password updated successfully with new { token, refreshToken }
+ *   for this browser
  * - 400: Missing fields, incorrect current password, or weak new password
  * - 404: User not found
  * - 500: Server error
@@ -416,6 +901,8 @@ router.put("/profile-picture", protect, async (req, res) => {
  * - Enforces minimum password length (6 characters)
  * - Hashes new password with bcrypt (12 salt rounds)
  * - Never stores plain text passwords
+ * - Logs out every session (someone who knew the old password may be
+ *   signed in) and starts a new one for the current browser
  */
 router.put("/change-password", protect, authLimiter, async (req, res) => {
   try {
@@ -452,13 +939,121 @@ router.put("/change-password", protect, authLimiter, async (req, res) => {
     user.password = await bcrypt.hash(newPassword, salt);
     await user.save();
 
-    res.status(200).json({ message: "Password updated successfully" });
+    // End every session, then sign this browser back in
+    const updatedUser = await revokeAllSessions(user._id);
+    const { token, refreshToken } = await createSession(
+      updatedUser,
+      getClient(req)
+    );
+
+    res.status(200).json({
+      message: "Password updated successfully",
+      token,
+      refreshToken,
+    });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// ============================================================================
+// CHANGE EMAIL
+// ============================================================================
+/**
+ * PUT /api/auth/change-email
+ *
+ * Purpose: Start changing the account's email address
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - newEmail: string (address to change to)
+ * - password: string (current password, so a stolen session can't take
+ *   over the account by redirecting its email)
+ *
+ * Response:
+ * - 200: { message, pendingEmail } - confirmation link sent
+ * - 400: Invalid input, incorrect password, same address or address in use
+ * - 404: User not found
+ * - 429: A link was sent less than a minute ago
+ * - 500: Server error (including mail delivery failures)
+ *
+ * Behavior:
+ * - The address doesn't change yet: the new address gets a confirmation
+ *   link (POST /api/auth/verify-email) and is kept as pendingEmail
+ * - The current address is told about the change
+ * - Asking again replaces the pending address
+ */
+router.put("/change-email", protect, authLimiter, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof newEmail !== "string" || !EMAIL_PATTERN.test(newEmail.trim())) {
+      return res.status(400).json({ message: "Please provide a valid email" });
+    }
+    if (typeof password !== "string" || password.length === 0) {
+      return res.status(400).json({ message: "Please provide your password" });
+    }
+    const email = newEmail.trim();
+
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: "That is already your email" });
+    }
+    if (await User.exists({ email })) {
+      return res
+        .status(400)
+        .json({ message: "That email is already used by another account" });
+    }
+
+    if (!(await requestEmailChange(user, email))) {
+      return res
+        .status(429)
+        .json({ message: "Please wait a minute before asking for another link" });
+    }
+
+    res.status(200).json({
+      message: `Confirmation link sent to ${email}`,
+      pendingEmail: email,
+    });
+  } catch (error) {
+    console.error("Change email error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/auth/change-email
+ *
+ * Purpose: Cancel a pending email change
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: Change cancelled (links sent for it stop working)
+ * - 500: Server error
+ */
+router.delete("/change-email", protect, async (req, res) => {
+  try {
+    await cancelEmailChange(req.user.id);
+    res.status(200).json({ message: "Email change cancelled" });
+  } catch (error) {
+    console.error("Cancel email change error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ============================================================================
 // DELETE USER ACCOUNT
 // ============================================================================
@@ -477,21 +1072,37 @@ router.put("/change-password", protect, authLimiter, async (req, res) => {
  * - Deletes all user's habits
  * - Deletes all user's check-ins
  * - Deletes all user's login records
+ * - Deletes all user's unlocked achievements
+ * - Deletes all user's notifications
+ * - Deletes all user's push subscriptions
+ * - Deletes all user's refresh tokens and sessions (logs out every device)
+ * - Deletes all user's revoked access token entries
+ * - Deletes all user's password reset tokens
+ * - Deletes all user's email confirmation tokens
  * - Deletes the user account
  *
  * Security:
  * - User ID extracted from JWT token (prevents deleting other users)
  * - Irreversible operation (permanent data deletion)
  * - Maintains data integrity by removing all related records
+ * - Access tokens stop working right away (their user no longer exists)
  */
 router.delete("/account", protect, authLimiter, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Import models (we need Habit, Checkin, and Login to delete user's data)
+    // Import models (we need every model holding user data to delete it)
     const Habit = (await import("../models/Habit.js")).default;
     const Checkin = (await import("../models/Checkin.js")).default;
     const Login = (await import("../models/Login.js")).default;
+    const Achievement = (await import("../models/Achievement.js")).default;
+    const Notification = (await import("../models/Notification.js")).default;
+    const PushSubscription = (await import("../models/PushSubscription.js")).default;
+    const RefreshToken = (await import("../models/RefreshToken.js")).default;
+    const Session = (await import("../models/Session.js")).default;
+    const RevokedToken = (await import("../models/RevokedToken.js")).default;
+    const PasswordResetToken = (await import("../models/PasswordResetToken.js")).default;
+    const EmailVerificationToken = (await import("../models/EmailVerificationToken.js")).default;
 
     // Delete all user's habits
     await Habit.deleteMany({ userId });
@@ -502,6 +1113,28 @@ router.delete("/account", protect, authLimiter, async (req, res) => {
     // Delete all user's login records
     await Login.deleteMany({ userId });
 
+    // Delete all user's unlocked achievements
+    await Achievement.deleteMany({ userId });
+
+    // Delete all user's notifications
+    await Notification.deleteMany({ userId });
+
+    // Delete all user's push subscriptions (devices)
+    await PushSubscription.deleteMany({ userId });
+
+    // Delete all user's refresh tokens and sessions
+    await RefreshToken.deleteMany({ userId });
+    await Session.deleteMany({ userId });
+
+    // Delete all user's revoked access tokens
+    await RevokedToken.deleteMany({ userId });
+
+    // Delete all user's password reset tokens
+    await PasswordResetToken.deleteMany({ userId });
+
+    // Delete all user's email confirmation tokens
+    await EmailVerificationToken.deleteMany({ userId });
+
     // Delete the user
     await User.findByIdAndDelete(userId);
 
@@ -518,28 +1151,46 @@ router.delete("/account", protect, authLimiter, async (req, res) => {
 /**
  * POST /api/auth/logout
  *
- * Purpose: Logout user (server-side tracking)
+ * Purpose: Logout user and revoke this session's tokens
  *
- * Authentication: Required (JWT token)
+ * Authentication: Optional (JWT token is revoked if sent and still valid)
+ *
+ * Request Body:
+ * - refreshToken: string (Optional, this browser's refresh token)
  *
  * Response:
  * - 200: Logged out successfully
  * - 500: Server error
  *
- * Note:
- * - JWT-based authentication is stateless
- * - Actual logout happens client-side (remove token from localStorage)
- * - This endpoint provides server-side logging for tracking purposes
- * - Could implement token blacklisting here for additional security
+ * Behavior:
+ * - The access token is added to the revocation store and stops working
+ *   immediately
+ * - The refresh token's whole family is revoked, so this login can't
+ *   get new access tokens, and its session leaves the sessions list
+ * - Works with an expired access token: holding the refresh token is
+ *   enough to revoke it
  */
-router.post("/logout", protect, async (req, res) => {
+router.post("/logout", refreshLimiter, async (req, res) => {
   try {
-    // In a JWT-based system, logout is typically client-side (removing token)
-    // But we can log it on the server for tracking purposes
-    console.log("User logged out:", req.user.id);
+    const { refreshToken } = req.body || {};
+
+    // Revoke the access token, if one was sent
+    const authHeader = req.headers.authorization;
+    const decoded =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? verifyAccessToken(authHeader.split(" ")[1])
+        : null;
+    if (decoded) {
+      await revokeAccessToken(decoded);
+      if (decoded.sid) await revokeSession(decoded.id, decoded.sid);
+    }
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof refreshToken === "string" && refreshToken.length > 0) {
+      await revokeRefreshToken(refreshToken);
+    }
 
-    // You could implement token blacklisting here if needed
-    // For now, we just acknowledge the logout
+    if (decoded) console.log("User logged out:", decoded.id);
     res.status(200).json({ message: "Logged out successfully" });
   } catch (error) {
     console.error("Logout error:", error);
@@ -547,4 +1198,39 @@ router.post("/logout", protect, async (req, res) => {
   }
 });
 
+// ============================================================================
+// LOG OUT EVERYWHERE
+// ============================================================================
+/**
+ * POST /api/auth/logout-all
+ *
+ * Purpose: Log out of every session on every device, including this one
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: Logged out everywhere
+ * - 404: User not found
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Every access token issued so far stops working immediately
+ *   (User.tokenVersion is bumped)
+ * - Every refresh token is revoked
+ */
+router.post("/logout-all", protect, authLimiter, async (req, res) => {
+  try {
+    const user = await revokeAllSessions(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    console.log("User logged out everywhere:", req.user.id);
+    res.status(200).json({ message: "Logged out of every session" });
+  } catch (error) {
+    console.error("Logout everywhere error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -6,25 +6,47 @@
  * Purpose:
  * - Handles habit completion tracking (check-ins)
  * - Manages daily habit completion status
- * - Calculates habit streaks
+ * - Keeps habit streaks up to date (see streakService.js)
  * - All routes are protected and require JWT authentication
  *
  * Routes:
- * - GET  /api/checkins                 → Get all check-ins for the user
- * - POST /api/checkins/toggle          → Toggle habit completion for today
- * - GET  /api/checkins/:habitId        → Get all check-ins for a habit
- * - GET  /api/checkins/:habitId/streak → Calculate current streak
+ * - GET  /api/checkins                 → Get the user's check-ins (filterable, paged)
+ * - POST /api/checkins/toggle          → Toggle habit completion for a day
+ * - POST /api/checkins/increment       → Add to a day's amount (quantitative)
+ * - POST /api/checkins/decrement       → Subtract from a day's amount
+ * - PUT  /api/checkins/status          → Set a day's state (done/skipped/missed/frozen/none)
+ * - GET  /api/checkins/:habitId        → Get a habit's check-ins (filterable, paged)
+ * - GET  /api/checkins/:habitId/streak → Get current and longest streak
  *
  * Check-in Properties:
  * - habitId: ObjectId (links to habit)
  * - userId: ObjectId (links to user)
  * - date: Date (normalized to midnight UTC)
- * - completed: Boolean (always true for existing check-ins)
+ * - amount: Number (logged amount, 1 for yes/no habits)
+ * - completed: Boolean (true once amount reaches the habit's target)
+ * - status: String ("done", "skipped", "missed" or "frozen")
+ * - reason: String (why a day was skipped: rest, sick, travel, other)
  *
  * Date Handling:
  * - All dates normalized to midnight UTC for consistency
+ * - "Today" is the user's local day (User.timezone, via loadTimeZone)
  * - Prevents duplicate check-ins for same day
+ * - Past days can be edited within the backfill window (CHECKIN_BACKFILL_DAYS)
+ * - Future days are always rejected
  * - Ensures accurate streak calculations across timezones
+ * - Streaks only count days the habit is due (see scheduleService.js)
+ * - Every write recalculates the stored streaks and returns them as
+ *   streak, longestStreak and overallStreak
+ * - Every write also checks the achievement rules and returns any badges
+ *   it unlocked as newAchievements (usually [])
+ *
+ * Listing (GET /api/checkins, GET /api/checkins/:habitId):
+ * - from / to: YYYY-MM-DD, inclusive (either may be omitted)
+ * - limit: page size (1 - MAX_PAGE_SIZE); responses become
+ *   { checkins, nextCursor } instead of a plain array
+ *   (validated by checkinService.parseListQuery)
+ * - cursor: nextCursor from the previous page
+ * - Always sorted newest first
  *
  * Security:
  * - All routes protected with JWT authentication
@@ -36,42 +58,79 @@
  */
 
 import express from "express";
-import Checkin from "../models/Checkin.js";
-import Habit from "../models/Habit.js";
+import mongoose from "mongoose";
+import Checkin, { SKIP_REASONS } from "../models/Checkin.js";
+import Habit, { MAX_TARGET } from "../models/Habit.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { loadTimeZone } from "../middleware/timezoneMiddleware.js";
+import {
+  FLEXIBLE_FREQUENCIES,
+  isHabitDue,
+} from "../services/scheduleService.js";
+import {
+  getFreezeBalance,
+  getFreshStreaks,
+  recalculateStreaks,
+} from "../services/streakService.js";
+import { checkAchievements } from "../services/achievementService.js";
+import {
+  adjustCheckinAmount,
+  encodeCursor,
+  parseListQuery,
+  resolveCheckinRequest,
+  setCheckinStatus,
+} from "../services/checkinService.js";
+import { startOfDay } from "../utils/dateUtils.js";
 
 const router = express.Router();
 
+// Fields returned by the check-in listing routes
+const LIST_PROJECTION = {
+  habitId: 1,
+  date: 1,
+  amount: 1,
+  completed: 1,
+  status: 1,
+  reason: 1,
+};
+
 // ============================================================================
 // GET ALL USER CHECK-INS
 // ============================================================================
 /**
  * GET /api/checkins
  *
- * Purpose: Retrieve all check-ins for the authenticated user
+ * Purpose: Retrieve the authenticated user's check-ins
  *
  * Authentication: Required (JWT token)
  *
+ * Query Parameters (all optional):
+ * - from: string (YYYY-MM-DD, first day to include)
+ * - to: string (YYYY-MM-DD, last day to include)
+ * - limit: number (page size, 1 - MAX_PAGE_SIZE)
+ * - cursor: string (nextCursor from the previous page)
+ *
  * Response:
- * - 200: Array of all check-in objects (sorted newest first)
+ * - 200: Array of check-in objects (sorted newest first), or
+ *        { checkins, nextCursor } when limit or cursor is given
+ *        (nextCursor is null on the last page)
+ *   Each: { habitId, date, amount, completed, status, reason } - completed
+ *   is false for partial progress and for skipped/missed days
+ * - 400: Invalid from/to date, from after to, invalid limit or cursor
  * - 500: Server error
  *
  * Performance:
  * - Used for batch fetching all habit completions to avoid N+1 query problem
- * - Enables efficient dashboard and habit list rendering
+ * - Pages should request only the days they render (e.g., this week)
  */
 router.get("/", protect, async (req, res) => {
   try {
-    // Optimization: Project only necessary fields and use .lean() for performance
-    // Reduces payload size and decreases memory usage by returning POJOs instead of Mongoose documents
-    const checkins = await Checkin.find(
-      { userId: req.user.id },
-      { habitId: 1, date: 1 }
-    )
-      .sort({ date: -1 })
-      .lean();
-
-    res.status(200).json(checkins);
+    const query = parseListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    await sendCheckinList(res, { userId: req.user.id }, query);
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
@@ -83,137 +142,507 @@ router.get("/", protect, async (req, res) => {
 /**
  * POST /api/checkins/toggle
  *
- * Purpose: Toggle habit completion for today (mark as done/undone)
+ * Purpose: Toggle habit completion for a day (mark as done/undone)
+ * (Prefer PUT /api/checkins/status, which sets the state explicitly and is
+ * safe to retry)
  *
  * Authentication: Required (JWT token)
  *
  * Request Body:
  * - habitId: string (MongoDB ObjectId of the habit)
+ * - date: string (Optional, YYYY-MM-DD - defaults to today)
  *
  * Response:
- * - 200: Check-in removed (if already existed)
- * - 201: Check-in recorded (if didn't exist)
+ * - 200: Check-in removed (if completed) or filled to target (if partial,
+ *        skipped or missed)
+ * - 201: Check-in recorded at the habit's target (if didn't exist)
+ *        - Both include the updated streak, longestStreak and overallStreak,
+ *          plus newAchievements (badges this check-in unlocked)
+ * - 400: Invalid habit ID/date, future date, or date outside backfill window
+ * - 404: Habit not found or doesn't belong to user
  * - 500: Server error
  *
+ * Backfilling:
+ * - Past days can be toggled back to getEditableFrom() (today - N days)
+ * - Days before the habit was created are rejected (never due)
+ * - Future days are rejected
+ *
  * Behavior:
- * - If check-in exists for today: Delete it (toggle off)
+ * - If a completed check-in exists for that day: Delete it (toggle off)
+ * - If a partial check-in exists (quantitative habit): Fill it to the target
+ * - If the day was skipped or marked missed: Mark it done at the target
  * - If check-in doesn't exist: Create it (toggle on)
- * - Date normalized to midnight UTC for consistency
+ * - Date normalized to midnight UTC of the user's local day
  *
  * Date Normalization:
  * - Creates date at 00:00:00 UTC to prevent timezone issues
  * - Ensures one check-in per day regardless of time
  * - Example: 2025-01-15T00:00:00.000Z
  */
-router.post("/toggle", protect, async (req, res) => {
+router.post("/toggle", protect, loadTimeZone, async (req, res) => {
   try {
-    const { habitId } = req.body;
-
-    // Robust input validation to prevent NoSQL injection
-    if (typeof habitId !== "string" || habitId.trim().length === 0) {
-      return res.status(400).json({ message: "Invalid habit ID" });
-    }
-
-    // Verify habit ownership (IDOR protection)
-    // Prevents users from checking in for habits that don't belong to them
-    const habit = await Habit.findOne({ _id: habitId, userId: req.user.id });
-    if (!habit) {
-      return res.status(404).json({ message: "Habit not found" });
-    }
-
-    // Create today's date at midnight UTC for consistency
-    const now = new Date();
-    const today = new Date(
-      Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())
+    const resolved = await resolveCheckinRequest(
+      req.body,
+      req.user.id,
+      req.timeZone
     );
+    if (resolved.error) {
+      return res
+        .status(resolved.error.status)
+        .json({ message: resolved.error.message });
+    }
+    const { habit, day } = resolved;
 
-    // Check if this habit already has a check-in for today
+    // Check if this habit already has a check-in for that day
     const existingCheckin = await Checkin.findOne({
-      habitId,
+      habitId: habit._id,
       userId: req.user.id,
-      date: today,
+      date: day,
     });
 
-    if (existingCheckin) {
-      // If exists, delete it (toggle off)
+    if (existingCheckin && existingCheckin.completed !== false) {
+      // If completed, delete it (toggle off)
       await Checkin.deleteOne({ _id: existingCheckin._id });
       return res.status(200).json({
         message: "Check-in removed",
         completed: false,
+        amount: 0,
+        target: habit.target,
+        ...(await refreshStreaks(req, habit._id, day)),
       });
-    } else {
-      // If doesn't exist, create it (toggle on)
-      const checkin = new Checkin({
-        habitId,
-        userId: req.user.id,
-        date: today,
+    }
+
+    if (existingCheckin) {
+      // Partial progress (quantitative habit) or skipped/missed day -
+      // fill it up to the target
+      existingCheckin.amount = habit.target;
+      existingCheckin.completed = true;
+      existingCheckin.status = "done";
+      existingCheckin.reason = undefined;
+      await existingCheckin.save();
+      return res.status(200).json({
+        message: "Check-in completed",
         completed: true,
+        amount: existingCheckin.amount,
+        target: habit.target,
+        ...(await refreshStreaks(req, habit._id, day)),
+        checkin: existingCheckin,
       });
-      await checkin.save();
-      return res.status(201).json({
-        message: "Check-in recorded",
-        completed: true,
-        checkin,
+    }
+
+    // If doesn't exist, create it at the full target (toggle on)
+    const checkin = new Checkin({
+      habitId: habit._id,
+      userId: req.user.id,
+      date: day,
+      amount: habit.target,
+      completed: true,
+    });
+    await checkin.save();
+    return res.status(201).json({
+      message: "Check-in recorded",
+      completed: true,
+      amount: checkin.amount,
+      target: habit.target,
+      ...(await refreshStreaks(req, habit._id, day)),
+      checkin,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// INCREMENT / DECREMENT CHECK-IN AMOUNT
+// ============================================================================
+/**
+ * POST /api/checkins/increment
+ * POST /api/checkins/decrement
+ *
+ * Purpose: Log progress towards a quantitative habit's daily target
+ *          (e.g., one more glass of water, 5 fewer pages)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - habitId: string (MongoDB ObjectId of the habit)
+ * - date: string (Optional, YYYY-MM-DD - defaults to today)
+ * - amount: number (Optional, step size - defaults to 1)
+ *
+ * Response:
+ * - 200: { message, amount, target, completed, checkin?, streak,
+ *          longestStreak, overallStreak, newAchievements }
+ * - 400: Invalid habit ID/date/amount or date outside backfill window
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Behavior (see checkinService.adjustCheckinAmount):
+ * - Increment creates the day's check-in if needed and adds the step
+ * - Decrement subtracts the step; the check-in is removed at 0
+ * - Skipped/missed days start from 0 and become "done" on increment
+ * - completed is true once amount >= habit.target
+ *
+ * Example (target 8 glasses):
+ * - 3 increments → { amount: 3, target: 8, completed: false }
+ * - 5 more → { amount: 8, target: 8, completed: true }
+ */
+router.post("/increment", protect, loadTimeZone, async (req, res) => {
+  await handleAmountChange(req, res, 1);
+});
+
+router.post("/decrement", protect, loadTimeZone, async (req, res) => {
+  await handleAmountChange(req, res, -1);
+});
+
+/**
+ * Shared handler for increment/decrement
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} direction - 1 to increment, -1 to decrement
+ */
+async function handleAmountChange(req, res, direction) {
+  try {
+    const { amount = 1 } = req.body;
+    if (
+      typeof amount !== "number" ||
+      !Number.isFinite(amount) ||
+      amount <= 0 ||
+      amount > MAX_TARGET
+    ) {
+      return res.status(400).json({ message: "Invalid amount" });
+    }
+
+    const resolved = await resolveCheckinRequest(
+      req.body,
+      req.user.id,
+      req.timeZone
+    );
+    if (resolved.error) {
+      return res
+        .status(resolved.error.status)
+        .json({ message: resolved.error.message });
+    }
+    const { habit, day } = resolved;
+
+    const { checkin, ...result } = await adjustCheckinAmount(
+      { habitId: habit._id, userId: req.user.id, date: day },
+      habit.target,
+      direction * amount
+    );
+
+    if (!checkin) {
+      return res.status(200).json({
+        message: "Check-in removed",
+        amount: 0,
+        target: habit.target,
+        ...(await refreshStreaks(req, habit._id, day)),
+        completed: false,
       });
     }
+
+    res.status(200).json({
+      message: "Check-in updated",
+      amount: result.amount,
+      target: habit.target,
+      ...(await refreshStreaks(req, habit._id, day)),
+      completed: result.completed,
+      checkin,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+// ============================================================================
+// SET CHECK-IN STATUS
+// ============================================================================
+/**
+ * PUT /api/checkins/status
+ *
+ * Purpose: Set a habit's state for a day explicitly - done, skipped (with a
+ *          reason), missed, frozen (streak freeze), or cleared
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - habitId: string (MongoDB ObjectId of the habit)
+ * - date: string (Optional, YYYY-MM-DD - defaults to today)
+ * - status: string ("done", "skipped", "missed", "frozen" or "none" to
+ *   clear the day)
+ * - reason: string (required for "skipped": rest, sick, travel, other)
+ * - amount: number (Optional for "done", defaults to the habit's target)
+ *
+ * Response:
+ * - 200: { message, status, reason, amount, target, completed, checkin,
+ *          streak, longestStreak, overallStreak, newAchievements }
+ *        - checkin is the resulting record (null for "none")
+ * - 400: Invalid status/reason/amount, habit ID or date, outside
+ *        backfill window, or a freeze that isn't allowed (today, a day the
+ *        habit isn't due, no freezes left that month)
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Idempotency:
+ * - Sets the requested state instead of flipping the stored one, so a
+ *   double-click, a retried request or two open tabs all end in the state
+ *   the user asked for
+ * - Replaces whatever was recorded that day (including logged progress)
+ * - Preferred over POST /toggle for checkboxes
+ *
+ * Behavior (see checkinService.setCheckinStatus):
+ * - "done": completed once amount >= target (e.g., amount 3 of 8 is partial)
+ * - "skipped": neither breaks the streak nor counts as a completion
+ * - "missed": counts like a due day without a check-in (for reporting)
+ * - "frozen": uses one of the month's streak freezes (see streakService.js)
+ *   on a past due day - excused like a skip in streaks and success rates;
+ *   re-freezing a frozen day is free
+ * - "none": removes the day's record
+ */
+router.put("/status", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { status, reason, amount } = req.body;
+    if (!["done", "skipped", "missed", "frozen", "none"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+    if (status === "skipped" && !SKIP_REASONS.includes(reason)) {
+      return res.status(400).json({ message: "Invalid skip reason" });
+    }
+    if (
+      status === "done" &&
+      amount !== undefined &&
+      (typeof amount !== "number" ||
+        !Number.isFinite(amount) ||
+        amount <= 0 ||
+        amount > MAX_TARGET)
+    ) {
+      return res.status(400).json({ message: "Invalid amount" });
+    }
+
+    const resolved = await resolveCheckinRequest(
+      req.body,
+      req.user.id,
+      req.timeZone
+    );
+    if (resolved.error) {
+      return res
+        .status(resolved.error.status)
+        .json({ message: resolved.error.message });
+    }
+    const { habit, day } = resolved;
+
+    if (status === "frozen") {
+      const freezeError = await checkFreeze(req, habit, day);
+      if (freezeError) {
+        return res.status(400).json({ message: freezeError });
+      }
+    }
+
+    const checkin = await setCheckinStatus(
+      { habitId: habit._id, userId: req.user.id, date: day },
+      habit.target,
+      status,
+      { reason, amount }
+    );
+
+    if (!checkin) {
+      return res.status(200).json({
+        message: "Day cleared",
+        status: "none",
+        reason: null,
+        amount: 0,
+        target: habit.target,
+        ...(await refreshStreaks(req, habit._id, day)),
+        completed: false,
+        checkin: null,
+      });
+    }
+
+    const messages = {
+      done: "Check-in recorded",
+      skipped: "Day skipped",
+      missed: "Day marked as missed",
+      frozen: "Streak freeze used",
+    };
+    res.status(200).json({
+      message: messages[status],
+      status,
+      reason: checkin.reason ?? null,
+      amount: checkin.amount,
+      target: habit.target,
+      ...(await refreshStreaks(req, habit._id, day)),
+      completed: checkin.completed,
+      checkin,
+    });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * Check whether a streak freeze may be used on a day
+ *
+ * - Only past days (today can't break a streak yet)
+ * - Only days the habit is due (any day for weekly/interval habits,
+ *   whose week or window it then excuses)
+ * - Re-freezing an already frozen day doesn't use another freeze
+ *
+ * @param {Object} req - Express request (after protect + loadTimeZone)
+ * @param {Object} habit - Habit document
+ * @param {Date} day - Normalized day to freeze
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+async function checkFreeze(req, habit, day) {
+  if (day >= startOfDay(new Date(), req.timeZone)) {
+    return "Only past days can be frozen";
+  }
+  if (
+    !FLEXIBLE_FREQUENCIES.includes(habit.frequency) &&
+    !isHabitDue(habit, day, req.timeZone)
+  ) {
+    return "Habit is not due on this day";
+  }
+
+  const alreadyFrozen = await Checkin.exists({
+    habitId: habit._id,
+    userId: req.user.id,
+    date: day,
+    status: "frozen",
+  });
+  if (alreadyFrozen) return null;
+
+  const { remaining } = await getFreezeBalance(req.user.id, day);
+  return remaining > 0 ? null : "No streak freezes left for that month";
+}
+
+/**
+ * Recalculate the user's stored streaks after a check-in change and
+ * unlock any badges it earned
+ *
+ * @param {Object} req - Express request (after protect + loadTimeZone)
+ * @param {string} habitId - Habit whose check-in changed
+ * @param {Date} day - Day of the check-in that changed
+ * @returns {Promise<Object>} { streak, longestStreak, overallStreak,
+ *          newAchievements } to merge into the response
+ */
+async function refreshStreaks(req, habitId, day) {
+  const { overall, habits } = await recalculateStreaks(
+    req.user.id,
+    req.timeZone
+  );
+  const habitStreak = habits.get(habitId.toString());
+  return {
+    streak: habitStreak?.streak ?? 0,
+    longestStreak: habitStreak?.longestStreak ?? 0,
+    overallStreak: overall,
+    newAchievements: await checkAchievements(
+      req.user.id,
+      { overall, day },
+      req.timeZone
+    ),
+  };
+}
+
 // ============================================================================
 // GET HABIT CHECK-INS
 // ============================================================================
 /**
  * GET /api/checkins/:habitId
  *
- * Purpose: Retrieve all check-ins for a specific habit
+ * Purpose: Retrieve check-ins for a specific habit
  *
  * Authentication: Required (JWT token)
  *
  * URL Parameters:
  * - habitId: string (MongoDB ObjectId of the habit)
  *
+ * Query Parameters (all optional):
+ * - from / to / limit / cursor: same as GET /api/checkins
+ *
  * Response:
- * - 200: Array of check-in objects (sorted newest first)
+ * - 200: Array of check-in objects (sorted newest first), or
+ *        { checkins, nextCursor } when limit or cursor is given
+ * - 400: Invalid habit ID, from/to date, limit or cursor
  * - 500: Server error
  *
  * Security:
  * - Filters by both habitId and userId
  * - Prevents users from seeing other users' check-ins
  * - Returns empty array if no check-ins exist
- *
- * Sorting:
- * - Results sorted by date in descending order
- * - Most recent check-ins appear first
- * - Useful for displaying recent completion history
  */
 router.get("/:habitId", protect, async (req, res) => {
   try {
-    // Optimization: Project only necessary fields and use .lean() for performance
-    const checkins = await Checkin.find(
-      {
-        habitId: req.params.habitId,
-        userId: req.user.id,
-      },
-      { habitId: 1, date: 1 }
-    )
-      .sort({ date: -1 })
-      .lean();
-
-    res.status(200).json(checkins);
+    if (!mongoose.isValidObjectId(req.params.habitId)) {
+      return res.status(400).json({ message: "Invalid habit ID" });
+    }
+    const query = parseListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    await sendCheckinList(
+      res,
+      { habitId: req.params.habitId, userId: req.user.id },
+      query
+    );
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * Run a listing query and send it as an array or a page
+ *
+ * Pages are ordered by (date, _id) descending so the cursor stays stable
+ * while check-ins are added or removed on other days.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} baseFilter - { userId } or { habitId, userId }
+ * @param {Object} query - Result of parseListQuery()
+ */
+async function sendCheckinList(res, baseFilter, { from, to, limit, after }) {
+  const filter = { ...baseFilter };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  if (after) {
+    filter.$or = [
+      { date: { $lt: after.date } },
+      { date: after.date, _id: { $lt: after.id } },
+    ];
+  }
+
+  // Optimization: Project only necessary fields and use .lean() for performance
+  // Reduces payload size and decreases memory usage by returning POJOs instead of Mongoose documents
+  const listQuery = Checkin.find(filter, LIST_PROJECTION)
+    .sort({ date: -1, _id: -1 })
+    .lean();
+
+  if (limit === null) {
+    return res.status(200).json(await listQuery);
+  }
+
+  // Fetch one extra record to know whether another page exists
+  const checkins = await listQuery.limit(limit + 1);
+  const hasMore = checkins.length > limit;
+  if (hasMore) checkins.pop();
+  const last = checkins[checkins.length - 1];
+
+  res.status(200).json({
+    checkins,
+    nextCursor: hasMore ? encodeCursor(last) : null,
+  });
+}
+
 // ============================================================================
 // CALCULATE HABIT STREAK
 // ============================================================================
 /**
  * GET /api/checkins/:habitId/streak
  *
- * Purpose: Calculate current consecutive day streak for a habit
+ * Purpose: Get current and longest streak for a habit
  *
  * Authentication: Required (JWT token)
  *
@@ -221,61 +650,48 @@ router.get("/:habitId", protect, async (req, res) => {
  * - habitId: string (MongoDB ObjectId of the habit)
  *
  * Response:
- * - 200: { streak: number } - Current streak count
+ * - 200: { streak: number, longestStreak: number, unit: string }
+ *   - Counted in due days, or in weeks/intervals for weekly/interval habits
+ *   - unit: "day", "week" or "interval"
+ * - 400: Invalid habit ID
+ * - 404: Habit not found or doesn't belong to user
  * - 500: Server error
  *
- * Calculation Logic:
- * 1. Fetch all check-ins sorted newest to oldest
- * 2. Start with most recent check-in (streak = 1)
- * 3. Check if each previous check-in is exactly 1 day earlier
- * 4. Increment streak for each consecutive day
- * 5. Stop when gap > 1 day is found
- *
- * Edge Cases:
- * - No check-ins: Returns streak = 0
- * - Single check-in: Returns streak = 1
- * - Multiple same-day check-ins: Handled by date normalization
- *
- * Example:
- * - Check-ins: Jan 15, Jan 14, Jan 13, Jan 11
- * - Streak: 3 (stops at Jan 11 due to gap)
+ * Calculation Logic (see streakService.js / scheduleService.calculateStreaks):
+ * 1. Streaks are stored on the habit after every check-in change
+ * 2. Stored values from an earlier day are recalculated first
+ * 3. Days the habit is not due (or was skipped/excused) are ignored
+ * 4. Periods that met their quota extend the streak, missed ones reset it
+ * 5. The current period never breaks the streak (user can still check in)
+ *
+ * Example (weekdays habit):
+ * - Check-ins: Mon Jan 13 - Fri Jan 17, today is Sun Jan 19
+ * - Streak: 5 (the weekend is not due, so it does not break the streak)
  */
-router.get("/:habitId/streak", protect, async (req, res) => {
+router.get("/:habitId/streak", protect, loadTimeZone, async (req, res) => {
   try {
-    // Optimization: Project only date and use .lean() for performance
-    const checkins = await Checkin.find(
-      {
-        habitId: req.params.habitId,
-        userId: req.user.id,
-      },
-      { date: 1 }
-    )
-      .sort({ date: -1 })
-      .lean();
-
-    if (checkins.length === 0) {
-      return res.status(200).json({ streak: 0 });
+    // Robust input validation to prevent NoSQL injection
+    if (!mongoose.isValidObjectId(req.params.habitId)) {
+      return res.status(400).json({ message: "Invalid habit ID" });
     }
 
-    // Optimization: Use timestamps directly and avoid redundant Date object creation in the loop
-    // Dates are already normalized to midnight UTC by the backend
-    const ONE_DAY_MS = 86400000; // 1000 * 60 * 60 * 24
-    let streak = 1;
-    let lastTimestamp = checkins[0].date.getTime();
-
-    for (let i = 1; i < checkins.length; i++) {
-      const currentTimestamp = checkins[i].date.getTime();
-      const diffInDays = Math.round((lastTimestamp - currentTimestamp) / ONE_DAY_MS);
-
-      if (diffInDays === 1) {
-        streak++;
-        lastTimestamp = currentTimestamp;
-      } else if (diffInDays > 1) {
-        break;
-      }
+    // Verify habit ownership
+    const habit = await Habit.exists({
+      _id: req.params.habitId,
+      userId: req.user.id,
+    });
+    if (!habit) {
+      return res.status(404).json({ message: "Habit not found" });
     }
 
-    res.status(200).json({ streak });
+    const { habits } = await getFreshStreaks(req.user.id, req.timeZone);
+    const habitStreak = habits.get(habit._id.toString());
+
+    res.status(200).json({
+      streak: habitStreak.streak,
+      longestStreak: habitStreak.longestStreak,
+      unit: habitStreak.streakUnit,
+    });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
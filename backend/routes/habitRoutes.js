@@ -9,17 +9,35 @@
  * - All routes are protected and require JWT authentication
  *
  * Routes:
- * - GET    /api/habits     → Get all habits for logged-in user
- * - POST   /api/habits     → Create a new habit
- * - PUT    /api/habits/:id → Update existing habit
- * - DELETE /api/habits/:id → Delete habit
+ * - GET    /api/habits          → Get all habits for logged-in user
+ * - GET    /api/habits/schedule → Get which habits are due on each day
+ * - GET    /api/habits/streaks  → Get overall and per-habit streaks
+ * - POST   /api/habits          → Create a new habit
+ * - PUT    /api/habits/:id      → Update existing habit
+ * - PUT    /api/habits/:id/archive   → Archive habit (keeps history)
+ * - PUT    /api/habits/:id/unarchive → Restore an archived habit
+ * - POST   /api/habits/:id/pauses    → Pause habit for a date range
+ * - DELETE /api/habits/:id/pauses/:pauseId → Cancel or end a pause
+ * - DELETE /api/habits/:id      → Delete habit (and all its check-ins)
  *
  * Habit Properties:
  * - name: string (habit name/title)
  * - description: string (habit description/notes)
- * - frequency: string (daily, weekly, custom)
+ * - frequency: string (daily, weekdays, weekends, custom, weekly, interval)
  * - customDays: array (for custom frequency - specific weekdays)
+ * - timesPerWeek: number (for weekly frequency - completions per week)
+ * - intervalDays: number (for interval frequency - days per window)
+ * - dueToday: boolean (computed by scheduleService, not stored)
+ * - streak / longestStreak: number (kept up to date by streakService)
+ * - streakUnit: string ("day", "week" or "interval")
+ * - target: number (daily amount needed, 1 for yes/no habits)
+ * - unit: string (label for amounts, e.g., "glasses")
  * - icon: string (SVG filename from habit-icons folder)
+ * - archived: boolean (hidden from the daily list, kept in stats)
+ * - pauses: array ({ from, to } date ranges when the habit is not due)
+ * - pausedUntil: string|null (YYYY-MM-DD end of today's pause, computed)
+ * - reminderTime: string|null (local "HH:MM" of the daily reminder)
+ * - reminderDays: array (weekdays the reminder is sent, empty = every due day)
  * - userId: ObjectId (links habit to user)
  *
  * Security:
@@ -32,12 +50,113 @@
  */
 
 import express from "express";
-import Habit from "../models/Habit.js";
+import Habit, {
+  FREQUENCIES,
+  MAX_INTERVAL_DAYS,
+  MAX_PAUSE_DAYS,
+  MAX_TARGET,
+  MAX_UNIT_LENGTH,
+  MIN_INTERVAL_DAYS,
+  REMINDER_TIME_PATTERN,
+} from "../models/Habit.js";
 import Checkin from "../models/Checkin.js";
+import Notification from "../models/Notification.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { loadTimeZone } from "../middleware/timezoneMiddleware.js";
+import {
+  buildSchedule,
+  getEditableFrom,
+  getHabitStartDay,
+  getPauseOn,
+  getPeriod,
+  isHabitDueToday,
+} from "../services/scheduleService.js";
+import { syncCompletionWithTarget } from "../services/checkinService.js";
+import {
+  getFreezeBalance,
+  getFreshStreaks,
+  invalidateStreaks,
+} from "../services/streakService.js";
+import {
+  DAY_NAMES,
+  ONE_DAY_MS,
+  addDays,
+  parseDateKey,
+  startOfDay,
+  toDateKey,
+} from "../utils/dateUtils.js";
 
 const router = express.Router();
 
+// Maximum number of days a single schedule request may span (~3 years)
+const MAX_SCHEDULE_DAYS = 1096;
+
+/**
+ * Validate frequency-related fields of a create/update request
+ *
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ *
+ * Rules:
+ * - frequency must be one of the supported modes
+ * - "weekly" needs timesPerWeek (whole number 1-7)
+ * - "interval" needs intervalDays (whole number 2-365)
+ */
+function validateFrequencySettings({ frequency, timesPerWeek, intervalDays }) {
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    return "Invalid frequency format";
+  }
+  if (
+    (frequency === "weekly" || timesPerWeek !== undefined) &&
+    (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > 7)
+  ) {
+    return "Times per week must be a whole number from 1 to 7";
+  }
+  if (
+    (frequency === "interval" || intervalDays !== undefined) &&
+    (!Number.isInteger(intervalDays) ||
+      intervalDays < MIN_INTERVAL_DAYS ||
+      intervalDays > MAX_INTERVAL_DAYS)
+  ) {
+    return `Interval must be a whole number of days from ${MIN_INTERVAL_DAYS} to ${MAX_INTERVAL_DAYS}`;
+  }
+  return null;
+}
+
+/**
+ * Validate reminder fields of a create/update request
+ *
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ *
+ * Rules:
+ * - reminderTime is a 24-hour "HH:MM" string, or null/"" to turn it off
+ * - reminderDays is an array of weekday names ("mon", "Tuesday", ...)
+ */
+function validateReminderSettings({ reminderTime, reminderDays }) {
+  if (
+    reminderTime !== undefined &&
+    reminderTime !== null &&
+    reminderTime !== "" &&
+    (typeof reminderTime !== "string" || !REMINDER_TIME_PATTERN.test(reminderTime))
+  ) {
+    return "Reminder time must be in HH:MM format";
+  }
+  if (
+    reminderDays !== undefined &&
+    (!Array.isArray(reminderDays) ||
+      reminderDays.length > DAY_NAMES.length ||
+      !reminderDays.every(
+        (day) =>
+          typeof day === "string" &&
+          DAY_NAMES.includes(day.trim().toLowerCase().substring(0, 3))
+      ))
+  ) {
+    return "Invalid reminder days format";
+  }
+  return null;
+}
+
 // ============================================================================
 // CREATE NEW HABIT
 // ============================================================================
@@ -53,7 +172,13 @@ const router = express.Router();
  * - description: string (optional, habit description)
  * - frequency: string (optional, default: "daily")
  * - customDays: array (optional, for custom frequency)
+ * - timesPerWeek: number (required for weekly frequency, 1-7)
+ * - intervalDays: number (required for interval frequency, 2-365)
  * - icon: string (optional, default: "target.svg")
+ * - target: number (optional, daily amount needed, default: 1)
+ * - unit: string (optional, e.g., "glasses", max 20 characters)
+ * - reminderTime: string (optional, local "HH:MM" of a daily reminder)
+ * - reminderDays: array (optional, weekdays for the reminder, default: every due day)
  *
  * Response:
  * - 201: Habit created successfully with habit data
@@ -66,7 +191,19 @@ const router = express.Router();
  */
 router.post("/", protect, async (req, res) => {
   try {
-    const { name, description, frequency, customDays, icon } = req.body;
+    const {
+      name,
+      description,
+      frequency,
+      customDays,
+      timesPerWeek,
+      intervalDays,
+      icon,
+      target,
+      unit,
+      reminderTime,
+      reminderDays,
+    } = req.body;
 
     // Robust input validation to prevent NoSQL injection
     if (typeof name !== "string" || name.trim().length === 0) {
@@ -78,12 +215,42 @@ router.post("/", protect, async (req, res) => {
     if (frequency && typeof frequency !== "string") {
       return res.status(400).json({ message: "Invalid frequency format" });
     }
+    const frequencyError = validateFrequencySettings({
+      frequency,
+      timesPerWeek,
+      intervalDays,
+    });
+    if (frequencyError) {
+      return res.status(400).json({ message: frequencyError });
+    }
     if (customDays && !Array.isArray(customDays)) {
       return res.status(400).json({ message: "Invalid custom days format" });
     }
     if (icon && typeof icon !== "string") {
       return res.status(400).json({ message: "Invalid icon format" });
     }
+    if (
+      target !== undefined &&
+      (typeof target !== "number" ||
+        !Number.isFinite(target) ||
+        target < 1 ||
+        target > MAX_TARGET)
+    ) {
+      return res.status(400).json({ message: "Invalid target" });
+    }
+    if (
+      unit !== undefined &&
+      (typeof unit !== "string" || unit.trim().length > MAX_UNIT_LENGTH)
+    ) {
+      return res.status(400).json({ message: "Invalid unit format" });
+    }
+    const reminderError = validateReminderSettings({
+      reminderTime,
+      reminderDays,
+    });
+    if (reminderError) {
+      return res.status(400).json({ message: reminderError });
+    }
 
     const habit = new Habit({
       userId: req.user.id,
@@ -91,7 +258,13 @@ router.post("/", protect, async (req, res) => {
       description: description || "",
       frequency: frequency || "daily",
       customDays: customDays || [],
+      timesPerWeek,
+      intervalDays,
       icon: icon || "target.svg",
+      target: target ?? 1,
+      unit: unit ? unit.trim() : "",
+      reminderTime: reminderTime || null,
+      reminderDays: reminderDays || [],
     });
     await habit.save();
     res.status(201).json({ message: "Habit created", habit });
@@ -111,18 +284,208 @@ router.post("/", protect, async (req, res) => {
  * Authentication: Required (JWT token)
  *
  * Response:
- * - 200: Array of habit objects
+ * - 200: Array of habit objects, each with a computed dueToday flag
+ *        and its current streak, longestStreak and streakUnit
  * - 500: Server error
  *
+ * dueToday:
+ * - Fixed frequencies: scheduled for today's weekday
+ * - Weekly/interval: the current week/window still needs completions
+ * - Always false while the habit is paused or archived, or skipped today
+ *
+ * Streaks:
+ * - Stored on each habit by streakService.js
+ * - Recalculated first if they were last computed on an earlier day
+ *   (a missed yesterday breaks a streak without any check-in change)
+ *
+ * Archived Habits:
+ * - Included (with archived: true) so stats and the calendar keep them
+ * - Frontend hides them from the daily list
+ *
  * Data Isolation:
  * - Only returns habits where userId matches authenticated user
  * - Other users' habits are never accessible
  * - Returns empty array if user has no habits
  */
-router.get("/", protect, async (req, res) => {
+router.get("/", protect, loadTimeZone, async (req, res) => {
   try {
-    const habits = await Habit.find({ userId: req.user.id });
-    res.status(200).json(habits);
+    // Bring stored streaks up to date before reading the habits
+    await getFreshStreaks(req.user.id, req.timeZone);
+    const habits = await Habit.find({ userId: req.user.id }).lean();
+    const today = startOfDay(new Date(), req.timeZone);
+
+    // Weekly/interval habits need this period's completions to know if
+    // they are still due, and a skip excuses any habit for today, so fetch
+    // recent check-ins for all habits in one query
+    const since = new Date(
+      Math.min(
+        today.getTime(),
+        ...habits.map((habit) =>
+          getPeriod(habit, today, req.timeZone).start.getTime()
+        )
+      )
+    );
+    const checkins = await Checkin.find({
+      userId: req.user.id,
+      date: { $gte: since, $lte: today },
+    })
+      .select("habitId date completed status")
+      .lean();
+
+    const completedByHabit = new Map();
+    const skippedByHabit = new Map();
+    const addKey = (map, checkin) => {
+      const key = checkin.habitId.toString();
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(toDateKey(checkin.date));
+    };
+    for (const checkin of checkins) {
+      if (checkin.status === "skipped") addKey(skippedByHabit, checkin);
+      else if (checkin.completed !== false) addKey(completedByHabit, checkin);
+    }
+
+    res.status(200).json(
+      habits.map((habit) => {
+        const pause = getPauseOn(habit, today);
+        return {
+          ...habit,
+          dueToday: isHabitDueToday(
+            habit,
+            today,
+            completedByHabit.get(habit._id.toString()) || new Set(),
+            req.timeZone,
+            skippedByHabit.get(habit._id.toString()) || new Set()
+          ),
+          pausedUntil: pause ? toDateKey(pause.to) : null,
+        };
+      })
+    );
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// GET HABIT SCHEDULE
+// ============================================================================
+/**
+ * GET /api/habits/schedule
+ *
+ * Purpose: Report which habits are due on each day of a date range
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Query Parameters (all optional, YYYY-MM-DD):
+ * - from: First day of the range (default: earliest habit creation day)
+ * - to: Last day of the range (default: today)
+ *
+ * Response:
+ * - 200: { from, to, today, editableFrom, days: { "YYYY-MM-DD": [habitId, ...] } }
+ *   (editableFrom = first day inside the check-in backfill window)
+ * - 400: Invalid date, from after to, or range over MAX_SCHEDULE_DAYS
+ * - 500: Server error
+ *
+ * Usage:
+ * - Success rates: a habit only counts as "possible" on days it is due
+ * - Streaks: days where nothing is due neither extend nor break a streak
+ * - Due-day rules live in scheduleService.js so every page agrees
+ */
+router.get("/schedule", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (from !== undefined && !parseDateKey(from)) {
+      return res.status(400).json({ message: "Invalid from date" });
+    }
+    if (to !== undefined && !parseDateKey(to)) {
+      return res.status(400).json({ message: "Invalid to date" });
+    }
+
+    const habits = await Habit.find({ userId: req.user.id }).lean();
+    const today = startOfDay(new Date(), req.timeZone);
+    const end = to ? parseDateKey(to) : today;
+
+    let start = from ? parseDateKey(from) : null;
+    if (!start) {
+      // Default to the earliest creation day, clamped to the maximum range
+      const startDays = habits
+        .map((habit) => getHabitStartDay(habit, req.timeZone))
+        .filter(Boolean);
+      start = startDays.length
+        ? new Date(Math.min(...startDays.map((day) => day.getTime())))
+        : end;
+      const earliestAllowed = addDays(end, -(MAX_SCHEDULE_DAYS - 1));
+      if (start < earliestAllowed) start = earliestAllowed;
+      if (start > end) start = end;
+    }
+
+    if (start > end) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+    if ((end - start) / ONE_DAY_MS >= MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({ message: "Date range too large" });
+    }
+
+    res.status(200).json({
+      from: toDateKey(start),
+      to: toDateKey(end),
+      today: toDateKey(today),
+      editableFrom: toDateKey(getEditableFrom(today)),
+      days: buildSchedule(habits, start, end, req.timeZone),
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// GET STREAKS
+// ============================================================================
+/**
+ * GET /api/habits/streaks
+ *
+ * Purpose: Report the user's overall streak and every habit's streak
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: {
+ *     current: number,   // Overall streak in days
+ *     longest: number,   // Longest overall streak in days
+ *     habits: [{ habitId, streak, longestStreak, unit }],
+ *     freezes: { allowance, used, remaining }  // This month's streak freezes
+ *   }
+ * - 500: Server error
+ *
+ * Overall Streak:
+ * - Consecutive days with at least one completed habit
+ * - Days where nothing was due (or everything due was skipped or
+ *   paused) neither extend nor break it
+ * - Days where a streak freeze was used neither extend nor break it
+ * - Today never breaks it
+ */
+router.get("/streaks", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { overall, habits } = await getFreshStreaks(
+      req.user.id,
+      req.timeZone
+    );
+    const freezes = await getFreezeBalance(
+      req.user.id,
+      startOfDay(new Date(), req.timeZone)
+    );
+
+    res.status(200).json({
+      current: overall.current,
+      longest: overall.longest,
+      habits: [...habits].map(([habitId, habitStreak]) => ({
+        habitId,
+        streak: habitStreak.streak,
+        longestStreak: habitStreak.longestStreak,
+        unit: habitStreak.streakUnit,
+      })),
+      freezes,
+    });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
@@ -146,7 +509,13 @@ router.get("/", protect, async (req, res) => {
  * - description: string (updated description)
  * - frequency: string (updated frequency)
  * - customDays: array (updated custom days)
+ * - timesPerWeek: number (required when switching to weekly frequency)
+ * - intervalDays: number (required when switching to interval frequency)
  * - icon: string (updated icon filename)
+ * - target: number (updated daily amount needed)
+ * - unit: string (updated unit label)
+ * - reminderTime: string|null (updated reminder time, null or "" turns it off)
+ * - reminderDays: array (updated reminder weekdays)
  *
  * Response:
  * - 200: Habit updated successfully with updated data
@@ -157,10 +526,26 @@ router.get("/", protect, async (req, res) => {
  * - Query includes both habit ID and userId
  * - Prevents users from updating other users' habits
  * - Returns 404 if habit doesn't exist or user doesn't own it
+ *
+ * Target Changes:
+ * - Existing check-ins are re-evaluated against the new target,
+ *   so past days become done/partial accordingly
  */
 router.put("/:id", protect, async (req, res) => {
   try {
-    const { name, description, frequency, customDays, icon } = req.body;
+    const {
+      name,
+      description,
+      frequency,
+      customDays,
+      timesPerWeek,
+      intervalDays,
+      icon,
+      target,
+      unit,
+      reminderTime,
+      reminderDays,
+    } = req.body;
 
     // Robust input validation to prevent NoSQL injection
     if (name && (typeof name !== "string" || name.trim().length === 0)) {
@@ -172,19 +557,55 @@ router.put("/:id", protect, async (req, res) => {
     if (frequency && typeof frequency !== "string") {
       return res.status(400).json({ message: "Invalid frequency format" });
     }
+    const frequencyError = validateFrequencySettings({
+      frequency,
+      timesPerWeek,
+      intervalDays,
+    });
+    if (frequencyError) {
+      return res.status(400).json({ message: frequencyError });
+    }
     if (customDays && !Array.isArray(customDays)) {
       return res.status(400).json({ message: "Invalid custom days format" });
     }
     if (icon && typeof icon !== "string") {
       return res.status(400).json({ message: "Invalid icon format" });
     }
+    if (
+      target !== undefined &&
+      (typeof target !== "number" ||
+        !Number.isFinite(target) ||
+        target < 1 ||
+        target > MAX_TARGET)
+    ) {
+      return res.status(400).json({ message: "Invalid target" });
+    }
+    if (
+      unit !== undefined &&
+      (typeof unit !== "string" || unit.trim().length > MAX_UNIT_LENGTH)
+    ) {
+      return res.status(400).json({ message: "Invalid unit format" });
+    }
+    const reminderError = validateReminderSettings({
+      reminderTime,
+      reminderDays,
+    });
+    if (reminderError) {
+      return res.status(400).json({ message: reminderError });
+    }
 
     const updateData = {};
     if (name) updateData.name = name.trim();
     if (description !== undefined) updateData.description = description;
     if (frequency) updateData.frequency = frequency;
     if (customDays) updateData.customDays = customDays;
+    if (timesPerWeek !== undefined) updateData.timesPerWeek = timesPerWeek;
+    if (intervalDays !== undefined) updateData.intervalDays = intervalDays;
     if (icon) updateData.icon = icon;
+    if (target !== undefined) updateData.target = target;
+    if (unit !== undefined) updateData.unit = unit.trim();
+    if (reminderTime !== undefined) updateData.reminderTime = reminderTime || null;
+    if (reminderDays !== undefined) updateData.reminderDays = reminderDays;
 
     const habit = await Habit.findOneAndUpdate(
       { _id: req.params.id, userId: req.user.id },
@@ -194,12 +615,235 @@ router.put("/:id", protect, async (req, res) => {
     if (!habit) {
       return res.status(404).json({ message: "Habit not found" });
     }
+
+    // Re-evaluate existing check-ins against the new target
+    if (target !== undefined) {
+      await syncCompletionWithTarget(habit);
+    }
+    // Frequency changes move due days
+    await invalidateStreaks(req.user.id);
+
     res.status(200).json({ message: "Habit updated", habit });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// ============================================================================
+// ARCHIVE HABIT
+// ============================================================================
+/**
+ * PUT /api/habits/:id/archive
+ *
+ * Purpose: Stop tracking a habit without deleting its history
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: string (MongoDB ObjectId of the habit)
+ *
+ * Response:
+ * - 200: Habit archived with updated data
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Check-ins are kept, so stats and the calendar still show the habit
+ * - The habit is no longer due from today onwards
+ * - Archiving an archived habit keeps its original archive date
+ */
+router.put("/:id/archive", protect, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!habit) {
+      return res.status(404).json({ message: "Habit not found" });
+    }
+
+    if (!habit.archived) {
+      habit.archived = true;
+      habit.archivedAt = new Date();
+      await habit.save();
+    }
+    await invalidateStreaks(req.user.id);
+    res.status(200).json({ message: "Habit archived", habit });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// UNARCHIVE HABIT
+// ============================================================================
+/**
+ * PUT /api/habits/:id/unarchive
+ *
+ * Purpose: Restore an archived habit to the daily list
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: string (MongoDB ObjectId of the habit)
+ *
+ * Response:
+ * - 200: Habit restored with updated data
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Streak Preservation:
+ * - The days the habit spent archived (archive day → yesterday) are
+ *   recorded as a pause, so they don't count as missed days
+ */
+router.put("/:id/unarchive", protect, loadTimeZone, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!habit) {
+      return res.status(404).json({ message: "Habit not found" });
+    }
+
+    if (habit.archived) {
+      const archivedFrom = startOfDay(habit.archivedAt || new Date(), req.timeZone);
+      const yesterday = addDays(startOfDay(new Date(), req.timeZone), -1);
+      if (archivedFrom <= yesterday) {
+        habit.pauses.push({ from: archivedFrom, to: yesterday });
+      }
+      habit.archived = false;
+      habit.archivedAt = null;
+      await habit.save();
+    }
+    await invalidateStreaks(req.user.id);
+    res.status(200).json({ message: "Habit restored", habit });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// PAUSE HABIT
+// ============================================================================
+/**
+ * POST /api/habits/:id/pauses
+ *
+ * Purpose: Pause a habit for a date range (e.g., illness, travel)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: string (MongoDB ObjectId of the habit)
+ *
+ * Request Body:
+ * - from: string (required, first paused day, YYYY-MM-DD)
+ * - to: string (required, last paused day, YYYY-MM-DD, inclusive)
+ *
+ * Response:
+ * - 201: Pause added, returns updated habit
+ * - 400: Invalid dates, range too long, outside the backfill window, or
+ *        overlapping an existing pause
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Rules:
+ * - Pauses may start up to the backfill window in the past (same limit
+ *   as check-ins) so a forgotten sick day can still be excused
+ * - A single pause may last at most 365 days
+ */
+router.post("/:id/pauses", protect, loadTimeZone, async (req, res) => {
+  try {
+    const from = parseDateKey(req.body.from);
+    const to = parseDateKey(req.body.to);
+    if (!from || !to || from > to) {
+      return res.status(400).json({ message: "Invalid pause dates" });
+    }
+    if ((to - from) / ONE_DAY_MS >= MAX_PAUSE_DAYS) {
+      return res
+        .status(400)
+        .json({ message: `A pause can last at most ${MAX_PAUSE_DAYS} days` });
+    }
+
+    const today = startOfDay(new Date(), req.timeZone);
+    if (from < getEditableFrom(today)) {
+      return res
+        .status(400)
+        .json({ message: "Pause starts outside the backfill window" });
+    }
+
+    const habit = await Habit.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!habit) {
+      return res.status(404).json({ message: "Habit not found" });
+    }
+
+    const overlaps = habit.pauses.some(
+      (pause) => pause.from <= to && from <= pause.to
+    );
+    if (overlaps) {
+      return res
+        .status(400)
+        .json({ message: "Pause overlaps an existing pause" });
+    }
+
+    habit.pauses.push({ from, to });
+    await habit.save();
+    await invalidateStreaks(req.user.id);
+    res.status(201).json({ message: "Habit paused", habit });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// CANCEL OR END PAUSE
+// ============================================================================
+/**
+ * DELETE /api/habits/:id/pauses/:pauseId
+ *
+ * Purpose: Resume a paused habit early or cancel an upcoming pause
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: string (MongoDB ObjectId of the habit)
+ * - pauseId: string (MongoDB ObjectId of the pause)
+ *
+ * Response:
+ * - 200: Pause ended/cancelled, returns updated habit
+ * - 400: Pause is already over
+ * - 404: Habit or pause not found
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Upcoming pause → removed
+ * - Current pause → ends yesterday, so the habit is due again today
+ * - Past pauses can't be changed (that would rewrite streak history)
+ */
+router.delete("/:id/pauses/:pauseId", protect, loadTimeZone, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!habit) {
+      return res.status(404).json({ message: "Habit not found" });
+    }
+
+    const pause = habit.pauses.id(req.params.pauseId);
+    if (!pause) {
+      return res.status(404).json({ message: "Pause not found" });
+    }
+
+    const today = startOfDay(new Date(), req.timeZone);
+    if (pause.to < today) {
+      return res.status(400).json({ message: "Pause is already over" });
+    }
+
+    if (pause.from >= today) {
+      pause.deleteOne();
+    } else {
+      pause.to = addDays(today, -1);
+    }
+    await habit.save();
+    await invalidateStreaks(req.user.id);
+    res.status(200).json({ message: "Habit resumed", habit });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ============================================================================
 // DELETE HABIT
 // ============================================================================
@@ -207,6 +851,7 @@ router.put("/:id", protect, async (req, res) => {
  * DELETE /api/habits/:id
  *
  * Purpose: Delete a habit permanently
+ * (use PUT /api/habits/:id/archive to stop a habit but keep its history)
  *
  * Authentication: Required (JWT token)
  *
@@ -224,7 +869,7 @@ router.put("/:id", protect, async (req, res) => {
  * - Returns 404 if habit doesn't exist or user doesn't own it
  *
  * Note:
- * - Implements cascading deletion of related check-ins
+ * - Implements cascading deletion of related check-ins and notifications
  * - Ensures data integrity and prevents orphaned records
  */
 router.delete("/:id", protect, async (req, res) => {
@@ -241,6 +886,8 @@ router.delete("/:id", protect, async (req, res) => {
 
     // Cascading delete: Remove all check-ins associated with this habit
     await Checkin.deleteMany({ habitId: req.params.id, userId: req.user.id });
+    await Notification.deleteMany({ habitId: req.params.id, userId: req.user.id });
+    await invalidateStreaks(req.user.id);
 
     res.status(200).json({ message: "Habit deleted" });
   } catch (err) {
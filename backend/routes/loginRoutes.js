@@ -35,6 +35,8 @@
 import express from "express";
 import Login from "../models/Login.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { loadTimeZone } from "../middleware/timezoneMiddleware.js";
+import { startOfDay } from "../utils/dateUtils.js";
 
 const router = express.Router();
 
@@ -59,7 +61,7 @@ const router = express.Router();
  * - If no: Creates new login record for today
  *
  * Date Normalization:
- * - Creates date at 00:00:00 UTC
+ * - Uses the user's local day (User.timezone), stored at 00:00:00 UTC
  * - Prevents multiple entries for same day
  * - Ensures accurate daily tracking
  *
@@ -68,13 +70,10 @@ const router = express.Router();
  * - Or called on first page load after authentication
  * - Provides data for "Days Active" metric on dashboard
  */
-router.post("/track", protect, async (req, res) => {
+router.post("/track", protect, loadTimeZone, async (req, res) => {
   try {
-    // Create today's date at midnight UTC for consistency
-    const now = new Date();
-    const today = new Date(
-      Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())
-    );
+    // Today's date in the user's time zone, at midnight UTC for consistency
+    const today = startOfDay(new Date(), req.timeZone);
 
     // Check if already logged today
     const existingLogin = await Login.findOne({
@@ -0,0 +1,221 @@
+/**
+ * ============================================================================
+ * NOTIFICATION ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - In-app notification inbox (shown in the shared sidebar)
+ * - Notifications are created by the backend (habit reminders, see
+ *   services/reminderService.js) - clients can only read them
+ *
+ * Routes:
+ * - GET /api/notifications              → Newest notifications + unread count
+ * - GET /api/notifications/unread-count → Unread count only (polled)
+ * - PUT /api/notifications/read-all     → Mark every notification as read
+ * - PUT /api/notifications/:id/read     → Mark one notification as read
+ *
+ * Security:
+ * - All routes protected with JWT authentication
+ * - userId automatically extracted from JWT token
+ * - Users can only see/modify their own notifications
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Notifications returned when no limit is given, and the most allowed
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields sent to the client
+const LIST_PROJECTION = {
+  habitId: 1,
+  type: 1,
+  day: 1,
+  title: 1,
+  message: 1,
+  read: 1,
+  readAt: 1,
+  createdAt: 1,
+};
+
+// ============================================================================
+// GET NOTIFICATIONS
+// ============================================================================
+/**
+ * GET /api/notifications
+ *
+ * Purpose: The sidebar inbox
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Query Parameters:
+ * - limit: number (optional, 1-100, default: 20)
+ * - unread: "true" (optional, only unread notifications)
+ *
+ * Response:
+ * - 200: {
+ *     notifications: [{ _id, habitId, type, day, title, message, read,
+ *       readAt, createdAt }],
+ *     unreadCount: number
+ *   }
+ * - 400: Invalid limit
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Newest first
+ * - unreadCount covers every unread notification, not just this page
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const { limit, unread } = req.query;
+
+    // Robust input validation to prevent NoSQL injection
+    let pageSize = DEFAULT_LIMIT;
+    if (limit !== undefined) {
+      if (typeof limit !== "string" || !/^\d+$/.test(limit)) {
+        return res.status(400).json({ message: "Invalid limit" });
+      }
+      pageSize = Number(limit);
+      if (pageSize < 1 || pageSize > MAX_LIMIT) {
+        return res
+          .status(400)
+          .json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+      }
+    }
+
+    const filter = { userId: req.user.id };
+    if (unread === "true") filter.read = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter, LIST_PROJECTION)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize)
+        .lean(),
+      Notification.countDocuments({ userId: req.user.id, read: false }),
+    ]);
+
+    res.status(200).json({ notifications, unreadCount });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// GET UNREAD COUNT
+// ============================================================================
+/**
+ * GET /api/notifications/unread-count
+ *
+ * Purpose: Badge on the sidebar bell (polled while a page is open)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { unreadCount: number }
+ * - 500: Server error
+ */
+router.get("/unread-count", protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      userId: req.user.id,
+      read: false,
+    });
+    res.status(200).json({ unreadCount });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// MARK ALL AS READ
+// ============================================================================
+/**
+ * PUT /api/notifications/read-all
+ *
+ * Purpose: Clear the unread badge
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { message, updated: number, unreadCount: 0 }
+ * - 500: Server error
+ *
+ * Note:
+ * - Declared before /:id/read so "read-all" is never taken for an id
+ */
+router.put("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    res.status(200).json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// MARK ONE AS READ
+// ============================================================================
+/**
+ * PUT /api/notifications/:id/read
+ *
+ * Purpose: Mark a notification as read when the user opens it
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: string (MongoDB ObjectId of the notification)
+ *
+ * Response:
+ * - 200: { message, notification, unreadCount }
+ * - 400: Invalid notification ID
+ * - 404: Notification not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Idempotent: an already read notification keeps its first readAt
+ */
+router.put("/:id/read", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid notification ID" });
+    }
+
+    const filter = { _id: req.params.id, userId: req.user.id };
+    await Notification.updateOne(
+      { ...filter, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    const [notification, unreadCount] = await Promise.all([
+      Notification.findOne(filter, LIST_PROJECTION).lean(),
+      Notification.countDocuments({ userId: req.user.id, read: false }),
+    ]);
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.status(200).json({
+      message: "Notification marked as read",
+      notification,
+      unreadCount,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
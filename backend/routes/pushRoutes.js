@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * PUSH ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Lets a browser subscribe to Web Push notifications (habit reminders
+ *   while no tab is open)
+ * - One subscription per browser/device, stored in models/PushSubscription.js
+ * - Messages are sent by services/pushService.js
+ *
+ * Routes:
+ * - GET    /api/push/public-key    → VAPID public key for subscribing
+ * - POST   /api/push/subscriptions → Save this browser's PushSubscription
+ * - DELETE /api/push/subscriptions → Remove this browser's subscription
+ *
+ * Security:
+ * - All routes protected with JWT authentication
+ * - userId automatically extracted from JWT token
+ * - Only https endpoints are accepted (the server POSTs to them)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import PushSubscription, {
+  MAX_ENDPOINT_LENGTH,
+} from "../models/PushSubscription.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { getVapidDetails } from "../services/pushService.js";
+
+const router = express.Router();
+
+// Browser keys are base64url (p256dh ~87 characters, auth ~22)
+const KEY_PATTERN = /^[A-Za-z0-9_-]{16,200}={0,2}$/;
+
+// Longest User-Agent stored to tell devices apart
+const MAX_USER_AGENT_LENGTH = 300;
+
+/**
+ * Check that an endpoint is an https URL the server may POST to
+ *
+ * @param {*} endpoint - Untrusted endpoint from req.body
+ * @returns {boolean} True if valid
+ */
+function isValidEndpoint(endpoint) {
+  if (typeof endpoint !== "string" || endpoint.length > MAX_ENDPOINT_LENGTH) {
+    return false;
+  }
+  try {
+    return new URL(endpoint).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// GET VAPID PUBLIC KEY
+// ============================================================================
+/**
+ * GET /api/push/public-key
+ *
+ * Purpose: applicationServerKey for PushManager.subscribe()
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { enabled: boolean, publicKey: string|null }
+ *   - enabled is false (and publicKey null) until the server has VAPID keys
+ * - 500: Server error
+ */
+router.get("/public-key", protect, (req, res) => {
+  try {
+    const vapidDetails = getVapidDetails();
+    res.status(200).json({
+      enabled: vapidDetails !== null,
+      publicKey: vapidDetails?.publicKey ?? null,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// SUBSCRIBE
+// ============================================================================
+/**
+ * POST /api/push/subscriptions
+ *
+ * Purpose: Save this browser's push subscription for the user
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body (PushSubscription.toJSON()):
+ * - endpoint: string (required, https URL of the push service)
+ * - keys: { p256dh: string, auth: string } (required, base64url)
+ *
+ * Response:
+ * - 201: { message, subscription: { _id, endpoint, createdAt } }
+ * - 400: Invalid subscription
+ * - 503: Push notifications are not configured on the server
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Idempotent per endpoint: subscribing again updates the keys
+ * - A browser that was subscribed by another account moves to this one
+ */
+router.post("/subscriptions", protect, async (req, res) => {
+  try {
+    const { endpoint, keys } = req.body;
+
+    // Robust input validation to prevent NoSQL injection
+    if (!isValidEndpoint(endpoint)) {
+      return res.status(400).json({ message: "Invalid push endpoint" });
+    }
+    if (
+      !keys ||
+      typeof keys !== "object" ||
+      typeof keys.p256dh !== "string" ||
+      typeof keys.auth !== "string" ||
+      !KEY_PATTERN.test(keys.p256dh) ||
+      !KEY_PATTERN.test(keys.auth)
+    ) {
+      return res.status(400).json({ message: "Invalid subscription keys" });
+    }
+    if (!getVapidDetails()) {
+      return res
+        .status(503)
+        .json({ message: "Push notifications are not available" });
+    }
+
+    const userAgent = String(req.headers["user-agent"] || "").substring(
+      0,
+      MAX_USER_AGENT_LENGTH
+    );
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          userId: req.user.id,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent,
+        },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      message: "Push notifications enabled",
+      subscription: {
+        _id: subscription._id,
+        endpoint: subscription.endpoint,
+        createdAt: subscription.createdAt,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// UNSUBSCRIBE
+// ============================================================================
+/**
+ * DELETE /api/push/subscriptions
+ *
+ * Purpose: Stop push notifications on this browser
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - endpoint: string (required, the subscription's endpoint)
+ *
+ * Response:
+ * - 200: { message, removed: boolean }
+ * - 400: Invalid push endpoint
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Safe to repeat: removed is false if nothing was stored
+ */
+router.delete("/subscriptions", protect, async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (!isValidEndpoint(endpoint)) {
+      return res.status(400).json({ message: "Invalid push endpoint" });
+    }
+
+    const result = await PushSubscription.deleteOne({
+      endpoint,
+      userId: req.user.id,
+    });
+    res.status(200).json({
+      message: "Push notifications disabled",
+      removed: result.deletedCount > 0,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * SESSION ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - "Where you're signed in" on the profile page: every device logged
+ *   in to the account, with where and when it was last used
+ * - Lets users sign out a lost or unknown device without changing
+ *   their password
+ *
+ * Routes:
+ * - GET    /api/auth/sessions     → List sessions (current one marked)
+ * - DELETE /api/auth/sessions/:id → Revoke one session
+ * - DELETE /api/auth/sessions     → Revoke every session except this one
+ *
+ * Sessions:
+ * - Created at login, updated on every token refresh and removed on
+ *   logout (see models/Session.js and services/tokenService.js)
+ * - A revoked session's refresh tokens stop working and its access
+ *   tokens are rejected by protect() right away
+ *
+ * Security:
+ * - All routes protected with JWT authentication
+ * - userId automatically extracted from JWT token (only own sessions)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  listSessions,
+  revokeOtherSessions,
+  revokeSession,
+} from "../services/tokenService.js";
+import { describeUserAgent } from "../utils/userAgent.js";
+
+const router = express.Router();
+
+// ============================================================================
+// LIST SESSIONS
+// ============================================================================
+/**
+ * GET /api/auth/sessions
+ *
+ * Purpose: Show where the account is signed in
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { sessions: [{ id, device, userAgent, ip, createdAt, lastSeenAt, current }] }
+ *   - Most recently used first
+ *   - device: Short name from the User-Agent (e.g., "Chrome on Windows")
+ *   - lastSeenAt: Last login or token refresh (within 15 minutes while
+ *     the device is in use)
+ *   - current: true for the session making this request
+ * - 500: Server error
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: describeUserAgent(session.userAgent),
+        userAgent: session.userAgent,
+        ip: (session.ip || "").replace(/^::ffff:/, ""), // IPv4 seen through an IPv6 socket
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// REVOKE OTHER SESSIONS
+// ============================================================================
+/**
+ * DELETE /api/auth/sessions
+ *
+ * Purpose: Sign out every other device, staying signed in here
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { message, revoked: number }
+ * - 409: This session can't be identified (token from before sessions
+ *   were recorded) - log in again first
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Unlike POST /api/auth/logout-all, the current session keeps working
+ */
+router.delete("/", protect, async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      return res
+        .status(409)
+        .json({ message: "Please log in again to manage your sessions" });
+    }
+
+    const revoked = await revokeOtherSessions(req.user.id, req.user.sid);
+    res.status(200).json({
+      message: `Signed out of ${revoked} other session${revoked === 1 ? "" : "s"}`,
+      revoked,
+    });
+  } catch (error) {
+    console.error("Revoke other sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// REVOKE ONE SESSION
+// ============================================================================
+/**
+ * DELETE /api/auth/sessions/:id
+ *
+ * Purpose: Sign out one device
+ *
+ * Authentication: Required (JWT token)
+ *
+ * URL Parameters:
+ * - id: Session ID from GET /api/auth/sessions
+ *
+ * Response:
+ * - 200: { message, current: boolean } - current is true when this
+ *   device signed itself out (the client should clear its tokens)
+ * - 400: Invalid session ID
+ * - 404: Session not found (or not the user's)
+ * - 500: Server error
+ */
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Robust input validation to prevent NoSQL injection
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    if (!(await revokeSession(req.user.id, id))) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.status(200).json({
+      message: "Session signed out",
+      current: id === req.user.sid,
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+/**
+ * ============================================================================
+ * STATS ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Serves aggregated habit analytics (success rate, comparison with the
+ *   previous period, best day) so pages don't download every check-in
+ * - All routes are protected and require JWT authentication
+ *
+ * Routes:
+ * - GET /api/stats         → Overall and per-habit stats for a period
+ * - GET /api/stats/heatmap → Due/completed habits per day of a year
+ * - GET /api/stats/series  → Day/week/month buckets for the progress charts
+ *
+ * Calculation:
+ * - Rules live in services/statsService.js
+ * - Streaks come from services/streakService.js
+ *
+ * Security:
+ * - All routes protected with JWT authentication
+ * - Only the authenticated user's habits and check-ins are included
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import Habit from "../models/Habit.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { loadTimeZone } from "../middleware/timezoneMiddleware.js";
+import {
+  MAX_DAY_BUCKET_DAYS,
+  MAX_SERIES_DAYS,
+  SERIES_BUCKETS,
+  STATS_PERIODS,
+  getHeatmap,
+  getSeries,
+  getStats,
+} from "../services/statsService.js";
+import {
+  ONE_DAY_MS,
+  addDays,
+  parseDateKey,
+  startOfDay,
+} from "../utils/dateUtils.js";
+
+const router = express.Router();
+
+/**
+ * Validate the optional habitId filter and check the habit's ownership
+ *
+ * @param {*} habitId - Raw habitId query parameter
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} { status, message } on failure, null if valid
+ */
+async function checkHabitFilter(habitId, userId) {
+  if (habitId === undefined) return null;
+
+  // Robust input validation to prevent NoSQL injection
+  if (typeof habitId !== "string" || !mongoose.isValidObjectId(habitId)) {
+    return { status: 400, message: "Invalid habit ID" };
+  }
+
+  // Verify habit ownership
+  if (!(await Habit.exists({ _id: habitId, userId }))) {
+    return { status: 404, message: "Habit not found" };
+  }
+  return null;
+}
+
+// ============================================================================
+// GET STATS
+// ============================================================================
+/**
+ * GET /api/stats
+ *
+ * Purpose: Get success rate, comparison and best day for a period,
+ *          overall and per habit
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Query Parameters:
+ * - period: string (Optional, "week", "month", "year", "all" or a
+ *           rolling "7d", "30d", "90d", "365d" - defaults to "week")
+ * - habitId: string (Optional, only include this habit - used by the
+ *            habit detail page)
+ *
+ * Response:
+ * - 200: {
+ *     period, from, to,          // to is never after today
+ *     overall: {
+ *       possible, completed, successRate, previousSuccessRate,
+ *       comparison,              // successRate - previousSuccessRate
+ *       bestDay,                 // e.g. "Monday", null if nothing done
+ *       completions,             // completed check-ins in the period
+ *       totalHabits,             // active (not archived) habits
+ *       currentStreak, longestStreak,
+ *       streakFreezes            // { allowance, used, remaining } this month
+ *     },
+ *     habits: [{ habitId, name, possible, completed, successRate,
+ *                previousSuccessRate, comparison, bestDay,
+ *                byWeekday: [{ day, possible, completed, successRate }] }]
+ *   }
+ *   - previousSuccessRate and comparison are null for "all"
+ *   - byWeekday is Monday-first; successRate is null on weekdays where
+ *     nothing was due (always for weekly habits)
+ * - 400: Invalid period or habit ID
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Example (period=week, 9 of 12 due check-ins done, 50% last week):
+ * - overall: { possible: 12, completed: 9, successRate: 75,
+ *              previousSuccessRate: 50, comparison: 25, ... }
+ */
+router.get("/", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { period = "week", habitId } = req.query;
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof period !== "string" || !STATS_PERIODS.includes(period)) {
+      return res.status(400).json({ message: "Invalid period" });
+    }
+    const habitError = await checkHabitFilter(habitId, req.user.id);
+    if (habitError) {
+      return res.status(habitError.status).json({ message: habitError.message });
+    }
+
+    const stats = await getStats(req.user.id, period, req.timeZone, { habitId });
+    res.status(200).json(stats);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// GET HEATMAP
+// ============================================================================
+/**
+ * GET /api/stats/heatmap
+ *
+ * Purpose: Get how many due habits were completed on each day of a year
+ *          (the progress page's contribution heatmap)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Query Parameters:
+ * - year: string (Optional, four digits - defaults to the current year)
+ * - habitId: string (Optional, only include this habit)
+ *
+ * Response:
+ * - 200: {
+ *     year, from, to, today,   // from/to: Jan 1 - Dec 31 (YYYY-MM-DD)
+ *     days: { "YYYY-MM-DD": { due, completed, habits: [name] } }
+ *   }
+ *   - Only days up to today with something due or completed are listed
+ *   - habits: names of the habits completed that day
+ * - 400: Invalid year or habit ID
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Due days, skips, pauses and interval windows follow the success
+ *   rate rules (services/statsService.js)
+ * - A weekly habit's completion counts as one due, done habit that day
+ */
+router.get("/heatmap", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { year, habitId } = req.query;
+
+    // Robust input validation to prevent NoSQL injection
+    if (year !== undefined && (typeof year !== "string" || !/^\d{4}$/.test(year))) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    const habitError = await checkHabitFilter(habitId, req.user.id);
+    if (habitError) {
+      return res.status(habitError.status).json({ message: habitError.message });
+    }
+
+    const heatmap = await getHeatmap(
+      req.user.id,
+      year === undefined ? undefined : Number(year),
+      req.timeZone,
+      { habitId }
+    );
+    res.status(200).json(heatmap);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// GET SERIES
+// ============================================================================
+/**
+ * GET /api/stats/series
+ *
+ * Purpose: Get completions and completion rate per day, week or month of
+ *          a date range, overall and per habit (the progress charts)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Query Parameters:
+ * - from: string (Optional, YYYY-MM-DD - defaults to 29 days before to)
+ * - to: string (Optional, YYYY-MM-DD - defaults to today)
+ * - bucket: string (Optional, "day", "week" or "month" - defaults to "day")
+ * - habitId: string (Optional, only include this habit)
+ *
+ * Response:
+ * - 200: {
+ *     from, to, bucket, today,
+ *     buckets: [{ from, to, possible, completed, completions, successRate }],
+ *     habits: [{ habitId, name,
+ *                buckets: [{ possible, completed, completions, successRate }] }]
+ *   }
+ *   - completions: completed check-ins in the bucket (raw count)
+ *   - successRate: completed / possible due habits, null if nothing was due
+ *   - Weeks run Monday-Sunday; the first and last bucket are clipped to
+ *     the range; days after today are not scored
+ * - 400: Invalid dates, bucket or habit ID, or range too large
+ *        (MAX_SERIES_DAYS, MAX_DAY_BUCKET_DAYS for day buckets)
+ * - 404: Habit not found or doesn't belong to user
+ * - 500: Server error
+ *
+ * Example (bucket=week, from=2025-01-15, to=2025-01-26):
+ * - buckets: [{ from: "2025-01-15", to: "2025-01-19", ... },
+ *             { from: "2025-01-20", to: "2025-01-26", ... }]
+ */
+router.get("/series", protect, loadTimeZone, async (req, res) => {
+  try {
+    const { from, to, bucket = "day", habitId } = req.query;
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof bucket !== "string" || !SERIES_BUCKETS.includes(bucket)) {
+      return res.status(400).json({ message: "Invalid bucket" });
+    }
+    if (from !== undefined && !parseDateKey(from)) {
+      return res.status(400).json({ message: "Invalid from date" });
+    }
+    if (to !== undefined && !parseDateKey(to)) {
+      return res.status(400).json({ message: "Invalid to date" });
+    }
+
+    const end = to ? parseDateKey(to) : startOfDay(new Date(), req.timeZone);
+    const start = from ? parseDateKey(from) : addDays(end, -29);
+    if (start > end) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+    const days = (end - start) / ONE_DAY_MS + 1;
+    const maxDays = bucket === "day" ? MAX_DAY_BUCKET_DAYS : MAX_SERIES_DAYS;
+    if (days > maxDays) {
+      return res.status(400).json({ message: "Date range too large" });
+    }
+
+    const habitError = await checkHabitFilter(habitId, req.user.id);
+    if (habitError) {
+      return res.status(habitError.status).json({ message: habitError.message });
+    }
+
+    const series = await getSeries(req.user.id, start, end, bucket, req.timeZone, {
+      habitId,
+    });
+    res.status(200).json(series);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
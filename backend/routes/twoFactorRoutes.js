@@ -0,0 +1,368 @@
+/**
+ * ============================================================================
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Lets users turn on TOTP two-factor authentication from the profile
+ *   page, and turn it off or get new recovery codes
+ * - Logging in with a code is handled by POST /api/auth/login/2fa
+ *   (routes/authRoutes.js)
+ *
+ * Routes:
+ * - GET  /api/auth/2fa                → Status (enabled, recovery codes left)
+ * - POST /api/auth/2fa/setup          → New secret, otpauth URI and QR code
+ * - POST /api/auth/2fa/confirm        → Turn on with a code, get recovery codes
+ * - POST /api/auth/2fa/disable        → Turn off
+ * - POST /api/auth/2fa/recovery-codes → Replace the recovery codes
+ *
+ * Setup Flow:
+ * 1. setup (password) stores a pending secret and returns it as a QR code
+ * 2. The user scans it and confirm (code) proves the app works; only
+ *    then is 2FA turned on and the recovery codes shown (once)
+ *
+ * Security:
+ * - All routes protected with JWT authentication and rate limited
+ *   (authLimiter, codes are only 6 digits)
+ * - Setup needs the password; disable and new recovery codes need the
+ *   password and a current code, so a stolen session can't change 2FA
+ * - Secrets and recovery code hashes are never returned after setup
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import express from "express";
+import bcrypt from "bcrypt";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { authLimiter } from "../middleware/rateLimiter.js";
+import {
+  generateRecoveryCodes,
+  generateSecret,
+  getOtpauthUri,
+  verifySecondFactor,
+  verifyTotp,
+} from "../services/twoFactorService.js";
+
+const router = express.Router();
+
+// Longest code accepted (recovery codes with spaces or dashes)
+const MAX_CODE_LENGTH = 32;
+
+/**
+ * Check that a code from req.body is a non-empty string of sane length
+ *
+ * @param {*} code - Untrusted code
+ * @returns {boolean} True if valid
+ */
+function isValidCode(code) {
+  return typeof code === "string" && code.trim().length > 0 && code.length <= MAX_CODE_LENGTH;
+}
+
+// ============================================================================
+// GET 2FA STATUS
+// ============================================================================
+/**
+ * GET /api/auth/2fa
+ *
+ * Purpose: Show whether 2FA is on (profile page)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Response:
+ * - 200: { enabled: boolean, enabledAt: Date|null, recoveryCodesLeft: number }
+ * - 404: User not found
+ * - 500: Server error
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.recoveryCodes");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const enabled = user.twoFactor?.enabled === true;
+    res.status(200).json({
+      enabled,
+      enabledAt: enabled ? user.twoFactor.enabledAt : null,
+      recoveryCodesLeft: enabled ? user.twoFactor.recoveryCodes.length : 0,
+    });
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// START 2FA SETUP
+// ============================================================================
+/**
+ * POST /api/auth/2fa/setup
+ *
+ * Purpose: Create the secret to add to an authenticator app
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - password: string (current password)
+ *
+ * Response:
+ * - 200: { secret, otpauthUri, qrCode } - qrCode is a PNG data URL of
+ *   otpauthUri; secret is for typing into the app by hand
+ * - 400: Invalid input, incorrect password or 2FA already on
+ * - 404: User not found
+ * - 500: Server error
+ *
+ * Behavior:
+ * - Nothing changes at login until POST /api/auth/2fa/confirm
+ * - Starting again replaces the pending secret
+ */
+router.post("/setup", protect, authLimiter, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (typeof password !== "string" || password.length === 0) {
+      return res.status(400).json({ message: "Please provide your password" });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already on" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecret": secret } }
+    );
+
+    const otpauthUri = getOtpauthUri(secret, user.email);
+    res.status(200).json({
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri),
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// CONFIRM 2FA SETUP
+// ============================================================================
+/**
+ * POST /api/auth/2fa/confirm
+ *
+ * Purpose: Turn on 2FA once the authenticator app shows the right code
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - code: string (6-digit code from the app)
+ *
+ * Response:
+ * - 200: { message, recoveryCodes } - shown once, the server only
+ *   keeps their hashes
+ * - 400: Invalid input, wrong code, no setup started or 2FA already on
+ * - 404: User not found
+ * - 500: Server error
+ */
+router.post("/confirm", protect, authLimiter, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    // Robust input validation to prevent NoSQL injection
+    if (!isValidCode(code)) {
+      return res.status(400).json({ message: "Please enter the code from your app" });
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactor.pendingSecret");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already on" });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Please start the setup again" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code.replace(/\s/g, ""));
+    if (step === null) {
+      return res.status(400).json({ message: "Code is incorrect" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": hashes,
+          "twoFactor.lastUsedStep": step, // This code can't log in as well
+          "twoFactor.enabledAt": new Date(),
+        },
+      }
+    );
+
+    res.status(200).json({
+      message: "Two-factor authentication is on",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA confirm error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * Check the password and a current second factor for a 2FA change
+ *
+ * @param {string} userId - ID of the authenticated user
+ * @param {Object} body - req.body ({ password, code })
+ * @returns {Promise<Object>} { user } on success, otherwise
+ *          { status, message } for the error response
+ */
+async function verifyTwoFactorChange(userId, body) {
+  const { password, code } = body || {};
+
+  // Robust input validation to prevent NoSQL injection
+  if (typeof password !== "string" || password.length === 0) {
+    return { status: 400, message: "Please provide your password" };
+  }
+  if (!isValidCode(code)) {
+    return { status: 400, message: "Please enter a code from your app or a recovery code" };
+  }
+
+  const user = await User.findById(userId).select("+password +twoFactor.secret");
+  if (!user) {
+    return { status: 404, message: "User not found" };
+  }
+  if (!user.twoFactor?.enabled) {
+    return { status: 400, message: "Two-factor authentication is off" };
+  }
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    return { status: 400, message: "Password is incorrect" };
+  }
+  if (!(await verifySecondFactor(user, code))) {
+    return { status: 400, message: "Code is incorrect" };
+  }
+  return { user };
+}
+
+// ============================================================================
+// DISABLE 2FA
+// ============================================================================
+/**
+ * POST /api/auth/2fa/disable
+ *
+ * Purpose: Turn off 2FA
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - password: string (current password)
+ * - code: string (code from the app, or a recovery code if it's lost)
+ *
+ * Response:
+ * - 200: { message }
+ * - 400: Invalid input, incorrect password or code, or 2FA already off
+ * - 404: User not found
+ * - 500: Server error
+ *
+ * Behavior:
+ * - The secret and recovery codes are deleted; turning 2FA on again
+ *   needs a new setup
+ */
+router.post("/disable", protect, authLimiter, async (req, res) => {
+  try {
+    const { user, status, message } = await verifyTwoFactorChange(req.user.id, req.body);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": false,
+          "twoFactor.secret": null,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": [],
+          "twoFactor.lastUsedStep": null,
+          "twoFactor.enabledAt": null,
+        },
+      }
+    );
+
+    res.status(200).json({ message: "Two-factor authentication is off" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ============================================================================
+// REGENERATE RECOVERY CODES
+// ============================================================================
+/**
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Purpose: Replace the recovery codes (used up, or the old list leaked)
+ *
+ * Authentication: Required (JWT token)
+ *
+ * Request Body:
+ * - password: string (current password)
+ * - code: string (code from the app, or a recovery code)
+ *
+ * Response:
+ * - 200: { message, recoveryCodes } - the old codes stop working
+ * - 400: Invalid input, incorrect password or code, or 2FA off
+ * - 404: User not found
+ * - 500: Server error
+ */
+router.post("/recovery-codes", protect, authLimiter, async (req, res) => {
+  try {
+    const { user, status, message } = await verifyTwoFactorChange(req.user.id, req.body);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } }
+    );
+
+    res.status(200).json({
+      message: "New recovery codes created",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -10,10 +10,19 @@
  * - Registers all API route handlers
  *
  * API Structure:
- * - /api/auth      → User authentication (register, login, profile)
+ * - /api/auth      → User authentication (register, login, refresh, profile)
  * - /api/habits    → Habit CRUD operations
  * - /api/checkins  → Daily habit check-ins and streaks
  * - /api/logins    → User login tracking
+ * - /api/stats     → Aggregated analytics (success rate, best day)
+ * - /api/achievements → Unlocked badges and milestones
+ * - /api/notifications → In-app notification inbox (habit reminders)
+ * - /api/push      → Web Push subscriptions (reminders while no tab is open)
+ *
+ * Background Jobs:
+ * - Habit reminder scheduler (services/reminderService.js) and email
+ *   scheduler (services/emailDigestService.js), started once MongoDB is
+ *   connected
  *
  * Dependencies:
  * - express: Web server framework
@@ -25,6 +34,9 @@
  * - MONGO_URI: MongoDB Atlas connection string
  * - JWT_SECRET: Secret key for JWT token signing
  * - PORT: Server port (default: 5000)
+ * - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT: Web Push (optional)
+ * - MAIL_TRANSPORT / SMTP_* / MAIL_FROM: Outgoing email (optional, see
+ *   services/mailService.js; defaults to writing emails to files)
  *
  * Author: John Denis Nyagah
  * ============================================================================
@@ -41,9 +53,17 @@ import helmet from "helmet";
 
 // Import route handlers
 import authRoutes from "./routes/authRoutes.js";
+import twoFactorRoutes from "./routes/twoFactorRoutes.js";
+import sessionRoutes from "./routes/sessionRoutes.js";
 import habitRoutes from "./routes/habitRoutes.js";
 import checkinRoutes from "./routes/checkinRoutes.js";
 import loginRoutes from "./routes/loginRoutes.js";
+import statsRoutes from "./routes/statsRoutes.js";
+import achievementRoutes from "./routes/achievementRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import pushRoutes from "./routes/pushRoutes.js";
+import { startReminderScheduler } from "./services/reminderService.js";
+import { startEmailScheduler } from "./services/emailDigestService.js";
 
 // ============================================================================
 // INITIALIZE APPLICATION
@@ -101,10 +121,15 @@ app.use(
  * - Connects to MongoDB Atlas cloud database
  * - Connection string stored in environment variable (MONGO_URI)
  * - Uses async/await pattern with promise handling
+ * - Starts the reminder and email schedulers once connected
  */
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    startReminderScheduler();
+    startEmailScheduler();
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
 // ============================================================================
@@ -137,29 +162,60 @@ app.get("/test", (req, res) => {
  * Authentication Routes
  * - POST /api/auth/register          → Register new user
  * - POST /api/auth/login             → Login user
+ * - POST /api/auth/refresh           → New access token from a refresh token
+ * - POST /api/auth/forgot-password   → Email a password reset link
+ * - POST /api/auth/reset-password    → New password from an emailed token
+ * - POST /api/auth/verify-email      → Confirm an email address
+ * - POST /api/auth/resend-verification → New confirmation link (protected)
  * - GET  /api/auth/profile           → Get user profile (protected)
  * - PUT  /api/auth/profile           → Update profile name (protected)
  * - PUT  /api/auth/profile-picture   → Update profile picture (protected)
- * - PUT  /api/auth/change-password   → Change password (protected)
+ * - PUT  /api/auth/change-password   → Change password, ends other sessions (protected)
+ * - PUT  /api/auth/change-email      → Start an email change (protected)
+ * - DELETE /api/auth/change-email    → Cancel an email change (protected)
  * - DELETE /api/auth/account         → Delete account (protected)
- * - POST /api/auth/logout            → Logout user (protected)
+ * - POST /api/auth/logout            → Logout user (revokes this session)
+ * - POST /api/auth/logout-all        → Log out every session (protected)
+ * - POST /api/auth/login/2fa         → Second login step with a 2FA code
  */
 app.use("/api/auth", authRoutes);
 
+/**
+ * Two-Factor Authentication Routes (all protected)
+ * - GET  /api/auth/2fa                → 2FA status
+ * - POST /api/auth/2fa/setup          → Start setup (secret + QR code)
+ * - POST /api/auth/2fa/confirm        → Turn on, returns recovery codes
+ * - POST /api/auth/2fa/disable        → Turn off
+ * - POST /api/auth/2fa/recovery-codes → New recovery codes
+ */
+app.use("/api/auth/2fa", twoFactorRoutes);
+
+/**
+ * Session Routes (all protected)
+ * - GET    /api/auth/sessions     → Where the account is signed in
+ * - DELETE /api/auth/sessions/:id → Sign out one device
+ * - DELETE /api/auth/sessions     → Sign out every other device
+ */
+app.use("/api/auth/sessions", sessionRoutes);
+
 /**
  * Habit Routes
- * - GET    /api/habits     → Get all user habits (protected)
- * - POST   /api/habits     → Create new habit (protected)
- * - PUT    /api/habits/:id → Update habit (protected)
- * - DELETE /api/habits/:id → Delete habit (protected)
+ * - GET    /api/habits          → Get all user habits (protected)
+ * - GET    /api/habits/schedule → Get due habits per day (protected)
+ * - GET    /api/habits/streaks  → Overall and per-habit streaks (protected)
+ * - POST   /api/habits          → Create new habit (protected)
+ * - PUT    /api/habits/:id      → Update habit (protected)
+ * - DELETE /api/habits/:id      → Delete habit (protected)
  */
 app.use("/api/habits", habitRoutes);
 
 /**
  * Check-in Routes
  * - POST /api/checkins/toggle          → Toggle habit completion (protected)
- * - GET  /api/checkins/:habitId        → Get all check-ins for habit (protected)
- * - GET  /api/checkins/:habitId/streak → Calculate current streak (protected)
+ * - PUT  /api/checkins/status          → Set a day's state (protected)
+ * - GET  /api/checkins                 → Get check-ins, filterable and paged (protected)
+ * - GET  /api/checkins/:habitId        → Get check-ins for habit (protected)
+ * - GET  /api/checkins/:habitId/streak → Current and longest streak (protected)
  */
 app.use("/api/checkins", checkinRoutes);
 
@@ -170,6 +226,37 @@ app.use("/api/checkins", checkinRoutes);
  */
 app.use("/api/logins", loginRoutes);
 
+/**
+ * Stats Routes
+ * - GET /api/stats → Success rate, comparison and best day for a period (protected)
+ * - GET /api/stats/heatmap → Due/completed habits per day of a year (protected)
+ * - GET /api/stats/series → Day/week/month buckets for the progress charts (protected)
+ */
+app.use("/api/stats", statsRoutes);
+
+/**
+ * Achievement Routes
+ * - GET /api/achievements → Every badge with its unlock state (protected)
+ */
+app.use("/api/achievements", achievementRoutes);
+
+/**
+ * Notification Routes
+ * - GET /api/notifications              → Newest notifications + unread count (protected)
+ * - GET /api/notifications/unread-count → Unread count for the sidebar badge (protected)
+ * - PUT /api/notifications/read-all     → Mark all as read (protected)
+ * - PUT /api/notifications/:id/read     → Mark one as read (protected)
+ */
+app.use("/api/notifications", notificationRoutes);
+
+/**
+ * Push Routes
+ * - GET    /api/push/public-key    → VAPID public key (protected)
+ * - POST   /api/push/subscriptions → Save this browser's subscription (protected)
+ * - DELETE /api/push/subscriptions → Remove this browser's subscription (protected)
+ */
+app.use("/api/push", pushRoutes);
+
 // ============================================================================
 // START SERVER
 // ============================================================================
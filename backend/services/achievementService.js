@@ -0,0 +1,295 @@
+/**
+ * ============================================================================
+ * ACHIEVEMENT SERVICE (BADGES AND MILESTONES)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Rules engine for the badges shown on the profile page
+ * - Evaluated after every check-in change, right after the streaks are
+ *   recalculated (checkinRoutes.js)
+ * - Newly unlocked badges are stored (models/Achievement.js) and returned
+ *   with the check-in response so the page can celebrate them
+ *
+ * Rules:
+ * - Each badge in ACHIEVEMENTS has an isUnlocked(progress) test
+ * - progress: { totalCompletions, longestStreak, activeHabits, perfectWeek }
+ * - Badges are never taken back: undoing a check-in keeps them
+ *
+ * Perfect Week:
+ * - A finished Monday-Sunday week where every due habit was completed
+ *   (scored like the success rate, see statsService.scoreHabit) and at
+ *   least one habit was due
+ * - A week finishes without any write, so each check-in checks last week
+ *   and (for backfills) the week of the edited day
+ *
+ * Used By:
+ * - checkinRoutes.js (after every check-in write)
+ * - achievementRoutes.js (GET /api/achievements)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import Achievement from "../models/Achievement.js";
+import Checkin from "../models/Checkin.js";
+import Habit from "../models/Habit.js";
+import { getWeekStart } from "./scheduleService.js";
+import { scoreHabit } from "./statsService.js";
+import { addDays, startOfDay, toDateKey } from "../utils/dateUtils.js";
+
+/**
+ * Badge definitions, in the order they are shown
+ * icon is a file name in frontend/assets/icons (without .svg)
+ */
+export const ACHIEVEMENTS = [
+  {
+    key: "first-checkin",
+    name: "First Step",
+    description: "Complete your first check-in",
+    icon: "check-circle",
+    isUnlocked: (progress) => progress.totalCompletions >= 1,
+  },
+  {
+    key: "streak-7",
+    name: "One Week Strong",
+    description: "Reach a 7-day streak",
+    icon: "flame",
+    isUnlocked: (progress) => progress.longestStreak >= 7,
+  },
+  {
+    key: "streak-30",
+    name: "Monthly Momentum",
+    description: "Reach a 30-day streak",
+    icon: "flame",
+    isUnlocked: (progress) => progress.longestStreak >= 30,
+  },
+  {
+    key: "streak-100",
+    name: "Unstoppable",
+    description: "Reach a 100-day streak",
+    icon: "flame",
+    isUnlocked: (progress) => progress.longestStreak >= 100,
+  },
+  {
+    key: "streak-365",
+    name: "Year of Habits",
+    description: "Reach a 365-day streak",
+    icon: "flame",
+    isUnlocked: (progress) => progress.longestStreak >= 365,
+  },
+  {
+    key: "perfect-week",
+    name: "Perfect Week",
+    description: "Complete every due habit from Monday to Sunday",
+    icon: "sparkles",
+    isUnlocked: (progress) => progress.perfectWeek,
+  },
+  {
+    key: "habits-5",
+    name: "Habit Builder",
+    description: "Track 5 habits at the same time",
+    icon: "library-big",
+    isUnlocked: (progress) => progress.activeHabits >= 5,
+  },
+  {
+    key: "completions-100",
+    name: "Hundred Club",
+    description: "Complete habits 100 times",
+    icon: "target",
+    isUnlocked: (progress) => progress.totalCompletions >= 100,
+  },
+  {
+    key: "completions-1000",
+    name: "Thousand Club",
+    description: "Complete habits 1,000 times",
+    icon: "success-rate",
+    isUnlocked: (progress) => progress.totalCompletions >= 1000,
+  },
+];
+
+/**
+ * Check whether every due habit was completed during a week
+ *
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Date} weekStart - Monday of the week
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {boolean} True if something was due and all of it was done
+ *
+ * Example:
+ * - Daily habit done Mon-Sun → true
+ * - Daily habit done Mon-Sat, skipped Sun → true (skips aren't due)
+ * - Nothing due that week (all paused) → false
+ */
+export function isPerfectWeek(habits, keysByHabit, weekStart, timeZone) {
+  const weekEnd = addDays(weekStart, 6);
+  let possible = 0;
+  let completed = 0;
+
+  for (const habit of habits) {
+    const keys = keysByHabit.get(habit._id.toString());
+    const score = scoreHabit(
+      habit,
+      keys?.completed || new Set(),
+      keys?.skipped || new Set(),
+      weekStart,
+      weekEnd,
+      timeZone
+    );
+    possible += score.possible;
+    completed += score.completed;
+  }
+  return possible > 0 && completed === possible;
+}
+
+/**
+ * Find the badges a user's progress earns that aren't unlocked yet
+ *
+ * @param {Object} progress - { totalCompletions, longestStreak, activeHabits, perfectWeek }
+ * @param {Set<string>} unlockedKeys - Keys of the badges already unlocked
+ * @returns {Array<Object>} Newly earned ACHIEVEMENTS entries
+ */
+export function evaluateAchievements(progress, unlockedKeys) {
+  return ACHIEVEMENTS.filter(
+    (achievement) =>
+      !unlockedKeys.has(achievement.key) && achievement.isUnlocked(progress)
+  );
+}
+
+/**
+ * Public fields of a badge (everything except its rule)
+ *
+ * @param {Object} achievement - ACHIEVEMENTS entry
+ * @returns {Object} { key, name, description, icon }
+ */
+function describe({ key, name, description, icon }) {
+  return { key, name, description, icon };
+}
+
+/**
+ * Check the weeks a check-in could have made perfect
+ *
+ * @param {string} userId - ID of the user
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Date} day - Day of the check-in that changed
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<boolean>} True if one of them is a perfect week
+ */
+async function hasNewPerfectWeek(userId, habits, day, timeZone) {
+  const thisWeek = getWeekStart(startOfDay(new Date(), timeZone));
+  const weekStarts = [addDays(thisWeek, -7)];
+  const dayWeek = getWeekStart(day);
+  if (dayWeek < weekStarts[0]) weekStarts.push(dayWeek);
+
+  const checkins = await Checkin.find(
+    {
+      userId,
+      date: {
+        $gte: weekStarts[weekStarts.length - 1],
+        $lte: addDays(weekStarts[0], 6),
+      },
+    },
+    { habitId: 1, date: 1, completed: 1, status: 1 }
+  ).lean();
+
+  const keysByHabit = new Map();
+  for (const checkin of checkins) {
+    const habitKey = checkin.habitId.toString();
+    if (!keysByHabit.has(habitKey)) {
+      keysByHabit.set(habitKey, { completed: new Set(), skipped: new Set() });
+    }
+    const keys = keysByHabit.get(habitKey);
+    if (checkin.status === "skipped") keys.skipped.add(toDateKey(checkin.date));
+    else if (checkin.completed !== false) keys.completed.add(toDateKey(checkin.date));
+  }
+
+  return weekStarts.some((weekStart) =>
+    isPerfectWeek(habits, keysByHabit, weekStart, timeZone)
+  );
+}
+
+/**
+ * Unlock any badges a user has just earned
+ *
+ * Called after the streaks were recalculated for a check-in change.
+ * A failed check is logged and returns [] - it never fails the check-in.
+ *
+ * @param {string} userId - ID of the user
+ * @param {Object} context - { overall: { current, longest }, day: Date }
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<Array<Object>>} Newly unlocked badges
+ *          ({ key, name, description, icon, unlockedAt })
+ */
+export async function checkAchievements(userId, { overall, day }, timeZone) {
+  try {
+    const unlocked = await Achievement.find({ userId }, { key: 1 }).lean();
+    const unlockedKeys = new Set(unlocked.map(({ key }) => key));
+    if (unlockedKeys.size === ACHIEVEMENTS.length) return [];
+
+    const [habits, totalCompletions] = await Promise.all([
+      Habit.find({ userId }).lean(),
+      Checkin.countDocuments({ userId, completed: { $ne: false } }),
+    ]);
+    const perfectWeek =
+      !unlockedKeys.has("perfect-week") &&
+      (await hasNewPerfectWeek(userId, habits, day, timeZone));
+
+    const earned = evaluateAchievements(
+      {
+        totalCompletions,
+        longestStreak: overall.longest,
+        activeHabits: habits.filter((habit) => !habit.archived).length,
+        perfectWeek,
+      },
+      unlockedKeys
+    );
+    if (earned.length === 0) return [];
+
+    // Upsert so two simultaneous check-ins can't unlock a badge twice
+    const unlockedAt = new Date();
+    const result = await Achievement.bulkWrite(
+      earned.map(({ key }) => ({
+        updateOne: {
+          filter: { userId, key },
+          update: { $setOnInsert: { unlockedAt } },
+          upsert: true,
+        },
+      }))
+    );
+    const inserted = new Set(Object.keys(result.upsertedIds).map(Number));
+
+    return earned
+      .filter((_, index) => inserted.has(index))
+      .map((achievement) => ({ ...describe(achievement), unlockedAt }));
+  } catch (error) {
+    console.error("Achievement check error:", error);
+    return [];
+  }
+}
+
+/**
+ * List every badge with the user's unlock state
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} GET /api/achievements response body:
+ *          { achievements: [{ key, name, description, icon, unlocked,
+ *          unlockedAt }], unlockedCount, total }
+ */
+export async function getAchievements(userId) {
+  const unlocked = await Achievement.find({ userId }).lean();
+  const unlockedAtByKey = new Map(
+    unlocked.map(({ key, unlockedAt }) => [key, unlockedAt])
+  );
+
+  const achievements = ACHIEVEMENTS.map((achievement) => ({
+    ...describe(achievement),
+    unlocked: unlockedAtByKey.has(achievement.key),
+    unlockedAt: unlockedAtByKey.get(achievement.key) ?? null,
+  }));
+
+  return {
+    achievements,
+    unlockedCount: achievements.filter((a) => a.unlocked).length,
+    total: achievements.length,
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * ============================================================================
+ * CHECK-IN SERVICE
+ * ============================================================================
+ *
+ * Purpose:
+ * - Writes a day's check-in for the check-in routes, so the rules for
+ *   amounts and completion live in one place (and can be verified by
+ *   test-checkins.js without a database)
+ *
+ * Amounts (quantitative habits):
+ * - amount: what was logged that day (1 for yes/no habits)
+ * - completed: true once amount >= habit.target; below that the day is
+ *   partial progress
+ * - Amounts never go below 0; a check-in that reaches 0 is removed
+ * - Check-ins from before quantitative habits existed have no amount and
+ *   count as 1
+ *
+ * Requests:
+ * - resolveCheckinRequest() checks the habit ID, date and ownership of a
+ *   check-in write before anything is stored
+ *
+ * Statuses:
+ * - Setting a status replaces whatever was recorded that day, so sending
+ *   the same status twice leaves the same check-in
+ * - Only "done" days carry an amount; only "skipped" days keep a reason
+ *
+ * Listing:
+ * - parseListQuery() validates the from/to/limit/cursor query string of
+ *   the check-in listing routes
+ * - Cursors are opaque base64url strings of "<ISO date>|<_id>" of the
+ *   last check-in on a page
+ *
+ * Used By:
+ * - checkinRoutes.js (POST /toggle, POST /increment, POST /decrement,
+ *   PUT /status, GET listings)
+ * - habitRoutes.js (PUT /:id, when the target changes)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Checkin from "../models/Checkin.js";
+import Habit from "../models/Habit.js";
+import { getEditableFrom, getHabitStartDay } from "./scheduleService.js";
+import { parseDateKey, startOfDay } from "../utils/dateUtils.js";
+
+// Largest page a client may request with ?limit=
+export const MAX_PAGE_SIZE = 1000;
+// Page size when a cursor is given without a limit
+export const DEFAULT_PAGE_SIZE = 200;
+
+/**
+ * Add to or subtract from a day's logged amount
+ *
+ * - Skipped/missed days have nothing logged: they start from 0 and become
+ *   "done" when something is added
+ * - Subtracting never clears a skip/miss (PUT /status does that)
+ *
+ * @param {Object} filter - { habitId, userId, date } of the day
+ * @param {number} target - The habit's daily target
+ * @param {number} change - Amount to add (negative to subtract)
+ * @returns {Promise<Object>} { checkin, amount, completed } - checkin is
+ *          null when nothing is logged any more
+ */
+export async function adjustCheckinAmount(filter, target, change) {
+  const existingCheckin = await Checkin.findOne(filter);
+  // Skipped/missed days have nothing logged yet
+  const hasProgress =
+    !!existingCheckin && (existingCheckin.status || "done") === "done";
+  const currentAmount = hasProgress ? existingCheckin.amount ?? 1 : 0;
+  const newAmount = Math.max(0, currentAmount + change);
+
+  if (newAmount === 0) {
+    if (hasProgress) {
+      await Checkin.deleteOne({ _id: existingCheckin._id });
+    }
+    return { checkin: null, amount: 0, completed: false };
+  }
+
+  const checkin = existingCheckin || new Checkin(filter);
+  checkin.amount = newAmount;
+  checkin.completed = newAmount >= target;
+  checkin.status = "done";
+  checkin.reason = undefined;
+  await checkin.save();
+
+  return { checkin, amount: checkin.amount, completed: checkin.completed };
+}
+
+/**
+ * Set a day's state explicitly (idempotent, unlike toggling)
+ *
+ * @param {Object} filter - { habitId, userId, date } of the day
+ * @param {number} target - The habit's daily target
+ * @param {string} status - "done", "skipped", "missed", "frozen" or
+ *        "none" (clears the day)
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Skip reason (stored for "skipped" only)
+ * @param {number} [options.amount] - Amount for "done" (default: target)
+ * @returns {Promise<Object|null>} Resulting check-in, or null for "none"
+ */
+export async function setCheckinStatus(
+  filter,
+  target,
+  status,
+  { reason, amount } = {}
+) {
+  if (status === "none") {
+    await Checkin.deleteOne(filter);
+    return null;
+  }
+
+  // Only done days carry progress; only skips keep a reason
+  const newAmount = status === "done" ? amount ?? target : 0;
+  const fields = {
+    status,
+    amount: newAmount,
+    completed: status === "done" && newAmount >= target,
+  };
+  const update =
+    status === "skipped"
+      ? { $set: { ...fields, reason } }
+      : { $set: fields, $unset: { reason: "" } };
+  return Checkin.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+  });
+}
+
+/**
+ * Recompute Checkin.completed for every check-in of a habit
+ *
+ * Called after the habit's target changes so that, for example, lowering
+ * a water target from 8 to 6 glasses turns a logged 6 into a done day.
+ *
+ * @param {Object} habit - Updated habit document
+ */
+export async function syncCompletionWithTarget(habit) {
+  const filter = { habitId: habit._id, userId: habit.userId };
+
+  await Checkin.updateMany(
+    { ...filter, amount: { $exists: false } },
+    { $set: { amount: 1 } }
+  );
+  await Checkin.updateMany(
+    { ...filter, amount: { $gte: habit.target } },
+    { $set: { completed: true } }
+  );
+  await Checkin.updateMany(
+    { ...filter, amount: { $lt: habit.target } },
+    { $set: { completed: false } }
+  );
+}
+
+/**
+ * Validate a check-in write request and resolve its habit and day
+ *
+ * Shared by /toggle, /increment, /decrement and /status:
+ * - habitId must be a valid ObjectId (NoSQL injection protection, and
+ *   no CastError/500 for values like "abc")
+ * - date is optional (today) and must be inside the backfill window
+ * - habit must belong to the user (IDOR protection)
+ * - day must not be before the habit was created
+ *
+ * @param {Object} body - Request body ({ habitId, date })
+ * @param {string} userId - ID of the user (from the JWT)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<Object>} { habit, day } or { error: { status, message } }
+ */
+export async function resolveCheckinRequest({ habitId, date }, userId, timeZone) {
+
+  // Robust input validation to prevent NoSQL injection
+  if (typeof habitId !== "string" || !mongoose.isValidObjectId(habitId)) {
+    return { error: { status: 400, message: "Invalid habit ID" } };
+  }
+
+  // Resolve the target day (today unless a YYYY-MM-DD date is given)
+  const today = startOfDay(new Date(), timeZone);
+  const day = date === undefined ? today : parseDateKey(date);
+  if (!day) {
+    return { error: { status: 400, message: "Invalid date" } };
+  }
+  if (day > today) {
+    return {
+      error: { status: 400, message: "Cannot check in for a future date" },
+    };
+  }
+  if (day < getEditableFrom(today)) {
+    return {
+      error: { status: 400, message: "Date is outside the backfill window" },
+    };
+  }
+
+  // Verify habit ownership (IDOR protection)
+  // Prevents users from checking in for habits that don't belong to them
+  const habit = await Habit.findOne({ _id: habitId, userId });
+  if (!habit) {
+    return { error: { status: 404, message: "Habit not found" } };
+  }
+
+  const startDay = getHabitStartDay(habit, timeZone);
+  if (startDay && day < startDay) {
+    return {
+      error: {
+        status: 400,
+        message: "Cannot check in before the habit was created",
+      },
+    };
+  }
+
+  return { habit, day };
+}
+
+/**
+ * Validate the listing query string (from, to, limit, cursor)
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} { from, to, limit, after } or { error }
+ *          - limit is null for an unpaged (plain array) response
+ *          - after is the decoded cursor ({ date, id }) or null
+ */
+export function parseListQuery(query) {
+  const { from, to, limit, cursor } = query;
+
+  const fromDay = from === undefined ? null : parseDateKey(from);
+  if (from !== undefined && !fromDay) return { error: "Invalid from date" };
+  const toDay = to === undefined ? null : parseDateKey(to);
+  if (to !== undefined && !toDay) return { error: "Invalid to date" };
+  if (fromDay && toDay && fromDay > toDay) {
+    return { error: "from must not be after to" };
+  }
+
+  let pageSize = null;
+  if (limit !== undefined) {
+    // Robust input validation to prevent NoSQL injection
+    if (typeof limit !== "string" || !/^\d+$/.test(limit)) {
+      return { error: "Invalid limit" };
+    }
+    pageSize = Number(limit);
+    if (pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let after = null;
+  if (cursor !== undefined) {
+    after = decodeCursor(cursor);
+    if (!after) return { error: "Invalid cursor" };
+    if (pageSize === null) pageSize = DEFAULT_PAGE_SIZE;
+  }
+
+  return { from: fromDay, to: toDay, limit: pageSize, after };
+}
+
+/**
+ * Encode a check-in's position as an opaque cursor string
+ *
+ * @param {Object} checkin - Last check-in of a page
+ * @returns {string} base64url of "<ISO date>|<_id>"
+ */
+export function encodeCursor(checkin) {
+  return Buffer.from(
+    `${checkin.date.toISOString()}|${checkin._id}`
+  ).toString("base64url");
+}
+
+/**
+ * Decode a cursor created by encodeCursor()
+ *
+ * @param {*} cursor - Untrusted cursor from the query string
+ * @returns {Object|null} { date, id } or null if invalid
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor.length > 200) return null;
+
+  const [dateString, id] = Buffer.from(cursor, "base64url")
+    .toString("utf8")
+    .split("|");
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { date, id: new mongoose.Types.ObjectId(id) };
+}
@@ -0,0 +1,316 @@
+/**
+ * ============================================================================
+ * EMAIL DIGEST SERVICE (WEEKLY DIGEST AND STREAK-AT-RISK EMAILS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Sends the opt-in emails chosen in User.notificationPrefs
+ * - A scheduler started by server.js checks every few minutes which
+ *   users are due an email (in their own time zone)
+ *
+ * Weekly Digest (notificationPrefs.weeklyDigest):
+ * - Mondays from DIGEST_TIME: last week's (Monday-Sunday) stats, the same
+ *   numbers the progress page shows (statsService.getStats "week")
+ * - Not sent when nothing was due or completed that week
+ *
+ * Streak-At-Risk Alert (notificationPrefs.streakAtRisk):
+ * - Evenings from STREAK_RISK_TIME: habits with a running streak that
+ *   are still to do and whose period ends today (a daily habit today,
+ *   a weekly habit on Sunday, an interval habit on its window's last day)
+ * - Not sent when nothing is at risk
+ *
+ * Duplicates:
+ * - User.emailsSentFor records the week/day each email covered and is
+ *   claimed with a conditional update before sending, so every email
+ *   goes out at most once; the claim is released if sending fails so
+ *   the next run tries again
+ *
+ * Delivery:
+ * - services/mailService.js (SMTP or file transport)
+ * - Bodies built by utils/emailTemplates.js
+ *
+ * Used By:
+ * - server.js (startEmailScheduler once MongoDB is connected)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import Checkin from "../models/Checkin.js";
+import Habit from "../models/Habit.js";
+import User from "../models/User.js";
+import { getFrontendLink, sendMail } from "./mailService.js";
+import { getPeriod, isHabitDueToday } from "./scheduleService.js";
+import { getStats } from "./statsService.js";
+import { getFreshStreaks } from "./streakService.js";
+import { renderStreakAtRisk, renderWeeklyDigest } from "../utils/emailTemplates.js";
+import {
+  DEFAULT_TIME_ZONE,
+  addDays,
+  getLocalTime,
+  isValidTimeZone,
+  startOfDay,
+  toDateKey,
+} from "../utils/dateUtils.js";
+
+// How often the scheduler looks for emails to send
+const EMAIL_CHECK_MS = 5 * 60 * 1000;
+
+// Local times the emails go out from (24-hour "HH:MM")
+export const DIGEST_TIME = "08:00";
+export const STREAK_RISK_TIME = "20:00";
+
+// Weekday of the digest (getUTCDay of a normalized day, 1 = Monday)
+const DIGEST_WEEKDAY = 1;
+
+/**
+ * Get the week a weekly digest is due for
+ *
+ * @param {Object} user - User with emailsSentFor
+ * @param {Date} now - Current instant
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {string|null} Monday (YYYY-MM-DD) of the week to summarize,
+ *          or null if no digest is due
+ *
+ * Example:
+ * - Monday 2025-01-20 at 08:15, not sent yet → "2025-01-13"
+ */
+export function getDigestWeekDue(user, now, timeZone) {
+  const today = startOfDay(now, timeZone);
+  if (today.getUTCDay() !== DIGEST_WEEKDAY) return null;
+  if (getLocalTime(now, timeZone) < DIGEST_TIME) return null;
+
+  const weekKey = toDateKey(addDays(today, -7));
+  return user.emailsSentFor?.weeklyDigest === weekKey ? null : weekKey;
+}
+
+/**
+ * Get the day a streak-at-risk alert is due for
+ *
+ * @param {Object} user - User with emailsSentFor
+ * @param {Date} now - Current instant
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {string|null} Today (YYYY-MM-DD), or null if no alert is due
+ */
+export function getStreakAlertDayDue(user, now, timeZone) {
+  if (getLocalTime(now, timeZone) < STREAK_RISK_TIME) return null;
+
+  const todayKey = toDateKey(startOfDay(now, timeZone));
+  return user.emailsSentFor?.streakAtRisk === todayKey ? null : todayKey;
+}
+
+/**
+ * Pick the habits whose streak ends tonight unless they are done
+ *
+ * @param {Array<Object>} habits - One user's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Map<string, Object>} streaks - habitId → { streak, streakUnit }
+ * @param {Date} today - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Array<Object>} [{ name, streak, streakUnit }], longest streak first
+ */
+export function findHabitsAtRisk(habits, keysByHabit, streaks, today, timeZone) {
+  return habits
+    .filter((habit) => {
+      if (habit.archived) return false;
+      const id = habit._id.toString();
+      if (!(streaks.get(id)?.streak > 0)) return false;
+
+      const keys = keysByHabit.get(id);
+      const completed = keys?.completed || new Set();
+      if (completed.has(toDateKey(today))) return false;
+      if (!isHabitDueToday(habit, today, completed, timeZone, keys?.skipped)) {
+        return false;
+      }
+      // Only the last day of the habit's period can break its streak
+      return getPeriod(habit, today, timeZone).end.getTime() === today.getTime();
+    })
+    .map((habit) => {
+      const { streak, streakUnit } = streaks.get(habit._id.toString());
+      return { name: habit.name, streak, streakUnit };
+    })
+    .sort((a, b) => b.streak - a.streak);
+}
+
+/**
+ * Claim an email so concurrent or later runs don't send it again
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} type - "weeklyDigest" or "streakAtRisk"
+ * @param {string} key - Week/day the email covers
+ * @returns {Promise<boolean>} True if this run should send it
+ */
+async function claimEmail(userId, type, key) {
+  const field = `emailsSentFor.${type}`;
+  const result = await User.updateOne(
+    { _id: userId, [field]: { $ne: key } },
+    { $set: { [field]: key } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Send a claimed email, releasing the claim if delivery fails
+ *
+ * @param {Object} user - User (name, email, emailsSentFor)
+ * @param {string} type - "weeklyDigest" or "streakAtRisk"
+ * @param {string} key - Week/day the email covers
+ * @param {Object} email - { subject, text, html }
+ * @returns {Promise<boolean>} True if sent (false if already sent)
+ */
+async function deliver(user, type, key, email) {
+  if (!(await claimEmail(user._id, type, key))) return false;
+
+  try {
+    await sendMail({ to: user.email, ...email });
+    return true;
+  } catch (error) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { [`emailsSentFor.${type}`]: user.emailsSentFor?.[type] ?? null } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Send a user's weekly digest for a week
+ *
+ * @param {Object} user - User (name, email, emailsSentFor)
+ * @param {string} weekKey - Monday of the week to summarize
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<boolean>} True if sent
+ */
+async function sendWeeklyDigest(user, weekKey, timeZone) {
+  const sunday = addDays(new Date(`${weekKey}T00:00:00.000Z`), 6);
+  const stats = await getStats(user._id.toString(), "week", timeZone, { day: sunday });
+  if (stats.overall.possible === 0 && stats.overall.completions === 0) return false;
+
+  const email = renderWeeklyDigest({
+    name: user.name,
+    stats,
+    progressUrl: getFrontendLink("progress/progress.html"),
+    settingsUrl: getFrontendLink("profile/profile.html"),
+  });
+  return deliver(user, "weeklyDigest", weekKey, email);
+}
+
+/**
+ * Send a user's streak-at-risk alert for today if anything is at risk
+ *
+ * @param {Object} user - User (name, email, emailsSentFor)
+ * @param {string} dayKey - Today (YYYY-MM-DD)
+ * @param {Date} now - Current instant
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<boolean>} True if sent
+ */
+async function sendStreakAlert(user, dayKey, now, timeZone) {
+  const today = startOfDay(now, timeZone);
+  // Habits from before archiving have no archived field
+  const habits = await Habit.find({ userId: user._id, archived: { $ne: true } }).lean();
+  if (habits.length === 0) return false;
+
+  // Check-ins of each habit's current period (day, week or interval window)
+  const from = habits.reduce((earliest, habit) => {
+    const { start } = getPeriod(habit, today, timeZone);
+    return start < earliest ? start : earliest;
+  }, today);
+  const checkins = await Checkin.find(
+    { userId: user._id, date: { $gte: from } },
+    { habitId: 1, date: 1, completed: 1, status: 1 }
+  ).lean();
+
+  const keysByHabit = new Map();
+  for (const checkin of checkins) {
+    const habitKey = checkin.habitId.toString();
+    if (!keysByHabit.has(habitKey)) {
+      keysByHabit.set(habitKey, { completed: new Set(), skipped: new Set() });
+    }
+    const keys = keysByHabit.get(habitKey);
+    if (checkin.status === "skipped" || checkin.status === "frozen") {
+      keys.skipped.add(toDateKey(checkin.date));
+    } else if (checkin.completed !== false) {
+      keys.completed.add(toDateKey(checkin.date));
+    }
+  }
+
+  const { habits: streaks } = await getFreshStreaks(user._id.toString(), timeZone);
+  const atRisk = findHabitsAtRisk(habits, keysByHabit, streaks, today, timeZone);
+  if (atRisk.length === 0) return false;
+
+  const email = renderStreakAtRisk({
+    name: user.name,
+    habits: atRisk,
+    dashboardUrl: getFrontendLink("dashboard/dashboard.html"),
+    settingsUrl: getFrontendLink("profile/profile.html"),
+  });
+  return deliver(user, "streakAtRisk", dayKey, email);
+}
+
+/**
+ * Send every weekly digest and streak-at-risk alert that is due now
+ *
+ * Users are handled one at a time; an error for one user is logged and
+ * doesn't stop the others.
+ *
+ * @param {Date} [now=new Date()] - Current instant
+ * @returns {Promise<Object>} { digests, alerts } emails sent
+ */
+export async function sendDueEmails(now = new Date()) {
+  const users = await User.find({
+    $or: [
+      { "notificationPrefs.weeklyDigest": true },
+      { "notificationPrefs.streakAtRisk": true },
+    ],
+  })
+    .select("name email timezone notificationPrefs emailsSentFor")
+    .lean();
+
+  const sent = { digests: 0, alerts: 0 };
+  for (const user of users) {
+    const timeZone = isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIME_ZONE;
+    try {
+      const weekKey =
+        user.notificationPrefs?.weeklyDigest && getDigestWeekDue(user, now, timeZone);
+      if (weekKey && (await sendWeeklyDigest(user, weekKey, timeZone))) {
+        sent.digests++;
+      }
+
+      const dayKey =
+        user.notificationPrefs?.streakAtRisk && getStreakAlertDayDue(user, now, timeZone);
+      if (dayKey && (await sendStreakAlert(user, dayKey, now, timeZone))) {
+        sent.alerts++;
+      }
+    } catch (error) {
+      console.error(`❌ Email error for user ${user._id}:`, error);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Start checking for due emails every few minutes
+ *
+ * A run is skipped while the previous one is still going. Errors are
+ * logged and the next run tries again.
+ *
+ * @returns {NodeJS.Timeout} Interval handle (for clearInterval)
+ */
+export function startEmailScheduler() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { digests, alerts } = await sendDueEmails();
+      if (digests + alerts > 0) {
+        console.log(`📧 Sent ${digests} weekly digest(s) and ${alerts} streak alert(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Email scheduler error:", error);
+    } finally {
+      running = false;
+    }
+  }, EMAIL_CHECK_MS);
+}
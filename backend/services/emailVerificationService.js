@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * EMAIL VERIFICATION SERVICE
+ * ============================================================================
+ *
+ * Purpose:
+ * - Confirms that users own their email address, on signup and when
+ *   they change it
+ *
+ * Signup:
+ * 1. POST /api/auth/register → sendVerificationEmail(user, user.email)
+ * 2. The link opens the sign-in page, which calls POST /api/auth/verify-email
+ *    → confirmEmail(token) sets User.emailVerified
+ *
+ * Email Change:
+ * 1. PUT /api/auth/change-email (current password required) →
+ *    requestEmailChange(user, newEmail) stores User.pendingEmail, emails
+ *    a link to the new address and a notice to the old one
+ * 2. confirmEmail(token) moves pendingEmail into email - the address only
+ *    changes once its owner clicked the link
+ * 3. DELETE /api/auth/change-email → cancelEmailChange(userId)
+ *
+ * Tokens:
+ * - Random (VERIFY_TOKEN_BYTES), only their SHA-256 hash is stored
+ *   (models/EmailVerificationToken.js) with the address they confirm
+ * - Work once and expire after VERIFY_TOKEN_TTL_HOURS
+ * - Sending a new link replaces the user's unused ones
+ * - At most one link per RESEND_INTERVAL_SECONDS per account
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+import EmailVerificationToken from "../models/EmailVerificationToken.js";
+import User from "../models/User.js";
+import { getFrontendLink, sendMail } from "./mailService.js";
+import { renderEmailChangeNotice, renderVerifyEmail } from "../utils/emailTemplates.js";
+
+// How long an emailed link works
+export const VERIFY_TOKEN_TTL_HOURS = 24;
+
+// Minimum time between two links for the same account
+export const RESEND_INTERVAL_SECONDS = 60;
+
+// Bytes of randomness in a verification token
+const VERIFY_TOKEN_BYTES = 32;
+
+/**
+ * Hash a verification token for storage and lookup
+ *
+ * @param {string} token - Verification token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Email a link confirming an address
+ *
+ * @param {Object} user - User ({ _id, name, email })
+ * @param {string} email - Address to confirm (user.email or the new address)
+ * @returns {Promise<boolean>} True if sent, false if a link was sent
+ *          less than RESEND_INTERVAL_SECONDS ago
+ * @throws {Error} If the mail transport fails
+ */
+export async function sendVerificationEmail(user, email) {
+  const recent = await EmailVerificationToken.findOne({
+    userId: user._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) },
+  });
+  if (recent) return false;
+
+  await EmailVerificationToken.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(VERIFY_TOKEN_BYTES).toString("base64url");
+  await EmailVerificationToken.create({
+    userId: user._id,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+  });
+
+  const message = renderVerifyEmail({
+    name: user.name,
+    verifyUrl: `${getFrontendLink("login/signin_signup.html")}?mode=verify#token=${token}`,
+    expiresInHours: VERIFY_TOKEN_TTL_HOURS,
+    isChange: email !== user.email,
+  });
+  await sendMail({ to: email, ...message });
+  return true;
+}
+
+/**
+ * Start changing a user's email address
+ *
+ * The caller checks the password and that the address is free.
+ *
+ * @param {Object} user - User document ({ _id, name, email })
+ * @param {string} newEmail - Address to change to
+ * @returns {Promise<boolean>} True if the link was sent, false if a link
+ *          was sent less than RESEND_INTERVAL_SECONDS ago
+ * @throws {Error} If the mail transport fails
+ */
+export async function requestEmailChange(user, newEmail) {
+  if (!(await sendVerificationEmail(user, newEmail))) return false;
+
+  await User.updateOne({ _id: user._id }, { $set: { pendingEmail: newEmail } });
+
+  // Tell the current address, in case someone else is changing it
+  const notice = renderEmailChangeNotice({
+    name: user.name,
+    newEmail,
+    profileUrl: getFrontendLink("profile/profile.html"),
+  });
+  await sendMail({ to: user.email, ...notice });
+  return true;
+}
+
+/**
+ * Stop a pending email change (its links stop working)
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<void>}
+ */
+export async function cancelEmailChange(userId) {
+  await User.updateOne({ _id: userId }, { $set: { pendingEmail: null } });
+  await EmailVerificationToken.deleteMany({ userId, usedAt: null });
+}
+
+/**
+ * Confirm an address with the token from an emailed link
+ *
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} On success { user } (email and emailVerified
+ *          updated); otherwise { error } with "invalid" (unknown, expired,
+ *          used or replaced link) or "taken" (another account got the
+ *          new address first)
+ */
+export async function confirmEmail(token) {
+  const record = await EmailVerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!record) return { error: "invalid" };
+
+  const user = await User.findById(record.userId);
+  if (!user) return { error: "invalid" };
+
+  if (record.email === user.email) {
+    user.emailVerified = true;
+  } else if (record.email === user.pendingEmail) {
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return { error: "taken" };
+    }
+    user.email = record.email;
+    user.emailVerified = true;
+    user.pendingEmail = null;
+  } else {
+    // The change was cancelled or replaced after this link was sent
+    return { error: "invalid" };
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) return { error: "taken" }; // Lost a race for the address
+    throw error;
+  }
+  return { user };
+}
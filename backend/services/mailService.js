@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * MAIL SERVICE (OUTGOING EMAIL)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single place where emails leave the server (weekly digests,
+ *   streak-at-risk alerts, password resets, email confirmations)
+ * - The transport is pluggable so nothing else cares how mail is sent
+ *
+ * Transports (MAIL_TRANSPORT in .env):
+ * - "smtp": Sends through an SMTP server (production)
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+ *   SMTP_USER, SMTP_PASS
+ * - "file": Writes each message as a JSON file to MAIL_OUTBOX_DIR
+ *   (default backend/mail-outbox) - local development and test scripts
+ *   read the generated messages from there
+ * - Defaults to "file", so a fresh checkout never sends real email
+ *
+ * Other Settings:
+ * - MAIL_FROM: Sender address (default "Riza Habit Tracker <no-reply@riza.app>")
+ * - FRONTEND_URL: Where the app is served, used for links in emails
+ *   (same setting as CORS in server.js)
+ *
+ * Used By:
+ * - services/emailDigestService.js
+ * - services/passwordResetService.js
+ * - services/emailVerificationService.js
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+export const MAIL_TRANSPORTS = ["smtp", "file"];
+
+// Default sender and outbox folder (backend/mail-outbox)
+const DEFAULT_FROM = "Riza Habit Tracker <no-reply@riza.app>";
+const DEFAULT_OUTBOX_DIR = fileURLToPath(new URL("../mail-outbox", import.meta.url));
+
+// Default frontend origin (matches the CORS default in server.js)
+const DEFAULT_FRONTEND_URL = "http://localhost:8000";
+
+// Transport built for the current settings (rebuilt when they change)
+let cachedTransport = null;
+let cachedConfigKey = null;
+
+/**
+ * Get the mail settings
+ *
+ * Read at call time (not import time) because dotenv.config() runs
+ * after route modules are imported.
+ *
+ * @returns {Object} { transport, from, outboxDir, smtp: { host, port, secure, auth } }
+ * @throws {Error} If MAIL_TRANSPORT is unknown or SMTP has no host
+ */
+export function getMailConfig() {
+  const transport = (process.env.MAIL_TRANSPORT || "file").trim().toLowerCase();
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (use smtp or file)`);
+  }
+  if (transport === "smtp" && !process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required when MAIL_TRANSPORT=smtp");
+  }
+
+  return {
+    transport,
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    outboxDir: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    },
+  };
+}
+
+/**
+ * Build a link to a frontend page for use in emails
+ *
+ * @param {string} page - Page path below the frontend folder
+ *                        (e.g., "profile/profile.html")
+ * @returns {string} Absolute URL
+ */
+export function getFrontendLink(page) {
+  const origin = (process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL).replace(/\/+$/, "");
+  return `${origin}/frontend/${page}`;
+}
+
+/**
+ * Create the transport for a configuration
+ *
+ * @param {Object} config - Result of getMailConfig()
+ * @returns {Object} { send(message) → Promise<{ messageId, file? }> }
+ */
+function createTransport(config) {
+  if (config.transport === "smtp") {
+    const smtp = nodemailer.createTransport(config.smtp);
+    return {
+      async send(message) {
+        const info = await smtp.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  }
+
+  // File transport: nodemailer builds the message, we store it as JSON
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async send(message) {
+      const info = await json.sendMail(message);
+      await fs.mkdir(config.outboxDir, { recursive: true });
+      const id = info.messageId.replace(/[^A-Za-z0-9-]/g, "");
+      const file = path.join(config.outboxDir, `${Date.now()}-${id}.json`);
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    },
+  };
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId, file } (file only for the file transport)
+ * @throws {Error} If the settings are invalid or the transport fails
+ *
+ * Example:
+ * - await sendMail({ to: "jane@example.com", subject: "Hi", text: "Hello", html: "<p>Hello</p>" })
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const config = getMailConfig();
+  const configKey = JSON.stringify(config);
+  if (!cachedTransport || cachedConfigKey !== configKey) {
+    cachedTransport = createTransport(config);
+    cachedConfigKey = configKey;
+  }
+
+  return cachedTransport.send({ from: config.from, to, subject, text, html });
+}
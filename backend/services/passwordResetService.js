@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * PASSWORD RESET SERVICE
+ * ============================================================================
+ *
+ * Purpose:
+ * - Lets users who forgot their password set a new one through a link
+ *   sent to their email address
+ *
+ * Flow:
+ * 1. POST /api/auth/forgot-password → requestPasswordReset(email) emails
+ *    a link to the sign-in page with a one-time token
+ * 2. POST /api/auth/reset-password → consumePasswordResetToken(token)
+ *    returns the user whose password may be changed
+ *
+ * Tokens:
+ * - Random (RESET_TOKEN_BYTES), only their SHA-256 hash is stored
+ *   (models/PasswordResetToken.js)
+ * - Work once and expire after RESET_TOKEN_TTL_MINUTES
+ * - A new request replaces the user's unused tokens
+ * - The token travels in the link's #fragment, which browsers never send
+ *   to a server (not even in the Referer header)
+ *
+ * Abuse:
+ * - At most one email per RESEND_INTERVAL_SECONDS per account, on top of
+ *   the per-IP authLimiter on the route
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+import PasswordResetToken from "../models/PasswordResetToken.js";
+import User from "../models/User.js";
+import { getFrontendLink, sendMail } from "./mailService.js";
+import { renderPasswordReset } from "../utils/emailTemplates.js";
+
+// How long an emailed link works
+export const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Minimum time between two emails for the same account
+export const RESEND_INTERVAL_SECONDS = 60;
+
+// Bytes of randomness in a reset token
+const RESET_TOKEN_BYTES = 32;
+
+/**
+ * Hash a reset token for storage and lookup
+ *
+ * @param {string} token - Reset token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a reset token, replacing the user's unused ones
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<string>} Token (only returned here)
+ */
+export async function createPasswordResetToken(userId) {
+  await PasswordResetToken.deleteMany({ userId, usedAt: null });
+
+  const token = crypto.randomBytes(RESET_TOKEN_BYTES).toString("base64url");
+  await PasswordResetToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  });
+  return token;
+}
+
+/**
+ * Email a password reset link
+ *
+ * Does nothing for unknown addresses (the caller answers the same way
+ * either way, so nobody can find out which addresses have accounts).
+ *
+ * @param {string} email - Address entered on the sign-in page
+ * @returns {Promise<boolean>} True if an email was sent
+ * @throws {Error} If the mail transport fails
+ */
+export async function requestPasswordReset(email) {
+  const user = await User.findOne({ email }).select("name email");
+  if (!user) return false;
+
+  const recent = await PasswordResetToken.findOne({
+    userId: user._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) },
+  });
+  if (recent) return false;
+
+  const token = await createPasswordResetToken(user._id);
+  const message = renderPasswordReset({
+    name: user.name,
+    resetUrl: `${getFrontendLink("login/signin_signup.html")}?mode=reset#token=${token}`,
+    expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+  });
+  await sendMail({ to: user.email, ...message });
+  return true;
+}
+
+/**
+ * Use a reset token
+ *
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<string|null>} ID of the user, or null if the token is
+ *          unknown, expired or already used
+ */
+export async function consumePasswordResetToken(token) {
+  const record = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+  return record ? record.userId : null;
+}
@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * PUSH SERVICE (WEB PUSH NOTIFICATIONS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Delivers browser push notifications, shown by the frontend service
+ *   worker (frontend/sw.js) even when no tab is open
+ * - Used for habit reminders next to the in-app inbox
+ *   (services/reminderService.js)
+ *
+ * Configuration (.env):
+ * - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY: key pair identifying this server
+ *   to push services (generate with: npx web-push generate-vapid-keys)
+ * - VAPID_SUBJECT: contact for push services ("mailto:you@example.com"
+ *   or an https URL)
+ * - Push is switched off (nothing is sent) until all three are set
+ *
+ * Delivery:
+ * - Payloads are encrypted for each browser by the web-push package and
+ *   POSTed to the subscription's endpoint with fetch, so any endpoint
+ *   (including a local mock in test-push.js) can receive them
+ * - Subscriptions the push service reports as gone (404/410) are deleted
+ * - Failures are logged and never fail the caller
+ *
+ * Payload (read by frontend/sw.js):
+ * - { title, body, url, tag }
+ * - url: page to open on click, relative to the frontend folder
+ *   (e.g., "habit-detail/habit-detail.html?id=...")
+ * - tag: notifications with the same tag replace each other
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import webpush from "web-push";
+import PushSubscription from "../models/PushSubscription.js";
+
+// Seconds a push service keeps trying an offline device (a reminder is stale after a day)
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Time allowed for a push service to answer
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Get the VAPID configuration
+ *
+ * Read at call time (not import time) because dotenv.config() runs
+ * after route modules are imported.
+ *
+ * @returns {Object|null} { subject, publicKey, privateKey }, or null if
+ *          push notifications are not configured
+ */
+export function getVapidDetails() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  const subject = process.env.VAPID_SUBJECT;
+  if (!publicKey || !privateKey || !subject) return null;
+  return { subject, publicKey, privateKey };
+}
+
+/**
+ * Send one push message to one browser
+ *
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object} payload - { title, body, url, tag }
+ * @param {Object} [vapidDetails=getVapidDetails()] - VAPID configuration
+ * @returns {Promise<Object>} { ok, statusCode, expired }
+ *          (expired: the browser unsubscribed, delete the subscription)
+ * @throws {Error} If push is not configured or the endpoint can't be reached
+ */
+export async function sendPush(
+  subscription,
+  payload,
+  vapidDetails = getVapidDetails()
+) {
+  if (!vapidDetails) {
+    throw new Error("Push notifications are not configured");
+  }
+
+  const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    JSON.stringify(payload),
+    { vapidDetails, TTL: PUSH_TTL_SECONDS }
+  );
+  // fetch sets Content-Length from the body itself
+  delete headers["Content-Length"];
+
+  const response = await fetch(endpoint, {
+    method,
+    headers: Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name, String(value)])
+    ),
+    body,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  return {
+    ok: response.ok,
+    statusCode: response.status,
+    expired: response.status === 404 || response.status === 410,
+  };
+}
+
+/**
+ * Send a push message to every device of a user
+ *
+ * @param {string} userId - ID of the user
+ * @param {Object} payload - { title, body, url, tag }
+ * @returns {Promise<number>} Number of devices it was delivered to
+ *          (0 when push is not configured or on error)
+ */
+export async function sendPushToUser(userId, payload) {
+  const vapidDetails = getVapidDetails();
+  if (!vapidDetails) return 0;
+
+  try {
+    const subscriptions = await PushSubscription.find({ userId }).lean();
+    const results = await Promise.allSettled(
+      subscriptions.map((subscription) =>
+        sendPush(subscription, payload, vapidDetails)
+      )
+    );
+
+    const delivered = [];
+    const expired = [];
+    results.forEach((result, index) => {
+      const { _id } = subscriptions[index];
+      if (result.status === "rejected") {
+        console.error("Push delivery error:", result.reason);
+      } else if (result.value.ok) {
+        delivered.push(_id);
+      } else if (result.value.expired) {
+        expired.push(_id);
+      } else {
+        console.error(`Push delivery failed with status ${result.value.statusCode}`);
+      }
+    });
+
+    await Promise.all([
+      expired.length > 0 &&
+        PushSubscription.deleteMany({ _id: { $in: expired } }),
+      delivered.length > 0 &&
+        PushSubscription.updateMany(
+          { _id: { $in: delivered } },
+          { $set: { lastUsedAt: new Date() } }
+        ),
+    ]);
+    return delivered.length;
+  } catch (error) {
+    console.error("Push send error:", error);
+    return 0;
+  }
+}
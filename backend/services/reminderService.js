@@ -0,0 +1,271 @@
+/**
+ * ============================================================================
+ * REMINDER SERVICE (HABIT REMINDERS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Turns each habit's reminder time into in-app notifications
+ * - A scheduler started by server.js checks every minute which reminders
+ *   are due and stores them as notifications (models/Notification.js)
+ *
+ * When A Reminder Is Sent:
+ * - The habit has a reminderTime and is not archived
+ * - It is reminderTime or up to REMINDER_WINDOW_MINUTES later on the
+ *   user's wall clock (a short outage delays reminders instead of
+ *   dropping them; reminders much later than planned are skipped)
+ * - Today is one of the habit's reminderDays (empty = any day)
+ * - The habit is still due today and not done yet: skipped, paused or
+ *   already completed habits, and weekly/interval habits whose quota is
+ *   already met, are left alone (scheduleService.isHabitDueToday)
+ *
+ * Duplicates:
+ * - Notifications are upserted on (userId, type, habitId, day), so a
+ *   habit gets at most one reminder per day however often this runs
+ *
+ * Push:
+ * - Each new reminder is also sent as a browser push notification to
+ *   the user's subscribed devices (services/pushService.js)
+ *
+ * Used By:
+ * - server.js (startReminderScheduler once MongoDB is connected)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import Checkin from "../models/Checkin.js";
+import Habit from "../models/Habit.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { sendPushToUser } from "./pushService.js";
+import { getPeriod, isHabitDueToday } from "./scheduleService.js";
+import {
+  DAY_NAMES,
+  DEFAULT_TIME_ZONE,
+  getLocalTime,
+  isValidTimeZone,
+  startOfDay,
+  toDateKey,
+} from "../utils/dateUtils.js";
+
+// How often the scheduler looks for reminders to send
+const REMINDER_CHECK_MS = 60 * 1000;
+
+// Minutes after its time a reminder may still be sent
+export const REMINDER_WINDOW_MINUTES = 60;
+
+// Reminder text (stored in the inbox and sent as a push notification)
+const REMINDER_MESSAGE = "Still to do today - check it off once it's done";
+
+/**
+ * Convert an "HH:MM" time to minutes since midnight
+ *
+ * @param {string} time - 24-hour "HH:MM"
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a reminder time has come (and not long passed)
+ *
+ * @param {string} reminderTime - Habit's reminder time ("HH:MM")
+ * @param {string} localTime - User's wall-clock time now ("HH:MM")
+ * @returns {boolean} True inside the reminder window
+ *
+ * Example:
+ * - "07:30" at "07:30" or "08:15" → true; at "07:29" or "08:30" → false
+ */
+export function isReminderTime(reminderTime, localTime) {
+  const late = toMinutes(localTime) - toMinutes(reminderTime);
+  return late >= 0 && late < REMINDER_WINDOW_MINUTES;
+}
+
+/**
+ * Check whether a habit's reminder is sent on a given weekday
+ *
+ * Day names are matched like customDays (first three letters, any case)
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @returns {boolean} True if the reminder applies that day
+ */
+export function isReminderDay(habit, day) {
+  const days = habit.reminderDays || [];
+  if (days.length === 0) return true;
+  return days.some(
+    (name) =>
+      typeof name === "string" &&
+      DAY_NAMES.indexOf(name.trim().toLowerCase().substring(0, 3)) ===
+        day.getUTCDay()
+  );
+}
+
+/**
+ * Pick the habits whose reminder should be sent now
+ *
+ * @param {Array<Object>} habits - One user's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Date} now - Current instant
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Array<Object>} Habits to remind the user about
+ */
+export function findDueReminders(habits, keysByHabit, now, timeZone) {
+  const today = startOfDay(now, timeZone);
+  const todayKey = toDateKey(today);
+  const localTime = getLocalTime(now, timeZone);
+
+  return habits.filter((habit) => {
+    if (!habit.reminderTime || habit.archived) return false;
+    if (!isReminderTime(habit.reminderTime, localTime)) return false;
+    if (!isReminderDay(habit, today)) return false;
+
+    const keys = keysByHabit.get(habit._id.toString());
+    const completed = keys?.completed || new Set();
+    if (completed.has(todayKey)) return false;
+    return isHabitDueToday(
+      habit,
+      today,
+      completed,
+      timeZone,
+      keys?.skipped || new Set()
+    );
+  });
+}
+
+/**
+ * Create the reminder notifications that are due right now
+ *
+ * @param {Date} [now=new Date()] - Current instant
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function sendReminders(now = new Date()) {
+  const habits = await Habit.find({
+    reminderTime: { $ne: null },
+    // Habits from before archiving have no archived field
+    archived: { $ne: true },
+  }).lean();
+  if (habits.length === 0) return 0;
+
+  const userIds = [...new Set(habits.map((habit) => habit.userId.toString()))];
+  const users = await User.find({ _id: { $in: userIds } })
+    .select("timezone")
+    .lean();
+  const timeZoneByUser = new Map(
+    users.map((user) => [
+      user._id.toString(),
+      isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIME_ZONE,
+    ])
+  );
+
+  // Cheap time/day checks first so only candidates need their check-ins
+  const candidates = habits.filter((habit) => {
+    const timeZone = timeZoneByUser.get(habit.userId.toString());
+    if (!timeZone) return false; // Orphaned habit
+    return (
+      isReminderTime(habit.reminderTime, getLocalTime(now, timeZone)) &&
+      isReminderDay(habit, startOfDay(now, timeZone))
+    );
+  });
+  if (candidates.length === 0) return 0;
+
+  // Check-ins of the current period (day, week or interval window)
+  let from = null;
+  for (const habit of candidates) {
+    const timeZone = timeZoneByUser.get(habit.userId.toString());
+    const { start } = getPeriod(habit, startOfDay(now, timeZone), timeZone);
+    if (!from || start < from) from = start;
+  }
+  const checkins = await Checkin.find(
+    { habitId: { $in: candidates.map((habit) => habit._id) }, date: { $gte: from } },
+    { habitId: 1, date: 1, completed: 1, status: 1 }
+  ).lean();
+
+  const keysByHabit = new Map();
+  for (const checkin of checkins) {
+    const habitKey = checkin.habitId.toString();
+    if (!keysByHabit.has(habitKey)) {
+      keysByHabit.set(habitKey, { completed: new Set(), skipped: new Set() });
+    }
+    const keys = keysByHabit.get(habitKey);
+    if (checkin.status === "skipped" || checkin.status === "frozen") {
+      keys.skipped.add(toDateKey(checkin.date));
+    } else if (checkin.completed !== false) {
+      keys.completed.add(toDateKey(checkin.date));
+    }
+  }
+
+  const reminded = [];
+  const operations = [];
+  for (const habit of candidates) {
+    const timeZone = timeZoneByUser.get(habit.userId.toString());
+    if (findDueReminders([habit], keysByHabit, now, timeZone).length === 0) {
+      continue;
+    }
+    reminded.push(habit);
+    operations.push({
+      updateOne: {
+        filter: {
+          userId: habit.userId,
+          type: "reminder",
+          habitId: habit._id,
+          day: startOfDay(now, timeZone),
+        },
+        update: {
+          $setOnInsert: {
+            title: `Time for ${habit.name}`,
+            message: REMINDER_MESSAGE,
+            createdAt: now,
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (operations.length === 0) return 0;
+
+  const result = await Notification.bulkWrite(operations, { ordered: false });
+
+  // Push only the reminders that were just created (not earlier duplicates)
+  const created = Object.keys(result.upsertedIds).map(
+    (index) => reminded[Number(index)]
+  );
+  await Promise.all(
+    created.map((habit) =>
+      sendPushToUser(habit.userId, {
+        title: `Time for ${habit.name}`,
+        body: REMINDER_MESSAGE,
+        url: `habit-detail/habit-detail.html?id=${habit._id}`,
+        tag: `reminder-${habit._id}`,
+      })
+    )
+  );
+  return created.length;
+}
+
+/**
+ * Start checking for due reminders every minute
+ *
+ * A run is skipped while the previous one is still going. Errors are
+ * logged and the next run tries again.
+ *
+ * @returns {NodeJS.Timeout} Interval handle (for clearInterval)
+ */
+export function startReminderScheduler() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await sendReminders();
+      if (sent > 0) console.log(`🔔 Sent ${sent} habit reminder(s)`);
+    } catch (error) {
+      console.error("❌ Reminder scheduler error:", error);
+    } finally {
+      running = false;
+    }
+  }, REMINDER_CHECK_MS);
+}
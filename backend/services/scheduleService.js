@@ -0,0 +1,414 @@
+/**
+ * ============================================================================
+ * SCHEDULE SERVICE (HABIT DUE-DATE ENGINE)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single source of truth for "is this habit due on day X?"
+ * - Translates a habit's frequency settings into concrete due days
+ * - Scores streaks against due days only, so non-daily habits are
+ *   not penalized for days they were never scheduled
+ *
+ * Frequency Rules:
+ * - "daily":    Every day of the week
+ * - "weekdays": Monday through Friday
+ * - "weekends": Saturday and Sunday
+ * - "custom":   Days listed in habit.customDays (e.g., ["mon", "wed"])
+ * - "weekly":   habit.timesPerWeek times per week (Mon-Sun), any days
+ * - "interval": Once every habit.intervalDays days, counted from creation
+ *
+ * Periods:
+ * - Completion is evaluated per period, not per calendar day
+ * - Fixed frequencies (daily/weekdays/weekends/custom): each due day is a
+ *   period that needs 1 completion
+ * - "weekly": each Monday-Sunday week needs timesPerWeek completions
+ * - "interval": each intervalDays-long window needs 1 completion (on any
+ *   day of the window)
+ * - Streaks count consecutive successful periods (days, weeks or intervals)
+ *
+ * Due Days (buildSchedule / isHabitDue):
+ * - Fixed frequencies are due on their scheduled weekdays
+ * - "interval" habits are due on the first day of each window
+ * - "weekly" habits are never due on a specific day (any day works), so
+ *   they never break day-based streaks
+ *
+ * Additional Rules:
+ * - A habit is never due before the day it was created
+ *   (in the user's time zone, see dateUtils.startOfDay)
+ * - A habit is never due on paused days or from the day it was archived,
+ *   and weeks/intervals touching those days can't break a streak
+ * - Skipped (excused) check-ins work like a one-day pause: the day
+ *   neither breaks the streak nor counts as a completion
+ * - Unknown frequencies fall back to "daily"
+ *
+ * Backfill Window:
+ * - Check-ins may be edited for today and the previous N days
+ * - Configured with CHECKIN_BACKFILL_DAYS in .env (default: 7)
+ * - Future days can never be checked in
+ *
+ * Used By:
+ * - checkinRoutes.js (POST /toggle, GET /:habitId/streak)
+ * - habitRoutes.js (GET /, GET /schedule)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import {
+  DAY_NAMES,
+  ONE_DAY_MS,
+  addDays,
+  startOfDay,
+  toDateKey,
+} from "../utils/dateUtils.js";
+
+// Default number of past days (before today) whose check-ins can be edited
+const DEFAULT_BACKFILL_DAYS = 7;
+
+// Frequencies evaluated per week / per N-day window instead of per day
+export const FLEXIBLE_FREQUENCIES = ["weekly", "interval"];
+
+// Weekday indexes (0 = Sunday) scheduled by each fixed frequency
+const FREQUENCY_WEEKDAYS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+
+/**
+ * Resolve the weekday indexes a habit is scheduled on
+ *
+ * Custom day names are matched case-insensitively on their first three
+ * letters, so "Mon", "mon" and "Monday" are all accepted.
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @returns {Set<number>} Weekday indexes (0 = Sunday ... 6 = Saturday)
+ */
+export function getScheduledWeekdays(habit) {
+  // Flexible habits have no fixed weekdays
+  if (FLEXIBLE_FREQUENCIES.includes(habit.frequency)) return new Set();
+
+  if (habit.frequency === "custom") {
+    const weekdays = new Set();
+    (habit.customDays || []).forEach((name) => {
+      if (typeof name !== "string") return;
+      const index = DAY_NAMES.indexOf(name.trim().toLowerCase().substring(0, 3));
+      if (index !== -1) weekdays.add(index);
+    });
+    return weekdays;
+  }
+
+  return new Set(FREQUENCY_WEEKDAYS[habit.frequency] || FREQUENCY_WEEKDAYS.daily);
+}
+
+/**
+ * Get the first day a habit can be due (the day it was created)
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Date|null} Normalized creation day, or null if unknown
+ */
+export function getHabitStartDay(habit, timeZone) {
+  return habit.createdAt
+    ? startOfDay(new Date(habit.createdAt), timeZone)
+    : null;
+}
+
+/**
+ * Find the pause covering a given day
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @returns {Object|null} The pause ({ from, to }), or null if not paused
+ */
+export function getPauseOn(habit, day) {
+  return (
+    (habit.pauses || []).find(
+      (pause) => new Date(pause.from) <= day && day <= new Date(pause.to)
+    ) || null
+  );
+}
+
+/**
+ * Check whether a habit is switched off (paused or archived) on a day
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {boolean} True if the habit can't be due that day
+ */
+export function isHabitInactive(habit, day, timeZone) {
+  if (habit.archived && habit.archivedAt) {
+    if (day >= startOfDay(new Date(habit.archivedAt), timeZone)) return true;
+  }
+  return getPauseOn(habit, day) !== null;
+}
+
+/**
+ * Check whether a habit is due on a given day
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {boolean} True if the habit is scheduled on that day
+ */
+export function isHabitDue(habit, day, timeZone) {
+  const startDay = getHabitStartDay(habit, timeZone);
+  if (startDay && day < startDay) return false;
+  if (isHabitInactive(habit, day, timeZone)) return false;
+
+  if (habit.frequency === "interval") {
+    // Due on the first day of each window
+    return getPeriod(habit, day, timeZone).start.getTime() === day.getTime();
+  }
+
+  return getScheduledWeekdays(habit).has(day.getUTCDay());
+}
+
+/**
+ * Get the Monday that starts the week containing a day
+ *
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @returns {Date} Normalized Monday of that week
+ */
+export function getWeekStart(day) {
+  const weekday = day.getUTCDay(); // 0 = Sunday
+  return addDays(day, weekday === 0 ? -6 : 1 - weekday);
+}
+
+/**
+ * Get the period a day belongs to and how many completions it needs
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {{ start: Date, end: Date, quota: number }} Inclusive period bounds
+ *
+ * Examples:
+ * - daily habit, Wed → { start: Wed, end: Wed, quota: 1 }
+ * - weekly habit (3x), Wed → { start: Mon, end: Sun, quota: 3 }
+ * - interval habit (every 3 days, created Mon), Wed → { start: Mon, end: Wed, quota: 1 }
+ */
+export function getPeriod(habit, day, timeZone) {
+  if (habit.frequency === "weekly") {
+    const start = getWeekStart(day);
+    return {
+      start,
+      end: addDays(start, 6),
+      quota: Math.min(Math.max(habit.timesPerWeek || 1, 1), 7),
+    };
+  }
+
+  if (habit.frequency === "interval") {
+    const length = Math.max(habit.intervalDays || 1, 1);
+    const anchor = getHabitStartDay(habit, timeZone) || day;
+    const offset = Math.floor((day - anchor) / ONE_DAY_MS);
+    const start = addDays(anchor, Math.floor(offset / length) * length);
+    return { start, end: addDays(start, length - 1), quota: 1 };
+  }
+
+  return { start: day, end: day, quota: 1 };
+}
+
+/**
+ * Get the unit a habit's streak is counted in
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @returns {string} "day", "week" or "interval"
+ */
+export function getStreakUnit(habit) {
+  if (habit.frequency === "weekly") return "week";
+  if (habit.frequency === "interval") return "interval";
+  return "day";
+}
+
+/**
+ * Count completed days inside a period
+ *
+ * @param {Set<string>} completedKeys - Day keys with a completed check-in
+ * @param {{ start: Date, end: Date }} period - Inclusive period bounds
+ * @returns {number} Completions in the period
+ */
+function countCompletions(completedKeys, { start, end }) {
+  let count = 0;
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (completedKeys.has(toDateKey(day))) count++;
+  }
+  return count;
+}
+
+/**
+ * Check whether any day of a period is paused, archived or skipped
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {{ start: Date, end: Date }} period - Inclusive period bounds
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Set<string>} [skippedKeys] - Day keys with a skipped check-in
+ * @returns {boolean} True if the period was (partly) switched off
+ */
+function isPeriodInactive(habit, { start, end }, timeZone, skippedKeys) {
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (isHabitInactive(habit, day, timeZone)) return true;
+    if (skippedKeys?.has(toDateKey(day))) return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether a habit still needs doing today
+ *
+ * Used for the dueToday flag on GET /api/habits:
+ * - Fixed frequencies → due on their scheduled weekdays
+ * - Flexible frequencies → due while the current period's quota isn't met
+ *   (and still listed as due on the day it was completed)
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Date} today - Normalized current day
+ * @param {Set<string>} completedKeys - Day keys with a completed check-in
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Set<string>} [skippedKeys] - Day keys with a skipped check-in
+ * @returns {boolean} True if the habit should be done today
+ */
+export function isHabitDueToday(
+  habit,
+  today,
+  completedKeys,
+  timeZone,
+  skippedKeys = new Set()
+) {
+  // Skipping today excuses the habit for the day
+  if (skippedKeys.has(toDateKey(today))) return false;
+
+  if (!FLEXIBLE_FREQUENCIES.includes(habit.frequency)) {
+    return isHabitDue(habit, today, timeZone);
+  }
+
+  const startDay = getHabitStartDay(habit, timeZone);
+  if (startDay && today < startDay) return false;
+  if (isHabitInactive(habit, today, timeZone)) return false;
+  if (completedKeys.has(toDateKey(today))) return true;
+
+  const period = getPeriod(habit, today, timeZone);
+  return countCompletions(completedKeys, period) < period.quota;
+}
+
+/**
+ * Get the configured check-in backfill window
+ *
+ * Read at call time (not import time) because dotenv.config() runs
+ * after route modules are imported.
+ *
+ * @returns {number} Number of past days that can still be edited
+ */
+export function getBackfillDays() {
+  const days = Number.parseInt(process.env.CHECKIN_BACKFILL_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_BACKFILL_DAYS;
+}
+
+/**
+ * Get the earliest day whose check-ins can still be edited
+ *
+ * @param {Date} [today=startOfDay()] - Normalized current day
+ * @returns {Date} Normalized first editable day
+ */
+export function getEditableFrom(today = startOfDay()) {
+  return addDays(today, -getBackfillDays());
+}
+
+/**
+ * Build a day-by-day schedule for a set of habits
+ *
+ * @param {Array} habits - Habit documents or plain objects
+ * @param {Date} from - First normalized day (inclusive)
+ * @param {Date} to - Last normalized day (inclusive)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} Map of day key → array of due habit IDs
+ *
+ * Example:
+ * {
+ *   "2025-01-17": ["6523...a1", "6523...b2"],  // Friday
+ *   "2025-01-18": ["6523...b2"]                // Saturday
+ * }
+ */
+export function buildSchedule(habits, from, to, timeZone) {
+  const days = {};
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days[toDateKey(day)] = habits
+      .filter((habit) => isHabitDue(habit, day, timeZone))
+      .map((habit) => String(habit._id));
+  }
+  return days;
+}
+
+/**
+ * Calculate current and longest streak for a habit
+ *
+ * Streaks are counted in periods (see getPeriod):
+ * - Period with enough completions → streak continues
+ * - Finished period without enough completions → streak resets
+ * - Days the habit is not due → ignored (neither extend nor break)
+ * - The current period (including today) extends the streak once its
+ *   quota is met, but never breaks it (the user still has time)
+ * - The period the habit was created in never breaks it either
+ *   (e.g., a 3x/week habit created on a Saturday)
+ * - Paused/archived/skipped days are not due, and a week/interval touching
+ *   them never breaks the streak
+ *
+ * @param {Object} habit - Habit document or plain object
+ * @param {Set<string>} completedKeys - Day keys with a completed check-in
+ * @param {Date} [today=startOfDay()] - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Set<string>} [skippedKeys] - Day keys with a skipped check-in
+ * @returns {{ current: number, longest: number, unit: string }} Streak counts
+ *   in the habit's unit ("day", "week" or "interval")
+ *
+ * Examples:
+ * - Weekdays habit, checked in Mon-Fri, today is Sunday → current 5 (days)
+ * - 3x/week habit, 3+ check-ins in each of the last 4 weeks → current 4 (weeks)
+ */
+export function calculateStreaks(
+  habit,
+  completedKeys,
+  today = startOfDay(),
+  timeZone,
+  skippedKeys = new Set()
+) {
+  const unit = getStreakUnit(habit);
+
+  let startDay = getHabitStartDay(habit, timeZone);
+  if (!startDay) {
+    if (completedKeys.size === 0) return { current: 0, longest: 0, unit };
+    const earliestKey = [...completedKeys].sort()[0];
+    startDay = new Date(`${earliestKey}T00:00:00.000Z`);
+  }
+
+  let current = 0;
+  let longest = 0;
+
+  const firstPeriod = getPeriod(habit, startDay, timeZone);
+  let period = firstPeriod;
+  while (period.start <= today) {
+    // Fixed frequencies: skip days the habit is not due (or was skipped)
+    const isScored =
+      FLEXIBLE_FREQUENCIES.includes(habit.frequency) ||
+      (isHabitDue(habit, period.start, timeZone) &&
+        !skippedKeys.has(toDateKey(period.start)));
+
+    if (isScored) {
+      const isOpen =
+        period.end >= today ||
+        period === firstPeriod ||
+        isPeriodInactive(habit, period, timeZone, skippedKeys);
+      if (countCompletions(completedKeys, period) >= period.quota) {
+        current++;
+        if (current > longest) longest = current;
+      } else if (!isOpen) {
+        current = 0;
+      }
+    }
+
+    period = getPeriod(habit, addDays(period.end, 1), timeZone);
+  }
+
+  return { current, longest, unit };
+}
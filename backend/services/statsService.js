@@ -0,0 +1,675 @@
+/**
+ * ============================================================================
+ * STATS SERVICE (SUCCESS RATES AND ANALYTICS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single place where success rate, period-over-period comparison and
+ *   best day are calculated, so every page shows the same numbers
+ * - Completions are grouped per habit by a MongoDB aggregation; only
+ *   the compact day lists reach Node, never full check-in documents
+ *
+ * Periods (in the user's time zone):
+ * - "week":  Monday-Sunday of the current week (compared with last week)
+ * - "month": Current calendar month (compared with last month)
+ * - "year":  Current calendar year (compared with last year)
+ * - "all":   From the first habit's creation day (no comparison)
+ * - "7d", "30d", "90d", "365d": The last N days up to today (compared
+ *   with the N days before) - used by the habit detail page
+ * - Days after today are never counted
+ *
+ * Success Rate (completed / possible):
+ * - Fixed frequencies: each due day is possible, done if checked in
+ * - "interval": each window start is possible, done if any day of the
+ *   window was checked in
+ * - "weekly": each week (Monday inside the period) is worth timesPerWeek,
+ *   capped completions count; weeks touching a pause, archive or skip
+ *   only count if the quota was met anyway
+ * - Skipped (excused) and frozen (streak freeze) days are not possible;
+ *   paused/archived days are never due (see scheduleService.js)
+ *
+ * Best Day:
+ * - Weekday with the highest success rate in the period (day-based
+ *   habits only), null if nothing was completed
+ * - Each habit also gets its own weekday breakdown (byWeekday); weekly
+ *   habits have no due days, so only their completions are counted
+ *
+ * Heatmap:
+ * - Per day of a calendar year: due habits and how many were completed
+ *   (same rules as the success rate, scored one day at a time)
+ * - Weekly habits have no due days, so a completion counts as one due,
+ *   done occurrence on that day
+ *
+ * Series:
+ * - A date range split into day, week (Monday-Sunday) or calendar month
+ *   buckets, each scored like the success rate, overall and per habit
+ * - Also reports raw completions, so charts can switch between counts
+ *   and completion rate
+ *
+ * Used By:
+ * - statsRoutes.js (GET /api/stats, GET /api/stats/heatmap,
+ *   GET /api/stats/series)
+ * - emailDigestService.js (weekly progress email)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import mongoose from "mongoose";
+import Habit, { MAX_INTERVAL_DAYS } from "../models/Habit.js";
+import Checkin from "../models/Checkin.js";
+import {
+  getHabitStartDay,
+  getPeriod,
+  getWeekStart,
+  isHabitDue,
+  isHabitInactive,
+} from "./scheduleService.js";
+import { getFreezeBalance, getFreshStreaks } from "./streakService.js";
+import { addDays, startOfDay, toDateKey } from "../utils/dateUtils.js";
+
+// Rolling periods and their length in days
+const ROLLING_PERIODS = { "7d": 7, "30d": 30, "90d": 90, "365d": 365 };
+
+export const STATS_PERIODS = ["week", "month", "year", "all", ...Object.keys(ROLLING_PERIODS)];
+
+// Series bucket sizes and range limits (day buckets stay chart-readable)
+export const SERIES_BUCKETS = ["day", "week", "month"];
+export const MAX_SERIES_DAYS = 1096;
+export const MAX_DAY_BUCKET_DAYS = 366;
+
+// Weekday names indexed Monday-first (matches the frontend charts)
+const WEEKDAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+/**
+ * Get the date range of a stats period and the one before it
+ *
+ * @param {string} period - One of STATS_PERIODS
+ * @param {Date} today - Normalized current day
+ * @param {Array<Object>} habits - User's habits (for the "all" start day)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} { from, to, previous: { from, to } | null }
+ *          (inclusive normalized days; to may be after today)
+ *
+ * Example (today Wed 2025-01-15):
+ * - "week"  → Mon Jan 13 - Sun Jan 19, previous Jan 6 - Jan 12
+ * - "month" → Jan 1 - Jan 31, previous Dec 1 - Dec 31
+ * - "7d"    → Jan 9 - Jan 15, previous Jan 2 - Jan 8
+ */
+export function getStatsRange(period, today, habits = [], timeZone) {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+
+  if (period === "month") {
+    return {
+      from: new Date(Date.UTC(year, month, 1)),
+      to: new Date(Date.UTC(year, month + 1, 0)),
+      previous: {
+        from: new Date(Date.UTC(year, month - 1, 1)),
+        to: new Date(Date.UTC(year, month, 0)),
+      },
+    };
+  }
+
+  if (period === "year") {
+    return {
+      from: new Date(Date.UTC(year, 0, 1)),
+      to: new Date(Date.UTC(year, 11, 31)),
+      previous: {
+        from: new Date(Date.UTC(year - 1, 0, 1)),
+        to: new Date(Date.UTC(year - 1, 11, 31)),
+      },
+    };
+  }
+
+  if (ROLLING_PERIODS[period]) {
+    const days = ROLLING_PERIODS[period];
+    return {
+      from: addDays(today, 1 - days),
+      to: today,
+      previous: { from: addDays(today, 1 - 2 * days), to: addDays(today, -days) },
+    };
+  }
+
+  if (period === "all") {
+    const startDays = habits
+      .map((habit) => getHabitStartDay(habit, timeZone))
+      .filter(Boolean);
+    const from = startDays.length
+      ? new Date(Math.min(...startDays.map((day) => day.getTime())))
+      : today;
+    return { from: from < today ? from : today, to: today, previous: null };
+  }
+
+  // Default: this week (Monday-Sunday)
+  const weekStart = getWeekStart(today);
+  return {
+    from: weekStart,
+    to: addDays(weekStart, 6),
+    previous: { from: addDays(weekStart, -7), to: addDays(weekStart, -1) },
+  };
+}
+
+/**
+ * Score one habit over a date range
+ *
+ * @param {Object} habit - Habit (plain object)
+ * @param {Set<string>} completedKeys - Day keys with a completed check-in
+ * @param {Set<string>} skippedKeys - Day keys the habit was skipped
+ * @param {Date} from - First day of the range
+ * @param {Date} to - Last day of the range (already clamped to today)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} { possible, completed, byWeekday: [{ possible, completed }] }
+ *          byWeekday is Monday-first; weekly habits only fill its completed
+ *          counts (they have no due days)
+ */
+export function scoreHabit(habit, completedKeys, skippedKeys, from, to, timeZone) {
+  const byWeekday = WEEKDAY_NAMES.map(() => ({ possible: 0, completed: 0 }));
+  let possible = 0;
+  let completed = 0;
+
+  if (habit.frequency === "weekly") {
+    const startDay = getHabitStartDay(habit, timeZone);
+    let weekStart = getWeekStart(from);
+    if (weekStart < from) weekStart = addDays(weekStart, 7);
+
+    for (; weekStart <= to; weekStart = addDays(weekStart, 7)) {
+      const weekEnd = addDays(weekStart, 6);
+      if (startDay && weekEnd < startDay) continue;
+
+      const { quota } = getPeriod(habit, weekStart, timeZone);
+      let done = 0;
+      let isExcused = false;
+      for (let day = weekStart; day <= weekEnd; day = addDays(day, 1)) {
+        const dateKey = toDateKey(day);
+        if (completedKeys.has(dateKey)) {
+          done++;
+          byWeekday[(day.getUTCDay() + 6) % 7].completed++;
+        }
+        if (skippedKeys.has(dateKey) || isHabitInactive(habit, day, timeZone)) {
+          isExcused = true;
+        }
+      }
+      done = Math.min(done, quota);
+
+      // Paused/archived/skipped weeks only count if the quota was met anyway
+      if (done === quota || !isExcused) {
+        possible += quota;
+        completed += done;
+      }
+    }
+    return { possible, completed, byWeekday };
+  }
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const dateKey = toDateKey(day);
+    if (!isHabitDue(habit, day, timeZone) || skippedKeys.has(dateKey)) continue;
+
+    let isDone = completedKeys.has(dateKey);
+    if (!isDone && habit.frequency === "interval") {
+      // A completion on any day of the window counts
+      const window = getPeriod(habit, day, timeZone);
+      for (let d = window.start; d <= window.end && !isDone; d = addDays(d, 1)) {
+        isDone = completedKeys.has(toDateKey(d));
+      }
+    }
+
+    const weekday = (day.getUTCDay() + 6) % 7; // Monday = 0
+    possible++;
+    byWeekday[weekday].possible++;
+    if (isDone) {
+      completed++;
+      byWeekday[weekday].completed++;
+    }
+  }
+  return { possible, completed, byWeekday };
+}
+
+/**
+ * Turn completed/possible counts into a whole percentage
+ *
+ * @param {number} completed - Completed count
+ * @param {number} possible - Possible count
+ * @returns {number} 0-100 (0 when nothing was possible)
+ */
+function toRate(completed, possible) {
+  return possible > 0 ? Math.round((completed / possible) * 100) : 0;
+}
+
+/**
+ * Score one habit over a bucket of days
+ *
+ * Weekly quotas can't be split into single days, so a weekly habit's
+ * single-day bucket counts a completion as one due, done occurrence.
+ *
+ * @param {Object} habit - Habit (plain object)
+ * @param {Object} keys - { completed: Set, skipped: Set } day keys
+ * @param {Date} from - First day of the bucket
+ * @param {Date} to - Last day of the bucket (already clamped to today)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} { possible, completed }
+ */
+function scoreBucket(habit, keys, from, to, timeZone) {
+  if (habit.frequency === "weekly" && from.getTime() === to.getTime()) {
+    const done = keys.completed.has(toDateKey(from)) ? 1 : 0;
+    return { possible: done, completed: done };
+  }
+  const { possible, completed } = scoreHabit(
+    habit,
+    keys.completed,
+    keys.skipped,
+    from,
+    to,
+    timeZone
+  );
+  return { possible, completed };
+}
+
+/**
+ * Pick the weekday with the highest success rate
+ *
+ * @param {Array<Object>} byWeekday - Monday-first { possible, completed }
+ * @returns {string|null} Weekday name, or null if nothing was completed
+ */
+function getBestDay(byWeekday) {
+  let bestIndex = -1;
+  let bestRate = 0;
+  byWeekday.forEach(({ possible, completed }, index) => {
+    const rate = possible > 0 ? completed / possible : 0;
+    if (rate > bestRate) {
+      bestRate = rate;
+      bestIndex = index;
+    }
+  });
+  return bestIndex === -1 ? null : WEEKDAY_NAMES[bestIndex];
+}
+
+/**
+ * Calculate stats for a set of habits and their check-in days
+ *
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Object} range - Result of getStatsRange()
+ * @param {Date} today - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} { overall, habits } (see GET /api/stats)
+ */
+export function calculateStats(habits, keysByHabit, range, today, timeZone) {
+  const clamp = (day) => (day > today ? today : day);
+  const empty = { completed: new Set(), skipped: new Set() };
+
+  const overall = {
+    possible: 0,
+    completed: 0,
+    previousPossible: 0,
+    previousCompleted: 0,
+    completions: 0,
+    byWeekday: WEEKDAY_NAMES.map(() => ({ possible: 0, completed: 0 })),
+  };
+
+  const habitStats = habits.map((habit) => {
+    const keys = keysByHabit.get(habit._id.toString()) || empty;
+    const current = scoreHabit(
+      habit,
+      keys.completed,
+      keys.skipped,
+      range.from,
+      clamp(range.to),
+      timeZone
+    );
+    const previous = range.previous
+      ? scoreHabit(
+          habit,
+          keys.completed,
+          keys.skipped,
+          range.previous.from,
+          clamp(range.previous.to),
+          timeZone
+        )
+      : null;
+
+    // Completed check-ins inside the period (any frequency)
+    const fromKey = toDateKey(range.from);
+    const toKey = toDateKey(clamp(range.to));
+    for (const dateKey of keys.completed) {
+      if (dateKey >= fromKey && dateKey <= toKey) overall.completions++;
+    }
+
+    overall.possible += current.possible;
+    overall.completed += current.completed;
+    // Weekly completions have no due days, so they would skew the rates
+    if (habit.frequency !== "weekly") {
+      current.byWeekday.forEach((counts, index) => {
+        overall.byWeekday[index].possible += counts.possible;
+        overall.byWeekday[index].completed += counts.completed;
+      });
+    }
+    if (previous) {
+      overall.previousPossible += previous.possible;
+      overall.previousCompleted += previous.completed;
+    }
+
+    const successRate = toRate(current.completed, current.possible);
+    const previousSuccessRate = previous
+      ? toRate(previous.completed, previous.possible)
+      : null;
+    return {
+      habitId: habit._id.toString(),
+      name: habit.name,
+      possible: current.possible,
+      completed: current.completed,
+      successRate,
+      previousSuccessRate,
+      comparison: previous ? successRate - previousSuccessRate : null,
+      bestDay: getBestDay(current.byWeekday),
+      byWeekday: current.byWeekday.map(({ possible, completed }, index) => ({
+        day: WEEKDAY_NAMES[index],
+        possible,
+        completed,
+        successRate: possible > 0 ? toRate(completed, possible) : null,
+      })),
+    };
+  });
+
+  const successRate = toRate(overall.completed, overall.possible);
+  const previousSuccessRate = range.previous
+    ? toRate(overall.previousCompleted, overall.previousPossible)
+    : null;
+
+  return {
+    overall: {
+      possible: overall.possible,
+      completed: overall.completed,
+      successRate,
+      previousSuccessRate,
+      comparison: range.previous ? successRate - previousSuccessRate : null,
+      bestDay: getBestDay(overall.byWeekday),
+      completions: overall.completions,
+    },
+    habits: habitStats,
+  };
+}
+
+/**
+ * Calculate due and completed habits for each day of a range
+ *
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (already clamped to today)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} { "YYYY-MM-DD": { due, completed, habits: [name] } }
+ *          Only days with something due or completed are included;
+ *          habits lists every habit completed that day
+ *
+ * Example (daily "Read" done, weekdays "Walk" not done, on a Monday):
+ * - { "2025-01-13": { due: 2, completed: 1, habits: ["Read"] } }
+ */
+export function calculateHeatmap(habits, keysByHabit, from, to, timeZone) {
+  const empty = { completed: new Set(), skipped: new Set() };
+  const days = {};
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const dateKey = toDateKey(day);
+    const entry = { due: 0, completed: 0, habits: [] };
+
+    for (const habit of habits) {
+      const keys = keysByHabit.get(habit._id.toString()) || empty;
+      if (keys.completed.has(dateKey)) entry.habits.push(habit.name);
+
+      const score = scoreBucket(habit, keys, day, day, timeZone);
+      entry.due += score.possible;
+      entry.completed += score.completed;
+    }
+
+    if (entry.due > 0 || entry.habits.length > 0) days[dateKey] = entry;
+  }
+  return days;
+}
+
+/**
+ * Split a date range into day, week or month buckets
+ *
+ * @param {Date} from - First day of the range
+ * @param {Date} to - Last day of the range
+ * @param {string} bucket - One of SERIES_BUCKETS
+ * @returns {Array<Object>} [{ from, to }] (first/last bucket clipped to the range)
+ *
+ * Example (Wed Jan 15 - Sun Jan 26, "week"):
+ * - [{ Jan 15 - Jan 19 }, { Jan 20 - Jan 26 }]
+ */
+export function getBuckets(from, to, bucket) {
+  const buckets = [];
+  for (let start = from; start <= to; ) {
+    let end = start;
+    if (bucket === "week") {
+      end = addDays(getWeekStart(start), 6);
+    } else if (bucket === "month") {
+      end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+    }
+    if (end > to) end = to;
+    buckets.push({ from: start, to: end });
+    start = addDays(end, 1);
+  }
+  return buckets;
+}
+
+/**
+ * Score every bucket, overall and per habit
+ *
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed: Set, skipped: Set }
+ * @param {Array<Object>} buckets - Result of getBuckets()
+ * @param {Date} today - Normalized current day (later days are not scored)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Object} {
+ *   buckets: [{ from, to, possible, completed, completions, successRate }],
+ *   habits: [{ habitId, name, buckets: [{ possible, completed, completions, successRate }] }]
+ * }
+ *   successRate is null for buckets where nothing was due
+ */
+export function calculateSeries(habits, keysByHabit, buckets, today, timeZone) {
+  const empty = { completed: new Set(), skipped: new Set() };
+  const withRate = (counts) => ({
+    ...counts,
+    successRate: counts.possible > 0 ? toRate(counts.completed, counts.possible) : null,
+  });
+
+  const totals = buckets.map(() => ({ possible: 0, completed: 0, completions: 0 }));
+  const habitSeries = habits.map((habit) => {
+    const keys = keysByHabit.get(habit._id.toString()) || empty;
+    const habitBuckets = buckets.map((bucket, index) => {
+      const counts = { possible: 0, completed: 0, completions: 0 };
+      if (bucket.from <= today) {
+        const to = bucket.to > today ? today : bucket.to;
+        Object.assign(counts, scoreBucket(habit, keys, bucket.from, to, timeZone));
+
+        const fromKey = toDateKey(bucket.from);
+        const toKey = toDateKey(to);
+        for (const dateKey of keys.completed) {
+          if (dateKey >= fromKey && dateKey <= toKey) counts.completions++;
+        }
+      }
+
+      totals[index].possible += counts.possible;
+      totals[index].completed += counts.completed;
+      totals[index].completions += counts.completions;
+      return withRate(counts);
+    });
+
+    return { habitId: habit._id.toString(), name: habit.name, buckets: habitBuckets };
+  });
+
+  return {
+    buckets: buckets.map((bucket, index) => ({
+      from: toDateKey(bucket.from),
+      to: toDateKey(bucket.to),
+      ...withRate(totals[index]),
+    })),
+    habits: habitSeries,
+  };
+}
+
+/**
+ * Load completed and skipped day keys per habit (grouped by MongoDB)
+ * Frozen days are excused like skipped ones
+ *
+ * @param {string} userId - ID of the user
+ * @param {Date} from - First day to load
+ * @param {Date} to - Last day to load
+ * @param {string} [habitId] - Only load this habit's check-ins
+ * @returns {Promise<Map<string, Object>>} habitId → { completed: Set, skipped: Set }
+ */
+async function loadDayKeys(userId, from, to, habitId) {
+  const dayKey = { $dateToString: { format: "%Y-%m-%d", date: "$date" } };
+  const [grouped] = await Checkin.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        ...(habitId && { habitId: new mongoose.Types.ObjectId(habitId) }),
+        date: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $facet: {
+        completed: [
+          { $match: { completed: { $ne: false } } },
+          { $group: { _id: "$habitId", days: { $push: dayKey } } },
+        ],
+        skipped: [
+          { $match: { status: { $in: ["skipped", "frozen"] } } },
+          { $group: { _id: "$habitId", days: { $push: dayKey } } },
+        ],
+      },
+    },
+  ]);
+
+  const keysByHabit = new Map();
+  const keysFor = (id) => {
+    const key = id.toString();
+    if (!keysByHabit.has(key)) {
+      keysByHabit.set(key, { completed: new Set(), skipped: new Set() });
+    }
+    return keysByHabit.get(key);
+  };
+  grouped.completed.forEach(({ _id, days }) => {
+    keysFor(_id).completed = new Set(days);
+  });
+  grouped.skipped.forEach(({ _id, days }) => {
+    keysFor(_id).skipped = new Set(days);
+  });
+  return keysByHabit;
+}
+
+/**
+ * Load a user's habits and check-in days and calculate their stats
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} period - One of STATS_PERIODS
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Object} [options] - { habitId } to only include one habit,
+ *        { day } to compute the stats as of an earlier day (weekly digest)
+ * @returns {Promise<Object>} GET /api/stats response body
+ */
+export async function getStats(userId, period, timeZone, { habitId, day } = {}) {
+  const today = day || startOfDay(new Date(), timeZone);
+  const habitFilter = habitId ? { userId, _id: habitId } : { userId };
+  const habits = await Habit.find(habitFilter).lean();
+  const range = getStatsRange(period, today, habits, timeZone);
+  const fetchFrom = range.previous ? range.previous.from : range.from;
+
+  const keysByHabit = await loadDayKeys(userId, fetchFrom, today, habitId);
+  const stats = calculateStats(habits, keysByHabit, range, today, timeZone);
+  const { overall: streaks } = await getFreshStreaks(userId, timeZone);
+  const streakFreezes = await getFreezeBalance(userId, today);
+
+  return {
+    period,
+    from: toDateKey(range.from),
+    to: toDateKey(range.to > today ? today : range.to),
+    overall: {
+      ...stats.overall,
+      totalHabits: habits.filter((habit) => !habit.archived).length,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest,
+      streakFreezes,
+    },
+    habits: stats.habits,
+  };
+}
+
+/**
+ * Load a user's habits and check-in days and build a year's heatmap
+ *
+ * @param {string} userId - ID of the user
+ * @param {number} [year] - Calendar year (defaults to the user's current year)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Object} [options] - { habitId } to only include one habit
+ * @returns {Promise<Object>} GET /api/stats/heatmap response body
+ */
+export async function getHeatmap(userId, year, timeZone, { habitId } = {}) {
+  const today = startOfDay(new Date(), timeZone);
+  const heatmapYear = year ?? today.getUTCFullYear();
+  const from = new Date(Date.UTC(heatmapYear, 0, 1));
+  const yearEnd = new Date(Date.UTC(heatmapYear, 11, 31));
+  const to = yearEnd > today ? today : yearEnd;
+
+  let days = {};
+  if (from <= today) {
+    const habitFilter = habitId ? { userId, _id: habitId } : { userId };
+    const habits = await Habit.find(habitFilter).lean();
+    // Interval windows starting in the year may be completed after it
+    const fetchTo = addDays(to, MAX_INTERVAL_DAYS);
+    const keysByHabit = await loadDayKeys(userId, from, fetchTo > today ? today : fetchTo, habitId);
+    days = calculateHeatmap(habits, keysByHabit, from, to, timeZone);
+  }
+
+  return {
+    year: heatmapYear,
+    from: toDateKey(from),
+    to: toDateKey(yearEnd),
+    today: toDateKey(today),
+    days,
+  };
+}
+
+/**
+ * Load a user's habits and check-in days and score a bucketed series
+ *
+ * @param {string} userId - ID of the user
+ * @param {Date} from - First day of the range
+ * @param {Date} to - Last day of the range
+ * @param {string} bucket - One of SERIES_BUCKETS
+ * @param {string} [timeZone] - User's IANA time zone
+ * @param {Object} [options] - { habitId } to only include one habit
+ * @returns {Promise<Object>} GET /api/stats/series response body
+ */
+export async function getSeries(userId, from, to, bucket, timeZone, { habitId } = {}) {
+  const today = startOfDay(new Date(), timeZone);
+  const habitFilter = habitId ? { userId, _id: habitId } : { userId };
+  const habits = await Habit.find(habitFilter).lean();
+
+  // Interval windows starting in the range may be completed after it
+  const fetchTo = addDays(to, MAX_INTERVAL_DAYS);
+  const keysByHabit =
+    from <= today
+      ? await loadDayKeys(userId, from, fetchTo > today ? today : fetchTo, habitId)
+      : new Map();
+
+  const series = calculateSeries(
+    habits,
+    keysByHabit,
+    getBuckets(from, to, bucket),
+    today,
+    timeZone
+  );
+  return { from: toDateKey(from), to: toDateKey(to), bucket, today: toDateKey(today), ...series };
+}
@@ -0,0 +1,461 @@
+/**
+ * ============================================================================
+ * STREAK SERVICE (PER-HABIT AND OVERALL STREAKS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single place where streaks are calculated and stored
+ * - Keeps Habit.streak / Habit.longestStreak and the user's overall
+ *   streak (User.currentStreak / User.longestStreak) up to date
+ * - Replaces the streak loops that used to live in each frontend page
+ *
+ * Per-Habit Streaks:
+ * - Counted in the habit's own periods (days, weeks or intervals)
+ * - Rules live in scheduleService.calculateStreaks (due days, pauses,
+ *   skipped days, today never breaks a streak)
+ *
+ * Overall Streak:
+ * - Consecutive days with at least one completed habit
+ * - A day where nothing was due (or everything due was skipped/paused)
+ *   neither extends nor breaks it
+ * - A due day with no completion breaks it (today excepted)
+ *
+ * Streak Freezes:
+ * - Each user gets STREAK_FREEZES_PER_MONTH freezes per calendar month
+ *   (default 2), counted by the month of the day they cover
+ * - A freeze is a check-in with status "frozen" on a missed due day: the
+ *   habit's streak treats it like a skipped day, and the overall streak
+ *   ignores any day where a freeze was used
+ * - Used manually (PUT /api/checkins/status) or automatically: when
+ *   streaks are recalculated, a habit whose streak was broken only by
+ *   unrecorded due days inside the backfill window gets those days frozen
+ *   (if the user has User.autoFreeze on and enough freezes left)
+ * - To give a freeze back, mark the day missed (clearing it would let the
+ *   next recalculation freeze it again)
+ * - Success rates excuse frozen days like skipped ones (statsService.js)
+ *
+ * Freshness:
+ * - Recalculated after every check-in change (checkinRoutes.js)
+ * - Habit changes (frequency, pauses, archive) only mark streaks stale
+ * - A new day can break a streak without any write, so values computed
+ *   for an earlier day (streakUpdatedOn) are recalculated on read
+ *
+ * Used By:
+ * - checkinRoutes.js (after every check-in write, GET /:habitId/streak)
+ * - habitRoutes.js (GET /, GET /streaks, habit changes)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import Habit from "../models/Habit.js";
+import Checkin from "../models/Checkin.js";
+import User from "../models/User.js";
+import {
+  FLEXIBLE_FREQUENCIES,
+  calculateStreaks,
+  getEditableFrom,
+  getHabitStartDay,
+  getPeriod,
+  isHabitDue,
+} from "./scheduleService.js";
+import { addDays, startOfDay, toDateKey } from "../utils/dateUtils.js";
+
+// Default number of streak freezes each user gets per calendar month
+const DEFAULT_FREEZES_PER_MONTH = 2;
+
+/**
+ * Get the configured monthly streak freeze allowance
+ *
+ * Read at call time (not import time) because dotenv.config() runs
+ * after route modules are imported.
+ *
+ * @returns {number} Freezes per calendar month
+ */
+export function getFreezeAllowance() {
+  const freezes = Number.parseInt(process.env.STREAK_FREEZES_PER_MONTH, 10);
+  return Number.isInteger(freezes) && freezes >= 0
+    ? freezes
+    : DEFAULT_FREEZES_PER_MONTH;
+}
+
+/**
+ * Get the month a freeze counts towards
+ *
+ * @param {Date} day - Normalized day the freeze covers
+ * @returns {string} Month key (YYYY-MM)
+ */
+function toMonthKey(day) {
+  return toDateKey(day).slice(0, 7);
+}
+
+/**
+ * Find the due days a freeze would have to cover to save a habit's streak
+ *
+ * Only a trailing gap is considered: unrecorded due days after the last
+ * completion and before today. If freezing all of them doesn't bring the
+ * streak back (e.g., part of the gap is outside the backfill window or a
+ * day was marked missed), nothing is returned.
+ *
+ * @param {Object} habit - Habit (plain object)
+ * @param {Object} keys - { completed, skipped, recorded } Sets of day keys
+ *   (skipped includes frozen days, recorded is every day with a check-in)
+ * @param {Date} today - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Array<Date>} Days to freeze (empty if freezing can't help)
+ *
+ * Example (daily habit, today is Thursday):
+ * - Done Mon, nothing Tue-Wed → [Tue, Wed]
+ * - Done Mon, Tue marked missed, nothing Wed → []
+ */
+export function findFreezableDays(habit, keys, today, timeZone) {
+  if (habit.frequency === "weekly" || habit.archived) return [];
+  if (keys.completed.size === 0) return [];
+
+  const lastDoneKey = [...keys.completed].sort().pop();
+  let day = addDays(new Date(`${lastDoneKey}T00:00:00.000Z`), 1);
+  const editableFrom = getEditableFrom(today);
+  if (day < editableFrom) day = editableFrom;
+
+  const gap = [];
+  for (; day < today; day = addDays(day, 1)) {
+    const dateKey = toDateKey(day);
+    if (!isHabitDue(habit, day, timeZone) || keys.recorded.has(dateKey)) continue;
+    if (FLEXIBLE_FREQUENCIES.includes(habit.frequency)) {
+      // Interval windows only break the streak once they are over
+      const window = getPeriod(habit, day, timeZone);
+      if (window.end >= today) continue;
+    }
+    gap.push(day);
+  }
+  if (gap.length === 0) return [];
+
+  const { current } = calculateStreaks(habit, keys.completed, today, timeZone, keys.skipped);
+  const withFreezes = new Set([...keys.skipped, ...gap.map(toDateKey)]);
+  const saved = calculateStreaks(habit, keys.completed, today, timeZone, withFreezes);
+  return saved.current > current ? gap : [];
+}
+
+/**
+ * Freeze the missed days that would otherwise break a habit's streak
+ *
+ * Habits are handled in order; a habit only gets its freezes if every
+ * day of its gap fits in the freezes left for that day's month.
+ *
+ * @param {string} userId - ID of the user
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Map<string, Object>} keysByHabit - habitId → { completed, skipped, recorded }
+ *   (updated in place with the new frozen days)
+ * @param {Array<Object>} checkins - User's check-ins (new freezes are appended)
+ * @param {Date} today - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<number>} Number of freezes used (freezes another
+ *          request wrote first are not counted again)
+ */
+async function applyAutoFreezes(userId, habits, keysByHabit, checkins, today, timeZone) {
+  const allowance = getFreezeAllowance();
+  if (allowance === 0) return 0;
+
+  const usedByMonth = new Map();
+  for (const checkin of checkins) {
+    if (checkin.status !== "frozen") continue;
+    const month = toMonthKey(checkin.date);
+    usedByMonth.set(month, (usedByMonth.get(month) || 0) + 1);
+  }
+
+  const freezes = [];
+  for (const habit of habits) {
+    const keys = keysByHabit.get(habit._id.toString());
+    if (!keys) continue; // Never completed, no streak to save
+    const days = findFreezableDays(habit, keys, today, timeZone);
+    if (days.length === 0) continue;
+
+    const neededByMonth = new Map();
+    for (const day of days) {
+      const month = toMonthKey(day);
+      neededByMonth.set(month, (neededByMonth.get(month) || 0) + 1);
+    }
+    const fits = [...neededByMonth].every(
+      ([month, needed]) => (usedByMonth.get(month) || 0) + needed <= allowance
+    );
+    if (!fits) continue;
+
+    for (const [month, needed] of neededByMonth) {
+      usedByMonth.set(month, (usedByMonth.get(month) || 0) + needed);
+    }
+    for (const day of days) {
+      const dateKey = toDateKey(day);
+      keys.skipped.add(dateKey);
+      keys.recorded.add(dateKey);
+      freezes.push({
+        habitId: habit._id,
+        userId,
+        date: day,
+        amount: 0,
+        completed: false,
+        status: "frozen",
+      });
+    }
+  }
+
+  if (freezes.length === 0) return 0;
+
+  // Upsert so simultaneous recalculations (pages load GET /api/habits and
+  // GET /api/stats together) can't write the same freeze twice
+  const result = await Checkin.bulkWrite(
+    freezes.map(({ habitId, date, amount, completed, status }) => ({
+      updateOne: {
+        filter: { habitId, userId, date },
+        update: { $setOnInsert: { amount, completed, status } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  checkins.push(...freezes);
+  return result.upsertedCount;
+}
+
+/**
+ * Count the freezes a user has left for a month
+ *
+ * @param {string} userId - ID of the user
+ * @param {Date} day - Any normalized day of the month
+ * @returns {Promise<Object>} { allowance, used, remaining }
+ */
+export async function getFreezeBalance(userId, day) {
+  const monthStart = new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1)
+  );
+  const monthEnd = new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)
+  );
+  const allowance = getFreezeAllowance();
+  const used = await Checkin.countDocuments({
+    userId,
+    status: "frozen",
+    date: { $gte: monthStart, $lte: monthEnd },
+  });
+  return { allowance, used, remaining: Math.max(0, allowance - used) };
+}
+
+/**
+ * Calculate the overall streak across all of a user's habits
+ *
+ * @param {Array<Object>} habits - User's habits (plain objects)
+ * @param {Array<Object>} checkins - User's check-ins ({ habitId, date, completed, status })
+ * @param {Date} [today=startOfDay()] - Normalized current day
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {{ current: number, longest: number }} Streak counts in days
+ *
+ * Examples:
+ * - Weekdays habit done Mon-Fri, nothing due at the weekend,
+ *   today is Sunday → { current: 5, longest: 5 }
+ * - Daily habit done Mon-Tue and Thu, Wed frozen, today is Thursday
+ *   → { current: 3, longest: 3 }
+ */
+export function calculateOverallStreak(
+  habits,
+  checkins,
+  today = startOfDay(),
+  timeZone
+) {
+  const completedDays = new Set();
+  const frozenDays = new Set();
+  const skipped = new Set(); // "habitId|YYYY-MM-DD" (skipped or frozen)
+  for (const checkin of checkins) {
+    const dateKey = toDateKey(new Date(checkin.date));
+    if (checkin.status === "skipped" || checkin.status === "frozen") {
+      skipped.add(`${checkin.habitId}|${dateKey}`);
+      if (checkin.status === "frozen") frozenDays.add(dateKey);
+    } else if (checkin.completed !== false) {
+      completedDays.add(dateKey);
+    }
+  }
+
+  // Start at the earliest habit (or check-in) day
+  const startDays = habits
+    .map((habit) => getHabitStartDay(habit, timeZone))
+    .filter(Boolean);
+  for (const dateKey of completedDays) {
+    startDays.push(new Date(`${dateKey}T00:00:00.000Z`));
+  }
+  if (startDays.length === 0) return { current: 0, longest: 0 };
+  const firstDay = new Date(Math.min(...startDays.map((day) => day.getTime())));
+
+  let current = 0;
+  let longest = 0;
+  for (let day = firstDay; day <= today; day = addDays(day, 1)) {
+    const dateKey = toDateKey(day);
+    if (completedDays.has(dateKey)) {
+      current++;
+      if (current > longest) longest = current;
+      continue;
+    }
+    if (day.getTime() === today.getTime()) continue; // Today never breaks it
+    if (frozenDays.has(dateKey)) continue; // A freeze was used that day
+
+    const somethingDue = habits.some(
+      (habit) =>
+        isHabitDue(habit, day, timeZone) &&
+        !skipped.has(`${habit._id}|${dateKey}`)
+    );
+    if (somethingDue) current = 0;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Recalculate and store every streak for a user
+ *
+ * Missed days that would break a habit's streak are frozen first when
+ * the user has auto-freeze on and freezes left (see applyAutoFreezes).
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<Object>} {
+ *   overall: { current, longest },
+ *   habits: Map<habitId, { streak, longestStreak, streakUnit }>
+ * }
+ */
+export async function recalculateStreaks(userId, timeZone) {
+  const today = startOfDay(new Date(), timeZone);
+  const todayKey = toDateKey(today);
+
+  const [habits, checkins, user] = await Promise.all([
+    Habit.find({ userId }).lean(),
+    Checkin.find({ userId }, { habitId: 1, date: 1, completed: 1, status: 1 }).lean(),
+    User.findById(userId).select("autoFreeze").lean(),
+  ]);
+
+  // Group completed / skipped (or frozen) / recorded day keys per habit
+  const keysByHabit = new Map();
+  for (const checkin of checkins) {
+    const habitKey = checkin.habitId.toString();
+    if (!keysByHabit.has(habitKey)) {
+      keysByHabit.set(habitKey, {
+        completed: new Set(),
+        skipped: new Set(),
+        recorded: new Set(),
+      });
+    }
+    const keys = keysByHabit.get(habitKey);
+    const dateKey = toDateKey(checkin.date);
+    keys.recorded.add(dateKey);
+    if (checkin.status === "skipped" || checkin.status === "frozen") {
+      keys.skipped.add(dateKey);
+    } else if (checkin.completed !== false) {
+      keys.completed.add(dateKey);
+    }
+  }
+
+  if (user?.autoFreeze !== false) {
+    await applyAutoFreezes(userId, habits, keysByHabit, checkins, today, timeZone);
+  }
+
+  const habitStreaks = new Map();
+  for (const habit of habits) {
+    const keys = keysByHabit.get(habit._id.toString()) || {
+      completed: new Set(),
+      skipped: new Set(),
+    };
+    const { current, longest, unit } = calculateStreaks(
+      habit,
+      keys.completed,
+      today,
+      timeZone,
+      keys.skipped
+    );
+    habitStreaks.set(habit._id.toString(), {
+      streak: current,
+      longestStreak: longest,
+      streakUnit: unit,
+    });
+  }
+
+  const overall = calculateOverallStreak(habits, checkins, today, timeZone);
+
+  if (habits.length > 0) {
+    await Habit.bulkWrite(
+      habits.map((habit) => ({
+        updateOne: {
+          filter: { _id: habit._id },
+          update: {
+            $set: {
+              ...habitStreaks.get(habit._id.toString()),
+              streakUpdatedOn: todayKey,
+            },
+          },
+        },
+      }))
+    );
+  }
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        currentStreak: overall.current,
+        longestStreak: overall.longest,
+        streakUpdatedOn: todayKey,
+      },
+    }
+  );
+
+  return { overall, habits: habitStreaks };
+}
+
+/**
+ * Get a user's streaks, recalculating them if they are stale
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Promise<Object>} Same shape as recalculateStreaks()
+ */
+export async function getFreshStreaks(userId, timeZone) {
+  const todayKey = toDateKey(startOfDay(new Date(), timeZone));
+
+  const [user, habits] = await Promise.all([
+    User.findById(userId)
+      .select("currentStreak longestStreak streakUpdatedOn")
+      .lean(),
+    Habit.find({ userId })
+      .select("streak longestStreak streakUnit streakUpdatedOn")
+      .lean(),
+  ]);
+
+  const isStale =
+    user?.streakUpdatedOn !== todayKey ||
+    habits.some((habit) => habit.streakUpdatedOn !== todayKey);
+  if (isStale) return recalculateStreaks(userId, timeZone);
+
+  return {
+    overall: { current: user.currentStreak, longest: user.longestStreak },
+    habits: new Map(
+      habits.map((habit) => [
+        habit._id.toString(),
+        {
+          streak: habit.streak,
+          longestStreak: habit.longestStreak,
+          streakUnit: habit.streakUnit,
+        },
+      ])
+    ),
+  };
+}
+
+/**
+ * Mark a user's streaks as stale so the next read recalculates them
+ *
+ * Used after habit changes that affect due days (frequency, pauses,
+ * archiving, deletion) instead of recalculating on every edit.
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<void>}
+ */
+export async function invalidateStreaks(userId) {
+  await Promise.all([
+    Habit.updateMany({ userId }, { $set: { streakUpdatedOn: null } }),
+    User.updateOne({ _id: userId }, { $set: { streakUpdatedOn: null } }),
+  ]);
+}
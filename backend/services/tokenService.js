@@ -0,0 +1,393 @@
+/**
+ * ============================================================================
+ * TOKEN SERVICE (ACCESS AND REFRESH TOKENS)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single place where session tokens are issued, rotated and revoked
+ *
+ * Access Token:
+ * - JWT ({ id, email, ver, jti, sid }) sent as "Authorization: Bearer ..."
+ *   and checked by middleware/authMiddleware.js
+ * - Short-lived (ACCESS_TOKEN_TTL), so a stolen one is soon useless
+ * - jti: unique token ID, listed in models/RevokedToken.js on logout
+ * - ver: the user's tokenVersion when signed; bumping User.tokenVersion
+ *   invalidates every older token at once
+ * - sid: the session (models/Session.js) the token belongs to; the token
+ *   stops working when that session is revoked
+ *
+ * Refresh Token:
+ * - Random opaque string, exchanged at POST /api/auth/refresh for a new
+ *   access token and a new refresh token (rotation)
+ * - Only its SHA-256 hash is stored (models/RefreshToken.js)
+ * - Valid for REFRESH_TOKEN_TTL_DAYS after it was issued, so a session
+ *   ends after that many days without any use
+ *
+ * Reuse Detection:
+ * - Every refresh token works once; tokens from one login share a family
+ * - A token presented again after rotation has been copied (the thief or
+ *   the user is holding a stale one), so the whole family is revoked and
+ *   both have to log in again
+ *
+ * Sessions:
+ * - Each login is a session (models/Session.js) with the device's
+ *   User-Agent, IP and last-seen time, updated on every refresh
+ * - Listed on the profile page; one or all other sessions can be revoked
+ *
+ * Revocation:
+ * - Logout: this access token (jti) and this login's session and refresh tokens
+ * - Revoking a session: its refresh tokens, and access tokens by sid
+ * - Log out everywhere / password change / account deletion: every
+ *   session of the user (tokenVersion bump + all refresh tokens)
+ *
+ * Used By:
+ * - routes/authRoutes.js (login, refresh, logout, password change)
+ * - routes/sessionRoutes.js (list and revoke sessions)
+ * - middleware/authMiddleware.js (isAccessTokenRevoked)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+import RevokedToken from "../models/RevokedToken.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+
+// Access token lifetime (jsonwebtoken format)
+export const ACCESS_TOKEN_TTL = "15m";
+
+// Refresh token lifetime, renewed with each rotation
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Bytes of randomness in a refresh token
+const REFRESH_TOKEN_BYTES = 48;
+
+// Longest User-Agent stored with a token
+const MAX_USER_AGENT_LENGTH = 300;
+
+// Longest IP address stored with a session (IPv6 with zone)
+const MAX_IP_LENGTH = 64;
+
+/**
+ * When a session or refresh token issued now expires
+ *
+ * @returns {Date} Now + REFRESH_TOKEN_TTL_DAYS
+ */
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Session fields describing the device (trimmed to stored lengths)
+ *
+ * @param {Object} [client] - { userAgent, ip } of the request
+ * @returns {Object} { userAgent, ip }
+ */
+function getClientFields({ userAgent, ip } = {}) {
+  return {
+    userAgent: String(userAgent || "").substring(0, MAX_USER_AGENT_LENGTH),
+    ip: String(ip || "").substring(0, MAX_IP_LENGTH),
+  };
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ *
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Sign an access token for a user
+ *
+ * @param {Object} user - User document ({ _id, email, tokenVersion })
+ * @param {string} [sessionId] - Session the token belongs to
+ * @returns {string} JWT with a new unique jti
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      ver: user.tokenVersion || 0,
+      ...(sessionId && { sid: String(sessionId) }),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Verify an access token's signature and expiry
+ *
+ * Doesn't check revocation (see isAccessTokenRevoked).
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+export function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Issue a new refresh token
+ *
+ * @param {string} userId - ID of the user
+ * @param {Object} [options]
+ * @param {string} [options.family] - Family to continue (new login if omitted)
+ * @param {string} [options.userAgent] - Browser receiving the token
+ * @returns {Promise<Object>} { token, record } (token is only returned here)
+ */
+export async function issueRefreshToken(userId, { family, userAgent } = {}) {
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("base64url");
+  const record = await RefreshToken.create({
+    userId,
+    family: family || crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    expiresAt: getRefreshExpiry(),
+    userAgent: String(userAgent || "").substring(0, MAX_USER_AGENT_LENGTH),
+  });
+  return { token, record };
+}
+
+/**
+ * Start a session: record the device and issue its access and refresh token
+ *
+ * @param {Object} user - User document ({ _id, email, tokenVersion })
+ * @param {Object} [client] - Device logging in
+ * @param {string} [client.userAgent] - User-Agent header
+ * @param {string} [client.ip] - Request IP address
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+export async function createSession(user, client) {
+  const family = crypto.randomUUID();
+  const fields = getClientFields(client);
+  const session = await Session.create({
+    userId: user._id,
+    family,
+    ...fields,
+    expiresAt: getRefreshExpiry(),
+  });
+  const { token: refreshToken } = await issueRefreshToken(user._id, {
+    family,
+    userAgent: fields.userAgent,
+  });
+  return { token: signAccessToken(user, session._id), refreshToken };
+}
+
+/**
+ * Revoke every active token of a family and end its session
+ *
+ * @param {string} family - Family ID
+ * @returns {Promise<number>} Tokens revoked
+ */
+async function revokeFamily(family) {
+  const [result] = await Promise.all([
+    RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+    Session.deleteOne({ family }),
+  ]);
+  return result.modifiedCount;
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ *
+ * @param {string} token - Refresh token presented by the client
+ * @param {Object} [client] - Device presenting it ({ userAgent, ip })
+ * @returns {Promise<Object>} On success { token, refreshToken, userId };
+ *          otherwise { error } with "invalid", "expired" or "reused"
+ *
+ * Behavior:
+ * - The presented token is revoked and replaced (one use only)
+ * - A revoked token revokes its whole family ("reused")
+ * - The session's device details and last-seen time are updated
+ */
+export async function rotateRefreshToken(token, client) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return { error: "invalid" };
+
+  if (record.revokedAt) {
+    await revokeFamily(record.family);
+    console.warn(`Refresh token reuse detected for user ${record.userId}, family revoked`);
+    return { error: "reused" };
+  }
+  if (record.expiresAt <= new Date()) return { error: "expired" };
+
+  // Claim the token; losing the race to a parallel request is reuse too
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family);
+    return { error: "reused" };
+  }
+
+  const user = await User.findById(record.userId).select("email tokenVersion");
+  if (!user) {
+    await revokeFamily(record.family);
+    return { error: "invalid" };
+  }
+
+  const fields = getClientFields(client);
+  const { token: refreshToken, record: replacement } = await issueRefreshToken(
+    user._id,
+    { family: record.family, userAgent: fields.userAgent }
+  );
+
+  // Logins from before sessions were recorded get one on their next refresh
+  const [session] = await Promise.all([
+    Session.findOneAndUpdate(
+      { family: record.family },
+      {
+        $set: { ...fields, lastSeenAt: new Date(), expiresAt: getRefreshExpiry() },
+        $setOnInsert: { userId: user._id, createdAt: record.createdAt },
+      },
+      { upsert: true, new: true }
+    ),
+    RefreshToken.updateOne(
+      { _id: record._id },
+      { $set: { replacedBy: replacement._id } }
+    ),
+  ]);
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    userId: user._id,
+  };
+}
+
+/**
+ * Revoke the login a refresh token belongs to (logout)
+ *
+ * Holding the token is enough: whoever has it could use it anyway.
+ *
+ * @param {string} token - Refresh token
+ * @param {string} [userId] - If given, tokens of other users are ignored
+ * @returns {Promise<boolean>} True if a login was found and revoked
+ */
+export async function revokeRefreshToken(token, userId) {
+  const record = await RefreshToken.findOne({
+    tokenHash: hashToken(token),
+    ...(userId && { userId }),
+  });
+  if (!record) return false;
+  await revokeFamily(record.family);
+  return true;
+}
+
+/**
+ * List a user's sessions, most recently used first
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object[]>} Session documents (lean)
+ */
+export async function listSessions(userId) {
+  return Session.find({ userId }).sort({ lastSeenAt: -1 }).lean();
+}
+
+/**
+ * Revoke one session (its refresh tokens stop working, and its access
+ * tokens are rejected by protect())
+ *
+ * @param {string} userId - Owner of the session (other users' are ignored)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session was found and revoked
+ */
+export async function revokeSession(userId, sessionId) {
+  const session = await Session.findOne({ _id: sessionId, userId }).select("family");
+  if (!session) return false;
+  await revokeFamily(session.family);
+  return true;
+}
+
+/**
+ * Revoke every session of a user except the current one
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} currentSessionId - Session to keep
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeOtherSessions(userId, currentSessionId) {
+  const current = await Session.findOne({ _id: currentSessionId, userId }).select("family");
+  if (!current) return 0;
+
+  const [result] = await Promise.all([
+    Session.deleteMany({ userId, _id: { $ne: current._id } }),
+    RefreshToken.updateMany(
+      { userId, family: { $ne: current.family }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+  ]);
+  return result.deletedCount;
+}
+
+/**
+ * Revoke one access token until it expires (logout)
+ *
+ * @param {Object} payload - Verified JWT payload ({ id, jti, exp })
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken({ id, jti, exp }) {
+  if (!jti) return; // Signed before tokens had IDs; expires on its own
+  await RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { jti, userId: id, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Log a user out of every session
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object|null>} Updated user ({ _id, email, tokenVersion }),
+ *          to sign new tokens for the current device, or null if not found
+ */
+export async function revokeAllSessions(userId) {
+  const [user] = await Promise.all([
+    User.findByIdAndUpdate(
+      userId,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    ).select("email tokenVersion"),
+    RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+    Session.deleteMany({ userId }),
+  ]);
+  return user;
+}
+
+/**
+ * Check whether an access token was revoked
+ *
+ * @param {Object} payload - Verified JWT payload ({ id, ver, jti, sid })
+ * @returns {Promise<boolean>} True if the token must be rejected
+ *          (logged out, session revoked, older session version or
+ *          account deleted)
+ */
+export async function isAccessTokenRevoked({ id, ver, jti, sid }) {
+  const [user, revoked, session] = await Promise.all([
+    User.findById(id).select("tokenVersion").lean(),
+    jti ? RevokedToken.exists({ jti }) : null,
+    sid ? Session.exists({ _id: sid }) : true, // Signed before sessions were recorded
+  ]);
+  if (!user || revoked || !session) return true;
+  return (ver || 0) !== (user.tokenVersion || 0);
+}
@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * TWO-FACTOR AUTHENTICATION SERVICE (TOTP)
+ * ============================================================================
+ *
+ * Purpose:
+ * - Optional second login step with a code from an authenticator app
+ *   (Google Authenticator, 1Password, Authy, ...) or a recovery code
+ *
+ * TOTP (RFC 6238):
+ * - Shared secret: 20 random bytes, shown to the user as base32 and as an
+ *   otpauth:// URI (QR code) during setup
+ * - Code: HMAC-SHA1 of the current 30-second step, truncated to 6 digits
+ * - Codes from one step before or after are accepted (clock drift)
+ * - A code works once: the last used step is stored and older or equal
+ *   steps are rejected (User.twoFactor.lastUsedStep)
+ *
+ * Recovery Codes:
+ * - RECOVERY_CODE_COUNT one-time codes (e.g., "k3m7q-x2ab9") for when
+ *   the phone is lost
+ * - Only their SHA-256 hashes are stored; a used code is removed
+ *
+ * Login Challenge:
+ * - After the password is checked, accounts with 2FA get a short-lived
+ *   challenge token instead of a session
+ * - Signed with a key derived from JWT_SECRET, so it can never pass as
+ *   an access token (and access tokens can't pass as challenges)
+ *
+ * Used By:
+ * - routes/authRoutes.js (login challenge)
+ * - routes/twoFactorRoutes.js (setup, disable, recovery codes)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+
+// Name shown in authenticator apps
+export const TOTP_ISSUER = "Riza";
+
+// Code length and step length (authenticator app defaults)
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+// Steps accepted before and after the current one
+const TOTP_WINDOW = 1;
+
+// Bytes in a new shared secret (160 bits, as RFC 4226 recommends)
+const SECRET_BYTES = 20;
+
+// Number of recovery codes per set
+export const RECOVERY_CODE_COUNT = 10;
+
+// Lifetime of a login challenge (jsonwebtoken format)
+const CHALLENGE_TTL = "5m";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ *
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 text (case-insensitive, spaces and padding ignored)
+ *
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret
+ *
+ * @returns {string} Base32 secret
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account name shown in the app
+ * @returns {string} otpauth URI
+ */
+export function getOtpauthUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Compute the code for a time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / period)
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(secret, step, digits = TOTP_DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Compute the current TOTP code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Milliseconds since the epoch (default: now)
+ * @param {number} [digits] - Code length
+ * @returns {string} Code
+ */
+export function generateTotp(secret, time = Date.now(), digits = TOTP_DIGITS) {
+  return codeForStep(secret, Math.floor(time / 1000 / TOTP_PERIOD_SECONDS), digits);
+}
+
+/**
+ * Check a TOTP code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time] - Milliseconds since the epoch (default: now)
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+export function verifyTotp(secret, code, time = Date.now()) {
+  if (!secret || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) return null;
+
+  const current = Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+/**
+ * Normalize a code as typed (spaces, dashes and case don't matter)
+ *
+ * @param {string} code - Code entered by the user
+ * @returns {string} Normalized code
+ */
+function normalizeCode(code) {
+  return String(code).replace(/[\s-]/g, "").toLowerCase();
+}
+
+/**
+ * Hash a recovery code for storage and lookup
+ *
+ * @param {string} code - Recovery code (any formatting)
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+}
+
+/**
+ * Generate a new set of recovery codes
+ *
+ * @returns {Object} { codes (show once), hashes (store) }
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = base32Encode(crypto.randomBytes(7)).substring(0, 10).toLowerCase();
+    return `${chars.substring(0, 5)}-${chars.substring(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a second factor and use it up
+ *
+ * @param {Object} user - User with twoFactor.secret selected
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object|null>} { method: "totp" | "recovery" }, or null
+ *          if the code is wrong or was already used
+ */
+export async function verifySecondFactor(user, code) {
+  const normalized = normalizeCode(code);
+
+  if (/^\d+$/.test(normalized)) {
+    const step = verifyTotp(user.twoFactor?.secret, normalized);
+    if (step === null) return null;
+
+    // Claim the step, so the same code can't be replayed
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount === 1 ? { method: "totp" } : null;
+  }
+
+  const hash = hashRecoveryCode(normalized);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return modifiedCount === 1 ? { method: "recovery" } : null;
+}
+
+/**
+ * Key for login challenges (never the access token key itself)
+ *
+ * @returns {Buffer} HMAC key
+ */
+function getChallengeKey() {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update("two-factor-login-challenge")
+    .digest();
+}
+
+/**
+ * Issue a login challenge after the password was checked
+ *
+ * @param {Object} user - User document ({ _id })
+ * @returns {string} Challenge token (valid for CHALLENGE_TTL)
+ */
+export function createLoginChallenge(user) {
+  return jwt.sign({ id: user._id }, getChallengeKey(), { expiresIn: CHALLENGE_TTL });
+}
+
+/**
+ * Check a login challenge
+ *
+ * @param {string} token - Challenge token from the login response
+ * @returns {string|null} User ID, or null if invalid or expired
+ */
+export function verifyLoginChallenge(token) {
+  try {
+    return jwt.verify(token, getChallengeKey(), { algorithms: ["HS256"] }).id;
+  } catch {
+    return null;
+  }
+}
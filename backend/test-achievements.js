@@ -0,0 +1,80 @@
+/**
+ * Verification script for the achievement rules
+ * Tests perfect weeks and badge evaluation in
+ * services/achievementService.js
+ */
+
+import {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  isPerfectWeek,
+} from "./services/achievementService.js";
+import { check, day, keys } from "./test-helpers.js";
+
+// 2025-01-13 is a Monday
+const createdAt = "2025-01-06T09:00:00";
+const monday = day("2025-01-13");
+
+function testPerfectWeek() {
+  console.log("Testing perfect weeks...");
+
+  const habits = [
+    { _id: "a", name: "Read", frequency: "daily", createdAt },
+    { _id: "b", name: "Walk", frequency: "weekdays", createdAt },
+  ];
+  const week = [13, 14, 15, 16, 17, 18, 19].map((d) => `2025-01-${d}`);
+  const weekdays = week.slice(0, 5);
+
+  const perfect = new Map([
+    ["a", { completed: keys(...week), skipped: keys() }],
+    ["b", { completed: keys(...weekdays), skipped: keys() }],
+  ]);
+  check("every due day done", isPerfectWeek(habits, perfect, monday), true);
+
+  const missedSunday = new Map([
+    ["a", { completed: keys(...week.slice(0, 6)), skipped: keys() }],
+    ["b", { completed: keys(...weekdays), skipped: keys() }],
+  ]);
+  check("one missed day", isPerfectWeek(habits, missedSunday, monday), false);
+
+  const skippedSunday = new Map([
+    ["a", { completed: keys(...week.slice(0, 6)), skipped: keys("2025-01-19") }],
+    ["b", { completed: keys(...weekdays), skipped: keys() }],
+  ]);
+  check("skipped days aren't due", isPerfectWeek(habits, skippedSunday, monday), true);
+
+  check("nothing due", isPerfectWeek([], new Map(), monday), false);
+}
+
+function testEvaluate() {
+  console.log("Testing badge rules...");
+
+  const progress = {
+    totalCompletions: 120,
+    longestStreak: 31,
+    activeHabits: 3,
+    perfectWeek: false,
+  };
+  const earned = (unlocked) =>
+    evaluateAchievements(progress, unlocked).map(({ key }) => key);
+
+  check("badges earned by progress", earned(keys()), [
+    "first-checkin",
+    "streak-7",
+    "streak-30",
+    "completions-100",
+  ]);
+  check("unlocked badges aren't returned again", earned(keys("streak-7", "first-checkin")), [
+    "streak-30",
+    "completions-100",
+  ]);
+  check(
+    "badge keys are unique",
+    new Set(ACHIEVEMENTS.map(({ key }) => key)).size,
+    ACHIEVEMENTS.length
+  );
+}
+
+testPerfectWeek();
+testEvaluate();
+console.log("All achievement checks passed");
@@ -0,0 +1,220 @@
+/**
+ * Verification script for check-in writes
+ * Tests validating a check-in write, amounts towards a target
+ * (increment/decrement), setting a day's status, re-syncing completion
+ * after a target change and the listing query (date range, limit, cursor)
+ * in services/checkinService.js, against in-memory stand-ins for the
+ * Checkin and Habit models
+ */
+
+import mongoose from "mongoose";
+import Checkin from "./models/Checkin.js";
+import Habit from "./models/Habit.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  adjustCheckinAmount,
+  decodeCursor,
+  encodeCursor,
+  parseListQuery,
+  resolveCheckinRequest,
+  setCheckinStatus,
+  syncCompletionWithTarget,
+} from "./services/checkinService.js";
+import { addDays, startOfDay, toDateKey } from "./utils/dateUtils.js";
+import { check, day, matches, stubModel } from "./test-helpers.js";
+
+// ============================================================================
+// In-memory model
+// ============================================================================
+const checkins = stubModel(Checkin);
+stubModel(Habit);
+const userId = new mongoose.Types.ObjectId();
+const habitId = new mongoose.Types.ObjectId();
+const filter = (key) => ({ habitId, userId, date: day(key) });
+const stored = (key) => checkins.find((doc) => matches(doc, filter(key)));
+
+// ============================================================================
+// Tests
+// ============================================================================
+async function testResolveRequest() {
+  console.log("Testing check-in request validation...");
+
+  const today = startOfDay(new Date(), "UTC");
+  const habit = await Habit.create({ userId, name: "Read", frequency: "daily", createdAt: addDays(today, -3) });
+  const resolve = (body, owner = userId) => resolveCheckinRequest(body, owner, "UTC");
+  const errorOf = async (body, owner) => (await resolve(body, owner)).error;
+
+  const resolved = await resolve({ habitId: String(habit._id) });
+  check("today by default", [resolved.habit.name, resolved.day], ["Read", today]);
+  check(
+    "malformed habit IDs are rejected (400, not a CastError)",
+    await Promise.all(["abc", "", 42, { $ne: "" }].map((habitId) => errorOf({ habitId }))),
+    Array(4).fill({ status: 400, message: "Invalid habit ID" })
+  );
+  const notFound = { status: 404, message: "Habit not found" };
+  check("unknown habits", await errorOf({ habitId: String(new mongoose.Types.ObjectId()) }), notFound);
+  check("other users' habits", await errorOf({ habitId: String(habit._id) }, new mongoose.Types.ObjectId()), notFound);
+  check(
+    "days before the habit was created",
+    await errorOf({ habitId: String(habit._id), date: toDateKey(addDays(today, -4)) }),
+    { status: 400, message: "Cannot check in before the habit was created" }
+  );
+}
+
+async function testAmounts() {
+  console.log("Testing amounts towards a target...");
+
+  // Target of 8 glasses
+  const first = await adjustCheckinAmount(filter("2025-01-13"), 8, 3);
+  check("first increment creates the check-in", [first.amount, first.completed, checkins.length], [3, false, 1]);
+
+  const partial = await adjustCheckinAmount(filter("2025-01-13"), 8, 4);
+  check("partial progress isn't complete", [partial.amount, partial.completed], [7, false]);
+
+  const reached = await adjustCheckinAmount(filter("2025-01-13"), 8, 1);
+  check("complete once the target is reached", [reached.amount, reached.completed], [8, true]);
+  check("stored as done", [stored("2025-01-13").status, stored("2025-01-13").completed], ["done", true]);
+
+  const over = await adjustCheckinAmount(filter("2025-01-13"), 8, 2);
+  check("going past the target stays complete", [over.amount, over.completed], [10, true]);
+
+  const below = await adjustCheckinAmount(filter("2025-01-13"), 8, -3);
+  check("dropping below the target is partial again", [below.amount, below.completed], [7, false]);
+
+  const floor = await adjustCheckinAmount(filter("2025-01-13"), 8, -20);
+  check("amount never drops below 0", [floor.amount, floor.completed, floor.checkin], [0, false, null]);
+  check("check-in removed at 0", checkins.length, 0);
+
+  const nothing = await adjustCheckinAmount(filter("2025-01-14"), 8, -1);
+  check("decrementing an empty day", [nothing.amount, checkins.length], [0, 0]);
+}
+
+async function testSkippedDays() {
+  console.log("Testing skipped and legacy days...");
+
+  checkins.length = 0;
+  await Checkin.create({ ...filter("2025-01-15"), status: "skipped", reason: "sick", amount: 0, completed: false });
+  const kept = await adjustCheckinAmount(filter("2025-01-15"), 8, -1);
+  check("decrement keeps a skipped day", [kept.amount, stored("2025-01-15").status], [0, "skipped"]);
+
+  const logged = await adjustCheckinAmount(filter("2025-01-15"), 8, 2);
+  check("increment on a skipped day starts from 0", [logged.amount, stored("2025-01-15").status], [2, "done"]);
+  check("the skip reason is cleared", stored("2025-01-15").reason, undefined);
+
+  // Check-ins from before quantitative habits existed have no amount
+  checkins.length = 0;
+  await Checkin.create({ ...filter("2025-01-16"), completed: true });
+  const legacy = await adjustCheckinAmount(filter("2025-01-16"), 2, 1);
+  check("legacy check-ins count as 1", [legacy.amount, legacy.completed], [2, true]);
+}
+
+async function testSetStatus() {
+  console.log("Testing set status...");
+
+  checkins.length = 0;
+  // Stored fields of the day (undefined ones are left out, like in MongoDB)
+  const state = () => {
+    const doc = stored("2025-01-13");
+    return doc && JSON.parse(JSON.stringify({ status: doc.status, amount: doc.amount, completed: doc.completed, reason: doc.reason }));
+  };
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "done");
+  const done = state();
+  check("done fills the target", done, { status: "done", amount: 8, completed: true });
+  await setCheckinStatus(filter("2025-01-13"), 8, "done");
+  check("done twice leaves the same state", [state(), checkins.length], [done, 1]);
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "done", { amount: 3 });
+  check("done with an amount can be partial", state(), { status: "done", amount: 3, completed: false });
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "skipped", { reason: "travel", amount: 5 });
+  check("skipped keeps the reason and clears the amount", state(), { status: "skipped", amount: 0, completed: false, reason: "travel" });
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "missed", { reason: "sick" });
+  check("missed clears the reason", state(), { status: "missed", amount: 0, completed: false });
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "skipped", { reason: "rest" });
+  await setCheckinStatus(filter("2025-01-13"), 8, "frozen");
+  check("frozen clears amount and reason", state(), { status: "frozen", amount: 0, completed: false });
+
+  await setCheckinStatus(filter("2025-01-13"), 8, "skipped", { reason: "rest" });
+  await setCheckinStatus(filter("2025-01-13"), 8, "done");
+  check("done after a skip clears the reason", state(), done);
+
+  check("none clears the day", await setCheckinStatus(filter("2025-01-13"), 8, "none"), null);
+  check("nothing stored", [state(), checkins.length], [undefined, 0]);
+  await setCheckinStatus(filter("2025-01-13"), 8, "none");
+  check("none twice leaves the same state", [state(), checkins.length], [undefined, 0]);
+}
+
+async function testTargetChange() {
+  console.log("Testing completion after a target change...");
+
+  checkins.length = 0;
+  await Checkin.create({ ...filter("2025-01-13"), amount: 6, completed: false });
+  await Checkin.create({ ...filter("2025-01-14"), amount: 8, completed: true });
+  await Checkin.create({ ...filter("2025-01-15"), completed: true }); // legacy, no amount
+  await Checkin.create({ ...filter("2025-01-16"), status: "skipped", amount: 0, completed: false });
+  const otherHabit = await Checkin.create({ habitId: new mongoose.Types.ObjectId(), userId, date: day("2025-01-13"), amount: 6, completed: false });
+
+  const completion = () => ["2025-01-13", "2025-01-14", "2025-01-15", "2025-01-16"].map((key) => stored(key).completed);
+
+  await syncCompletionWithTarget({ _id: habitId, userId, target: 6 });
+  check("lowering the target completes reached days", completion(), [true, true, false, false]);
+  check("legacy check-ins get an amount of 1", stored("2025-01-15").amount, 1);
+
+  await syncCompletionWithTarget({ _id: habitId, userId, target: 1 });
+  check("a target of 1 completes every logged day", completion(), [true, true, true, false]);
+
+  await syncCompletionWithTarget({ _id: habitId, userId, target: 7 });
+  check("raising the target makes days partial", completion(), [false, true, false, false]);
+
+  check("other habits are untouched", otherHabit.completed, false);
+}
+
+function testListQuery() {
+  console.log("Testing the listing query...");
+
+  check("no query is one unpaged list", parseListQuery({}), { from: null, to: null, limit: null, after: null });
+  const range = parseListQuery({ from: "2025-01-13", to: "2025-01-19" });
+  check("date range", [range.from, range.to], [day("2025-01-13"), day("2025-01-19")]);
+  check("a single day", parseListQuery({ from: "2025-01-13", to: "2025-01-13" }).error, undefined);
+  check("from after to", parseListQuery({ from: "2025-01-20", to: "2025-01-19" }), { error: "from must not be after to" });
+  check("invalid dates", [parseListQuery({ from: "2025-13-01" }).error, parseListQuery({ to: "yesterday" }).error], ["Invalid from date", "Invalid to date"]);
+
+  check("smallest page", parseListQuery({ limit: "1" }).limit, 1);
+  check("largest page", parseListQuery({ limit: String(MAX_PAGE_SIZE) }).limit, MAX_PAGE_SIZE);
+  const tooBig = `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+  check("limit bounds", [parseListQuery({ limit: "0" }).error, parseListQuery({ limit: String(MAX_PAGE_SIZE + 1) }).error], [tooBig, tooBig]);
+  check(
+    "limit must be a whole number",
+    ["-5", "2.5", "ten", ["10"], { $gt: "" }].map((limit) => parseListQuery({ limit }).error),
+    Array(5).fill("Invalid limit")
+  );
+
+  const last = { _id: new mongoose.Types.ObjectId(), date: day("2025-01-15") };
+  const cursor = encodeCursor(last);
+  check("cursor is opaque", /^[\w-]+$/.test(cursor), true);
+  check("cursor round-trip", decodeCursor(cursor), { date: last.date, id: last._id });
+  const page = parseListQuery({ cursor });
+  check("cursor without a limit uses the default page", [page.limit, page.after], [DEFAULT_PAGE_SIZE, { date: last.date, id: last._id }]);
+  check("cursor keeps the limit", parseListQuery({ cursor, limit: "20" }).limit, 20);
+
+  const badCursors = [
+    "not-a-cursor",
+    Buffer.from("2025-01-15T00:00:00.000Z|nope").toString("base64url"),
+    Buffer.from(`someday|${last._id}`).toString("base64url"),
+    "x".repeat(201),
+    { $ne: "" },
+  ];
+  check("bad cursors are rejected (400)", badCursors.map((bad) => parseListQuery({ cursor: bad }).error), Array(5).fill("Invalid cursor"));
+}
+
+await testResolveRequest();
+await testAmounts();
+await testSkippedDays();
+await testSetStatus();
+await testTargetChange();
+testListQuery();
+console.log("All check-in checks passed");
@@ -0,0 +1,138 @@
+/**
+ * Verification script for email confirmation and email changes
+ * Tests services/emailVerificationService.js (signup link, change flow,
+ * notice to the old address, cancel, resend limit) with the file mail
+ * transport and an in-memory stand-in for the EmailVerificationToken
+ * and User models
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import EmailVerificationToken from "./models/EmailVerificationToken.js";
+import User from "./models/User.js";
+import {
+  cancelEmailChange,
+  confirmEmail,
+  requestEmailChange,
+  sendVerificationEmail,
+} from "./services/emailVerificationService.js";
+import { check, matches, stubModel } from "./test-helpers.js";
+
+// ============================================================================
+// In-memory models
+// ============================================================================
+const tokens = stubModel(EmailVerificationToken, () => ({ usedAt: null, createdAt: new Date() }));
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Jane",
+  email: "jane@example.com",
+  emailVerified: false,
+  pendingEmail: null,
+  save: async () => {},
+};
+const otherUser = { _id: new mongoose.Types.ObjectId(), email: "taken@example.com" };
+
+User.findById = async (id) => (String(id) === String(user._id) ? user : null);
+User.updateOne = async (query, { $set }) => {
+  if (String(query._id) === String(user._id)) Object.assign(user, $set);
+};
+User.exists = async (query) => [user, otherUser].some((doc) => matches(doc, query));
+
+// Let the next link go out straight away (skips the resend limit)
+const allowResend = () => tokens.forEach((doc) => (doc.createdAt = new Date(0)));
+
+// ============================================================================
+// Outbox helpers
+// ============================================================================
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "riza-verify-"));
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+delete process.env.FRONTEND_URL;
+
+// Messages written since the last call (in no particular order)
+async function readOutbox() {
+  const files = await fs.readdir(outboxDir);
+  const messages = await Promise.all(
+    files.map(async (file) => JSON.parse(await fs.readFile(path.join(outboxDir, file), "utf8")))
+  );
+  await Promise.all(files.map((file) => fs.rm(path.join(outboxDir, file))));
+  return messages;
+}
+
+const sentTo = (messages, address) =>
+  messages.find((message) => message.to[0].address === address);
+const tokenFrom = (message) => new URL(message.text.match(/http\S+/)[0]).hash.replace("#token=", "");
+
+// ============================================================================
+// Tests
+// ============================================================================
+async function testSignupConfirmation() {
+  console.log("Testing signup confirmation...");
+
+  check("link is sent", await sendVerificationEmail(user, user.email), true);
+  check("no second link within a minute", await sendVerificationEmail(user, user.email), false);
+
+  const [message] = await readOutbox();
+  check("sent to the account's address", message.to.map(({ address }) => address), [user.email]);
+  check("signup subject", message.subject, "Confirm your email for Riza");
+  check("only the hash is stored", JSON.stringify(tokens).includes(tokenFrom(message)), false);
+
+  const token = tokenFrom(message);
+  check("unknown token", (await confirmEmail("not-a-token")).error, "invalid");
+  check("token confirms the address", (await confirmEmail(token)).user.emailVerified, true);
+  check("token works once", (await confirmEmail(token)).error, "invalid");
+}
+
+async function testEmailChange() {
+  console.log("Testing email change...");
+
+  allowResend();
+  check("change is requested", await requestEmailChange(user, "jane@new.example.com"), true);
+  check("address is pending", [user.email, user.pendingEmail], ["jane@example.com", "jane@new.example.com"]);
+
+  const messages = await readOutbox();
+  const link = sentTo(messages, "jane@new.example.com");
+  const notice = sentTo(messages, "jane@example.com");
+  check("two emails", messages.length, 2);
+  check("link goes to the new address", Boolean(link), true);
+  check("change subject", link.subject, "Confirm your new Riza email address");
+  check("old address is told", notice.subject, "Your Riza email address is being changed");
+  check("notice names the new address", notice.text.includes("jane@new.example.com"), true);
+
+  const result = await confirmEmail(tokenFrom(link));
+  check("email switches once confirmed", [result.user.email, user.pendingEmail], ["jane@new.example.com", null]);
+}
+
+async function testCancelAndTaken() {
+  console.log("Testing cancelled and taken addresses...");
+
+  allowResend();
+  await requestEmailChange(user, "jane@other.example.com");
+  const cancelledLink = sentTo(await readOutbox(), "jane@other.example.com");
+  await cancelEmailChange(user._id);
+  check("cancel clears the pending address", user.pendingEmail, null);
+  check("cancelled link stops working", (await confirmEmail(tokenFrom(cancelledLink))).error, "invalid");
+
+  allowResend();
+  await requestEmailChange(user, "taken@example.com");
+  const takenLink = sentTo(await readOutbox(), "taken@example.com");
+  check("address taken in the meantime", (await confirmEmail(tokenFrom(takenLink))).error, "taken");
+  check("email is unchanged", user.email, "jane@new.example.com");
+
+  allowResend();
+  await requestEmailChange(user, "jane@late.example.com");
+  const expiring = sentTo(await readOutbox(), "jane@late.example.com");
+  tokens[tokens.length - 1].expiresAt = new Date(Date.now() - 1000);
+  check("expired link", (await confirmEmail(tokenFrom(expiring))).error, "invalid");
+}
+
+try {
+  await testSignupConfirmation();
+  await testEmailChange();
+  await testCancelAndTaken();
+} finally {
+  await fs.rm(outboxDir, { recursive: true, force: true });
+}
+console.log("All email verification checks passed");
@@ -0,0 +1,217 @@
+/**
+ * Verification script for digest and streak-at-risk emails
+ * Tests when emails are due and which habits are at risk
+ * (services/emailDigestService.js), the templates (utils/emailTemplates.js)
+ * and the file transport (services/mailService.js), and a streak-at-risk
+ * alert sent by sendDueEmails() against in-memory models
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import Checkin from "./models/Checkin.js";
+import Habit from "./models/Habit.js";
+import User from "./models/User.js";
+import {
+  findHabitsAtRisk,
+  getDigestWeekDue,
+  getStreakAlertDayDue,
+  sendDueEmails,
+} from "./services/emailDigestService.js";
+import { getMailConfig, sendMail } from "./services/mailService.js";
+import { addDays, startOfDay, toDateKey } from "./utils/dateUtils.js";
+import { renderStreakAtRisk, renderWeeklyDigest } from "./utils/emailTemplates.js";
+import { check, day, keys, stubModel } from "./test-helpers.js";
+
+const createdAt = "2025-01-06T09:00:00";
+
+function testWhenEmailsAreDue() {
+  console.log("Testing when emails are due...");
+
+  // 2025-01-20 is a Monday
+  const user = { emailsSentFor: { weeklyDigest: null, streakAtRisk: null } };
+  const monday = new Date("2025-01-20T08:15:00Z");
+  check("digest on Monday morning covers last week", getDigestWeekDue(user, monday, "UTC"), "2025-01-13");
+  check("no digest before 08:00", getDigestWeekDue(user, new Date("2025-01-20T07:59:00Z"), "UTC"), null);
+  check("no digest on other days", getDigestWeekDue(user, new Date("2025-01-21T08:15:00Z"), "UTC"), null);
+  check(
+    "digest sent once per week",
+    getDigestWeekDue({ emailsSentFor: { weeklyDigest: "2025-01-13" } }, monday, "UTC"),
+    null
+  );
+  check("digest uses the user's clock", getDigestWeekDue(user, new Date("2025-01-20T05:30:00Z"), "Africa/Nairobi"), "2025-01-13");
+
+  const evening = new Date("2025-01-15T20:30:00Z");
+  check("alert in the evening", getStreakAlertDayDue(user, evening, "UTC"), "2025-01-15");
+  check("no alert before 20:00", getStreakAlertDayDue(user, new Date("2025-01-15T19:59:00Z"), "UTC"), null);
+  check(
+    "alert sent once per day",
+    getStreakAlertDayDue({ emailsSentFor: { streakAtRisk: "2025-01-15" } }, evening, "UTC"),
+    null
+  );
+}
+
+function testHabitsAtRisk() {
+  console.log("Testing habits at risk...");
+
+  const habit = (id, fields) => ({ _id: id, name: id, frequency: "daily", createdAt, ...fields });
+  const habits = [
+    habit("pending"),
+    habit("longer"),
+    habit("done"),
+    habit("skipped"),
+    habit("no-streak"),
+    habit("weekends", { frequency: "weekends" }),
+    habit("weekly", { frequency: "weekly", timesPerWeek: 3 }),
+    habit("archived", { archived: true, archivedAt: "2025-01-10T09:00:00Z" }),
+  ];
+  const keysByHabit = new Map([
+    ["done", { completed: keys("2025-01-15"), skipped: keys() }],
+    ["skipped", { completed: keys(), skipped: keys("2025-01-15") }],
+  ]);
+  const streaks = new Map(
+    habits.map(({ _id }) => [
+      _id,
+      {
+        streak: _id === "no-streak" ? 0 : _id === "longer" ? 9 : 4,
+        streakUnit: _id === "weekly" ? "week" : "day",
+      },
+    ])
+  );
+
+  // Wednesday: the weekly habit still has until Sunday
+  check(
+    "only streaks ending today, longest first",
+    findHabitsAtRisk(habits, keysByHabit, streaks, day("2025-01-15"), "UTC"),
+    [
+      { name: "longer", streak: 9, streakUnit: "day" },
+      { name: "pending", streak: 4, streakUnit: "day" },
+    ]
+  );
+  check(
+    "weekly habits are at risk on Sunday",
+    findHabitsAtRisk([habits[6]], new Map(), streaks, day("2025-01-19"), "UTC"),
+    [{ name: "weekly", streak: 4, streakUnit: "week" }]
+  );
+}
+
+function testTemplates() {
+  console.log("Testing email templates...");
+
+  const stats = {
+    from: "2025-01-13",
+    to: "2025-01-19",
+    overall: {
+      successRate: 80,
+      comparison: 12,
+      bestDay: "Tuesday",
+      completions: 16,
+      currentStreak: 6,
+      longestStreak: 20,
+    },
+    habits: [
+      { name: "<b>Read</b>", possible: 7, completed: 6, successRate: 86 },
+      { name: "Archived", possible: 0, completed: 0, successRate: 0 },
+    ],
+  };
+  const digest = renderWeeklyDigest({
+    name: "Jane",
+    stats,
+    progressUrl: "http://localhost:8000/frontend/progress/progress.html",
+    settingsUrl: "http://localhost:8000/frontend/profile/profile.html",
+  });
+  check("digest subject", digest.subject, "Your week in Riza: 80% success rate");
+  check("digest text has the stats", digest.text.includes("- Success rate: 80% (up 12% from the week before)"), true);
+  check("digest lists habits with due days", digest.text.includes("- <b>Read</b>: 86% (6 of 7)") && !digest.text.includes("Archived"), true);
+  check("digest HTML escapes habit names", digest.html.includes("&lt;b&gt;Read&lt;/b&gt;") && !digest.html.includes("<b>Read"), true);
+
+  const alert = renderStreakAtRisk({
+    name: "Jane",
+    habits: [{ name: "Read", streak: 9, streakUnit: "day" }],
+    dashboardUrl: "http://localhost:8000/frontend/dashboard/dashboard.html",
+    settingsUrl: "http://localhost:8000/frontend/profile/profile.html",
+  });
+  check("alert subject", alert.subject, "Your 9-day Read streak ends tonight");
+  check("alert text lists the habit", alert.text.includes("- Read (9-day streak)"), true);
+}
+
+async function testFileTransport() {
+  console.log("Testing the file transport...");
+
+  const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "riza-mail-"));
+  process.env.MAIL_TRANSPORT = "file";
+  process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+  try {
+    const { file } = await sendMail({
+      to: "jane@example.com",
+      subject: "Hello",
+      text: "Plain body",
+      html: "<p>HTML body</p>",
+    });
+    const message = JSON.parse(await fs.readFile(file, "utf8"));
+    check("message written to the outbox", path.dirname(file), outboxDir);
+    check("recipient", message.to.map(({ address }) => address), ["jane@example.com"]);
+    check("subject and bodies", [message.subject, message.text, message.html], ["Hello", "Plain body", "<p>HTML body</p>"]);
+
+    process.env.MAIL_TRANSPORT = "carrier-pigeon";
+    let error = null;
+    try {
+      getMailConfig();
+    } catch (err) {
+      error = err.message;
+    }
+    check("unknown transports are rejected", error?.startsWith("Unknown MAIL_TRANSPORT"), true);
+  } finally {
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  }
+}
+
+async function testStreakAlertSent() {
+  console.log("Testing a sent streak-at-risk alert...");
+
+  const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "riza-mail-"));
+  process.env.MAIL_TRANSPORT = "file";
+  process.env.MAIL_OUTBOX_DIR = outboxDir;
+  stubModel(Habit);
+  stubModel(Checkin);
+  stubModel(User);
+
+  try {
+    // Streaks are calculated up to the real today
+    const today = startOfDay(new Date(), "UTC");
+    const user = await User.create({
+      name: "Jane",
+      email: "jane@example.com",
+      timezone: "UTC",
+      notificationPrefs: { weeklyDigest: false, streakAtRisk: true },
+    });
+    const habit = (name, fields) =>
+      Habit.create({ userId: user._id, name, frequency: "daily", createdAt: addDays(today, -10), ...fields });
+    const habits = [
+      await habit("Archived", { archived: true, archivedAt: addDays(today, -1) }),
+      // Created before habits could be archived: no archived field
+      await habit("Legacy"),
+    ];
+    for (const { _id } of habits) {
+      for (const offset of [-2, -1]) {
+        await Checkin.create({ habitId: _id, userId: user._id, date: addDays(today, offset), amount: 1, completed: true, status: "done" });
+      }
+    }
+
+    const sent = await sendDueEmails(new Date(today.getTime() + 21 * 60 * 60 * 1000));
+    check("the alert is sent", [sent, user.emailsSentFor?.streakAtRisk], [{ digests: 0, alerts: 1 }, toDateKey(today)]);
+    const [file] = await fs.readdir(outboxDir);
+    const { text } = JSON.parse(await fs.readFile(path.join(outboxDir, file), "utf8"));
+    check("habits without an archived field are included", [text.includes("Legacy"), text.includes("Archived")], [true, false]);
+  } finally {
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  }
+}
+
+testWhenEmailsAreDue();
+testHabitsAtRisk();
+testTemplates();
+await testFileTransport();
+await testStreakAlertSent();
+console.log("All email checks passed");
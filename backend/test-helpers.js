@@ -0,0 +1,211 @@
+/**
+ * Shared helpers for the verification scripts (test-*.js)
+ * Not a test script itself: import check() for assertions and
+ * stubModel() to run services against an in-memory collection
+ * instead of MongoDB
+ */
+
+import mongoose from "mongoose";
+import { parseDateKey } from "./utils/dateUtils.js";
+
+// ============================================================================
+// Assertions
+// ============================================================================
+
+/**
+ * Compare a value with the expected one (as JSON) and stop on failure
+ *
+ * @param {string} label - What is being checked
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Value it should equal
+ */
+export const check = (label, actual, expected) => {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.error(
+      `❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+    process.exit(1);
+  }
+};
+
+// ============================================================================
+// Dates
+// ============================================================================
+
+// Normalized day for a YYYY-MM-DD key
+export const day = (key) => parseDateKey(key);
+
+// Set of YYYY-MM-DD keys (completed/skipped days in the services' format)
+export const keys = (...dateKeys) => new Set(dateKeys);
+
+// ============================================================================
+// In-memory models
+// ============================================================================
+
+// Query operators understood by matches()
+const OPERATORS = {
+  $ne: (value, operand) => String(value) !== String(operand),
+  $in: (value, operand) => operand.some((item) => String(item) === String(value)),
+  $exists: (value, operand) => (value !== undefined) === operand,
+  $gt: (value, operand) => value > operand,
+  $gte: (value, operand) => value >= operand,
+  $lt: (value, operand) => value < operand,
+  $lte: (value, operand) => value <= operand,
+};
+
+// { $op: operand } conditions, as opposed to values (ObjectIds, Dates...)
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  Object.getPrototypeOf(condition) === Object.prototype &&
+  Object.keys(condition).every((key) => key in OPERATORS);
+
+// Value of a dotted path like "notificationPrefs.weeklyDigest"
+const getPath = (doc, key) =>
+  key.split(".").reduce((value, field) => value?.[field], doc);
+
+// Set a dotted path, creating the objects on the way
+const setPath = (doc, key, value) => {
+  const fields = key.split(".");
+  const last = fields.pop();
+  const parent = fields.reduce((object, field) => (object[field] ??= {}), doc);
+  parent[last] = value;
+};
+
+/**
+ * Whether a document matches a MongoDB-style filter
+ * Supports equality (ObjectIds and Dates compared as strings), dotted
+ * paths, $or and the operators above
+ *
+ * @param {Object} doc - Stored document
+ * @param {Object} filter - Filter, e.g. { userId, amount: { $gte: 3 } }
+ * @returns {boolean}
+ */
+export const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(doc, branch));
+    const value = getPath(doc, key);
+    if (condition === null) return value === null || value === undefined;
+    if (!isOperatorObject(condition)) return String(value) === String(condition);
+    return Object.entries(condition).every(([operator, operand]) =>
+      OPERATORS[operator](value, operand)
+    );
+  });
+
+/**
+ * Result of a stubbed query: awaitable directly or after chaining
+ * select(), lean(), sort() and limit() like a Mongoose query
+ *
+ * @param {*} result - Document, array or null
+ * @returns {Object} Thenable query
+ */
+export function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: (spec) => query(sortDocs(result, spec)),
+    limit: (count) => query(result.slice(0, count)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+}
+
+// Sort documents by a { field: 1 | -1 } spec (stable for equal values)
+function sortDocs(docs, spec) {
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of Object.entries(spec)) {
+      if (a[field] < b[field]) return -direction;
+      if (a[field] > b[field]) return direction;
+    }
+    return 0;
+  });
+}
+
+// Apply $set / $unset (and plain fields, like Mongoose) to a document
+function applyUpdate(doc, { $set = {}, $unset = {}, $setOnInsert, ...fields }) {
+  Object.entries({ ...fields, ...$set }).forEach(([key, value]) => setPath(doc, key, value));
+  Object.keys($unset).forEach((key) => setPath(doc, key, undefined));
+}
+
+/**
+ * Replace a model's database calls with an in-memory collection
+ *
+ * Stubs create, find, findById, findOne, findOneAndUpdate (with upsert),
+ * updateOne, updateMany, bulkWrite (updateOne operations), deleteOne,
+ * deleteMany, exists and document.save() (for documents built with
+ * new Model())
+ *
+ * @param {Object} Model - Mongoose model
+ * @param {Function} [defaults] - Fields for each new document
+ * @returns {Array<Object>} The collection (mutated in place; empty it
+ *          with docs.length = 0)
+ */
+export function stubModel(Model, defaults = () => ({})) {
+  const docs = [];
+  const newDoc = (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...defaults(), ...fields };
+    // Found documents can be saved back, like Mongoose documents
+    Object.defineProperty(doc, "save", { value: async () => doc });
+    docs.push(doc);
+    return doc;
+  };
+  const remove = (filter, limit) => {
+    const removed = docs.filter((doc) => matches(doc, filter)).slice(0, limit);
+    removed.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  };
+  const write = (filter, update, { upsert: insert } = {}) => {
+    let doc = docs.find((stored) => matches(stored, filter));
+    if (!doc && !insert) return null;
+    if (!doc) {
+      // Equality conditions become fields of the inserted document
+      const equalities = Object.entries(filter).filter(([, condition]) => !isOperatorObject(condition));
+      doc = newDoc({ ...Object.fromEntries(equalities), ...update.$setOnInsert });
+    }
+    applyUpdate(doc, update);
+    return doc;
+  };
+
+  Model.create = async (fields) => newDoc(fields);
+  Model.find = (filter = {}) => query(docs.filter((doc) => matches(doc, filter)));
+  Model.findOne = (filter) => query(docs.find((doc) => matches(doc, filter)) || null);
+  Model.findById = (id) => query(docs.find((doc) => String(doc._id) === String(id)) || null);
+  Model.findOneAndUpdate = (filter, update, options) => query(write(filter, update, options));
+  Model.updateOne = async (filter, update, options) => {
+    const doc = write(filter, update, options);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  };
+  Model.updateMany = async (filter, update) => {
+    const matched = docs.filter((doc) => matches(doc, filter));
+    matched.forEach((doc) => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+  Model.bulkWrite = async (operations) => {
+    const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedIds: {} };
+    operations.forEach(({ updateOne: { filter, update, upsert } }, index) => {
+      const existed = docs.some((doc) => matches(doc, filter));
+      const doc = write(filter, update, { upsert });
+      if (existed) {
+        result.matchedCount += 1;
+        result.modifiedCount += 1;
+      } else if (doc) {
+        result.upsertedCount += 1;
+        result.upsertedIds[index] = doc._id;
+      }
+    });
+    return result;
+  };
+  Model.deleteOne = async (filter) => remove(filter, 1);
+  Model.deleteMany = async (filter) => remove(filter);
+  Model.exists = async (filter) => {
+    const doc = docs.find((stored) => matches(stored, filter));
+    return doc ? { _id: doc._id } : null;
+  };
+  Model.prototype.save = async function save() {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  };
+
+  return docs;
+}
@@ -0,0 +1,89 @@
+/**
+ * Verification script for password resets
+ * Tests services/passwordResetService.js (emailed link, single use, expiry,
+ * resend limit) with the file mail transport and an in-memory stand-in
+ * for the PasswordResetToken and User models
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import PasswordResetToken from "./models/PasswordResetToken.js";
+import User from "./models/User.js";
+import {
+  consumePasswordResetToken,
+  createPasswordResetToken,
+  requestPasswordReset,
+} from "./services/passwordResetService.js";
+import { check, stubModel } from "./test-helpers.js";
+
+// ============================================================================
+// In-memory models
+// ============================================================================
+const tokens = stubModel(PasswordResetToken, () => ({ usedAt: null, createdAt: new Date() }));
+const user = { _id: new mongoose.Types.ObjectId(), name: "Jane", email: "jane@example.com" };
+
+User.findOne = ({ email }) => ({
+  select: async () => (email === user.email ? user : null),
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+async function testResetEmail(outboxDir) {
+  console.log("Testing the reset email...");
+
+  check("unknown emails get nothing", await requestPasswordReset("nobody@example.com"), false);
+  check("known emails get a link", await requestPasswordReset(user.email), true);
+
+  const [file] = await fs.readdir(outboxDir);
+  const message = JSON.parse(await fs.readFile(path.join(outboxDir, file), "utf8"));
+  check("sent to the account's address", message.to.map(({ address }) => address), [user.email]);
+  check("subject", message.subject, "Reset your Riza password");
+
+  const link = message.text.match(/http\S+/)[0];
+  const token = new URL(link).hash.replace("#token=", "");
+  check("link opens the reset form", link.split("#")[0], "http://localhost:8000/frontend/login/signin_signup.html?mode=reset");
+  check("only the hash is stored", tokens[0].tokenHash !== token && !JSON.stringify(tokens).includes(token), true);
+
+  check("no second email within a minute", await requestPasswordReset(user.email), false);
+  check("outbox holds one email", (await fs.readdir(outboxDir)).length, 1);
+
+  return token;
+}
+
+async function testSingleUse(token) {
+  console.log("Testing single use...");
+
+  check("unknown token", await consumePasswordResetToken("not-a-token"), null);
+  check("token identifies the user", String(await consumePasswordResetToken(token)), String(user._id));
+  check("token works once", await consumePasswordResetToken(token), null);
+}
+
+async function testExpiryAndReplacement() {
+  console.log("Testing expiry and replacement...");
+
+  const expiring = await createPasswordResetToken(user._id);
+  tokens[tokens.length - 1].expiresAt = new Date(Date.now() - 1000);
+  check("expired token", await consumePasswordResetToken(expiring), null);
+
+  const older = await createPasswordResetToken(user._id);
+  const newer = await createPasswordResetToken(user._id);
+  check("new link replaces unused ones", await consumePasswordResetToken(older), null);
+  check("newest link works", String(await consumePasswordResetToken(newer)), String(user._id));
+}
+
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "riza-reset-"));
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+delete process.env.FRONTEND_URL;
+
+try {
+  const token = await testResetEmail(outboxDir);
+  await testSingleUse(token);
+  await testExpiryAndReplacement();
+} finally {
+  await fs.rm(outboxDir, { recursive: true, force: true });
+}
+console.log("All password reset checks passed");
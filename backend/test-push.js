@@ -0,0 +1,142 @@
+/**
+ * Verification script for Web Push delivery
+ * Sends a reminder through services/pushService.js to a local mock push
+ * endpoint, then checks the VAPID headers and decrypts the payload the
+ * way a browser would (RFC 8291)
+ */
+
+import crypto from "crypto";
+import http from "http";
+import webpush from "web-push";
+import { getVapidDetails, sendPush } from "./services/pushService.js";
+import { check } from "./test-helpers.js";
+
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * Decrypt an aes128gcm push message with the browser's keys
+ *
+ * @param {Buffer} body - Request body
+ * @param {crypto.ECDH} browserKeys - Subscriber key pair
+ * @param {Buffer} authSecret - Subscriber auth secret
+ * @returns {string} Plaintext payload
+ */
+function decryptPayload(body, browserKeys, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = browserKeys.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    browserKeys.getPublicKey(),
+    serverPublicKey,
+  ]);
+  const ikm = hmac(hmac(authSecret, sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+  const prk = hmac(salt, ikm);
+  const contentKey = hmac(prk, Buffer.from("Content-Encoding: aes128gcm\0\x01")).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from("Content-Encoding: nonce\0\x01")).subarray(0, 12);
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // Last record: payload, then a 0x02 delimiter, then optional zero padding
+  return padded.subarray(0, padded.lastIndexOf(2)).toString("utf8");
+}
+
+/**
+ * Start a mock push service that records each request
+ *
+ * @returns {Promise<Object>} { server, url, requests, setStatus }
+ */
+function startMockPushService() {
+  const requests = [];
+  let status = 201;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(status).end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setStatus: (code) => (status = code),
+      });
+    });
+  });
+}
+
+async function testConfiguration() {
+  console.log("Testing VAPID configuration...");
+
+  delete process.env.VAPID_PUBLIC_KEY;
+  delete process.env.VAPID_PRIVATE_KEY;
+  delete process.env.VAPID_SUBJECT;
+  check("disabled without VAPID keys", getVapidDetails(), null);
+
+  const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = publicKey;
+  process.env.VAPID_PRIVATE_KEY = privateKey;
+  process.env.VAPID_SUBJECT = "mailto:test@example.com";
+  check("enabled with VAPID keys", getVapidDetails()?.publicKey, publicKey);
+}
+
+async function testDelivery() {
+  console.log("Testing delivery to a mock push service...");
+
+  const mock = await startMockPushService();
+  const browserKeys = crypto.createECDH("prime256v1");
+  browserKeys.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  const subscription = {
+    endpoint: `${mock.url}/push/device-1`,
+    keys: {
+      p256dh: browserKeys.getPublicKey().toString("base64url"),
+      auth: authSecret.toString("base64url"),
+    },
+  };
+  const payload = {
+    title: "Time for Read",
+    body: "Still to do today",
+    url: "habit-detail/habit-detail.html?id=abc",
+    tag: "reminder-abc",
+  };
+
+  try {
+    const result = await sendPush(subscription, payload);
+    check("delivered", result, { ok: true, statusCode: 201, expired: false });
+
+    const [{ headers, body }] = mock.requests;
+    check("aes128gcm encoding", headers["content-encoding"], "aes128gcm");
+    check("TTL of one day", headers.ttl, "86400");
+    check("VAPID authorization", headers.authorization.startsWith("vapid t="), true);
+
+    const token = headers.authorization.match(/t=([^,]+)/)[1];
+    const claims = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString());
+    check("token audience is the push service", claims.aud, mock.url);
+    check("token subject", claims.sub, "mailto:test@example.com");
+
+    check("browser can decrypt the payload", JSON.parse(decryptPayload(body, browserKeys, authSecret)), payload);
+
+    mock.setStatus(410);
+    check("gone subscriptions are reported expired", await sendPush(subscription, payload), {
+      ok: false,
+      statusCode: 410,
+      expired: true,
+    });
+  } finally {
+    mock.server.close();
+  }
+}
+
+await testConfiguration();
+await testDelivery();
+console.log("All push checks passed");
@@ -0,0 +1,193 @@
+/**
+ * Verification script for refresh token rotation and token revocation
+ * Tests rotation, expiry, reuse detection, logout, sessions (list and
+ * revoke) and "log out everywhere" in services/tokenService.js against
+ * an in-memory stand-in for the RefreshToken, RevokedToken, Session and
+ * User models
+ */
+
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import RefreshToken from "./models/RefreshToken.js";
+import RevokedToken from "./models/RevokedToken.js";
+import Session from "./models/Session.js";
+import User from "./models/User.js";
+import {
+  createSession,
+  isAccessTokenRevoked,
+  listSessions,
+  revokeAccessToken,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeRefreshToken,
+  revokeSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+} from "./services/tokenService.js";
+import { describeUserAgent } from "./utils/userAgent.js";
+import { check, query, stubModel } from "./test-helpers.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// ============================================================================
+// In-memory models
+// ============================================================================
+const tokens = stubModel(RefreshToken, () => ({ revokedAt: null }));
+const sessions = stubModel(Session, () => ({ createdAt: new Date(), lastSeenAt: new Date() }));
+stubModel(RevokedToken);
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: "jane@example.com",
+  tokenVersion: 0,
+};
+
+const findUser = (id) => (String(id) === String(user._id) ? user : null);
+User.findById = (id) => query(findUser(id));
+User.findByIdAndUpdate = (id, { $inc }) => {
+  const found = findUser(id);
+  if (found) found.tokenVersion += $inc.tokenVersion;
+  return query(found);
+};
+
+// ============================================================================
+// Tests
+// ============================================================================
+async function testRotation() {
+  console.log("Testing rotation...");
+
+  const session = await createSession(user, "Test Browser");
+  check("login issues an access token", jwt.verify(session.token, "test-secret").email, user.email);
+  check("only the hash is stored", tokens[0].tokenHash !== session.refreshToken, true);
+
+  const first = await rotateRefreshToken(session.refreshToken);
+  check("refresh returns new tokens", Boolean(first.token && first.refreshToken), true);
+  check("refresh token changes", first.refreshToken !== session.refreshToken, true);
+  check("same family", tokens[1].family, tokens[0].family);
+  check("old token points to its replacement", String(tokens[0].replacedBy), String(tokens[1]._id));
+
+  const second = await rotateRefreshToken(first.refreshToken);
+  check("new token can be rotated again", Boolean(second.token), true);
+
+  return second.refreshToken;
+}
+
+async function testReuseDetection(currentToken) {
+  console.log("Testing reuse detection...");
+
+  const original = await createSession(user);
+  const latest = await rotateRefreshToken(original.refreshToken);
+
+  // Replaying the used token revokes its family, including the latest token
+  check("used token is rejected", (await rotateRefreshToken(original.refreshToken)).error, "reused");
+  check("whole family is revoked", (await rotateRefreshToken(latest.refreshToken)).error, "reused");
+  check("other logins keep working", Boolean((await rotateRefreshToken(currentToken)).token), true);
+}
+
+async function testInvalidTokens() {
+  console.log("Testing invalid tokens...");
+
+  check("unknown token", (await rotateRefreshToken("not-a-token")).error, "invalid");
+
+  const expiring = await createSession(user);
+  tokens[tokens.length - 1].expiresAt = new Date(Date.now() - 1000);
+  check("expired token", (await rotateRefreshToken(expiring.refreshToken)).error, "expired");
+
+  const loggedOut = await createSession(user);
+  check("logout revokes the login", await revokeRefreshToken(loggedOut.refreshToken, user._id), true);
+  check("revoked token can't refresh", (await rotateRefreshToken(loggedOut.refreshToken)).error, "reused");
+  check(
+    "other users can't revoke it",
+    await revokeRefreshToken(loggedOut.refreshToken, new mongoose.Types.ObjectId()),
+    false
+  );
+}
+
+async function testAccessTokenRevocation() {
+  console.log("Testing access token revocation...");
+
+  const session = await createSession(user);
+  const payload = verifyAccessToken(session.token);
+  check("access tokens have an ID", typeof payload.jti, "string");
+  check("new token is accepted", await isAccessTokenRevoked(payload), false);
+
+  await revokeAccessToken(payload);
+  check("logged out token is rejected", await isAccessTokenRevoked(payload), true);
+
+  const other = verifyAccessToken((await createSession(user)).token);
+  check("other tokens are still accepted", await isAccessTokenRevoked(other), false);
+  check(
+    "tokens of deleted users are rejected",
+    await isAccessTokenRevoked({ ...other, id: new mongoose.Types.ObjectId() }),
+    true
+  );
+  check("tampered tokens don't verify", verifyAccessToken(`${session.token}x`), null);
+}
+
+async function testLogoutEverywhere() {
+  console.log("Testing log out everywhere...");
+
+  const phone = await createSession(user, "Phone");
+  const laptop = await createSession(user, "Laptop");
+  const updated = await revokeAllSessions(user._id);
+  check("session version is bumped", updated.tokenVersion, 1);
+  check("every session is removed", (await listSessions(user._id)).length, 0);
+
+  check("old access tokens are rejected", await isAccessTokenRevoked(verifyAccessToken(phone.token)), true);
+  check("old refresh tokens are revoked", (await rotateRefreshToken(laptop.refreshToken)).error, "reused");
+
+  const fresh = await createSession(updated);
+  check("new logins are accepted", await isAccessTokenRevoked(verifyAccessToken(fresh.token)), false);
+  check("new logins can refresh", Boolean((await rotateRefreshToken(fresh.refreshToken)).token), true);
+}
+
+async function testSessions() {
+  console.log("Testing sessions...");
+
+  sessions.length = 0;
+  const laptop = await createSession(user, { userAgent: "Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0", ip: "203.0.113.7" });
+  const phone = await createSession(user, { userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) Safari/604.1", ip: "198.51.100.2" });
+  const laptopSid = verifyAccessToken(laptop.token).sid;
+  const phoneSid = verifyAccessToken(phone.token).sid;
+  sessions[0].lastSeenAt = new Date(Date.now() - 60 * 60 * 1000); // laptop used an hour ago
+
+  const listed = await listSessions(user._id);
+  check("one session per login", listed.length, 2);
+  check("most recently used first", String(listed[0]._id), phoneSid);
+  check("session records the device", [listed[1].userAgent.includes("Firefox"), listed[1].ip], [true, "203.0.113.7"]);
+  check("access token names its session", String(listed[1]._id), laptopSid);
+
+  const rotated = await rotateRefreshToken(phone.refreshToken, { userAgent: "Phone", ip: "198.51.100.9" });
+  check("refresh keeps the session", verifyAccessToken(rotated.token).sid, phoneSid);
+  check("refresh updates the address", sessions.find((doc) => String(doc._id) === phoneSid).ip, "198.51.100.9");
+
+  check("other users can't revoke it", await revokeSession(new mongoose.Types.ObjectId(), phoneSid), false);
+  check("revoking a session", await revokeSession(user._id, phoneSid), true);
+  check("its access token is rejected", await isAccessTokenRevoked(verifyAccessToken(rotated.token)), true);
+  check("its refresh token is revoked", (await rotateRefreshToken(rotated.refreshToken)).error, "reused");
+  check("other sessions keep working", await isAccessTokenRevoked(verifyAccessToken(laptop.token)), false);
+
+  const tablet = await createSession(user, { userAgent: "Tablet" });
+  check("revoking the others", await revokeOtherSessions(user._id, laptopSid), 1);
+  check("other session is gone", (await rotateRefreshToken(tablet.refreshToken)).error, "reused");
+  check("this session stays", Boolean((await rotateRefreshToken(laptop.refreshToken)).token), true);
+
+  await revokeRefreshToken((await createSession(user)).refreshToken);
+  check("logout removes the session", (await listSessions(user._id)).length, 1);
+
+  check("device names", [
+    describeUserAgent("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36"),
+    describeUserAgent("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0"),
+    describeUserAgent("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1"),
+    describeUserAgent("Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36"),
+    describeUserAgent("curl/8.5.0"),
+    describeUserAgent(""),
+  ], ["Chrome on Windows", "Edge on Windows", "Safari on iPhone", "Chrome on Android", "Unknown device", "Unknown device"]);
+}
+
+const currentToken = await testRotation();
+await testReuseDetection(currentToken);
+await testInvalidTokens();
+await testAccessTokenRevocation();
+await testSessions();
+await testLogoutEverywhere();
+console.log("All refresh token checks passed");
@@ -0,0 +1,114 @@
+/**
+ * Verification script for habit reminders
+ * Tests reminder windows, reminder days and due checks in
+ * services/reminderService.js, and the habits sendReminders() loads
+ * (against in-memory models)
+ */
+
+import mongoose from "mongoose";
+import Checkin from "./models/Checkin.js";
+import Habit from "./models/Habit.js";
+import Notification from "./models/Notification.js";
+import User from "./models/User.js";
+import {
+  findDueReminders,
+  isReminderDay,
+  isReminderTime,
+  sendReminders,
+} from "./services/reminderService.js";
+import { getLocalTime } from "./utils/dateUtils.js";
+import { check, day, keys, stubModel } from "./test-helpers.js";
+
+// 2025-01-15 is a Wednesday
+const createdAt = "2025-01-06T09:00:00";
+
+function testReminderWindow() {
+  console.log("Testing reminder times...");
+
+  check("local time in the user's zone", getLocalTime(new Date("2025-01-15T22:30:00Z"), "Africa/Nairobi"), "01:30");
+  check("sent at the reminder time", isReminderTime("07:30", "07:30"), true);
+  check("sent a bit late", isReminderTime("07:30", "08:15"), true);
+  check("not sent early", isReminderTime("07:30", "07:29"), false);
+  check("not sent long after", isReminderTime("07:30", "08:30"), false);
+}
+
+function testReminderDays() {
+  console.log("Testing reminder days...");
+
+  const wednesday = day("2025-01-15");
+  check("no days = every day", isReminderDay({ reminderDays: [] }, wednesday), true);
+  check("matching weekday", isReminderDay({ reminderDays: ["mon", "Wednesday"] }, wednesday), true);
+  check("other weekdays", isReminderDay({ reminderDays: ["mon", "fri"] }, wednesday), false);
+}
+
+function testDueReminders() {
+  console.log("Testing due reminders...");
+
+  const now = new Date("2025-01-15T07:45:00Z");
+  const habit = (id, fields) => ({
+    _id: id,
+    name: id,
+    frequency: "daily",
+    reminderTime: "07:30",
+    createdAt,
+    ...fields,
+  });
+  const habits = [
+    habit("pending"),
+    habit("done"),
+    habit("skipped"),
+    habit("later", { reminderTime: "09:00" }),
+    habit("no-reminder", { reminderTime: null }),
+    habit("weekends", { frequency: "weekends" }),
+    habit("quota-met", { frequency: "weekly", timesPerWeek: 2 }),
+    habit("weekly", { frequency: "weekly", timesPerWeek: 3 }),
+    habit("archived", { archived: true, archivedAt: "2025-01-10T09:00:00Z" }),
+  ];
+  const keysByHabit = new Map([
+    ["done", { completed: keys("2025-01-15"), skipped: keys() }],
+    ["skipped", { completed: keys(), skipped: keys("2025-01-15") }],
+    ["quota-met", { completed: keys("2025-01-13", "2025-01-14"), skipped: keys() }],
+    ["weekly", { completed: keys("2025-01-13", "2025-01-14"), skipped: keys() }],
+  ]);
+
+  check(
+    "only due, unfinished habits",
+    findDueReminders(habits, keysByHabit, now, "UTC").map(({ _id }) => _id),
+    ["pending", "weekly"]
+  );
+  check(
+    "uses the user's wall clock",
+    findDueReminders([habit("pending")], new Map(), now, "Africa/Nairobi").length,
+    0
+  );
+}
+
+async function testSendReminders() {
+  console.log("Testing sent reminders...");
+
+  const habits = stubModel(Habit);
+  stubModel(Checkin);
+  stubModel(User);
+  const notifications = stubModel(Notification);
+  const user = await User.create({ timezone: "UTC" });
+  const habit = (name, fields) =>
+    Habit.create({ userId: user._id, name, frequency: "daily", reminderTime: "07:30", createdAt, ...fields });
+  await habit("active", { archived: false });
+  await habit("archived", { archived: true, archivedAt: "2025-01-10T09:00:00Z" });
+  // Created before habits could be archived: no archived field
+  const legacy = await habit("legacy");
+
+  const sent = await sendReminders(new Date("2025-01-15T07:45:00Z"));
+  check("the legacy habit has no archived field", "archived" in legacy, false);
+  check(
+    "reminders for active and legacy habits",
+    [sent, notifications.map(({ habitId }) => habits.find(({ _id }) => _id === habitId).name)],
+    [2, ["active", "legacy"]]
+  );
+}
+
+testReminderWindow();
+testReminderDays();
+testDueReminders();
+await testSendReminders();
+console.log("All reminder checks passed");
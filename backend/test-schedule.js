@@ -0,0 +1,361 @@
+/**
+ * Verification script for the habit schedule engine
+ * Tests due-day rules, period (week / interval) evaluation and streak scoring
+ * in services/scheduleService.js, and the overall streak and streak freezes
+ * in services/streakService.js (automatic freezes against in-memory
+ * Habit, Checkin and User models)
+ */
+
+import {
+  isHabitDue,
+  buildSchedule,
+  calculateStreaks,
+  getEditableFrom,
+  getPeriod,
+  isHabitDueToday,
+} from "./services/scheduleService.js";
+import {
+  calculateOverallStreak,
+  findFreezableDays,
+  recalculateStreaks,
+} from "./services/streakService.js";
+import mongoose from "mongoose";
+import Checkin from "./models/Checkin.js";
+import Habit from "./models/Habit.js";
+import User from "./models/User.js";
+import { addDays, startOfDay } from "./utils/dateUtils.js";
+import { check, day, stubModel } from "./test-helpers.js";
+
+// 2025-01-13 is a Monday
+const createdAt = "2025-01-13T09:00:00";
+
+function testIsHabitDue() {
+  console.log("Testing due-day rules...");
+
+  const weekdays = { frequency: "weekdays", createdAt };
+  const weekends = { frequency: "weekends", createdAt };
+  const custom = { frequency: "custom", customDays: ["mon", "Wed"], createdAt };
+
+  check("weekdays habit due on Monday", isHabitDue(weekdays, day("2025-01-13")), true);
+  check("weekdays habit not due on Saturday", isHabitDue(weekdays, day("2025-01-18")), false);
+  check("weekends habit due on Sunday", isHabitDue(weekends, day("2025-01-19")), true);
+  check("custom habit due on Wednesday", isHabitDue(custom, day("2025-01-15")), true);
+  check("custom habit not due on Tuesday", isHabitDue(custom, day("2025-01-14")), false);
+  check(
+    "habit not due before it was created",
+    isHabitDue({ frequency: "daily", createdAt }, day("2025-01-12")),
+    false
+  );
+}
+
+function testBuildSchedule() {
+  console.log("Testing schedule building...");
+
+  const habits = [
+    { _id: "a", frequency: "weekdays", createdAt },
+    { _id: "b", frequency: "weekends", createdAt },
+  ];
+  const schedule = buildSchedule(habits, day("2025-01-17"), day("2025-01-18"));
+
+  check("schedule maps days to due habit IDs", schedule, {
+    "2025-01-17": ["a"],
+    "2025-01-18": ["b"],
+  });
+}
+
+function testCalculateStreaks() {
+  console.log("Testing due-day streaks...");
+
+  const weekdays = { frequency: "weekdays", createdAt };
+  const week = ["2025-01-13", "2025-01-14", "2025-01-15", "2025-01-16", "2025-01-17"];
+
+  check(
+    "weekend does not break a weekdays streak",
+    calculateStreaks(weekdays, new Set(week), day("2025-01-19")),
+    { current: 5, longest: 5, unit: "day" }
+  );
+  check(
+    "missed due day resets the current streak",
+    calculateStreaks(weekdays, new Set(week), day("2025-01-21")),
+    { current: 0, longest: 5, unit: "day" }
+  );
+  check(
+    "today never breaks the streak",
+    calculateStreaks(weekdays, new Set(week), day("2025-01-20")),
+    { current: 5, longest: 5, unit: "day" }
+  );
+}
+
+function testFlexibleFrequencies() {
+  console.log("Testing weekly and interval habits...");
+
+  const weekly = { frequency: "weekly", timesPerWeek: 3, createdAt };
+  const interval = { frequency: "interval", intervalDays: 3, createdAt };
+
+  check(
+    "weekly period is the Monday-Sunday week",
+    getPeriod(weekly, day("2025-01-22")),
+    { start: day("2025-01-20"), end: day("2025-01-26"), quota: 3 }
+  );
+  check(
+    "interval period is anchored at creation",
+    getPeriod(interval, day("2025-01-17")),
+    { start: day("2025-01-16"), end: day("2025-01-18"), quota: 1 }
+  );
+  check("weekly habit never due on a fixed day", isHabitDue(weekly, day("2025-01-14")), false);
+  check("interval habit due on window start", isHabitDue(interval, day("2025-01-16")), true);
+  check("interval habit not due mid-window", isHabitDue(interval, day("2025-01-17")), false);
+
+  // Week 1: 3 check-ins, week 2: 2 check-ins, week 3: 3 check-ins
+  const weeklyKeys = new Set([
+    "2025-01-13", "2025-01-15", "2025-01-17",
+    "2025-01-20", "2025-01-22",
+    "2025-01-27", "2025-01-28", "2025-02-02",
+  ]);
+  check(
+    "short week resets a weekly streak",
+    calculateStreaks(weekly, weeklyKeys, day("2025-02-03")),
+    { current: 1, longest: 1, unit: "week" }
+  );
+  check(
+    "unfinished current week never breaks the streak",
+    calculateStreaks(weekly, new Set(["2025-01-13", "2025-01-14", "2025-01-15"]), day("2025-01-21")),
+    { current: 1, longest: 1, unit: "week" }
+  );
+  check(
+    "weekly habit stays due until the quota is met",
+    isHabitDueToday(weekly, day("2025-01-16"), new Set(["2025-01-13", "2025-01-14"])),
+    true
+  );
+  check(
+    "weekly habit not due once the quota is met",
+    isHabitDueToday(weekly, day("2025-01-16"), new Set(["2025-01-13", "2025-01-14", "2025-01-15"])),
+    false
+  );
+
+  // Any day of each 3-day window counts
+  check(
+    "interval streak counts windows with a check-in",
+    calculateStreaks(interval, new Set(["2025-01-15", "2025-01-18", "2025-01-19"]), day("2025-01-22")),
+    { current: 3, longest: 3, unit: "interval" }
+  );
+  check(
+    "empty window resets an interval streak",
+    calculateStreaks(interval, new Set(["2025-01-15", "2025-01-22"]), day("2025-01-23")),
+    { current: 1, longest: 1, unit: "interval" }
+  );
+}
+
+function testPauseAndArchive() {
+  console.log("Testing paused and archived habits...");
+
+  const pauses = [{ from: day("2025-01-15"), to: day("2025-01-16") }];
+  const paused = { frequency: "daily", createdAt, pauses };
+  const keys = new Set(["2025-01-13", "2025-01-14", "2025-01-17"]);
+
+  check("habit not due while paused", isHabitDue(paused, day("2025-01-15")), false);
+  check("habit due again after the pause", isHabitDue(paused, day("2025-01-17")), true);
+  check(
+    "pause preserves the streak",
+    calculateStreaks(paused, keys, day("2025-01-17")),
+    { current: 3, longest: 3, unit: "day" }
+  );
+
+  const archived = { frequency: "daily", createdAt, archived: true, archivedAt: "2025-01-15T12:00:00Z" };
+  check("archived habit not due from its archive day", isHabitDue(archived, day("2025-01-15")), false);
+  check("archived habit still due before archiving", isHabitDue(archived, day("2025-01-14")), true);
+
+  const weekly = { frequency: "weekly", timesPerWeek: 3, createdAt: "2025-01-06T09:00:00", pauses };
+  check(
+    "paused week never breaks a weekly streak",
+    calculateStreaks(weekly, new Set(["2025-01-06", "2025-01-07", "2025-01-08", "2025-01-20", "2025-01-21", "2025-01-22"]), day("2025-01-23")),
+    { current: 2, longest: 2, unit: "week" }
+  );
+}
+
+function testSkippedDays() {
+  console.log("Testing skipped (excused) days...");
+
+  const daily = { frequency: "daily", createdAt };
+  const done = new Set(["2025-01-13", "2025-01-14", "2025-01-16"]);
+  const skipped = new Set(["2025-01-15"]);
+
+  check(
+    "skipped day neither breaks nor extends the streak",
+    calculateStreaks(daily, done, day("2025-01-16"), undefined, skipped),
+    { current: 3, longest: 3, unit: "day" }
+  );
+  check(
+    "same day without a skip breaks the streak",
+    calculateStreaks(daily, done, day("2025-01-16")),
+    { current: 1, longest: 2, unit: "day" }
+  );
+  check(
+    "habit skipped today is not due today",
+    isHabitDueToday(daily, day("2025-01-15"), done, undefined, skipped),
+    false
+  );
+}
+
+function testOverallStreak() {
+  console.log("Testing overall streak...");
+
+  const habits = [
+    { _id: "a", frequency: "weekdays", createdAt },
+    { _id: "b", frequency: "weekends", createdAt },
+  ];
+  const checkin = (habitId, date, extra = {}) => ({
+    habitId,
+    date: day(date),
+    completed: true,
+    ...extra,
+  });
+  const weekdays = ["2025-01-13", "2025-01-14", "2025-01-15", "2025-01-16", "2025-01-17"];
+
+  check(
+    "any completed habit extends the overall streak",
+    calculateOverallStreak(habits, [
+      ...weekdays.map((date) => checkin("a", date)),
+      checkin("b", "2025-01-18"),
+    ], day("2025-01-19")),
+    { current: 6, longest: 6 }
+  );
+  check(
+    "due day without a completion breaks the overall streak",
+    calculateOverallStreak(habits, weekdays.map((date) => checkin("a", date)), day("2025-01-20")),
+    { current: 0, longest: 5 }
+  );
+  check(
+    "skipped due day does not break the overall streak",
+    calculateOverallStreak(habits, [
+      ...weekdays.map((date) => checkin("a", date)),
+      checkin("b", "2025-01-18", { completed: false, status: "skipped" }),
+      checkin("b", "2025-01-19"),
+    ], day("2025-01-19")),
+    { current: 6, longest: 6 }
+  );
+}
+
+function testStreakFreezes() {
+  console.log("Testing streak freezes...");
+
+  const daily = { _id: "a", frequency: "daily", createdAt };
+  const keys = (completed, { skipped = [], recorded = [] } = {}) => ({
+    completed: new Set(completed),
+    skipped: new Set(skipped),
+    recorded: new Set([...completed, ...skipped, ...recorded]),
+  });
+  const today = day("2025-01-17"); // Friday
+  const toKeys = (days) => days.map((d) => d.toISOString().slice(0, 10));
+
+  check(
+    "missed days after the last completion are freezable",
+    toKeys(findFreezableDays(daily, keys(["2025-01-13", "2025-01-14"]), today)),
+    ["2025-01-15", "2025-01-16"]
+  );
+  check(
+    "a day marked missed can't be frozen over",
+    findFreezableDays(daily, keys(["2025-01-13", "2025-01-14"], { recorded: ["2025-01-15"] }), today),
+    []
+  );
+  check(
+    "nothing to save without a completion",
+    findFreezableDays(daily, keys([]), today),
+    []
+  );
+  check(
+    "weekly habits have no due days to freeze",
+    findFreezableDays({ ...daily, frequency: "weekly", timesPerWeek: 2 }, keys(["2025-01-13"]), today),
+    []
+  );
+
+  const frozen = keys(["2025-01-13", "2025-01-14", "2025-01-16"], { skipped: ["2025-01-15"] });
+  check(
+    "a frozen day keeps the habit streak",
+    calculateStreaks(daily, frozen.completed, today, undefined, frozen.skipped).current,
+    3
+  );
+
+  const checkin = (habitId, date, extra = {}) => ({
+    habitId,
+    date: `${date}T00:00:00.000Z`,
+    completed: true,
+    ...extra,
+  });
+  const other = { _id: "b", frequency: "daily", createdAt };
+  check(
+    "a frozen day keeps the overall streak",
+    calculateOverallStreak([daily, other], [
+      checkin("a", "2025-01-13"),
+      checkin("a", "2025-01-14"),
+      checkin("a", "2025-01-15", { completed: false, status: "frozen" }),
+      checkin("a", "2025-01-16"),
+    ], today),
+    { current: 3, longest: 3 }
+  );
+}
+
+function testBackfillWindow() {
+  console.log("Testing backfill window...");
+
+  delete process.env.CHECKIN_BACKFILL_DAYS;
+  check("defaults to 7 days", getEditableFrom(day("2025-01-20")), day("2025-01-13"));
+
+  process.env.CHECKIN_BACKFILL_DAYS = "0";
+  check("0 only allows today", getEditableFrom(day("2025-01-20")), day("2025-01-20"));
+
+  process.env.CHECKIN_BACKFILL_DAYS = "-3";
+  check("invalid values fall back to default", getEditableFrom(day("2025-01-20")), day("2025-01-13"));
+  delete process.env.CHECKIN_BACKFILL_DAYS;
+}
+
+function testTimeZones() {
+  console.log("Testing user time zones...");
+
+  const evening = new Date("2025-01-15T22:30:00Z");
+  check("UTC+3 user is already on the next day", startOfDay(evening, "Africa/Nairobi"), day("2025-01-16"));
+  check("UTC-5 user is still on the same day", startOfDay(evening, "America/New_York"), day("2025-01-15"));
+
+  // Created Sunday 22:30 UTC = Monday 01:30 in Nairobi → first due Monday there
+  const habit = { frequency: "daily", createdAt: "2025-01-12T22:30:00Z" };
+  check("start day follows the user's time zone", isHabitDue(habit, day("2025-01-12"), "Africa/Nairobi"), false);
+  check("start day in UTC is the Sunday", isHabitDue(habit, day("2025-01-12"), "UTC"), true);
+}
+
+async function testConcurrentAutoFreezes() {
+  console.log("Testing automatic freezes from simultaneous requests...");
+
+  const habits = stubModel(Habit);
+  const checkins = stubModel(Checkin);
+  const users = stubModel(User);
+  const user = await User.create({ autoFreeze: true });
+  const today = startOfDay(new Date(), "UTC");
+  const habit = await Habit.create({ userId: user._id, frequency: "daily", createdAt: addDays(today, -10) });
+  // Done for three days, then yesterday was missed
+  for (const offset of [-4, -3, -2]) {
+    await Checkin.create({ habitId: habit._id, userId: user._id, date: addDays(today, offset), amount: 1, completed: true, status: "done" });
+  }
+
+  // Dashboard requests GET /api/habits and GET /api/stats together
+  const results = await Promise.all([
+    recalculateStreaks(user._id, "UTC"),
+    recalculateStreaks(user._id, "UTC"),
+  ]);
+  const frozen = checkins.filter((checkin) => checkin.status === "frozen");
+  check("both requests succeed", results.map(({ habits: streaks }) => streaks.get(String(habit._id)).streak), [3, 3]);
+  check("the freeze is written once", frozen.map((checkin) => String(checkin.date)), [String(addDays(today, -1))]);
+  check("the stored streak", [habit.streak, users[0].currentStreak], [3, 3]);
+}
+
+testIsHabitDue();
+testBuildSchedule();
+testCalculateStreaks();
+testFlexibleFrequencies();
+testPauseAndArchive();
+testSkippedDays();
+testOverallStreak();
+testStreakFreezes();
+testBackfillWindow();
+testTimeZones();
+await testConcurrentAutoFreezes();
+console.log("All schedule checks passed");
@@ -0,0 +1,218 @@
+/**
+ * Verification script for the stats engine
+ * Tests period ranges, success rates per frequency and best day
+ * in services/statsService.js, and the check-in days loaded for them
+ * (against in-memory Habit and Checkin models)
+ */
+
+import mongoose from "mongoose";
+import Checkin from "./models/Checkin.js";
+import Habit from "./models/Habit.js";
+import {
+  calculateHeatmap,
+  calculateSeries,
+  calculateStats,
+  getBuckets,
+  getHeatmap,
+  getStatsRange,
+  scoreHabit,
+} from "./services/statsService.js";
+import { addDays, startOfDay, toDateKey } from "./utils/dateUtils.js";
+import { check, day, keys, matches, stubModel } from "./test-helpers.js";
+
+// 2025-01-13 is a Monday
+const createdAt = "2025-01-06T09:00:00";
+
+function testRanges() {
+  console.log("Testing stats periods...");
+
+  const today = day("2025-01-15");
+  check("week runs Monday-Sunday", getStatsRange("week", today), {
+    from: day("2025-01-13"),
+    to: day("2025-01-19"),
+    previous: { from: day("2025-01-06"), to: day("2025-01-12") },
+  });
+  check("month compares with the previous month", getStatsRange("month", today), {
+    from: day("2025-01-01"),
+    to: day("2025-01-31"),
+    previous: { from: day("2024-12-01"), to: day("2024-12-31") },
+  });
+  check(
+    "all-time starts at the first habit",
+    getStatsRange("all", today, [{ createdAt }]),
+    { from: day("2025-01-06"), to: today, previous: null }
+  );
+  check("rolling periods end today", getStatsRange("7d", today), {
+    from: day("2025-01-09"),
+    to: today,
+    previous: { from: day("2025-01-02"), to: day("2025-01-08") },
+  });
+}
+
+function testScoring() {
+  console.log("Testing success rates...");
+
+  const weekdays = { frequency: "weekdays", createdAt };
+  const week = [day("2025-01-13"), day("2025-01-19")];
+  const done = keys("2025-01-13", "2025-01-14", "2025-01-16");
+
+  const fixedScore = scoreHabit(weekdays, done, keys(), ...week);
+  check("fixed habits count due days only", [fixedScore.completed, fixedScore.possible], [3, 5]);
+  check(
+    "skipped days are not possible",
+    scoreHabit(weekdays, done, keys("2025-01-15"), ...week).possible,
+    4
+  );
+
+  const weekly = { frequency: "weekly", timesPerWeek: 3, createdAt };
+  const extra = keys("2025-01-13", "2025-01-14", "2025-01-15", "2025-01-16");
+  const weeklyScore = scoreHabit(weekly, extra, keys(), ...week);
+  check("weekly completions are capped at the quota", [weeklyScore.completed, weeklyScore.possible], [3, 3]);
+  check(
+    "weekly weekdays count completions only",
+    weeklyScore.byWeekday.map(({ possible, completed }) => possible + completed),
+    [1, 1, 1, 1, 0, 0, 0]
+  );
+
+  const interval = { frequency: "interval", intervalDays: 3, createdAt };
+  // Windows start Jan 6, 9, 12, 15, 18 - Jan 15 window done on Jan 17
+  const intervalScore = scoreHabit(interval, keys("2025-01-17"), keys(), ...week);
+  check("interval window counts any day", [intervalScore.completed, intervalScore.possible], [1, 2]);
+}
+
+function testCalculateStats() {
+  console.log("Testing overall stats...");
+
+  const habits = [{ _id: "a", name: "Read", frequency: "daily", createdAt }];
+  const keysByHabit = new Map([
+    ["a", { completed: keys("2025-01-06", "2025-01-13", "2025-01-14"), skipped: keys() }],
+  ]);
+  const today = day("2025-01-14");
+  const { overall, habits: perHabit } = calculateStats(
+    habits,
+    keysByHabit,
+    getStatsRange("week", today),
+    today
+  );
+
+  check("future days are not counted", [overall.completed, overall.possible], [2, 2]);
+  check("comparison with last week", [overall.previousSuccessRate, overall.comparison], [14, 86]);
+  check("best day has the highest rate", overall.bestDay, "Monday");
+  check("per-habit stats match overall", perHabit[0].successRate, overall.successRate);
+  check("per-habit weekday breakdown", perHabit[0].byWeekday[0], {
+    day: "Monday",
+    possible: 1,
+    completed: 1,
+    successRate: 100,
+  });
+}
+
+function testHeatmap() {
+  console.log("Testing heatmap...");
+
+  const habits = [
+    { _id: "a", name: "Read", frequency: "daily", createdAt },
+    { _id: "b", name: "Walk", frequency: "weekdays", createdAt },
+    { _id: "c", name: "Swim", frequency: "weekly", timesPerWeek: 2, createdAt },
+  ];
+  const keysByHabit = new Map([
+    ["a", { completed: keys("2025-01-13", "2025-01-18"), skipped: keys() }],
+    ["b", { completed: keys(), skipped: keys("2025-01-14") }],
+    ["c", { completed: keys("2025-01-18"), skipped: keys() }],
+  ]);
+  const days = calculateHeatmap(habits, keysByHabit, day("2025-01-13"), day("2025-01-18"));
+
+  check("due habits per day", days["2025-01-13"], { due: 2, completed: 1, habits: ["Read"] });
+  check("skipped habits are not due", days["2025-01-14"], { due: 1, completed: 0, habits: [] });
+  check("weekly completions count as done", days["2025-01-18"], {
+    due: 2,
+    completed: 2,
+    habits: ["Read", "Swim"],
+  });
+}
+
+function testSeries() {
+  console.log("Testing series...");
+
+  const toKeys = (buckets) => buckets.map((b) => [toDateKey(b.from), toDateKey(b.to)]);
+  check(
+    "week buckets are clipped to the range",
+    toKeys(getBuckets(day("2025-01-15"), day("2025-01-26"), "week")),
+    [
+      ["2025-01-15", "2025-01-19"],
+      ["2025-01-20", "2025-01-26"],
+    ]
+  );
+  check(
+    "month buckets follow the calendar",
+    toKeys(getBuckets(day("2025-01-20"), day("2025-02-10"), "month")),
+    [
+      ["2025-01-20", "2025-01-31"],
+      ["2025-02-01", "2025-02-10"],
+    ]
+  );
+
+  const habits = [{ _id: "a", name: "Read", frequency: "daily", createdAt }];
+  const keysByHabit = new Map([
+    ["a", { completed: keys("2025-01-13", "2025-01-14"), skipped: keys() }],
+  ]);
+  const buckets = getBuckets(day("2025-01-13"), day("2025-01-16"), "day");
+  const series = calculateSeries(habits, keysByHabit, buckets, day("2025-01-15"));
+
+  check("daily rates", series.buckets.map((b) => b.successRate), [100, 100, 0, null]);
+  check("raw completions", series.buckets.map((b) => b.completions), [1, 1, 0, 0]);
+  check("per-habit series", series.habits[0].buckets[0], {
+    possible: 1,
+    completed: 1,
+    completions: 1,
+    successRate: 100,
+  });
+}
+
+async function testLoadedDays() {
+  console.log("Testing loaded check-in days...");
+
+  stubModel(Habit);
+  const checkins = stubModel(Checkin);
+  // The $match and $facet ($match + $group) stages of the stats pipeline
+  Checkin.aggregate = async ([{ $match }, { $facet }]) => {
+    const inRange = checkins.filter((doc) => matches(doc, $match));
+    const facets = Object.entries($facet).map(([name, [{ $match: facetMatch }]]) => {
+      const daysByHabit = new Map();
+      inRange.filter((doc) => matches(doc, facetMatch)).forEach((doc) => {
+        const id = String(doc.habitId);
+        if (!daysByHabit.has(id)) daysByHabit.set(id, { _id: doc.habitId, days: [] });
+        daysByHabit.get(id).days.push(toDateKey(doc.date));
+      });
+      return [name, [...daysByHabit.values()]];
+    });
+    return [Object.fromEntries(facets)];
+  };
+
+  const userId = new mongoose.Types.ObjectId();
+  const today = startOfDay(new Date(), "UTC");
+  const [doneDay, skippedDay, frozenDay, missedDay] = [-4, -3, -2, -1].map((offset) => addDays(today, offset));
+  const habit = await Habit.create({ userId, name: "Read", frequency: "daily", createdAt: addDays(today, -4) });
+  await Checkin.create({ habitId: habit._id, userId, date: doneDay, amount: 1, completed: true, status: "done" });
+  await Checkin.create({ habitId: habit._id, userId, date: skippedDay, amount: 0, completed: false, status: "skipped" });
+  await Checkin.create({ habitId: habit._id, userId, date: frozenDay, amount: 0, completed: false, status: "frozen" });
+  await Checkin.create({ habitId: habit._id, userId, date: missedDay, amount: 0, completed: false, status: "missed" });
+
+  // Heatmap of each day's year (the days can span New Year)
+  const dueOn = async (date) => {
+    const { days } = await getHeatmap(userId, date.getUTCFullYear(), "UTC");
+    return days[toDateKey(date)]?.due ?? 0; // days with nothing due are left out
+  };
+  check("done days are due", await dueOn(doneDay), 1);
+  check("skipped days are excused", await dueOn(skippedDay), 0);
+  check("frozen days are excused", await dueOn(frozenDay), 0);
+  check("missed days are due", await dueOn(missedDay), 1);
+}
+
+testRanges();
+testScoring();
+testCalculateStats();
+testHeatmap();
+testSeries();
+await testLoadedDays();
+console.log("All stats checks passed");
@@ -0,0 +1,134 @@
+/**
+ * Verification script for two-factor authentication
+ * Tests services/twoFactorService.js (RFC 6238 codes, clock drift window,
+ * replay protection, recovery codes, login challenges) with an in-memory
+ * stand-in for User.updateOne
+ */
+
+import mongoose from "mongoose";
+import User from "./models/User.js";
+import {
+  createLoginChallenge,
+  generateRecoveryCodes,
+  generateSecret,
+  generateTotp,
+  getOtpauthUri,
+  hashRecoveryCode,
+  RECOVERY_CODE_COUNT,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  verifyTotp,
+} from "./services/twoFactorService.js";
+import { signAccessToken, verifyAccessToken } from "./services/tokenService.js";
+import { check } from "./test-helpers.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// RFC 6238 SHA-1 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// ============================================================================
+// In-memory model
+// ============================================================================
+const { codes: recoveryCodes, hashes } = generateRecoveryCodes();
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  twoFactor: { enabled: true, secret: generateSecret(), recoveryCodes: hashes, lastUsedStep: null },
+};
+
+// Supports the two conditional updates verifySecondFactor makes
+User.updateOne = async (query, update) => {
+  const twoFactor = user.twoFactor;
+  if (String(query._id) !== String(user._id)) return { modifiedCount: 0 };
+
+  if (update.$set) {
+    const { $gte } = query["twoFactor.lastUsedStep"].$not;
+    if (twoFactor.lastUsedStep !== null && twoFactor.lastUsedStep >= $gte) return { modifiedCount: 0 };
+    twoFactor.lastUsedStep = update.$set["twoFactor.lastUsedStep"];
+    return { modifiedCount: 1 };
+  }
+
+  const hash = update.$pull["twoFactor.recoveryCodes"];
+  if (!twoFactor.recoveryCodes.includes(hash)) return { modifiedCount: 0 };
+  twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter((stored) => stored !== hash);
+  return { modifiedCount: 1 };
+};
+
+// ============================================================================
+// Tests
+// ============================================================================
+function testRfcVectors() {
+  console.log("Testing RFC 6238 test vectors...");
+
+  check("T = 59", generateTotp(RFC_SECRET, 59 * 1000, 8), "94287082");
+  check("T = 1111111109", generateTotp(RFC_SECRET, 1111111109 * 1000, 8), "07081804");
+  check("T = 1234567890", generateTotp(RFC_SECRET, 1234567890 * 1000, 8), "89005924");
+  check("T = 2000000000", generateTotp(RFC_SECRET, 2000000000 * 1000, 8), "69279037");
+  check("6-digit codes", generateTotp(RFC_SECRET, 59 * 1000), "287082");
+}
+
+function testVerifyWindow() {
+  console.log("Testing the clock drift window...");
+
+  const now = 1700000000 * 1000;
+  const step = 1700000000 / 30;
+  const codeAt = (offsetSteps) => generateTotp(RFC_SECRET, now + offsetSteps * 30 * 1000);
+
+  check("current code", verifyTotp(RFC_SECRET, codeAt(0), now), Math.floor(step));
+  check("previous step", verifyTotp(RFC_SECRET, codeAt(-1), now), Math.floor(step) - 1);
+  check("next step", verifyTotp(RFC_SECRET, codeAt(1), now), Math.floor(step) + 1);
+  check("two steps old", verifyTotp(RFC_SECRET, codeAt(-2), now), null);
+  check("wrong length", verifyTotp(RFC_SECRET, "12345", now), null);
+  check("not digits", verifyTotp(RFC_SECRET, "abcdef", now), null);
+  check("no secret", verifyTotp(null, codeAt(0), now), null);
+}
+
+function testSetupDetails() {
+  console.log("Testing setup details...");
+
+  const secret = generateSecret();
+  check("secret is base32", /^[A-Z2-7]{32}$/.test(secret), true);
+  check("secrets are random", generateSecret() === secret, false);
+
+  const uri = new URL(getOtpauthUri(secret, "jane@example.com"));
+  check("otpauth label", [uri.host, decodeURIComponent(uri.pathname)], ["totp", "/Riza:jane@example.com"]);
+  check("otpauth secret", uri.searchParams.get("secret"), secret);
+  check("otpauth issuer", uri.searchParams.get("issuer"), "Riza");
+
+  check("recovery code count", recoveryCodes.length, RECOVERY_CODE_COUNT);
+  check("recovery code format", recoveryCodes.every((code) => /^[a-z2-7]{5}-[a-z2-7]{5}$/.test(code)), true);
+  check("only hashes are stored", hashes.some((hash) => recoveryCodes.includes(hash)), false);
+  check("hash ignores formatting", hashRecoveryCode(recoveryCodes[0].toUpperCase().replace("-", " ")), hashes[0]);
+}
+
+async function testSecondFactor() {
+  console.log("Testing login codes...");
+
+  const code = generateTotp(user.twoFactor.secret);
+  check("wrong code", await verifySecondFactor(user, "000000" === code ? "111111" : "000000"), null);
+  check("app code", await verifySecondFactor(user, code), { method: "totp" });
+  check("app code works once", await verifySecondFactor(user, code), null);
+
+  check("recovery code", await verifySecondFactor(user, recoveryCodes[0]), { method: "recovery" });
+  check("recovery code is used up", user.twoFactor.recoveryCodes.length, RECOVERY_CODE_COUNT - 1);
+  check("recovery code works once", await verifySecondFactor(user, recoveryCodes[0]), null);
+  check("typed without the dash", await verifySecondFactor(user, recoveryCodes[1].replace("-", "").toUpperCase()), { method: "recovery" });
+  check("unknown recovery code", await verifySecondFactor(user, "aaaaa-bbbbb"), null);
+}
+
+function testLoginChallenge() {
+  console.log("Testing login challenges...");
+
+  const challenge = createLoginChallenge(user);
+  check("challenge names the user", verifyLoginChallenge(challenge), String(user._id));
+  check("challenge is not an access token", verifyAccessToken(challenge), null);
+  check("access token is not a challenge", verifyLoginChallenge(signAccessToken(user)), null);
+  check("tampered challenge", verifyLoginChallenge(`${challenge}x`), null);
+}
+
+testRfcVectors();
+testVerifyWindow();
+testSetupDetails();
+await testSecondFactor();
+testLoginChallenge();
+console.log("All two-factor checks passed");
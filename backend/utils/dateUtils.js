@@ -0,0 +1,188 @@
+/**
+ * ============================================================================
+ * DATE UTILITIES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Centralizes the "calendar day" handling shared by routes and services
+ * - Every check-in and login date is stored as midnight UTC of a calendar day
+ * - Provides helpers to build, compare and format those normalized days
+ *
+ * Day Normalization:
+ * - A "day" is a Date at 00:00:00.000 UTC (e.g., 2025-01-15T00:00:00.000Z)
+ * - Day keys are the YYYY-MM-DD prefix of that Date (e.g., "2025-01-15")
+ * - Day keys sort lexicographically in chronological order
+ *
+ * Time Zones:
+ * - "Today" depends on where the user is, not where the server is
+ * - Pass the user's IANA time zone (e.g., "Africa/Nairobi") to startOfDay()
+ *   so a check-in at 23:30 local time lands on the user's local day
+ * - Users without a stored time zone fall back to DEFAULT_TIME_ZONE (UTC)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+// Milliseconds in one calendar day (1000 * 60 * 60 * 24)
+export const ONE_DAY_MS = 86400000;
+
+// Three-letter day names indexed by Date#getUTCDay() (0 = Sunday)
+export const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Time zone used for users who have not stored one yet
+export const DEFAULT_TIME_ZONE = "UTC";
+
+// Cache of Intl formatters (creating one per call is expensive)
+const dayFormatters = new Map();
+
+/**
+ * Get a cached formatter that yields the numeric Y/M/D in a time zone
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter for that zone
+ */
+function getDayFormatter(timeZone) {
+  if (!dayFormatters.has(timeZone)) {
+    dayFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+      })
+    );
+  }
+  return dayFormatters.get(timeZone);
+}
+
+// Cache of Intl formatters for wall-clock times
+const timeFormatters = new Map();
+
+/**
+ * Get a cached formatter that yields the 24-hour hour/minute in a time zone
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter for that zone
+ */
+function getTimeFormatter(timeZone) {
+  if (!timeFormatters.has(timeZone)) {
+    timeFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return timeFormatters.get(timeZone);
+}
+
+/**
+ * Check whether a value is a valid IANA time zone name
+ *
+ * @param {*} value - Untrusted input (usually from req.body)
+ * @returns {boolean} True if Intl recognizes the time zone
+ */
+export function isValidTimeZone(value) {
+  if (typeof value !== "string" || value.trim().length === 0) return false;
+  try {
+    getDayFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize a timestamp to its calendar day (midnight UTC)
+ *
+ * With a time zone, the calendar day is the one on the user's wall clock
+ * at that instant. Without one, the server's local year/month/date is used.
+ *
+ * @param {Date} [date=new Date()] - Any point in time
+ * @param {string} [timeZone] - IANA time zone of the user
+ * @returns {Date} Midnight UTC of that calendar day
+ *
+ * Example:
+ * - 2025-01-15T22:30:00Z in "Africa/Nairobi" (UTC+3) → 2025-01-16T00:00:00.000Z
+ */
+export function startOfDay(date = new Date(), timeZone) {
+  if (!timeZone) {
+    return new Date(
+      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+    );
+  }
+
+  const parts = {};
+  getDayFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+}
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ *
+ * @param {Date} [date=new Date()] - Any point in time
+ * @param {string} [timeZone=DEFAULT_TIME_ZONE] - IANA time zone of the user
+ * @returns {string} 24-hour "HH:MM"
+ *
+ * Example:
+ * - 2025-01-15T22:30:00Z in "Africa/Nairobi" (UTC+3) → "01:30"
+ */
+export function getLocalTime(date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  getTimeFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Add (or subtract) whole days to a normalized day
+ *
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @param {number} amount - Number of days to add (negative to subtract)
+ * @returns {Date} New normalized day
+ */
+export function addDays(day, amount) {
+  return new Date(day.getTime() + amount * ONE_DAY_MS);
+}
+
+/**
+ * Format a normalized day as a YYYY-MM-DD key
+ *
+ * @param {Date} day - Normalized day (midnight UTC)
+ * @returns {string} Day key (e.g., "2025-01-15")
+ */
+export function toDateKey(day) {
+  return day.toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a normalized day
+ *
+ * Rejects anything that is not a string in strict YYYY-MM-DD format or
+ * that does not describe a real calendar date (e.g., "2025-02-30").
+ *
+ * @param {*} value - Untrusted input (usually from req.query or req.body)
+ * @returns {Date|null} Normalized day, or null if invalid
+ */
+export function parseDateKey(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const day = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(day.getTime()) || toDateKey(day) !== value) {
+    return null;
+  }
+  return day;
+}
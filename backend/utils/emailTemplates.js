@@ -0,0 +1,350 @@
+/**
+ * ============================================================================
+ * EMAIL TEMPLATES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Builds the subject, plain-text and HTML body of each email
+ * - Pure functions: data in, { subject, text, html } out - no database
+ *   or transport access, so test scripts can check them directly
+ *
+ * Templates:
+ * - renderWeeklyDigest: Last week's success rate, comparison, best day,
+ *   streaks and per-habit rates (GET /api/stats numbers)
+ * - renderStreakAtRisk: Habits whose streak ends tonight unless done
+ * - renderPasswordReset: One-time link to set a new password
+ * - renderVerifyEmail: One-time link confirming an address (signup or
+ *   email change)
+ * - renderEmailChangeNotice: Tells the old address about an email change
+ *
+ * Safety:
+ * - Every value placed in HTML goes through escapeHtml (habit and user
+ *   names are user input)
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+// Brand colours (match the frontend's green theme)
+const COLOR_PRIMARY = "#1b4332";
+const COLOR_ACCENT = "#2d6a4f";
+const COLOR_MUTED = "#6b7280";
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value - Any value
+ * @returns {string} HTML-safe text
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Describe a change against the previous period
+ *
+ * @param {number|null} comparison - Percentage points (GET /api/stats)
+ * @returns {string} e.g. "up 12% from the week before"
+ */
+function describeComparison(comparison) {
+  if (comparison === null || comparison === undefined) return "";
+  if (comparison > 0) return `up ${comparison}% from the week before`;
+  if (comparison < 0) return `down ${Math.abs(comparison)}% from the week before`;
+  return "same as the week before";
+}
+
+/**
+ * Format a "YYYY-MM-DD" key for display
+ *
+ * @param {string} dateKey - Day key
+ * @returns {string} e.g. "Jan 13"
+ */
+function formatDay(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Wrap email content in the shared HTML layout
+ *
+ * @param {string} heading - Already escaped heading
+ * @param {string} content - Already escaped HTML content
+ * @param {Object} links - { action: { url, label }, settingsUrl, footer }
+ *                        (footer replaces the opt-in note for emails the
+ *                        user didn't turn on, e.g., password resets)
+ * @returns {string} Full HTML document
+ */
+function layout(heading, content, { action, settingsUrl, footer }) {
+  const footerHtml = footer
+    ? escapeHtml(footer)
+    : `You're receiving this because you turned it on in Riza.
+        <a href="${escapeHtml(settingsUrl)}" style="color:${COLOR_MUTED};">Change email settings</a>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <body style="margin:0;padding:24px;background:#f0fdf4;font-family:Arial,sans-serif;color:#111827;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:24px;">
+      <h1 style="margin:0 0 16px;font-size:22px;color:${COLOR_PRIMARY};">${heading}</h1>
+      ${content}
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(action.url)}" style="background:${COLOR_ACCENT};color:#ffffff;padding:10px 18px;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="margin:0;font-size:12px;color:${COLOR_MUTED};">
+        ${footerHtml}
+      </p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Build the weekly progress email
+ *
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {Object} data.stats - GET /api/stats body for the week ("week" period)
+ * @param {string} data.progressUrl - Link to the progress page
+ * @param {string} data.settingsUrl - Link to the profile page (email settings)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderWeeklyDigest({ name, stats, progressUrl, settingsUrl }) {
+  const { overall } = stats;
+  const week = `${formatDay(stats.from)} - ${formatDay(stats.to)}`;
+  const comparison = describeComparison(overall.comparison);
+  const habits = stats.habits.filter((habit) => habit.possible > 0);
+
+  const summary = [
+    `Success rate: ${overall.successRate}%${comparison ? ` (${comparison})` : ""}`,
+    `Check-ins: ${overall.completions}`,
+    `Best day: ${overall.bestDay || "-"}`,
+    `Current streak: ${overall.currentStreak} days (longest ${overall.longestStreak})`,
+  ];
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    `Here's how your week went (${week}):`,
+    "",
+    ...summary.map((line) => `- ${line}`),
+    ...(habits.length > 0
+      ? [
+          "",
+          "By habit:",
+          ...habits.map(
+            (habit) =>
+              `- ${habit.name}: ${habit.successRate}% (${habit.completed} of ${habit.possible})`
+          ),
+        ]
+      : []),
+    "",
+    `See the full picture: ${progressUrl}`,
+    "",
+    `Change email settings: ${settingsUrl}`,
+  ].join("\n");
+
+  const habitRows = habits
+    .map(
+      (habit) => `<tr>
+          <td style="padding:6px 0;">${escapeHtml(habit.name)}</td>
+          <td style="padding:6px 0;text-align:right;font-weight:bold;">${habit.successRate}%</td>
+          <td style="padding:6px 0;text-align:right;color:${COLOR_MUTED};">${habit.completed} of ${habit.possible}</td>
+        </tr>`
+    )
+    .join("\n        ");
+
+  const content = `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)}, here's how your week went (${escapeHtml(week)}).</p>
+      <p style="margin:0;font-size:40px;font-weight:bold;color:${COLOR_ACCENT};">${overall.successRate}%</p>
+      <p style="margin:0 0 16px;color:${COLOR_MUTED};">success rate${comparison ? `, ${escapeHtml(comparison)}` : ""}</p>
+      <ul style="padding-left:20px;margin:0 0 16px;">
+        <li>Check-ins: <strong>${overall.completions}</strong></li>
+        <li>Best day: <strong>${escapeHtml(overall.bestDay || "-")}</strong></li>
+        <li>Current streak: <strong>${overall.currentStreak} days</strong> (longest ${overall.longestStreak})</li>
+      </ul>${
+        habits.length > 0
+          ? `
+      <table style="width:100%;border-collapse:collapse;">
+        ${habitRows}
+      </table>`
+          : ""
+      }`;
+
+  return {
+    subject: `Your week in Riza: ${overall.successRate}% success rate`,
+    text,
+    html: layout("Your weekly progress", content, {
+      action: { url: progressUrl, label: "View your progress" },
+      settingsUrl,
+    }),
+  };
+}
+
+/**
+ * Build the streak-at-risk email
+ *
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {Array<Object>} data.habits - [{ name, streak, streakUnit }] habits still to do
+ * @param {string} data.dashboardUrl - Link to the dashboard
+ * @param {string} data.settingsUrl - Link to the profile page (email settings)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderStreakAtRisk({ name, habits, dashboardUrl, settingsUrl }) {
+  const describe = (habit) =>
+    `${habit.name} (${habit.streak}-${habit.streakUnit || "day"} streak)`;
+  const subject =
+    habits.length === 1
+      ? `Your ${habits[0].streak}-${habits[0].streakUnit || "day"} ${habits[0].name} streak ends tonight`
+      : `${habits.length} streaks end tonight`;
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    "These habits are still to do, and their streaks end tonight:",
+    "",
+    ...habits.map((habit) => `- ${describe(habit)}`),
+    "",
+    `Check them off: ${dashboardUrl}`,
+    "",
+    `Change email settings: ${settingsUrl}`,
+  ].join("\n");
+
+  const content = `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)}, these habits are still to do, and their streaks end tonight:</p>
+      <ul style="padding-left:20px;margin:0;">
+        ${habits.map((habit) => `<li>${escapeHtml(describe(habit))}</li>`).join("\n        ")}
+      </ul>`;
+
+  return {
+    subject,
+    text,
+    html: layout("Keep your streak going", content, {
+      action: { url: dashboardUrl, label: "Check in now" },
+      settingsUrl,
+    }),
+  };
+}
+
+/**
+ * Build the password reset email
+ *
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.resetUrl - One-time link to the reset form
+ * @param {number} data.expiresInMinutes - How long the link works
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderPasswordReset({ name, resetUrl, expiresInMinutes }) {
+  const ignoreNote =
+    "If you didn't ask for this, you can ignore this email - your password won't change.";
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    "Someone (hopefully you) asked to reset the password of your Riza account.",
+    `Set a new password here (the link works once, for ${expiresInMinutes} minutes):`,
+    "",
+    resetUrl,
+    "",
+    ignoreNote,
+  ].join("\n");
+
+  const content = `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)}, someone (hopefully you) asked to reset the password of your Riza account.</p>
+      <p style="margin:0;">The link below works once, for ${expiresInMinutes} minutes.</p>`;
+
+  return {
+    subject: "Reset your Riza password",
+    text,
+    html: layout("Reset your password", content, {
+      action: { url: resetUrl, label: "Set a new password" },
+      footer: ignoreNote,
+    }),
+  };
+}
+
+/**
+ * Build the email confirming an address
+ *
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.verifyUrl - One-time confirmation link
+ * @param {number} data.expiresInHours - How long the link works
+ * @param {boolean} [data.isChange] - Confirms a new address (email change)
+ *                                    rather than a new account's
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderVerifyEmail({ name, verifyUrl, expiresInHours, isChange = false }) {
+  const intro = isChange
+    ? "You asked to use this address for your Riza account."
+    : "Welcome to Riza! Please confirm this is your email address.";
+  const ignoreNote = isChange
+    ? "If you didn't ask for this, you can ignore this email - nothing changes until the link is used."
+    : "If you didn't create a Riza account, you can ignore this email.";
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    intro,
+    `Confirm it here (the link works once, for ${expiresInHours} hours):`,
+    "",
+    verifyUrl,
+    "",
+    ignoreNote,
+  ].join("\n");
+
+  const content = `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)},</p>
+      <p style="margin:0 0 16px;">${escapeHtml(intro)}</p>
+      <p style="margin:0;">The link below works once, for ${expiresInHours} hours.</p>`;
+
+  return {
+    subject: isChange ? "Confirm your new Riza email address" : "Confirm your email for Riza",
+    text,
+    html: layout("Confirm your email", content, {
+      action: { url: verifyUrl, label: "Confirm email" },
+      footer: ignoreNote,
+    }),
+  };
+}
+
+/**
+ * Build the notice sent to the old address when the email is changed
+ *
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.newEmail - Address the account is changing to
+ * @param {string} data.profileUrl - Link to the profile page (cancel the change)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderEmailChangeNotice({ name, newEmail, profileUrl }) {
+  const warning =
+    "If this wasn't you, reset your password and cancel the change on your profile page.";
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    `Someone asked to change your Riza account's email to ${newEmail}.`,
+    "The change takes effect once it is confirmed from that address.",
+    "",
+    warning,
+    profileUrl,
+  ].join("\n");
+
+  const content = `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)}, someone asked to change your Riza account's email to <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p style="margin:0 0 16px;">The change takes effect once it is confirmed from that address.</p>
+      <p style="margin:0;">${escapeHtml(warning)}</p>`;
+
+  return {
+    subject: "Your Riza email address is being changed",
+    text,
+    html: layout("Email change requested", content, {
+      action: { url: profileUrl, label: "Review your account" },
+      footer: "This is a security notice about your account, sent to its current email address.",
+    }),
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * USER AGENT UTILITIES
+ * ============================================================================
+ *
+ * Purpose:
+ * - Turns a stored User-Agent header into a short device name for the
+ *   sessions list (e.g., "Chrome on Windows", "Safari on iPhone")
+ *
+ * Matching:
+ * - Rules are checked in order, first match wins; order matters because
+ *   browsers copy each other's tokens (Edge and Opera say "Chrome",
+ *   Chrome says "Safari", iPadOS can say "Macintosh")
+ * - Unknown browsers or systems are left out of the name; nothing
+ *   known gives "Unknown device"
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+// [pattern, browser name] - most specific first
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+// [pattern, system name] - most specific first
+const SYSTEMS = [
+  [/iPhone/, "iPhone"],
+  [/iPad/, "iPad"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/CrOS/, "ChromeOS"],
+  [/Macintosh|Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * First matching name in a rule list
+ *
+ * @param {string} userAgent - User-Agent header
+ * @param {Array} rules - [pattern, name] pairs
+ * @returns {string|null} Name, or null if nothing matches
+ */
+function matchRule(userAgent, rules) {
+  const rule = rules.find(([pattern]) => pattern.test(userAgent));
+  return rule ? rule[1] : null;
+}
+
+/**
+ * Describe the device behind a User-Agent
+ *
+ * @param {string} userAgent - User-Agent header (may be empty)
+ * @returns {string} e.g., "Firefox on Linux", "Chrome", "Unknown device"
+ */
+export function describeUserAgent(userAgent) {
+  const text = String(userAgent || "");
+  const browser = matchRule(text, BROWSERS);
+  const system = matchRule(text, SYSTEMS);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+}
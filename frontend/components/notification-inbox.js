@@ -0,0 +1,241 @@
+/* =========================================================
+   RIZA HABIT TRACKER | NOTIFICATION INBOX
+
+   Purpose:
+   - Sidebar inbox for backend notifications (habit reminders)
+   - Keeps the unread badge on the Notifications button current
+   - Opens the habit's page when a reminder is clicked
+
+   Loaded By: main.js (after the sidebar HTML is injected)
+
+   Behavior:
+   - Unread count polled every UNREAD_POLL_MS while the tab is visible
+   - Newest notifications fetched each time the panel opens
+   - Clicking a notification marks it as read
+   - Panel closes on Escape or a click outside it
+
+   Backend: /api/notifications (see backend/routes/notificationRoutes.js)
+
+   Author: John Denis Nyagah
+   ========================================================= */
+
+import {
+  getNotifications as apiGetNotifications,
+  getUnreadNotificationCount as apiGetUnreadNotificationCount,
+  isAuthenticated,
+  markAllNotificationsRead as apiMarkAllNotificationsRead,
+  markNotificationRead as apiMarkNotificationRead,
+} from "../shared/api.js";
+
+/* =========================================================
+   CONFIGURATION
+   ========================================================= */
+
+// How often the unread badge is refreshed (reminders are checked every minute)
+const UNREAD_POLL_MS = 60 * 1000;
+
+// Notifications shown in the panel
+const INBOX_SIZE = 20;
+
+/* =========================================================
+   INITIALIZATION
+   ========================================================= */
+
+/**
+ * Wire up the inbox once the sidebar is in the page
+ * Does nothing when logged out or when the sidebar has no inbox
+ */
+export function initializeNotificationInbox() {
+  const toggle = document.querySelector(".notification-toggle");
+  const panel = document.getElementById("notification-panel");
+  if (!toggle || !panel || !isAuthenticated()) return;
+
+  toggle.addEventListener("click", () => {
+    if (panel.hidden) openPanel();
+    else closePanel();
+  });
+
+  document.querySelector(".notification-read-all")?.addEventListener("click", markAllRead);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !panel.hidden) {
+      closePanel();
+      toggle.focus();
+    }
+  });
+  document.addEventListener("click", (e) => {
+    if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) {
+      closePanel();
+    }
+  });
+
+  refreshUnreadCount();
+  setInterval(() => {
+    if (!document.hidden) refreshUnreadCount();
+  }, UNREAD_POLL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) refreshUnreadCount();
+  });
+}
+
+/* =========================================================
+   PANEL
+   ========================================================= */
+
+/**
+ * Show the panel and load the newest notifications
+ */
+async function openPanel() {
+  const panel = document.getElementById("notification-panel");
+  panel.hidden = false;
+  document.querySelector(".notification-toggle")?.setAttribute("aria-expanded", "true");
+
+  try {
+    const { notifications, unreadCount } = await apiGetNotifications({ limit: INBOX_SIZE });
+    renderNotifications(notifications);
+    updateBadge(unreadCount);
+  } catch (error) {
+    console.error("❌ Failed to load notifications:", error);
+    renderMessage("Couldn't load notifications. Please try again.");
+  }
+}
+
+/**
+ * Hide the panel
+ */
+function closePanel() {
+  document.getElementById("notification-panel").hidden = true;
+  document.querySelector(".notification-toggle")?.setAttribute("aria-expanded", "false");
+}
+
+/**
+ * Render the notification list
+ * Built with DOM APIs (textContent) because titles contain habit names
+ *
+ * @param {Array<Object>} notifications - From GET /api/notifications
+ */
+function renderNotifications(notifications) {
+  const list = document.getElementById("notification-list");
+  if (!list) return;
+
+  if (notifications.length === 0) {
+    renderMessage("You're all caught up.");
+    return;
+  }
+
+  list.innerHTML = "";
+  notifications.forEach((notification) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `notification-item${notification.read ? "" : " unread"}`;
+
+    const title = document.createElement("strong");
+    title.textContent = notification.title;
+    const message = document.createElement("p");
+    message.textContent = notification.message;
+    const time = document.createElement("span");
+    time.className = "notification-time";
+    time.textContent = formatTime(notification.createdAt);
+
+    button.append(title, message, time);
+    button.addEventListener("click", () => openNotification(notification, button));
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show a single line (empty inbox or error) instead of the list
+ *
+ * @param {string} text - Message to show
+ */
+function renderMessage(text) {
+  const list = document.getElementById("notification-list");
+  if (!list) return;
+  list.innerHTML = "";
+  const item = document.createElement("li");
+  item.className = "notification-empty";
+  item.textContent = text;
+  list.appendChild(item);
+}
+
+/**
+ * Format when a notification arrived (time for today, date otherwise)
+ *
+ * @param {string} createdAt - ISO timestamp
+ * @returns {string} e.g. "07:30" or "Mar 4, 07:30"
+ */
+function formatTime(createdAt) {
+  const date = new Date(createdAt);
+  const time = date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}, ${time}`;
+}
+
+/* =========================================================
+   READ STATE
+   ========================================================= */
+
+/**
+ * Mark a notification as read and open the habit it is about
+ *
+ * @param {Object} notification - Clicked notification
+ * @param {HTMLElement} button - Its list item button
+ */
+async function openNotification(notification, button) {
+  if (!notification.read) {
+    try {
+      const { unreadCount } = await apiMarkNotificationRead(notification._id);
+      notification.read = true;
+      button.classList.remove("unread");
+      updateBadge(unreadCount);
+    } catch (error) {
+      console.error("❌ Failed to mark notification as read:", error);
+    }
+  }
+
+  if (notification.habitId) {
+    window.location.href = `../habit-detail/habit-detail.html?id=${encodeURIComponent(notification.habitId)}`;
+  }
+}
+
+/**
+ * Mark every notification as read
+ */
+async function markAllRead() {
+  try {
+    const { unreadCount } = await apiMarkAllNotificationsRead();
+    document.querySelectorAll(".notification-item.unread").forEach((item) => item.classList.remove("unread"));
+    updateBadge(unreadCount);
+  } catch (error) {
+    console.error("❌ Failed to mark notifications as read:", error);
+  }
+}
+
+/**
+ * Fetch the unread count for the badge
+ * Errors are logged only (the badge keeps its last value)
+ */
+async function refreshUnreadCount() {
+  try {
+    updateBadge(await apiGetUnreadNotificationCount());
+  } catch (error) {
+    // Already logged by api.js
+  }
+}
+
+/**
+ * Show the unread count on the Notifications button (hidden at 0)
+ *
+ * @param {number} count - Unread notifications
+ */
+function updateBadge(count) {
+  const badge = document.getElementById("notification-badge");
+  const toggle = document.querySelector(".notification-toggle");
+  if (!badge) return;
+
+  badge.hidden = !count;
+  badge.textContent = count > 99 ? "99+" : String(count);
+  toggle?.setAttribute("aria-label", count ? `Notifications, ${count} unread` : "Notifications");
+}
@@ -19,6 +19,7 @@ import {
   getHabits as apiGetHabits,
   getCheckins as apiGetCheckins,
   getAllCheckins as apiGetAllCheckins,
+  getStats as apiGetStats,
   getUserProfile,
   trackDailyLogin,
   getTotalLoginDays,
@@ -28,11 +29,16 @@ import {
   refreshHabitDisplay,
   getHabitsData,
   updateHabitSummaryList,
+  getCompletedCheckins,
+  getActiveHabits,
+  getCurrentWeekRange,
+  updateFreezeCount,
 } from "../shared/habit-manager.js";
 import {
   initializeProgressChart,
   updateChartWithHabitData,
 } from "../shared/chart.js";
+import { getTodayKey } from "../shared/date-utils.js";
 import {
   HABIT_ICONS,
   HABIT_ICONS_PATH,
@@ -129,22 +135,26 @@ async function loadUserName() {
  */
 async function updateUI() {
   try {
-    const [habits, allCheckins, loginData] = await Promise.all([
+    const [habits, allCheckins, loginData, stats] = await Promise.all([
       getHabitsData(true), // Force refresh to ensure latest data
-      apiGetAllCheckins(),
+      apiGetAllCheckins(getCurrentWeekRange()), // Only the days shown (this week)
       getTotalLoginDays(),
+      apiGetStats(), // Streaks and habit counts, same numbers as the progress page
     ]);
 
     const totalLoginDays = loginData.totalLoginDays || 0;
 
-    updateStatsDisplay(habits, allCheckins, totalLoginDays);
-    updateTodayCheckins(habits, allCheckins);
-    updateCurrentStreak(habits, allCheckins);
+    // Stats only count days where a habit's target was hit
+    const completedCheckins = getCompletedCheckins(allCheckins);
 
-    // Also update habit list and chart with pre-fetched data
+    updateStatsDisplay(habits, totalLoginDays, stats.overall);
+    updateTodayCheckins(habits, completedCheckins);
+    updateCurrentStreak(stats.overall);
+
+    // Also update habit list (shows partial progress) and chart with pre-fetched data
     await updateHabitSummaryList("habit-list", habits, allCheckins);
     if (chartInstance) {
-      await updateChartWithHabitData(chartInstance, habits, allCheckins);
+      await updateChartWithHabitData(chartInstance, habits, completedCheckins);
     }
   } catch (error) {
     console.error("❌ Failed to update dashboard UI:", error);
@@ -212,76 +222,21 @@ document.addEventListener("DOMContentLoaded", async () => {
    STATISTICS CALCULATION FUNCTIONS
    ========================================================= */
 
-/**
- * Calculates the longest consecutive streak across all habits
- *
- * Algorithm:
- * 1. Collect all unique completion dates from pre-fetched check-ins
- * 2. Find longest consecutive sequence in O(N) by iterating backwards
- *
- * @param {Array} allCheckins - All check-in records for the user
- * @returns {number} Longest streak in days
- */
-function calculateLongestStreak(allCheckins) {
-  try {
-    if (!allCheckins || allCheckins.length === 0) return 0;
-
-    // Optimization: Use a single O(N) pass to collect unique timestamps in ascending order.
-    // Leverages the backend's descending sort to avoid a separate .sort() call.
-    const allTimestamps = [];
-    for (let i = allCheckins.length - 1; i >= 0; i--) {
-      const ts = Date.parse(allCheckins[i].date.substring(0, 10));
-      // Only add if it's a new day (avoid duplicates from multiple habits)
-      if (allTimestamps.length === 0 || ts !== allTimestamps[allTimestamps.length - 1]) {
-        allTimestamps.push(ts);
-      }
-    }
-
-    if (allTimestamps.length === 0) return 0;
-
-    // Find longest consecutive sequence
-    let longestStreak = 1;
-    let currentStreakCount = 1;
-    const ONE_DAY_MS = 86400000; // 1000 * 60 * 60 * 24
-
-    for (let i = 1; i < allTimestamps.length; i++) {
-      // Calculate difference in days using pre-calculated timestamps
-      const diffDays = Math.round(
-        (allTimestamps[i] - allTimestamps[i - 1]) / ONE_DAY_MS
-      );
-
-      if (diffDays === 1) {
-        // Consecutive day - increment streak
-        currentStreakCount++;
-        if (currentStreakCount > longestStreak) longestStreak = currentStreakCount;
-      } else {
-        // Streak broken - reset counter
-        currentStreakCount = 1;
-      }
-    }
-
-    return longestStreak;
-  } catch (error) {
-    console.error("❌ Failed to calculate longest streak:", error);
-    return 0;
-  }
-}
-
 /**
  * Updates the statistics card with latest data
  * Displays: Total Habits, Total Logins, Longest Streak
  *
  * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
  * @param {number} totalLoginDays - Pre-fetched total login days
+ * @param {Object} overall - Backend stats (GET /api/stats overall)
  */
-function updateStatsDisplay(habits, allCheckins, totalLoginDays) {
+function updateStatsDisplay(habits, totalLoginDays, overall) {
   try {
     console.log("📊 TEST: Habits loaded:", habits.length);
     console.log("📊 TEST: Total login days:", totalLoginDays);
 
-    // Calculate longest streak from pre-fetched check-in history
-    const longestStreak = calculateLongestStreak(allCheckins);
+    // Longest overall streak, calculated by the backend
+    const longestStreak = overall?.longestStreak || 0;
     console.log("📊 TEST: Longest streak:", longestStreak);
 
     // Update DOM elements with calculated values
@@ -291,7 +246,8 @@ function updateStatsDisplay(habits, allCheckins, totalLoginDays) {
 
     if (totalCheckinsEl) totalCheckinsEl.textContent = totalLoginDays;
     if (longestStreakEl) longestStreakEl.textContent = longestStreak;
-    if (totalHabitsEl) totalHabitsEl.textContent = habits.length;
+    // Archived habits are kept in stats but not counted as current habits
+    if (totalHabitsEl) totalHabitsEl.textContent = overall?.totalHabits ?? getActiveHabits(habits).length;
 
     // TEST: Verify all stats updated successfully
     console.log(
@@ -309,14 +265,15 @@ function updateStatsDisplay(habits, allCheckins, totalLoginDays) {
 
 /**
  * Updates "Today's Check-ins" display
- * Shows how many habits completed today vs total (e.g., "3/8 habits completed")
+ * Shows how many due habits were completed today (e.g., "3/8 habits completed")
+ * Habits not scheduled for today (habit.dueToday === false) are left out
  *
  * @param {Array} habits - All habits for the user
  * @param {Array} allCheckins - All check-in records for the user
  */
 function updateTodayCheckins(habits, allCheckins) {
   try {
-    const today = new Date().toISOString().substring(0, 10);
+    const today = getTodayKey(); // User's local day (matches backend)
 
     // Optimization: Early-exit loop to identify today's completions.
     // Reduces O(TotalCheckins) to O(TodayCheckins) using pre-sorted backend data.
@@ -329,12 +286,15 @@ function updateTodayCheckins(habits, allCheckins) {
       }
     }
 
-    let completed = completedToday.size;
+    const dueHabits = habits.filter((habit) => habit.dueToday !== false);
+    const completed = dueHabits.filter((habit) =>
+      completedToday.has(habit._id || habit.id)
+    ).length;
 
     // Update display
     const checkinsCard = document.querySelector(".checkins-status");
     if (checkinsCard) {
-      checkinsCard.textContent = `${completed}/${habits.length} habits completed`;
+      checkinsCard.textContent = `${completed}/${dueHabits.length} habits completed`;
     }
   } catch (error) {
     console.error("❌ Failed to update today's checkins:", error);
@@ -343,35 +303,17 @@ function updateTodayCheckins(habits, allCheckins) {
 
 /**
  * Updates current streak display with animated flame
- * Calculates consecutive days with at least one habit completed
+ * Shows consecutive days with at least one habit completed
+ * Days where no habit was due are skipped (calculated by the backend)
  *
- * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
+ * @param {Object} overall - Backend stats (GET /api/stats overall)
  */
-function updateCurrentStreak(habits, allCheckins) {
+function updateCurrentStreak(overall) {
   const streakElement = document.getElementById("dashboard-current-streak");
   if (!streakElement) return;
 
   try {
-    // Optimization: Create a Set of unique completion dates for O(1) lookups
-    // This resolves the O(Streak * Habits * Checkins) performance bottleneck
-    const completionDates = new Set(allCheckins.map(c => c.date.substring(0, 10)));
-
-    // Calculate current streak (consecutive days from today backwards)
-    let currentStreak = 0;
-    let checkDate = new Date();
-
-    while (true) {
-      const dateStr = checkDate.toISOString().substring(0, 10);
-
-      // Check if any habit was completed on this date
-      if (completionDates.has(dateStr)) {
-        currentStreak++;
-        checkDate.setDate(checkDate.getDate() - 1); // Move to previous day
-      } else {
-        break; // Streak broken
-      }
-    }
+    const currentStreak = overall?.currentStreak || 0;
 
     // Update streak number display
     streakElement.textContent = currentStreak;
@@ -414,6 +356,8 @@ function updateCurrentStreak(habits, allCheckins) {
         .getElementById("dashboard-milestone-100")
         ?.classList.add("achieved");
     }
+
+    updateFreezeCount("dashboard-streak-freezes", overall?.streakFreezes);
   } catch (error) {
     console.error("❌ Failed to update current streak:", error);
   }
@@ -0,0 +1,516 @@
+/* =========================================================
+   HABIT DETAIL PAGE SCRIPT
+
+   Purpose: To show one habit's history and analytics:
+   - Current and longest streak
+   - Completion rate over the last 7, 30, 90 and 365 days
+   - Completion-by-weekday chart
+   - Habit calendar (click a day in the backfill window to mark it done)
+   - Full check-in log with inline editing
+
+   Page Address: habit-detail.html?id=<habitId>
+
+   Data Source: All data fetched from MongoDB via backend API
+   (rates and streaks are calculated by the backend)
+
+   Author: John Denis Nyagah
+   ========================================================= */
+
+import {
+  isAuthenticated,
+  getCheckins as apiGetCheckins,
+  getHabitSchedule as apiGetHabitSchedule,
+  getStats as apiGetStats,
+  setCheckinStatus as apiSetCheckinStatus,
+} from "../shared/api.js";
+import { initializeProgressChart } from "../shared/chart.js";
+import {
+  getHabitsData,
+  SKIP_REASON_LABELS,
+  isQuantitativeHabit,
+  showAchievementToasts,
+} from "../shared/habit-manager.js";
+import { getTodayKey } from "../shared/date-utils.js";
+
+/* =========================================================
+   AUTHENTICATION CHECK
+   ========================================================= */
+
+// Verify user is logged in before accessing the habit page
+if (!isAuthenticated()) {
+  alert("Please login to access the habit page");
+  window.location.href = "../login/signin_signup.html";
+}
+
+/* =========================================================
+   PAGE STATE
+   ========================================================= */
+
+const habitId = new URLSearchParams(window.location.search).get("id");
+
+// Rolling periods shown in the completion rate card
+const RATE_PERIODS = [
+  { period: "7d", label: "Last 7 days" },
+  { period: "30d", label: "Last 30 days" },
+  { period: "90d", label: "Last 90 days" },
+  { period: "365d", label: "Last 365 days" },
+];
+
+// Log entries shown at first and per "Show more" click
+const LOG_PAGE_SIZE = 30;
+
+let habit = null;
+let checkins = []; // Full history of this habit (newest first)
+let schedule = null; // Due days of the calendar month + backfill window
+let weekdayChart = null;
+let logVisibleCount = LOG_PAGE_SIZE;
+let currentCalendarDate = new Date();
+
+/* =========================================================
+   HELPERS
+   ========================================================= */
+
+/**
+ * Describe how often a habit is due (e.g., "Weekdays", "3× per week")
+ *
+ * @param {Object} habit - Habit object from the API
+ * @returns {string} Readable frequency
+ */
+function describeFrequency(habit) {
+  switch (habit.frequency) {
+    case "weekdays":
+      return "Weekdays";
+    case "weekends":
+      return "Weekends";
+    case "custom":
+      return (habit.customDays || []).map((day) => day.slice(0, 3)).join(", ") || "Custom";
+    case "weekly":
+      return `${habit.timesPerWeek || 1}× per week`;
+    case "interval":
+      return `Every ${habit.intervalDays || 2} days`;
+    default:
+      return "Daily";
+  }
+}
+
+/**
+ * Pluralize a streak unit (e.g., 1 → "day", 3 → "days")
+ *
+ * @param {string} unit - "day", "week" or "interval" (from the backend)
+ * @param {number} count - Streak length
+ * @returns {string} Unit label
+ */
+function formatStreakUnit(unit, count) {
+  const name = { week: "week", interval: "interval" }[unit] || "day";
+  return `${name}${count !== 1 ? "s" : ""}`;
+}
+
+/**
+ * Checks whether a day's check-in can be edited
+ * Editable days run from the backend's editableFrom (backfill window) to today
+ *
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @returns {boolean} True if the day can be changed
+ */
+function isEditableDay(dateStr) {
+  if (!schedule?.editableFrom) return false;
+  return dateStr >= schedule.editableFrom && dateStr <= schedule.today;
+}
+
+/**
+ * Describe a check-in's state (e.g., "Done", "3 / 8 glasses", "Skipped · Sick")
+ *
+ * @param {Object} checkin - Check-in record
+ * @returns {string} Readable state
+ */
+function describeCheckin(checkin) {
+  if (checkin.status === "skipped") {
+    return `Skipped · ${SKIP_REASON_LABELS[checkin.reason] || "Other"}`;
+  }
+  if (checkin.status === "missed") return "Missed";
+  if (checkin.status === "frozen") return "Frozen";
+  if (isQuantitativeHabit(habit)) {
+    const target = habit.target || 1;
+    return `${checkin.amount ?? target} / ${target}${habit.unit ? ` ${habit.unit}` : ""}`;
+  }
+  return checkin.completed !== false ? "Done" : "Partial";
+}
+
+/* =========================================================
+   MAIN UI UPDATE
+   ========================================================= */
+
+/**
+ * Loads the habit, its history, stats and calendar month and renders them
+ * Called on page load and after every edit
+ */
+async function updateUI() {
+  try {
+    const habits = await getHabitsData(true);
+    habit = habits.find((h) => (h._id || h.id) === habitId) || null;
+    if (!habit) {
+      showError();
+      return;
+    }
+
+    const [history, stats] = await Promise.all([
+      apiGetCheckins(habitId),
+      Promise.all(RATE_PERIODS.map(({ period }) => apiGetStats(period, { habitId }))),
+    ]);
+    checkins = history;
+
+    renderHeader();
+    renderStreaks();
+    renderRates(stats);
+    renderWeekdayChart(stats[stats.length - 1].habits[0]);
+    await renderCalendar();
+    renderLog();
+
+    console.log("✅ Habit detail updated:", habit.name);
+  } catch (error) {
+    console.error("❌ Error updating habit detail:", error);
+  }
+}
+
+/**
+ * Hides the page content and explains that the habit wasn't found
+ */
+function showError() {
+  document.getElementById("detailError").hidden = false;
+  document.getElementById("detailContent").hidden = true;
+  document.getElementById("detailHistory").hidden = true;
+}
+
+/**
+ * Shows the habit's name, frequency and description in the header
+ */
+function renderHeader() {
+  document.title = `Riza | ${habit.name}`;
+  document.getElementById("habitTitle").textContent = habit.name; // textContent avoids XSS
+  const meta = [describeFrequency(habit)];
+  if (habit.archived) meta.push("Archived");
+  if (habit.description) meta.push(habit.description);
+  document.getElementById("habitMeta").textContent = meta.join(" · ");
+}
+
+/**
+ * Shows the current and longest streak stored on the habit
+ */
+function renderStreaks() {
+  const current = habit.streak || 0;
+  const longest = habit.longestStreak || 0;
+  document.getElementById("currentStreak").textContent = current;
+  document.getElementById("currentStreakUnit").textContent = formatStreakUnit(habit.streakUnit, current);
+  document.getElementById("longestStreak").textContent = longest;
+  document.getElementById("longestStreakUnit").textContent = formatStreakUnit(habit.streakUnit, longest);
+}
+
+/**
+ * Renders one completion rate row per rolling period
+ *
+ * @param {Array<Object>} stats - GET /api/stats responses, in RATE_PERIODS order
+ */
+function renderRates(stats) {
+  const list = document.getElementById("rateList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  RATE_PERIODS.forEach(({ label }, index) => {
+    const habitStats = stats[index].habits[0];
+    const item = document.createElement("li");
+    item.className = "rate-item";
+
+    const comparison = habitStats.comparison;
+    const comparisonText =
+      habitStats.possible === 0
+        ? "Nothing due yet"
+        : comparison > 0
+        ? `↑ ${comparison}% vs previous`
+        : comparison < 0
+        ? `↓ ${Math.abs(comparison)}% vs previous`
+        : "Same as previous";
+
+    item.innerHTML = `
+      <div class="rate-row">
+        <span class="rate-label">${label}</span>
+        <span class="rate-value">${habitStats.successRate}%</span>
+      </div>
+      <div class="rate-bar"><span style="width: ${habitStats.successRate}%"></span></div>
+      <span class="rate-note">${habitStats.completed} / ${habitStats.possible} · ${comparisonText}</span>`;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Draws the completion-by-weekday chart
+ * Day-based habits show a success rate per weekday; weekly habits have no
+ * due days, so they show how many check-ins fell on each weekday
+ *
+ * @param {Object} habitStats - This habit's entry of the 365-day stats
+ */
+function renderWeekdayChart(habitStats) {
+  const isWeekly = habit.frequency === "weekly";
+  const values = habitStats.byWeekday.map((day) =>
+    isWeekly ? day.completed : day.successRate ?? 0
+  );
+
+  if (!weekdayChart) {
+    weekdayChart = initializeProgressChart({
+      canvasId: "weekdayChart",
+      label: isWeekly ? "Check-ins" : "Success rate (%)",
+      color: "#74c69d",
+      ...(isWeekly ? {} : { stepSize: 20, max: 100 }),
+    });
+  }
+  if (!weekdayChart) return;
+  weekdayChart.data.datasets[0].data = values;
+  weekdayChart.update();
+
+  const note = document.getElementById("weekdayNote");
+  if (note) {
+    note.textContent = isWeekly
+      ? "Check-ins per weekday over the last 365 days"
+      : habitStats.bestDay
+      ? `Best day: ${habitStats.bestDay} (last 365 days)`
+      : "No completions in the last 365 days";
+  }
+}
+
+/* =========================================================
+   HABIT CALENDAR
+   ========================================================= */
+
+/**
+ * Renders the habit's calendar for the shown month
+ * Fetches the month's due days; check-ins come from the loaded history
+ * Days inside the backfill window are clickable (done ↔ cleared)
+ */
+async function renderCalendar() {
+  try {
+    const year = currentCalendarDate.getFullYear();
+    const month = currentCalendarDate.getMonth();
+    const monthKey = `${year}-${String(month + 1).padStart(2, "0")}`;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const lastDayKey = `${monthKey}-${String(daysInMonth).padStart(2, "0")}`;
+
+    schedule = await apiGetHabitSchedule(`${monthKey}-01`, lastDayKey);
+
+    document.getElementById("currentMonth").textContent = new Date(year, month, 1).toLocaleDateString(
+      undefined,
+      { month: "long", year: "numeric" }
+    );
+
+    // This habit's check-ins by day
+    const checkinsByDay = new Map();
+    for (let i = 0; i < checkins.length; i++) {
+      checkinsByDay.set(checkins[i].date.substring(0, 10), checkins[i]);
+    }
+
+    const calendarDays = document.getElementById("calendarDays");
+    if (!calendarDays) return;
+    calendarDays.innerHTML = "";
+
+    // Leading blanks so the 1st lands on its weekday (Sunday first)
+    const firstDay = new Date(year, month, 1).getDay();
+    for (let i = 0; i < firstDay; i++) {
+      const blank = document.createElement("div");
+      blank.className = "calendar-day other-month";
+      calendarDays.appendChild(blank);
+    }
+
+    // Flexible habits aren't tied to days, so no day is "not due"
+    const hasDueDays = habit.frequency !== "weekly";
+    const todayStr = getTodayKey();
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dateStr = `${monthKey}-${String(day).padStart(2, "0")}`;
+      const checkin = checkinsByDay.get(dateStr);
+      const dayDiv = document.createElement("div");
+      dayDiv.className = "calendar-day";
+      dayDiv.textContent = day;
+
+      if (dateStr === todayStr) dayDiv.classList.add("today");
+      if (checkin?.status === "skipped") dayDiv.classList.add("skipped");
+      else if (checkin?.status === "missed") dayDiv.classList.add("missed");
+      else if (checkin?.status === "frozen") dayDiv.classList.add("frozen");
+      else if (checkin && checkin.completed !== false) dayDiv.classList.add("logged-in");
+      else if (checkin) dayDiv.classList.add("partial");
+      else if (hasDueDays && !(schedule.days?.[dateStr] || []).includes(habitId)) {
+        dayDiv.classList.add("not-due");
+      }
+      if (checkin) dayDiv.title = describeCheckin(checkin);
+
+      if (isEditableDay(dateStr) && !habit.archived) {
+        const isDone = !!checkin && !["skipped", "missed", "frozen"].includes(checkin.status) && checkin.completed !== false;
+        dayDiv.classList.add("editable");
+        dayDiv.setAttribute("role", "button");
+        dayDiv.setAttribute("tabindex", "0");
+        dayDiv.setAttribute("aria-label", `${dateStr}: ${isDone ? "done, click to clear" : "click to mark done"}`);
+        const toggle = () => saveCheckin(dateStr, isDone ? "none" : "done");
+        dayDiv.addEventListener("click", toggle);
+        dayDiv.addEventListener("keydown", (e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            toggle();
+          }
+        });
+      }
+
+      calendarDays.appendChild(dayDiv);
+    }
+  } catch (error) {
+    console.error("❌ Error rendering habit calendar:", error);
+  }
+}
+
+/* =========================================================
+   CHECK-IN LOG (inline editing)
+   ========================================================= */
+
+/**
+ * Renders the check-in log, newest first
+ * Entries inside the backfill window get a status select (and an amount
+ * field for quantitative habits); older entries are read-only
+ */
+function renderLog() {
+  const list = document.getElementById("checkinLog");
+  const showMoreBtn = document.getElementById("showMoreLog");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (checkins.length === 0) {
+    list.innerHTML = `<li class="log-empty">No check-ins yet.</li>`;
+  }
+
+  checkins.slice(0, logVisibleCount).forEach((checkin) => {
+    const dateStr = checkin.date.substring(0, 10);
+    const item = document.createElement("li");
+    item.className = `log-item ${checkin.status || "done"}`;
+
+    const date = document.createElement("span");
+    date.className = "log-date";
+    date.textContent = new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+    item.appendChild(date);
+
+    if (!isEditableDay(dateStr) || habit.archived) {
+      const state = document.createElement("span");
+      state.className = "log-state";
+      state.textContent = describeCheckin(checkin);
+      item.appendChild(state);
+      list.appendChild(item);
+      return;
+    }
+
+    const status = checkin.status || "done";
+    const select = document.createElement("select");
+    select.className = "log-status";
+    select.setAttribute("aria-label", `Status on ${dateStr}`);
+    select.innerHTML = `
+      <option value="done" ${status === "done" ? "selected" : ""}>Done</option>
+      ${Object.entries(SKIP_REASON_LABELS)
+        .map(
+          ([value, label]) =>
+            `<option value="skipped:${value}" ${status === "skipped" && checkin.reason === value ? "selected" : ""}>Skip: ${label}</option>`
+        )
+        .join("")}
+      <option value="missed" ${status === "missed" ? "selected" : ""}>Missed</option>
+      ${dateStr < schedule.today ? `<option value="frozen" ${status === "frozen" ? "selected" : ""}>Freeze (keeps the streak)</option>` : ""}
+      <option value="none">Clear</option>`;
+    select.addEventListener("change", () => {
+      const [value, reason] = select.value.split(":");
+      saveCheckin(dateStr, value, { reason });
+    });
+    item.appendChild(select);
+
+    // Quantitative habits: edit the amount logged that day
+    if (isQuantitativeHabit(habit) && status === "done") {
+      const amount = document.createElement("input");
+      amount.type = "number";
+      amount.min = "1";
+      amount.className = "log-amount";
+      amount.value = checkin.amount ?? habit.target ?? 1;
+      amount.setAttribute("aria-label", `Amount on ${dateStr}`);
+      amount.addEventListener("change", () => {
+        const value = Number(amount.value);
+        if (Number.isInteger(value) && value > 0) saveCheckin(dateStr, "done", { amount: value });
+      });
+      const unit = document.createElement("span");
+      unit.className = "log-state";
+      unit.textContent = `/ ${habit.target || 1}${habit.unit ? ` ${habit.unit}` : ""}`;
+      item.append(amount, unit);
+    }
+
+    list.appendChild(item);
+  });
+
+  if (showMoreBtn) showMoreBtn.hidden = checkins.length <= logVisibleCount;
+}
+
+/**
+ * Saves a day's state and reloads the page data
+ * (streaks and rates are recalculated by the backend)
+ *
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @param {string} status - "done", "skipped", "missed", "frozen" or "none"
+ * @param {Object} options - (Optional) { reason, amount }
+ */
+async function saveCheckin(dateStr, status, { reason, amount } = {}) {
+  try {
+    const result = await apiSetCheckinStatus(habitId, status, {
+      date: dateStr,
+      reason,
+      amount,
+    });
+    showAchievementToasts(result);
+    await updateUI();
+  } catch (error) {
+    console.error("❌ Failed to update check-in for", dateStr, error);
+    alert(error.message || "Could not update this day. Please try again.");
+    renderLog(); // Restore the previous value
+  }
+}
+
+const showMoreBtn = document.getElementById("showMoreLog");
+if (showMoreBtn) {
+  showMoreBtn.addEventListener("click", () => {
+    logVisibleCount += LOG_PAGE_SIZE;
+    renderLog();
+  });
+}
+
+/* =========================================================
+   CALENDAR NAVIGATION
+   ========================================================= */
+
+const prevMonthBtn = document.getElementById("prevMonth");
+if (prevMonthBtn) {
+  prevMonthBtn.addEventListener("click", () => {
+    currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
+    renderCalendar();
+  });
+}
+
+const nextMonthBtn = document.getElementById("nextMonth");
+if (nextMonthBtn) {
+  nextMonthBtn.addEventListener("click", () => {
+    currentCalendarDate.setMonth(currentCalendarDate.getMonth() + 1);
+    renderCalendar();
+  });
+}
+
+/* =========================================================
+   PAGE INITIALIZATION
+   ========================================================= */
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!habitId) {
+    showError();
+    return;
+  }
+  await updateUI();
+});
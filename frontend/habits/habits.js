@@ -15,6 +15,7 @@
 import {
   isAuthenticated,
   getAllCheckins as apiGetAllCheckins,
+  getStats as apiGetStats,
   trackDailyLogin,
   getTotalLoginDays,
 } from "../shared/api.js";
@@ -22,6 +23,10 @@ import {
   initializeHabitManager,
   getHabitsData,
   updateHabitSummaryList,
+  getCompletedCheckins,
+  getActiveHabits,
+  getCurrentWeekRange,
+  updateFreezeCount,
 } from "../shared/habit-manager.js";
 import {
   HABIT_ICONS,
@@ -80,16 +85,20 @@ function loadHabitIcons() {
  */
 async function updateUI() {
   try {
-    const [habits, allCheckins, loginData] = await Promise.all([
+    const [habits, allCheckins, loginData, stats] = await Promise.all([
       getHabitsData(true),
-      apiGetAllCheckins(),
+      apiGetAllCheckins(getCurrentWeekRange()), // Only the days shown (this week)
       getTotalLoginDays(),
+      apiGetStats(), // Streaks and habit counts, same numbers as the progress page
     ]);
 
     const totalLoginDays = loginData.totalLoginDays || 0;
 
-    updateStatsCard(habits, allCheckins, totalLoginDays);
-    updateCurrentStreak(habits, allCheckins);
+    // Stats only count days where a habit's target was hit
+    const completedCheckins = getCompletedCheckins(allCheckins);
+
+    updateStatsCard(habits, totalLoginDays, stats.overall);
+    updateCurrentStreak(stats.overall);
     await updateHabitSummaryList("habit-list", habits, allCheckins);
   } catch (error) {
     console.error("❌ Failed to update habits UI:", error);
@@ -139,75 +148,20 @@ document.addEventListener("DOMContentLoaded", async () => {
    STATISTICS CALCULATION FUNCTIONS
    ========================================================= */
 
-/**
- * Calculates the longest consecutive streak across all habits
- *
- * Algorithm:
- * 1. Collect all unique completion dates from pre-fetched check-ins
- * 2. Sort dates and find longest consecutive sequence
- *
- * @param {Array} allCheckins - All check-in records for the user
- * @returns {number} Longest streak in days
- */
-function calculateLongestStreak(allCheckins) {
-  try {
-    if (!allCheckins || allCheckins.length === 0) return 0;
-
-    // Optimization: Use a single O(N) pass to collect unique timestamps in ascending order.
-    // Leverages the backend's descending sort to avoid a separate .sort() call.
-    const allTimestamps = [];
-    for (let i = allCheckins.length - 1; i >= 0; i--) {
-      const ts = Date.parse(allCheckins[i].date.substring(0, 10));
-      // Only add if it's a new day (avoid duplicates from multiple habits)
-      if (allTimestamps.length === 0 || ts !== allTimestamps[allTimestamps.length - 1]) {
-        allTimestamps.push(ts);
-      }
-    }
-
-    if (allTimestamps.length === 0) return 0;
-
-    // Find longest consecutive sequence
-    let longestStreak = 1;
-    let currentStreakCount = 1;
-    const ONE_DAY_MS = 86400000; // 1000 * 60 * 60 * 24
-
-    for (let i = 1; i < allTimestamps.length; i++) {
-      // Calculate difference in days using pre-calculated timestamps
-      const diffDays = Math.round(
-        (allTimestamps[i] - allTimestamps[i - 1]) / ONE_DAY_MS
-      );
-
-      if (diffDays === 1) {
-        // Consecutive day - increment streak
-        currentStreakCount++;
-        if (currentStreakCount > longestStreak) longestStreak = currentStreakCount;
-      } else {
-        // Streak broken - reset counter
-        currentStreakCount = 1;
-      }
-    }
-
-    return longestStreak;
-  } catch (error) {
-    console.error("❌ Failed to calculate longest streak:", error);
-    return 0;
-  }
-}
-
 /**
  * Updates the statistics card with latest data
  * Displays: Total Habits, Total Logins, Longest Streak
  *
  * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
  * @param {number} totalLoginDays - Pre-fetched total login days
+ * @param {Object} overall - Backend stats (GET /api/stats overall)
  */
-function updateStatsCard(habits, allCheckins, totalLoginDays) {
+function updateStatsCard(habits, totalLoginDays, overall) {
   try {
     console.log("📊 TEST: Total login days:", totalLoginDays);
 
-    // Calculate longest streak from pre-fetched check-in history
-    const longestStreak = calculateLongestStreak(allCheckins);
+    // Longest overall streak, calculated by the backend
+    const longestStreak = overall?.longestStreak || 0;
     console.log("📊 TEST: Longest streak:", longestStreak);
 
     // Update DOM elements with calculated values
@@ -217,7 +171,8 @@ function updateStatsCard(habits, allCheckins, totalLoginDays) {
 
     if (totalCheckinsEl) totalCheckinsEl.textContent = totalLoginDays;
     if (longestStreakEl) longestStreakEl.textContent = longestStreak;
-    if (totalHabitsEl) totalHabitsEl.textContent = habits.length;
+    // Archived habits are kept in stats but not counted as current habits
+    if (totalHabitsEl) totalHabitsEl.textContent = overall?.totalHabits ?? getActiveHabits(habits).length;
 
     console.log(
       "✅ TEST: Stats updated - Habits:",
@@ -238,35 +193,17 @@ function updateStatsCard(habits, allCheckins, totalLoginDays) {
 
 /**
  * Updates current streak display with animated flame
- * Calculates consecutive days with at least one habit completed
+ * Shows consecutive days with at least one habit completed
+ * Days where no habit was due are skipped (calculated by the backend)
  *
- * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
+ * @param {Object} overall - Backend stats (GET /api/stats overall)
  */
-function updateCurrentStreak(habits, allCheckins) {
+function updateCurrentStreak(overall) {
   const streakElement = document.getElementById("habits-current-streak");
   if (!streakElement) return;
 
   try {
-    // Optimization: Create a Set of unique completion dates for O(1) lookups
-    // This resolves the O(Streak * Habits * Checkins) performance bottleneck
-    const completionDates = new Set(allCheckins.map(c => c.date.substring(0, 10)));
-
-    // Calculate current streak (consecutive days from today backwards)
-    let currentStreak = 0;
-    let checkDate = new Date();
-
-    while (true) {
-      const dateStr = checkDate.toISOString().substring(0, 10);
-
-      // Check if any habit was completed on this date
-      if (completionDates.has(dateStr)) {
-        currentStreak++;
-        checkDate.setDate(checkDate.getDate() - 1); // Move to previous day
-      } else {
-        break; // Streak broken
-      }
-    }
+    const currentStreak = overall?.currentStreak || 0;
 
     // Update streak number display
     streakElement.textContent = currentStreak;
@@ -305,6 +242,8 @@ function updateCurrentStreak(habits, allCheckins) {
         .getElementById("habits-milestone-100")
         ?.classList.add("achieved");
     }
+
+    updateFreezeCount("habits-streak-freezes", overall?.streakFreezes);
   } catch (error) {
     console.error("❌ Failed to update current streak:", error);
   }
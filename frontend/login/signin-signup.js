@@ -8,6 +8,9 @@
    - New user registration with validation
    - Password strength validation (minimum 6 characters)
    - Password confirmation matching
+   - Forgot password (emailed reset link) and reset form
+   - Two-factor code step (authenticator or recovery code)
+   - Email confirmation links (?mode=verify#token=...)
    - Smooth card switching animations
    - Loading states during API calls
    - Error handling and user feedback
@@ -24,7 +27,21 @@
    Author: John Denis Nyagah
    ========================================================= */
 
-import { loginUser, registerUser } from "../shared/api.js";
+import {
+  isAuthenticated,
+  loginUser,
+  registerUser,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  verifyTwoFactorLogin,
+} from "../shared/api.js";
+
+// Token from a reset link (?mode=reset#token=...), removed from the URL on load
+let resetToken = null;
+
+// Challenge from a login that needs a two-factor code (valid 5 minutes)
+let twoFactorChallenge = null;
 
 /* =========================================================
    FORM SUBMISSION HANDLERS
@@ -37,9 +54,10 @@ import { loginUser, registerUser } from "../shared/api.js";
  * 1. Validates email and password fields
  * 2. Shows loading state on submit button
  * 3. Calls backend API to authenticate user
- * 4. Stores JWT token in localStorage
- * 5. Redirects to dashboard on success
- * 6. Shows error message on failure
+ * 4. Accounts with two-factor authentication continue on the code card
+ * 5. Stores JWT token in localStorage
+ * 6. Redirects to dashboard on success
+ * 7. Shows error message on failure
  *
  * @param {Event} e - Form submit event
  *
@@ -66,6 +84,16 @@ async function handleLogin(e) {
     // Call API (sends credentials to backend)
     const response = await loginUser(email, password);
 
+    // Accounts with two-factor authentication need a code first
+    if (response.twoFactorRequired) {
+      twoFactorChallenge = response.challengeToken;
+      submitBtn.textContent = originalText;
+      submitBtn.disabled = false;
+      switchCard("two-factor");
+      document.getElementById("two-factor-code").focus();
+      return;
+    }
+
     console.log("Login successful:", response.user.name);
     alert(`Welcome back, ${response.user.name}!`);
 
@@ -82,6 +110,63 @@ async function handleLogin(e) {
   }
 }
 
+/**
+ * Handles two-factor code form submission (second login step)
+ *
+ * Process:
+ * 1. Sends the code with the challenge from the password step
+ * 2. Stores JWT token in localStorage
+ * 3. Warns when a recovery code was used (and how many are left)
+ * 4. Redirects to dashboard on success
+ * 5. Shows error message on failure (wrong code, or the 5 minutes
+ *    to enter it are over and the user must log in again)
+ *
+ * @param {Event} e - Form submit event
+ *
+ * API Endpoint: POST /api/auth/login/2fa
+ */
+async function handleTwoFactorLogin(e) {
+  e.preventDefault();
+  const code = document.getElementById("two-factor-code").value.trim();
+
+  if (!code) {
+    alert("Please enter your code");
+    return;
+  }
+
+  if (!twoFactorChallenge) {
+    switchCard("login");
+    return;
+  }
+
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  const originalText = submitBtn.textContent;
+  submitBtn.textContent = "Verifying...";
+  submitBtn.disabled = true;
+
+  try {
+    const response = await verifyTwoFactorLogin(twoFactorChallenge, code);
+    twoFactorChallenge = null;
+
+    if (response.recoveryCodesLeft !== undefined) {
+      alert(
+        `You used a recovery code. ${response.recoveryCodesLeft} left - you can create new ones on your profile.`
+      );
+    }
+    console.log("Login successful:", response.user.name);
+    alert(`Welcome back, ${response.user.name}!`);
+
+    // Redirect to dashboard
+    window.location.href = "/frontend/dashboard/dashboard.html";
+  } catch (error) {
+    alert(error.message || "Failed to verify code. Please try again.");
+    console.error("Two-factor login error:", error);
+    e.target.reset();
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+  }
+}
+
 /**
  * Handles signup form submission
  *
@@ -139,7 +224,9 @@ async function handleSignup(e) {
     await registerUser(name, email, password);
 
     console.log("Signup successful");
-    alert("Account created successfully! Please login.");
+    alert(
+      "Account created successfully! We've emailed you a link to confirm your address. Please login."
+    );
 
     // Switch to login form
     switchCard("login");
@@ -159,48 +246,175 @@ async function handleSignup(e) {
   }
 }
 
+/**
+ * Handles forgot password form submission
+ *
+ * Process:
+ * 1. Validates the email field
+ * 2. Asks the backend to email a reset link
+ * 3. Shows the backend's message (the same whether or not the email
+ *    has an account) and returns to the login card
+ *
+ * @param {Event} e - Form submit event
+ *
+ * API Endpoint: POST /api/auth/forgot-password
+ */
+async function handleForgotPassword(e) {
+  e.preventDefault();
+  const email = document.getElementById("forgot-email").value;
+
+  if (!email) {
+    alert("Please enter your email");
+    return;
+  }
+
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  const originalText = submitBtn.textContent;
+  submitBtn.textContent = "Sending...";
+  submitBtn.disabled = true;
+
+  try {
+    const response = await requestPasswordReset(email);
+    alert(response.message);
+    e.target.reset();
+    switchCard("login");
+  } catch (error) {
+    alert(error.message || "Failed to send reset link. Please try again.");
+    console.error("Forgot password error:", error);
+  } finally {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Handles reset password form submission
+ *
+ * Validation Rules:
+ * - Both fields required
+ * - Password minimum 6 characters
+ * - Password and confirm password must match
+ *
+ * Process:
+ * 1. Validates the new password
+ * 2. Sends it with the token from the reset link
+ * 3. Returns to the login card on success (every session was logged out)
+ * 4. Shows error message on failure (e.g., link expired or already used)
+ *
+ * @param {Event} e - Form submit event
+ *
+ * API Endpoint: POST /api/auth/reset-password
+ */
+async function handleResetPassword(e) {
+  e.preventDefault();
+  const password = document.getElementById("reset-password").value;
+  const confirmPassword = document.getElementById("reset-confirm-password").value;
+
+  if (!password || !confirmPassword) {
+    alert("Please fill in all fields");
+    return;
+  }
+
+  if (password !== confirmPassword) {
+    alert("Passwords don't match");
+    return;
+  }
+
+  if (password.length < 6) {
+    alert("Password must be at least 6 characters long");
+    return;
+  }
+
+  if (!resetToken) {
+    alert("This reset link is invalid. Please ask for a new one.");
+    switchCard("forgot");
+    return;
+  }
+
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  const originalText = submitBtn.textContent;
+  submitBtn.textContent = "Saving...";
+  submitBtn.disabled = true;
+
+  try {
+    await resetPassword(resetToken, password);
+    resetToken = null;
+    alert("Password updated! Please log in with your new password.");
+    e.target.reset();
+    switchCard("login");
+  } catch (error) {
+    alert(error.message || "Failed to reset password. Please try again.");
+    console.error("Reset password error:", error);
+  } finally {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Confirms an email address from an emailed link
+ *
+ * Process:
+ * 1. Sends the link's token to the backend
+ * 2. Shows the result
+ * 3. Logged-in users go to their profile, everyone else stays on login
+ *
+ * @param {string|null} token - Token from the link
+ *
+ * API Endpoint: POST /api/auth/verify-email
+ */
+async function handleVerifyEmail(token) {
+  if (!token) {
+    alert("This confirmation link is invalid.");
+    return;
+  }
+
+  try {
+    const response = await verifyEmail(token);
+    alert(`${response.email} is confirmed. Thanks!`);
+    if (isAuthenticated()) {
+      window.location.href = "/frontend/profile/profile.html";
+    }
+  } catch (error) {
+    alert(error.message || "Failed to confirm your email. Please try again.");
+    console.error("Verify email error:", error);
+  }
+}
+
 /* =========================================================
    CARD SWITCHING FUNCTION
    ========================================================= */
 
 /**
- * Switches between login and signup cards with smooth animation
+ * Switches between the login, signup, two-factor, forgot and reset
+ * password cards with smooth animation
  *
  * Animation Process:
  * - Outgoing card slides out (left or right)
  * - Incoming card slides in from opposite direction
+ * - The login card comes in from the left, every other card from the right
  * - Animation duration: 600ms
  * - CSS classes applied for smooth transitions
  *
- * @param {string} type - Either "login" or "signup"
+ * @param {string} type - "login", "signup", "two-factor", "forgot" or "reset"
  */
 function switchCard(type) {
-  const loginCard = document.getElementById("login-card");
-  const signupCard = document.getElementById("signup-card");
-
-  if (type === "signup") {
-    // Switch from login to signup
-    loginCard.classList.remove("active");
-    loginCard.classList.add("slide-out-left");
-    signupCard.classList.add("active", "slide-in-right");
-
-    // Clean up animation classes after transition
-    setTimeout(() => {
-      loginCard.classList.remove("slide-out-left");
-      signupCard.classList.remove("slide-in-right");
-    }, 600);
-  } else {
-    // Switch from signup to login
-    signupCard.classList.remove("active");
-    signupCard.classList.add("slide-out-right");
-    loginCard.classList.add("active", "slide-in-left");
-
-    // Clean up animation classes after transition
-    setTimeout(() => {
-      signupCard.classList.remove("slide-out-right");
-      loginCard.classList.remove("slide-in-left");
-    }, 600);
-  }
+  const currentCard = document.querySelector(".card.active");
+  const nextCard = document.getElementById(`${type}-card`);
+  if (!nextCard || nextCard === currentCard) return;
+
+  const outClass = type === "login" ? "slide-out-right" : "slide-out-left";
+  const inClass = type === "login" ? "slide-in-left" : "slide-in-right";
+
+  currentCard.classList.remove("active");
+  currentCard.classList.add(outClass);
+  nextCard.classList.add("active", inClass);
+
+  // Clean up animation classes after transition
+  setTimeout(() => {
+    currentCard.classList.remove(outClass);
+    nextCard.classList.remove(inClass);
+  }, 600);
 }
 
 /* =========================================================
@@ -218,6 +432,10 @@ function switchCard(type) {
  * URL Parameters:
  * - ?mode=signup - Shows signup card on load
  * - ?mode=login - Shows login card on load (default)
+ * - ?mode=reset#token=... - Shows reset password card (link from the
+ *   reset email; the token is removed from the address bar)
+ * - ?mode=verify#token=... - Confirms an email address (link from the
+ *   confirmation email), then shows the login card
  */
 document.addEventListener("DOMContentLoaded", () => {
   // Button / Link elements for card switching
@@ -235,11 +453,33 @@ document.addEventListener("DOMContentLoaded", () => {
     switchCard("login");
   });
 
+  document.getElementById("go-forgot").addEventListener("click", (e) => {
+    e.preventDefault();
+    switchCard("forgot");
+  });
+
+  document.querySelectorAll(".back-to-login").forEach((link) => {
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      switchCard("login");
+    });
+  });
+
   // Load initial card based on URL query parameter
   // Example: signin_signup.html?mode=signup
   const params = new URLSearchParams(window.location.search);
   const mode = params.get("mode");
   if (mode === "signup") switchCard("signup");
+  if (mode === "reset") {
+    resetToken = new URLSearchParams(window.location.hash.slice(1)).get("token");
+    history.replaceState(null, "", window.location.pathname);
+    switchCard(resetToken ? "reset" : "forgot");
+  }
+  if (mode === "verify") {
+    const verifyToken = new URLSearchParams(window.location.hash.slice(1)).get("token");
+    history.replaceState(null, "", window.location.pathname);
+    handleVerifyEmail(verifyToken);
+  }
 
   // Form submission event listeners
   const loginForm = document.querySelector("#login-card form");
@@ -247,6 +487,15 @@ document.addEventListener("DOMContentLoaded", () => {
 
   loginForm.addEventListener("submit", handleLogin);
   signupForm.addEventListener("submit", handleSignup);
+  document
+    .querySelector("#two-factor-card form")
+    .addEventListener("submit", handleTwoFactorLogin);
+  document
+    .querySelector("#forgot-card form")
+    .addEventListener("submit", handleForgotPassword);
+  document
+    .querySelector("#reset-card form")
+    .addEventListener("submit", handleResetPassword);
 
   setupPasswordToggles();
 });
@@ -6,12 +6,14 @@
    - To handle mobile sidebar toggle and overlay functionality
    - To highlight the current active page in navigation
    - To manage responsive behavior (mobile ≤768px)
+   - To start the sidebar's notification inbox
 
    Used By: All authenticated pages
    - dashboard.html
    - habits.html
    - progress.html
    - profile.html
+   - habit-detail.html
    
    Features:
    - Component-based sidebar loading
@@ -34,6 +36,7 @@
    Sidebar Component:
    - HTML: /frontend/components/sidebar.html
    - CSS: /frontend/components/sidebar.css
+   - JS: /frontend/components/notification-inbox.js (ES module)
    
    Author: John Denis Nyagah
    ========================================================= */
@@ -53,6 +56,7 @@
  * 4. Setup sidebar styles
  * 5. Initialize sidebar behavior (toggle, overlay)
  * 6. Highlight current page link
+ * 7. Start the notification inbox
  *
  * Error Handling:
  * - Returns early if container not found
@@ -79,6 +83,7 @@ document.addEventListener("DOMContentLoaded", () => {
       setupSidebarStyles(); // Ensure CSS is loaded
       initializeSidebarBehavior(); // Add event listeners
       highlightCurrentPageLink(); // Mark active page
+      loadNotificationInbox(); // Unread badge and reminder list
     })
     .catch((error) => console.error("Sidebar load error:", error));
 });
@@ -297,3 +302,19 @@ function highlightCurrentPageLink() {
     }
   });
 }
+
+/* =========================================================
+   NOTIFICATION INBOX
+   ========================================================= */
+
+/**
+ * Load the notification inbox module
+ *
+ * main.js is a classic script, so the ES module (which uses api.js) is
+ * loaded with a dynamic import once the sidebar markup exists.
+ */
+function loadNotificationInbox() {
+  import("/frontend/components/notification-inbox.js")
+    .then((module) => module.initializeNotificationInbox())
+    .catch((error) => console.error("Notification inbox load error:", error));
+}
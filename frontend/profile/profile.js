@@ -4,9 +4,17 @@
    Purpose: To manage user profile page functionality including:
    - Loading and displaying user information from MongoDB
    - Profile editing (name update)
+   - Time zone setting (which day check-ins count for)
+   - Automatic streak freeze setting
+   - Push notification setting (this device, shared/push.js)
+   - Weekly progress / streak-at-risk email settings
    - Profile picture upload with validation
    - Password change functionality
-   - Account logout
+   - Email confirmation status and email change (confirmed by link)
+   - Two-factor authentication (setup with QR code, recovery codes, turn off)
+   - Achievement badges (GET /api/achievements)
+   - Where you're signed in (list and sign out devices)
+   - Account logout (this device or everywhere)
    - Account deletion with confirmation
    
    Data Source: All user data fetched from MongoDB via backend API
@@ -20,12 +28,32 @@
 import {
   isAuthenticated,
   logoutUser,
+  logoutEverywhere,
   getUserProfile,
   changePassword,
+  changeEmail,
+  cancelEmailChange,
+  resendVerificationEmail,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   deleteAccount,
   updateUserProfile,
   updateProfilePicture,
+  getAchievements,
 } from "../shared/api.js";
+import { getBrowserTimeZone } from "../shared/date-utils.js";
+import {
+  disablePushNotifications,
+  enablePushNotifications,
+  getPushSubscription,
+  isPushSupported,
+} from "../shared/push.js";
 
 /* =========================================================
    AUTHENTICATION CHECK
@@ -42,6 +70,9 @@ if (!isAuthenticated()) {
 // Store current user data
 let user = null;
 
+// Element focused before the two-factor modal opened (focus returns there)
+let twoFactorReturnFocus = null;
+
 /* =========================================================
    USER PROFILE LOADING
    ========================================================= */
@@ -65,6 +96,7 @@ async function loadUserProfile() {
     // Populate UI elements with user data
     document.getElementById("user-name").textContent = user.name || "User";
     document.getElementById("user-email").textContent = user.email || "";
+    renderEmailStatus();
 
     // Load profile picture from backend (Base64 encoded)
     const profilePic = document.getElementById("profilePic");
@@ -90,6 +122,18 @@ async function loadUserProfile() {
       document.querySelector(".joined-date").textContent = `Joined: Recently`;
     }
 
+    // Show the time zone used to decide "today" for check-ins
+    populateTimeZones(user.timezone || getBrowserTimeZone());
+
+    // Streak freezes are used automatically unless turned off
+    const autoFreezeToggle = document.getElementById("autoFreezeToggle");
+    if (autoFreezeToggle) autoFreezeToggle.checked = user.autoFreeze !== false;
+
+    // Opt-in emails (off unless turned on)
+    document.querySelectorAll(".email-pref-toggle").forEach((toggle) => {
+      toggle.checked = user.notificationPrefs?.[toggle.dataset.pref] === true;
+    });
+
     console.log("✅ TEST: User profile loaded successfully");
   } catch (error) {
     console.error("❌ Failed to load user profile:", error);
@@ -99,12 +143,533 @@ async function loadUserProfile() {
   }
 }
 
+/**
+ * Show whether the email is confirmed, or which change is pending
+ * Adds "Resend link" (and "Cancel" for a change) buttons when relevant
+ */
+function renderEmailStatus() {
+  const status = document.getElementById("email-status");
+  if (!status) return;
+
+  const actionButton = (label, handler) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "email-status-btn";
+    button.textContent = label;
+    button.addEventListener("click", handler);
+    return button;
+  };
+
+  status.replaceChildren();
+  status.classList.toggle("verified", !user.pendingEmail && user.emailVerified);
+  status.classList.toggle("unverified", Boolean(user.pendingEmail) || !user.emailVerified);
+
+  if (user.pendingEmail) {
+    status.append(
+      `Confirm ${user.pendingEmail} to switch to it`,
+      actionButton("Resend link", handleResendVerification),
+      actionButton("Cancel", handleCancelEmailChange)
+    );
+  } else if (!user.emailVerified) {
+    status.append(
+      "Email not confirmed",
+      actionButton("Resend link", handleResendVerification)
+    );
+  } else {
+    status.textContent = "✓ Email confirmed";
+  }
+}
+
+/**
+ * Resend Confirmation Link Handler
+ * Sends a new link to the pending address, or else to the current one
+ */
+async function handleResendVerification() {
+  try {
+    const response = await resendVerificationEmail();
+    showNotification(`${response.message} ✉️`);
+  } catch (error) {
+    alert(error.message || "Failed to send the link. Please try again.");
+  }
+}
+
+/**
+ * Cancel Email Change Handler
+ * Keeps the current address; links sent to the new one stop working
+ */
+async function handleCancelEmailChange() {
+  try {
+    await cancelEmailChange();
+    user.pendingEmail = null;
+    renderEmailStatus();
+    showNotification("Email change cancelled");
+  } catch (error) {
+    alert(error.message || "Failed to cancel the email change. Please try again.");
+  }
+}
+
+/* =========================================================
+   TWO-FACTOR AUTHENTICATION
+   ========================================================= */
+
+/**
+ * Load whether two-factor authentication is on
+ * Data Source: GET /api/auth/2fa
+ */
+async function loadTwoFactorStatus() {
+  try {
+    renderTwoFactorStatus(await getTwoFactorStatus());
+  } catch (error) {
+    console.error("❌ Failed to load two-factor status:", error);
+  }
+}
+
+/**
+ * Show the two-factor status and the matching buttons
+ * - Off: "Set Up"
+ * - On: "New Codes" and "Turn Off", with the recovery codes left
+ *
+ * @param {Object} status - { enabled, recoveryCodesLeft }
+ */
+function renderTwoFactorStatus({ enabled, recoveryCodesLeft }) {
+  const status = document.getElementById("twoFactorStatus");
+  if (status) {
+    status.textContent = enabled
+      ? `On · ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? "" : "s"} left`
+      : "Off";
+    status.classList.toggle("on", enabled);
+  }
+
+  const setupBtn = document.querySelector(".two-factor-setup-btn");
+  const codesBtn = document.querySelector(".two-factor-codes-btn");
+  const disableBtn = document.querySelector(".two-factor-disable-btn");
+  if (setupBtn) setupBtn.hidden = enabled;
+  if (codesBtn) codesBtn.hidden = !enabled;
+  if (disableBtn) disableBtn.hidden = !enabled;
+}
+
+/**
+ * Attach the two-factor modal's buttons (close, confirm, copy, done)
+ */
+function setupTwoFactorModal() {
+  const modal = document.getElementById("twoFactorModal");
+  if (!modal) return;
+
+  modal.querySelector(".close-modal").addEventListener("click", closeTwoFactorModal);
+  modal.querySelector(".cancel-btn:not(.copy-codes-btn)").addEventListener("click", closeTwoFactorModal);
+  modal.querySelector(".done-btn").addEventListener("click", closeTwoFactorModal);
+  modal.querySelector(".copy-codes-btn").addEventListener("click", handleCopyRecoveryCodes);
+  document
+    .getElementById("twoFactorSetupStep")
+    .addEventListener("submit", handleTwoFactorConfirm);
+
+  modal.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeTwoFactorModal();
+  });
+}
+
+/**
+ * Open the two-factor modal on a step
+ *
+ * @param {string} step - "setup" (QR code) or "codes" (recovery codes)
+ */
+function openTwoFactorModal(step) {
+  const modal = document.getElementById("twoFactorModal");
+  twoFactorReturnFocus = document.activeElement;
+
+  document.getElementById("twoFactorSetupStep").hidden = step !== "setup";
+  document.getElementById("twoFactorCodesStep").hidden = step !== "codes";
+  document.getElementById("twoFactorModalTitle").textContent =
+    step === "setup" ? "Set Up Two-Factor Authentication" : "Your Recovery Codes";
+
+  modal.classList.add("active");
+  modal.setAttribute("aria-hidden", "false");
+  modal.querySelector(step === "setup" ? "#twoFactorCode" : ".done-btn").focus();
+}
+
+/**
+ * Close the two-factor modal and return focus to the settings
+ * Recovery codes are removed from the page once it closes
+ */
+function closeTwoFactorModal() {
+  const modal = document.getElementById("twoFactorModal");
+  if (document.activeElement && modal.contains(document.activeElement)) {
+    document.activeElement.blur();
+  }
+  modal.classList.remove("active");
+  modal.setAttribute("aria-hidden", "true");
+  document.getElementById("twoFactorSetupStep").reset();
+  document.getElementById("recoveryCodeList").replaceChildren();
+
+  twoFactorReturnFocus?.focus?.();
+  twoFactorReturnFocus = null;
+}
+
+/**
+ * Show recovery codes in the modal (after setup or "New Codes")
+ *
+ * @param {string[]} codes - Recovery codes, shown only this once
+ */
+function showRecoveryCodes(codes) {
+  const list = document.getElementById("recoveryCodeList");
+  list.replaceChildren(
+    ...codes.map((code) => {
+      const item = document.createElement("li");
+      item.textContent = code;
+      return item;
+    })
+  );
+
+  const modal = document.getElementById("twoFactorModal");
+  if (modal.classList.contains("active")) {
+    document.getElementById("twoFactorSetupStep").hidden = true;
+    document.getElementById("twoFactorCodesStep").hidden = false;
+    document.getElementById("twoFactorModalTitle").textContent = "Your Recovery Codes";
+    modal.querySelector(".done-btn").focus();
+  } else {
+    openTwoFactorModal("codes");
+  }
+}
+
+/**
+ * Two-Factor Setup Handler
+ * Asks for the password, then shows the QR code to scan
+ *
+ * API Endpoint: POST /api/auth/2fa/setup
+ */
+async function handleTwoFactorSetup() {
+  const password = prompt("Enter your current password to set up two-factor authentication:");
+  if (!password) return;
+
+  try {
+    const { secret, qrCode } = await startTwoFactorSetup(password);
+    document.getElementById("twoFactorQr").src = qrCode;
+    // Groups of 4 are easier to type into an app
+    document.getElementById("twoFactorSecret").textContent = secret.match(/.{1,4}/g).join(" ");
+    openTwoFactorModal("setup");
+  } catch (error) {
+    alert(error.message || "Failed to start two-factor setup. Please try again.");
+  }
+}
+
+/**
+ * Two-Factor Confirm Handler
+ * Turns 2FA on once the app's code is right, then shows the recovery codes
+ *
+ * @param {Event} e - Form submit event
+ *
+ * API Endpoint: POST /api/auth/2fa/confirm
+ */
+async function handleTwoFactorConfirm(e) {
+  e.preventDefault();
+  const code = document.getElementById("twoFactorCode").value.replace(/\s/g, "");
+  if (!/^\d{6}$/.test(code)) {
+    alert("Please enter the 6-digit code from your app");
+    return;
+  }
+
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    const response = await confirmTwoFactorSetup(code);
+    showRecoveryCodes(response.recoveryCodes);
+    showNotification("Two-factor authentication is on 🔐");
+    loadTwoFactorStatus();
+  } catch (error) {
+    alert(error.message || "Failed to turn on two-factor authentication. Please try again.");
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Copy the recovery codes shown in the modal
+ */
+async function handleCopyRecoveryCodes() {
+  const codes = [...document.querySelectorAll("#recoveryCodeList li")].map(
+    (item) => item.textContent
+  );
+  try {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    showNotification("Recovery codes copied 📋");
+  } catch (error) {
+    console.error("❌ Copy failed:", error);
+    alert("Couldn't copy the codes. Please write them down instead.");
+  }
+}
+
+/**
+ * Ask for the password and a current code (2FA changes need both)
+ *
+ * @param {string} action - What the user is about to do (for the prompt)
+ * @returns {Object|null} { password, code }, or null if cancelled
+ */
+function promptTwoFactorCredentials(action) {
+  const password = prompt(`Enter your current password to ${action}:`);
+  if (!password) return null;
+
+  const code = prompt("Enter the code from your authenticator app (or a recovery code):");
+  if (!code) return null;
+
+  return { password, code: code.trim() };
+}
+
+/**
+ * New Recovery Codes Handler
+ * Replaces the recovery codes; the old ones stop working
+ *
+ * API Endpoint: POST /api/auth/2fa/recovery-codes
+ */
+async function handleRegenerateRecoveryCodes() {
+  if (!confirm("Create new recovery codes? Your current ones will stop working.")) return;
+
+  const credentials = promptTwoFactorCredentials("create new recovery codes");
+  if (!credentials) return;
+
+  try {
+    const response = await regenerateRecoveryCodes(credentials.password, credentials.code);
+    showRecoveryCodes(response.recoveryCodes);
+    loadTwoFactorStatus();
+  } catch (error) {
+    alert(error.message || "Failed to create new recovery codes. Please try again.");
+  }
+}
+
+/**
+ * Turn Off Two-Factor Handler
+ * Logging in only needs the password again afterwards
+ *
+ * API Endpoint: POST /api/auth/2fa/disable
+ */
+async function handleDisableTwoFactor() {
+  if (!confirm("Turn off two-factor authentication? Logging in will only need your password.")) {
+    return;
+  }
+
+  const credentials = promptTwoFactorCredentials("turn off two-factor authentication");
+  if (!credentials) return;
+
+  try {
+    await disableTwoFactor(credentials.password, credentials.code);
+    renderTwoFactorStatus({ enabled: false, recoveryCodesLeft: 0 });
+    showNotification("Two-factor authentication is off");
+  } catch (error) {
+    alert(error.message || "Failed to turn off two-factor authentication. Please try again.");
+  }
+}
+
+/* =========================================================
+   ACHIEVEMENTS
+   ========================================================= */
+
+/**
+ * Load the user's badges and render them
+ * Badges are unlocked by the backend when a check-in earns them
+ *
+ * Data Source: MongoDB via /api/achievements
+ */
+async function loadAchievements() {
+  try {
+    const { achievements, unlockedCount, total } = await getAchievements();
+    renderAchievements(achievements);
+    document.getElementById("achievementsCount").textContent =
+      `${unlockedCount} of ${total} unlocked`;
+  } catch (error) {
+    console.error("❌ Failed to load achievements:", error);
+    document.getElementById("achievementsCount").textContent =
+      "Could not load achievements";
+  }
+}
+
+/**
+ * Render one badge per achievement, in the order the backend lists them
+ *
+ * @param {Array<Object>} achievements - { key, name, description, icon,
+ *   unlocked, unlockedAt } from the API
+ */
+function renderAchievements(achievements) {
+  const grid = document.getElementById("badgeGrid");
+  grid.innerHTML = "";
+
+  achievements.forEach((achievement) => {
+    const badge = document.createElement("li");
+    badge.className = `badge ${achievement.unlocked ? "unlocked" : "locked"}`;
+
+    const iconWrapper = document.createElement("span");
+    iconWrapper.className = "badge-icon";
+    const icon = document.createElement("img");
+    icon.src = `../assets/icons/${achievement.icon}.svg`;
+    icon.alt = "";
+    iconWrapper.appendChild(icon);
+
+    const name = document.createElement("strong");
+    name.textContent = achievement.name;
+
+    const description = document.createElement("p");
+    description.textContent = achievement.description;
+
+    const status = document.createElement("span");
+    status.className = "badge-status";
+    status.textContent = achievement.unlocked
+      ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString("en-US", {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })}`
+      : "Locked";
+
+    badge.append(iconWrapper, name, description, status);
+    grid.appendChild(badge);
+  });
+}
+
+/* =========================================================
+   SESSIONS ("WHERE YOU'RE SIGNED IN")
+   ========================================================= */
+
+/**
+ * Load every device the account is signed in on and render them
+ *
+ * Data Source: MongoDB via /api/auth/sessions
+ */
+async function loadSessions() {
+  const summary = document.getElementById("sessionsSummary");
+  try {
+    const { sessions } = await getSessions();
+    renderSessions(sessions);
+    summary.textContent = `Signed in on ${sessions.length} device${sessions.length === 1 ? "" : "s"}`;
+  } catch (error) {
+    console.error("❌ Failed to load sessions:", error);
+    summary.textContent = "Could not load sessions";
+  }
+}
+
+/**
+ * Render one row per session, most recently used first
+ * - Device name, IP address, login and last-seen dates
+ * - "This device" badge on the current session
+ * - "Sign Out Other Devices" only shown when there are other devices
+ *
+ * @param {Array<Object>} sessions - { id, device, ip, createdAt,
+ *   lastSeenAt, current } from the API
+ */
+function renderSessions(sessions) {
+  const list = document.getElementById("sessionList");
+  list.innerHTML = "";
+
+  sessions.forEach((session) => {
+    const item = document.createElement("li");
+    item.className = `session-item${session.current ? " current" : ""}`;
+
+    const details = document.createElement("div");
+    const device = document.createElement("strong");
+    device.textContent = session.device;
+    if (session.current) {
+      const badge = document.createElement("span");
+      badge.className = "session-current";
+      badge.textContent = "This device";
+      device.appendChild(badge);
+    }
+
+    const info = document.createElement("p");
+    info.textContent = [
+      session.ip || "Unknown location",
+      `Last active ${formatSessionDate(session.lastSeenAt)}`,
+      `Signed in ${formatSessionDate(session.createdAt)}`,
+    ].join(" · ");
+    details.append(device, info);
+
+    const signOutBtn = document.createElement("button");
+    signOutBtn.className = "setting-btn";
+    signOutBtn.textContent = "Sign Out";
+    signOutBtn.setAttribute("aria-label", `Sign out ${session.device}`);
+    signOutBtn.addEventListener("click", () => handleRevokeSession(session));
+
+    item.append(details, signOutBtn);
+    list.appendChild(item);
+  });
+
+  const othersBtn = document.querySelector(".sign-out-others-btn");
+  if (othersBtn) othersBtn.hidden = !sessions.some((session) => !session.current);
+}
+
+/**
+ * Format a session date (e.g., "Oct 19, 2026, 9:41 AM")
+ *
+ * @param {string} date - ISO date from the API
+ * @returns {string} Local date and time
+ */
+function formatSessionDate(date) {
+  return new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Sign Out Session Handler
+ * Signs out one device; signing out this device works like logging out
+ *
+ * @param {Object} session - Session from the list
+ */
+async function handleRevokeSession(session) {
+  const question = session.current
+    ? "Sign out of this device?"
+    : `Sign out ${session.device}? It will have to log in again.`;
+  if (!confirm(question)) return;
+
+  if (session.current) {
+    // Stop this device getting the account's reminders once signed out
+    try {
+      await disablePushNotifications();
+    } catch (error) {
+      console.error("❌ Push unsubscribe on logout failed:", error);
+    }
+  }
+
+  try {
+    const { current } = await revokeSession(session.id);
+    if (current) {
+      window.location.href = "../login/signin_signup.html";
+      return;
+    }
+    showNotification(`${session.device} signed out`);
+    loadSessions();
+  } catch (error) {
+    alert(error.message || "Failed to sign out the device. Please try again.");
+  }
+}
+
+/**
+ * Sign Out Other Devices Handler
+ * Ends every session except this one (unlike Log Out Everywhere)
+ */
+async function handleRevokeOtherSessions() {
+  if (!confirm("Sign out of Riza on every other device?")) return;
+
+  try {
+    const { message } = await revokeOtherSessions();
+    showNotification(message);
+    loadSessions();
+  } catch (error) {
+    alert(error.message || "Failed to sign out other devices. Please try again.");
+  }
+}
+
 /* =========================================================
    PAGE INITIALIZATION
    ========================================================= */
 // Initialize profile page when DOM is fully loaded
 document.addEventListener("DOMContentLoaded", () => {
   loadUserProfile();
+  loadAchievements();
+  loadSessions();
+  loadTwoFactorStatus();
+  initializePushToggle();
   console.log("📄 Profile page initialized");
 
   // Setup all event listeners after DOM is loaded
@@ -136,18 +701,70 @@ function setupEventListeners() {
     profilePicInput.addEventListener("change", handleProfilePictureUpload);
   }
 
+  // Time Zone Select
+  const timezoneSelect = document.getElementById("timezoneSelect");
+  if (timezoneSelect) {
+    timezoneSelect.addEventListener("change", handleTimeZoneChange);
+  }
+
+  // Auto Streak Freeze Toggle
+  const autoFreezeToggle = document.getElementById("autoFreezeToggle");
+  if (autoFreezeToggle) {
+    autoFreezeToggle.addEventListener("change", handleAutoFreezeChange);
+  }
+
+  // Push Notification Toggle
+  const pushToggle = document.getElementById("pushToggle");
+  if (pushToggle) {
+    pushToggle.addEventListener("change", handlePushChange);
+  }
+
+  // Email Setting Toggles
+  document.querySelectorAll(".email-pref-toggle").forEach((toggle) => {
+    toggle.addEventListener("change", handleEmailPrefChange);
+  });
+
   // Change Password Button
   const changePasswordBtn = document.querySelectorAll(".setting-btn")[0];
   if (changePasswordBtn) {
     changePasswordBtn.addEventListener("click", handleChangePassword);
   }
 
+  // Change Email Button
+  const changeEmailBtn = document.querySelector(".change-email-btn");
+  if (changeEmailBtn) {
+    changeEmailBtn.addEventListener("click", handleChangeEmail);
+  }
+
+  // Two-Factor Authentication Buttons and Modal
+  document
+    .querySelector(".two-factor-setup-btn")
+    ?.addEventListener("click", handleTwoFactorSetup);
+  document
+    .querySelector(".two-factor-codes-btn")
+    ?.addEventListener("click", handleRegenerateRecoveryCodes);
+  document
+    .querySelector(".two-factor-disable-btn")
+    ?.addEventListener("click", handleDisableTwoFactor);
+  setupTwoFactorModal();
+
+  // Sign Out Other Devices Button (sessions card)
+  document
+    .querySelector(".sign-out-others-btn")
+    ?.addEventListener("click", handleRevokeOtherSessions);
+
   // Logout Button
   const logoutBtn = document.querySelector(".logout-btn");
   if (logoutBtn) {
     logoutBtn.addEventListener("click", handleLogout);
   }
 
+  // Log Out Everywhere Button
+  const logoutAllBtn = document.querySelector(".logout-all-btn");
+  if (logoutAllBtn) {
+    logoutAllBtn.addEventListener("click", handleLogoutEverywhere);
+  }
+
   // Delete Account Button
   const deleteBtn = document.querySelector(".delete-btn");
   if (deleteBtn) {
@@ -195,6 +812,176 @@ async function handleEditProfile() {
   }
 }
 
+/**
+ * Populate the time zone dropdown
+ * Lists every IANA time zone the browser knows, with the user's selected
+ *
+ * @param {string} selected - Time zone currently saved on the profile
+ */
+function populateTimeZones(selected) {
+  const select = document.getElementById("timezoneSelect");
+  if (!select) return;
+
+  // Intl.supportedValuesOf is missing on older browsers - offer the browser's zone only
+  const zones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [getBrowserTimeZone()];
+  if (!zones.includes(selected)) zones.unshift(selected);
+
+  select.innerHTML = "";
+  zones.forEach((zone) => {
+    const option = document.createElement("option");
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, " ");
+    option.selected = zone === selected;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Time Zone Change Handler
+ * Saves the selected time zone so the backend and every page agree on
+ * which calendar day is "today"
+ *
+ * Data Flow:
+ * 1. User picks a time zone from the dropdown
+ * 2. API call to PUT /api/auth/profile with { timezone }
+ * 3. Cached user (localStorage) updated by updateUserProfile()
+ * 4. Reverts the dropdown if the backend rejects it
+ */
+async function handleTimeZoneChange(e) {
+  const timezone = e.target.value;
+  const previous = user?.timezone || getBrowserTimeZone();
+
+  try {
+    const response = await updateUserProfile({ timezone });
+    if (response.user) {
+      user = response.user;
+      showNotification(`Time zone set to ${timezone.replace(/_/g, " ")} ✅`);
+    } else {
+      throw new Error(response.message || "Time zone update failed");
+    }
+  } catch (error) {
+    console.error("Time zone update error:", error);
+    e.target.value = previous;
+    alert("Failed to update time zone. Please try again.");
+  }
+}
+
+/**
+ * Auto Streak Freeze Change Handler
+ * When on, the backend spends a monthly freeze on a missed due day
+ * instead of breaking the streak. Freezes can still be used by hand
+ * from a habit's page when off.
+ *
+ * Data Flow:
+ * 1. User toggles the checkbox
+ * 2. API call to PUT /api/auth/profile with { autoFreeze }
+ * 3. Reverts the checkbox if the backend rejects it
+ */
+async function handleAutoFreezeChange(e) {
+  const autoFreeze = e.target.checked;
+
+  try {
+    const response = await updateUserProfile({ autoFreeze });
+    if (response.user) {
+      user = response.user;
+      showNotification(
+        `Automatic streak freezes turned ${autoFreeze ? "on" : "off"} ✅`
+      );
+    } else {
+      throw new Error(response.message || "Streak freeze update failed");
+    }
+  } catch (error) {
+    console.error("Streak freeze setting error:", error);
+    e.target.checked = !autoFreeze;
+    alert("Failed to update the streak freeze setting. Please try again.");
+  }
+}
+
+/**
+ * Email Setting Change Handler
+ * Shared by the weekly progress and streak-at-risk toggles; the
+ * checkbox's data-pref names the preference
+ *
+ * Data Flow:
+ * 1. User toggles a checkbox
+ * 2. API call to PUT /api/auth/profile with { notificationPrefs: { [pref]: checked } }
+ * 3. Reverts the checkbox if the backend rejects it
+ */
+async function handleEmailPrefChange(e) {
+  const { pref } = e.target.dataset;
+  const enabled = e.target.checked;
+  const label = pref === "weeklyDigest" ? "Weekly progress emails" : "Streak-at-risk emails";
+
+  try {
+    const response = await updateUserProfile({ notificationPrefs: { [pref]: enabled } });
+    if (response.user) {
+      user = response.user;
+      showNotification(`${label} turned ${enabled ? "on" : "off"} ✅`);
+    } else {
+      throw new Error(response.message || "Email setting update failed");
+    }
+  } catch (error) {
+    console.error("Email setting error:", error);
+    e.target.checked = !enabled;
+    alert("Failed to update the email setting. Please try again.");
+  }
+}
+
+/**
+ * Show whether this device gets push notifications
+ * The toggle is disabled when the browser can't receive them
+ */
+async function initializePushToggle() {
+  const pushToggle = document.getElementById("pushToggle");
+  if (!pushToggle) return;
+
+  if (!isPushSupported()) {
+    pushToggle.disabled = true;
+    pushToggle.title = "This browser doesn't support push notifications";
+    return;
+  }
+
+  try {
+    pushToggle.checked = Boolean(await getPushSubscription());
+  } catch (error) {
+    console.error("❌ Push status error:", error);
+  }
+}
+
+/**
+ * Push Notification Change Handler
+ * Subscribes or unsubscribes this browser only - other devices keep
+ * their own setting
+ *
+ * Data Flow:
+ * 1. User toggles the checkbox
+ * 2. shared/push.js asks for permission and (un)subscribes
+ * 3. Subscription saved/removed via /api/push/subscriptions
+ * 4. Reverts the checkbox if any step fails
+ */
+async function handlePushChange(e) {
+  const enable = e.target.checked;
+  e.target.disabled = true;
+
+  try {
+    if (enable) {
+      await enablePushNotifications();
+    } else {
+      await disablePushNotifications();
+    }
+    showNotification(`Push notifications turned ${enable ? "on" : "off"} ✅`);
+  } catch (error) {
+    console.error("Push notification setting error:", error);
+    e.target.checked = !enable;
+    alert(`Failed to update push notifications: ${error.message}`);
+  } finally {
+    e.target.disabled = false;
+  }
+}
+
 /**
  * Profile Picture Upload Handler
  * Handles image file selection, validation, and upload
@@ -316,6 +1103,7 @@ async function handleChangePassword() {
     const response = await changePassword(currentPassword, newPassword);
     if (response.message || response.success !== false) {
       showNotification("Password updated successfully! ✨");
+      loadSessions(); // Other devices were signed out
     }
   } catch (error) {
     console.error("Password change error:", error);
@@ -323,6 +1111,37 @@ async function handleChangePassword() {
   }
 }
 
+/**
+ * Change Email Handler
+ * Starts an email change; the address switches once the user clicks
+ * the link sent to the new address
+ *
+ * Security:
+ * - Current password verified by backend
+ * - Current address is told about the change
+ */
+async function handleChangeEmail() {
+  const newEmail = prompt("Enter your new email address:");
+  if (!newEmail) return;
+
+  if (!/.+@.+\..+/.test(newEmail.trim())) {
+    alert("Please enter a valid email address");
+    return;
+  }
+
+  const password = prompt("Enter your current password to confirm:");
+  if (!password) return;
+
+  try {
+    const response = await changeEmail(newEmail.trim(), password);
+    user.pendingEmail = response.pendingEmail;
+    renderEmailStatus();
+    alert(`${response.message}. Click it to finish changing your email.`);
+  } catch (error) {
+    alert(error.message || "Failed to change email. Please try again.");
+  }
+}
+
 /**
  * Logout Handler
  * Logs user out and redirects to login page
@@ -330,11 +1149,39 @@ async function handleChangePassword() {
  */
 async function handleLogout() {
   if (confirm("Are you sure you want to logout?")) {
+    // Stop this device getting the account's reminders once logged out
+    try {
+      await disablePushNotifications();
+    } catch (error) {
+      console.error("❌ Push unsubscribe on logout failed:", error);
+    }
     logoutUser();
     window.location.href = "../login/signin_signup.html";
   }
 }
 
+/**
+ * Log Out Everywhere Handler
+ * Ends every session on every device (e.g., after losing a phone)
+ * Tokens stop working on the server right away, not just on this device
+ */
+async function handleLogoutEverywhere() {
+  if (!confirm("Log out of Riza on every device, including this one?")) return;
+
+  try {
+    await disablePushNotifications();
+  } catch (error) {
+    console.error("❌ Push unsubscribe on logout failed:", error);
+  }
+
+  try {
+    await logoutEverywhere();
+    window.location.href = "../login/signin_signup.html";
+  } catch (error) {
+    alert(error.message || "Failed to log out everywhere. Please try again.");
+  }
+}
+
 /**
  * Delete Account Handler
  * PERMANENTLY deletes user account and all associated data
@@ -2,9 +2,10 @@
    PROGRESS PAGE SCRIPT
 
    Purpose: To manage progress tracking page including:
-   - Weekly and monthly chart visualizations
+   - Weekly chart and trends chart (any range, per-habit series)
    - Statistics (total logins, longest streak, current streak)
-   - Activity calendar with check-in history
+   - Year heatmap (share of due habits completed per day)
+   - Activity calendar with check-in history (click a day to backfill)
    - Streak milestones and flame animation
    - Daily motivation quotes
    
@@ -16,15 +17,34 @@
 import {
   isAuthenticated,
   getAllCheckins as apiGetAllCheckins,
+  getHabitSchedule as apiGetHabitSchedule,
+  getStats as apiGetStats,
+  getHeatmap as apiGetHeatmap,
+  setCheckinStatus as apiSetCheckinStatus,
   trackDailyLogin,
   getTotalLoginDays,
-  getUserProfile,
+  getStatsSeries as apiGetStatsSeries,
 } from "../shared/api.js";
 import {
   initializeProgressChart,
+  renderSeriesChart,
   updateChartWithHabitData,
 } from "../shared/chart.js";
-import { getHabitsData } from "../shared/habit-manager.js";
+import {
+  getHabitsData,
+  getCompletedCheckins,
+  SKIP_REASON_LABELS,
+  isQuantitativeHabit,
+  getCurrentWeekRange,
+  getWeekStartKey,
+  showAchievementToasts,
+} from "../shared/habit-manager.js";
+import {
+  addDaysToKey,
+  getTodayKey,
+  getWeekdayOfKey,
+  toLocalDateKey,
+} from "../shared/date-utils.js";
 
 /* =========================================================
    AUTHENTICATION CHECK
@@ -37,240 +57,70 @@ if (!isAuthenticated()) {
 }
 
 /* =========================================================
-   STATISTICS CALCULATION FUNCTIONS
+   SUCCESS RATE (calculated by the backend)
    ========================================================= */
 
-/**
- * Calculates the longest consecutive streak across all habits
- *
- * Algorithm:
- * 1. Collect all unique completion dates from pre-fetched check-ins
- * 2. Sort dates and find longest consecutive sequence
- *
- * @param {Array} allCheckins - All check-in records for the user
- * @returns {number} Longest streak in days
- */
-function calculateLongestStreak(allCheckins) {
-  try {
-    if (!allCheckins || allCheckins.length === 0) return 0;
-
-    // Optimization: Use a single O(N) pass to collect unique timestamps in ascending order.
-    // Leverages the backend's descending sort to avoid a separate .sort() call.
-    const allTimestamps = [];
-    for (let i = allCheckins.length - 1; i >= 0; i--) {
-      const ts = Date.parse(allCheckins[i].date.substring(0, 10));
-      // Only add if it's a new day (avoid duplicates from multiple habits)
-      if (allTimestamps.length === 0 || ts !== allTimestamps[allTimestamps.length - 1]) {
-        allTimestamps.push(ts);
-      }
-    }
-
-    if (allTimestamps.length === 0) return 0;
+// Period shown in the success rate card ("week", "month", "year" or "all")
+let successPeriod = "week";
 
-    // Find longest consecutive sequence
-    let longestStreak = 1;
-    let currentStreakCount = 1;
-    const ONE_DAY_MS = 1000 * 60 * 60 * 24;
-
-    for (let i = 1; i < allTimestamps.length; i++) {
-      // Calculate difference in days using pre-calculated timestamps
-      const diffDays = Math.round((allTimestamps[i] - allTimestamps[i - 1]) / ONE_DAY_MS);
-
-      if (diffDays === 1) {
-        // Consecutive day - increment streak
-        currentStreakCount++;
-        if (currentStreakCount > longestStreak) longestStreak = currentStreakCount;
-      } else {
-        // Streak broken - reset counter
-        currentStreakCount = 1;
-      }
-    }
-
-    return longestStreak;
-  } catch (error) {
-    console.error("❌ Failed to calculate longest streak:", error);
-    return 0;
-  }
-}
+// Wording for the comparison line of each period
+const PREVIOUS_PERIOD_LABELS = {
+  week: "last week",
+  month: "last month",
+  year: "last year",
+};
 
 /**
- * Calculates current streak (consecutive days from today backwards)
+ * Updates the success rate card (ring, comparison and best day)
+ * All numbers come from GET /api/stats, so they match the other pages
  *
- * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
- * @returns {number} Current streak in days
+ * @param {Object} overall - stats.overall from the backend
+ * @param {string} period - Period the stats were requested for
  */
-function calculateCurrentStreak(habits, allCheckins) {
-  try {
-    if (habits.length === 0 || !allCheckins || allCheckins.length === 0)
-      return 0;
-
-    // Optimization: Use a Set of UTC timestamps for O(1) lookups.
-    // Use Date.parse() to avoid redundant Date object creation.
-    const completionTimestamps = new Set();
-    for (let i = 0; i < allCheckins.length; i++) {
-      completionTimestamps.add(Date.parse(allCheckins[i].date.substring(0, 10)));
-    }
-
-    // Calculate current streak (consecutive days from today backwards)
-    let currentStreak = 0;
-    const now = new Date();
-    // Match the backend's "Local YMD -> UTC midnight" logic for consistency
-    let checkTimestamp = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
-    const ONE_DAY_MS = 1000 * 60 * 60 * 24;
-
-    while (true) {
-      if (completionTimestamps.has(checkTimestamp)) {
-        currentStreak++;
-        checkTimestamp -= ONE_DAY_MS;
-      } else {
-        break; // Streak broken
-      }
-    }
-
-    return currentStreak;
-  } catch (error) {
-    console.error("❌ Failed to calculate current streak:", error);
-    return 0;
+function updateSuccessRate(overall, period) {
+  // Update success rate with circular progress animation
+  document.getElementById("success-rate").textContent = `${overall.successRate}%`;
+
+  // Animate the circular progress ring
+  const circle = document.getElementById("progress-ring-fill");
+  const radius = circle.r.baseVal.value;
+  const circumference = radius * 2 * Math.PI;
+  const offset = circumference - (overall.successRate / 100) * circumference;
+
+  circle.style.strokeDasharray = `${circumference} ${circumference}`;
+  setTimeout(() => {
+    circle.style.strokeDashoffset = offset;
+  }, 100);
+
+  // Update comparison with the previous period (none for all-time)
+  const comparisonEl = document.getElementById("success-comparison");
+  const previousLabel = PREVIOUS_PERIOD_LABELS[period];
+  if (overall.comparison === null || !previousLabel) {
+    comparisonEl.innerHTML = `
+    <span class="comparison-text">All-time average</span>
+  `;
+  } else if (overall.comparison > 0) {
+    comparisonEl.innerHTML = `
+    <img src="../assets/icons/up.svg" class="trend-icon" alt="Up" />
+    <span class="comparison-text">${Math.abs(overall.comparison)}% from ${previousLabel}</span>
+  `;
+  } else if (overall.comparison < 0) {
+    comparisonEl.innerHTML = `
+    <img src="../assets/icons/down.svg" class="trend-icon" alt="Down" />
+    <span class="comparison-text">${Math.abs(overall.comparison)}% from ${previousLabel}</span>
+  `;
+  } else {
+    comparisonEl.innerHTML = `
+    <span class="comparison-text">Same as ${previousLabel}</span>
+  `;
   }
-}
-
-/**
- * Calculates comprehensive statistics for the progress page
- *
- * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
- * @param {number} totalLoginDays - Pre-fetched total login days
- * @returns {Object} Statistics object with all metrics
- */
-function calculateStats(habits, allCheckins, totalLoginDays) {
-  try {
-    // Optimization: Remove redundant trackDailyLogin() call as it's already handled in DOMContentLoaded
-    const totalCheckins = totalLoginDays || 0;
-
-    // Calculate current streak
-    const currentStreak = calculateCurrentStreak(habits, allCheckins);
-
-    // Calculate longest streak
-    const longestStreak = calculateLongestStreak(allCheckins);
-
-    // Calculate success rate (this week)
-    const today = new Date();
-    const weekStart = new Date(today);
-    weekStart.setDate(
-      today.getDate() - today.getDay() + (today.getDay() === 0 ? -6 : 1)
-    );
-    weekStart.setHours(0, 0, 0, 0);
-
-    const lastWeekStart = new Date(weekStart);
-    lastWeekStart.setDate(weekStart.getDate() - 7);
-
-    // Pre-calculate date strings for current and last week once to avoid thousands of Date objects in the habit loop
-    const thisWeekDateStrings = [];
-    const lastWeekDateStrings = [];
-    for (let i = 0; i < 7; i++) {
-      const d1 = new Date(weekStart);
-      d1.setDate(weekStart.getDate() + i);
-      thisWeekDateStrings.push(d1.toISOString().substring(0, 10));
-
-      const d2 = new Date(lastWeekStart);
-      d2.setDate(lastWeekStart.getDate() + i);
-      lastWeekDateStrings.push(d2.toISOString().substring(0, 10));
-    }
-
-    let totalPossible = 0;
-    let totalCompleted = 0;
-    let lastWeekPossible = 0;
-    let lastWeekCompleted = 0;
-    const dailySuccess = [0, 0, 0, 0, 0, 0, 0]; // Mon-Sun success counts
-    const dailyTotal = [0, 0, 0, 0, 0, 0, 0]; // Mon-Sun total counts
-
-    // Build completion map: habitId -> Set of completion dates for O(1) lookup
-    const completions = {};
-    for (let i = 0; i < allCheckins.length; i++) {
-      const checkin = allCheckins[i];
-      const habitId = checkin.habitId;
-      if (!completions[habitId]) {
-        completions[habitId] = new Set();
-      }
-      // Optimization: Use substring(0, 10) instead of split("T")[0]
-      completions[habitId].add(checkin.date.substring(0, 10));
-    }
-
-    // Calculate success rates for both current and last week in a single pass over the habits array
-    habits.forEach((habit) => {
-      const habitId = habit._id || habit.id;
-      const habitCompletions = completions[habitId] || new Set();
-
-      thisWeekDateStrings.forEach((dateStr, i) => {
-        totalPossible++;
-        dailyTotal[i]++;
-        if (habitCompletions.has(dateStr)) {
-          totalCompleted++;
-          dailySuccess[i]++;
-        }
-      });
-
-      lastWeekDateStrings.forEach((dateStr) => {
-        lastWeekPossible++;
-        if (habitCompletions.has(dateStr)) {
-          lastWeekCompleted++;
-        }
-      });
-    });
 
-    const successRate =
-      totalPossible > 0
-        ? Math.round((totalCompleted / totalPossible) * 100)
-        : 0;
-
-    const lastWeekRate =
-      lastWeekPossible > 0
-        ? Math.round((lastWeekCompleted / lastWeekPossible) * 100)
-        : 0;
-    const weekComparison = successRate - lastWeekRate;
-
-    // Find best day of the week
-    const dayNames = [
-      "Monday",
-      "Tuesday",
-      "Wednesday",
-      "Thursday",
-      "Friday",
-      "Saturday",
-      "Sunday",
-    ];
-    let bestDayIndex = 0;
-    let bestDayRate = 0;
-
-    dailySuccess.forEach((completed, index) => {
-      const rate =
-        dailyTotal[index] > 0 ? (completed / dailyTotal[index]) * 100 : 0;
-      if (rate > bestDayRate) {
-        bestDayRate = rate;
-        bestDayIndex = index;
-      }
-    });
-
-    return {
-      totalCheckins,
-      currentStreak,
-      successRate,
-      longestStreak,
-      weekComparison,
-      bestDay: dayNames[bestDayIndex],
-    };
-  } catch (error) {
-    console.error("❌ Failed to calculate stats:", error);
-    return {
-      totalCheckins: 0,
-      currentStreak: 0,
-      successRate: 0,
-      longestStreak: 0,
-      weekComparison: 0,
-      bestDay: "Monday",
-    };
-  }
+  // Update best day
+  const bestDayEl = document.getElementById("best-day");
+  bestDayEl.innerHTML = `
+      <span class="best-day-label">Best day:</span>
+      <span class="best-day-value">${overall.bestDay || "—"}</span>
+    `;
 }
 
 /* =========================================================
@@ -283,16 +133,25 @@ function calculateStats(habits, allCheckins, totalLoginDays) {
  */
 async function updateUI() {
   try {
+    // Success rate, comparison, best day and streaks are calculated by the
+    // backend (GET /api/stats); only this week's check-ins are needed for
+    // the weekly chart (the calendar and the trends chart fetch their own)
     // Optimization: Fetch all data in parallel to reduce overall load time.
     // This resolves N+1 query bottlenecks and reduces waterfall requests.
-    const [habits, allCheckins, loginData] = await Promise.all([
+    const [habits, allCheckins, loginData, rawSchedule, statsData] = await Promise.all([
       getHabitsData(),
-      apiGetAllCheckins(),
+      apiGetAllCheckins(getCurrentWeekRange()),
       getTotalLoginDays(),
+      apiGetHabitSchedule(), // Due habits per day, evaluated by the backend
+      apiGetStats(successPeriod),
     ]);
 
-    // Calculate all statistics from pre-fetched data
-    const stats = calculateStats(habits, allCheckins, loginData.totalLoginDays);
+    // Charts only count days where a habit's target was hit
+    const completedCheckins = getCompletedCheckins(allCheckins);
+    const stats = {
+      ...statsData.overall,
+      totalCheckins: loginData.totalLoginDays || 0,
+    };
 
     // Update stats card
     document.getElementById("total-checkins").textContent = stats.totalCheckins;
@@ -300,8 +159,8 @@ async function updateUI() {
     // Update longest streak
     document.getElementById("longest-streak").textContent = stats.longestStreak;
 
-    // Update total habits count
-    document.getElementById("total-habits").textContent = habits.length;
+    // Update total habits count (active habits, same as the other pages)
+    document.getElementById("total-habits").textContent = stats.totalHabits;
 
     // Update current streak
     document.getElementById("current-streak").textContent = stats.currentStreak;
@@ -343,50 +202,7 @@ async function updateUI() {
       document.getElementById("milestone-100").classList.add("achieved");
     }
 
-    // Update success rate with circular progress animation
-    document.getElementById(
-      "success-rate"
-    ).textContent = `${stats.successRate}%`;
-
-    // Animate the circular progress ring
-    const circle = document.getElementById("progress-ring-fill");
-    const radius = circle.r.baseVal.value;
-    const circumference = radius * 2 * Math.PI;
-    const offset = circumference - (stats.successRate / 100) * circumference;
-
-    circle.style.strokeDasharray = `${circumference} ${circumference}`;
-    setTimeout(() => {
-      circle.style.strokeDashoffset = offset;
-    }, 100);
-
-    // Update week comparison
-    const comparisonEl = document.getElementById("success-comparison");
-    if (stats.weekComparison > 0) {
-      comparisonEl.innerHTML = `
-    <img src="../assets/icons/up.svg" class="trend-icon" alt="Up" />
-    <span class="comparison-text">${Math.abs(
-      stats.weekComparison
-    )}% from last week</span>
-  `;
-    } else if (stats.weekComparison < 0) {
-      comparisonEl.innerHTML = `
-    <img src="../assets/icons/down.svg" class="trend-icon" alt="Down" />
-    <span class="comparison-text">${Math.abs(
-      stats.weekComparison
-    )}% from last week</span>
-  `;
-    } else {
-      comparisonEl.innerHTML = `
-    <span class="comparison-text">Same as last week</span>
-  `;
-    }
-
-    // Update best day
-    const bestDayEl = document.getElementById("best-day");
-    bestDayEl.innerHTML = `
-      <span class="best-day-label">Best day:</span>
-      <span class="best-day-value">${stats.bestDay}</span>
-    `;
+    updateSuccessRate(stats, successPeriod);
 
     // ===================== CHARTS =====================
     // Create Weekly Chart (bar chart - same as dashboard)
@@ -401,179 +217,235 @@ async function updateUI() {
 
     // Update weekly chart with real data (using pre-fetched data)
     if (weeklyChart) {
-      await updateChartWithHabitData(weeklyChart, habits, allCheckins);
+      await updateChartWithHabitData(weeklyChart, habits, completedCheckins);
     }
 
-    // Create Monthly Chart (line chart - weeks since registration)
-    // Chart will be initialized with dynamic data from updateMonthlyChart
-    const monthlyChartCanvas = document.getElementById("monthlyChart");
-    if (monthlyChartCanvas) {
-      await updateMonthlyChart(habits, allCheckins);
+    // Trends chart (range, buckets and series picked by the user)
+    await renderTrends();
+
+    // Render activity calendar (habits + schedule kept for the day editor)
+    calendarHabits = habits;
+    calendarSchedule = rawSchedule;
+    await renderCalendar();
+
+    // Keep an open day editor in sync with the fresh check-ins
+    if (selectedCalendarDate) {
+      openDayEditor(selectedCalendarDate, calendarCheckins);
     }
 
-    // Render activity calendar
-    await renderCalendar(allCheckins);
+    // Year heatmap (habit filter lists every habit, archived included)
+    populateHeatmapFilter(habits);
+    await renderHeatmap();
   } catch (error) {
     console.error("❌ Error updating UI:", error);
   }
 }
 
 /* =========================================================
-   MONTHLY CHART UPDATE (MongoDB-based)
+   TRENDS CHART (calculated by the backend)
    ========================================================= */
 
+// Current chart settings (changed by the controls above the chart)
+let trendsRange = "month"; // "week", "month", "quarter", "year" or "custom"
+let trendsBucket = "day"; // "day", "week" or "month"
+let trendsMode = "total"; // "total", "stacked" or "lines"
+let trendsNormalize = false; // Completion rate (%) instead of raw counts
+
+// Bucket picked when a preset range is selected
+const DEFAULT_TRENDS_BUCKETS = {
+  week: "day",
+  month: "day",
+  quarter: "week",
+  year: "month",
+};
+
+// Longest range that can be shown per day (matches the backend)
+const MAX_DAY_BUCKET_DAYS = 366;
+
 /**
- * Updates the monthly chart with habit completion data from MongoDB
- * Calculates weeks from user registration date and displays as bar chart
+ * Gets the first and last day of a trends range
+ * Preset ranges cover the whole current week/month/quarter/year
  *
- * @param {Array} habits - All habits for the user
- * @param {Array} allCheckins - All check-in records for the user
+ * @param {string} range - "week", "month", "quarter", "year" or "custom"
+ * @returns {{ from: string, to: string }} Day keys (empty for an unfilled custom range)
  */
-async function updateMonthlyChart(habits, allCheckins) {
-  try {
-    // Fetch user profile to get registration date
-    const profileData = await getUserProfile();
-    const user = profileData.user;
-    const registrationDate = new Date(user.createdAt);
-    const today = new Date();
-
-    // Calculate total weeks since registration
-    const totalDays = Math.floor(
-      (today - registrationDate) / (1000 * 60 * 60 * 24)
-    );
-    const totalWeeks = Math.ceil(totalDays / 7);
-
-    // Initialize weekly data array (one element per week since registration)
-    const weeklyData = new Array(totalWeeks).fill(0);
-    const weekLabels = [];
-
-    // Create week labels
-    for (let i = 0; i < totalWeeks; i++) {
-      weekLabels.push(`W${i + 1}`);
-    }
-
-    // Process all check-ins and count by week
-    // Optimization: Use Date.parse() instead of new Date() in the loop
-    for (let i = 0; i < allCheckins.length; i++) {
-      const checkInTime = Date.parse(allCheckins[i].date);
+function getTrendsRange(range) {
+  const today = getTodayKey();
+  const [year, month] = today.split("-").map(Number);
+  const pad = (value) => String(value).padStart(2, "0");
+  // Last day of a month (1-12): day 0 of the following month
+  const lastDayKey = (y, m) => `${y}-${pad(m)}-${pad(new Date(Date.UTC(y, m, 0)).getUTCDate())}`;
+
+  if (range === "week") {
+    const from = getWeekStartKey(today);
+    return { from, to: addDaysToKey(from, 6) };
+  }
+  if (range === "quarter") {
+    const firstMonth = month - ((month - 1) % 3);
+    return { from: `${year}-${pad(firstMonth)}-01`, to: lastDayKey(year, firstMonth + 2) };
+  }
+  if (range === "year") {
+    return { from: `${year}-01-01`, to: `${year}-12-31` };
+  }
+  if (range === "custom") {
+    return {
+      from: document.getElementById("trends-from")?.value || "",
+      to: document.getElementById("trends-to")?.value || "",
+    };
+  }
+  return { from: `${year}-${pad(month)}-01`, to: lastDayKey(year, month) };
+}
 
-      // Calculate which week this check-in belongs to (since registration)
-      const daysSinceRegistration = Math.floor(
-        (checkInTime - registrationDate) / (1000 * 60 * 60 * 24)
-      );
-      const weekIndex = Math.floor(daysSinceRegistration / 7);
+/**
+ * Counts the days of a range (inclusive)
+ *
+ * @param {{ from: string, to: string }} range - Day keys
+ * @returns {number} Number of days
+ */
+function countRangeDays({ from, to }) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1;
+}
 
-      // Increment the count for that week (if valid index)
-      if (weekIndex >= 0 && weekIndex < totalWeeks) {
-        weeklyData[weekIndex]++;
-      }
-    });
+/**
+ * Picks a readable bucket for a custom range
+ *
+ * @param {{ from: string, to: string }} range - Day keys
+ * @returns {string} "day" (up to a month), "week" (up to ~6 months) or "month"
+ */
+function getCustomBucket(range) {
+  const days = countRangeDays(range);
+  if (days <= 31) return "day";
+  if (days <= 183) return "week";
+  return "month";
+}
 
-    // Get canvas and create/update chart
-    const canvas = document.getElementById("monthlyChart");
-    const ctx = canvas.getContext("2d");
+/**
+ * Syncs the bucket select with trendsBucket and disables "By day"
+ * for ranges the backend won't split into days
+ */
+function updateBucketSelect() {
+  const select = document.getElementById("trends-bucket");
+  if (!select) return;
+
+  const range = getTrendsRange(trendsRange);
+  const tooLongForDays = range.from && range.to && countRangeDays(range) > MAX_DAY_BUCKET_DAYS;
+  select.querySelector('option[value="day"]').disabled = !!tooLongForDays;
+  if (tooLongForDays && trendsBucket === "day") trendsBucket = "week";
+  select.value = trendsBucket;
+}
 
-    // Destroy existing chart if it exists
-    if (window.monthlyChartInstance) {
-      window.monthlyChartInstance.destroy();
-    }
+/**
+ * Fetches the selected range and redraws the trends chart
+ */
+async function renderTrends() {
+  const errorMessage = document.getElementById("trends-error");
+  try {
+    const { from, to } = getTrendsRange(trendsRange);
+    if (!from || !to) return; // Custom range not filled in yet
 
-    // Create new bar chart (matching dashboard style)
-    window.monthlyChartInstance = new Chart(ctx, {
-      type: "bar",
-      data: {
-        labels: weekLabels,
-        datasets: [
-          {
-            label: "Habits Completed Per Week",
-            data: weeklyData,
-            backgroundColor: "#2d6a4f",
-            borderColor: "#2d6a4f",
-            borderRadius: 8,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: true,
-        aspectRatio: 3,
-        plugins: {
-          legend: {
-            display: false, // Hide legend (top title)
-          },
-          tooltip: {
-            mode: "index",
-            intersect: false,
-            callbacks: {
-              title: function (context) {
-                return `Week ${context[0].dataIndex + 1}`;
-              },
-              label: function (context) {
-                return `Completions: ${context.parsed.y}`;
-              },
-            },
-          },
-        },
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: {
-              stepSize: 1,
-            },
-            title: {
-              display: false, // Hide y-axis title
-            },
-            grid: {
-              color: "rgba(0,0,0,0.05)",
-            },
-          },
-          x: {
-            title: {
-              display: false, // Hide x-axis title
-            },
-            ticks: {
-              maxRotation: 45,
-              minRotation: 0,
-              autoSkip: true,
-              maxTicksLimit: 12,
-            },
-            grid: {
-              display: false,
-            },
-          },
-        },
-      },
+    const series = await apiGetStatsSeries({ from, to, bucket: trendsBucket });
+    renderSeriesChart("trendsChart", series, {
+      mode: trendsMode,
+      normalize: trendsNormalize,
     });
-
-    console.log(
-      `✅ Monthly chart updated: ${totalWeeks} weeks since registration`
-    );
+    if (errorMessage) errorMessage.hidden = true;
+    console.log(`✅ Trends chart updated: ${series.buckets.length} ${trendsBucket} buckets`);
   } catch (error) {
-    console.error("❌ Error updating monthly chart:", error);
+    console.error("❌ Error updating trends chart:", error);
+    if (errorMessage) {
+      errorMessage.textContent = error.message || "Could not load this range.";
+      errorMessage.hidden = false;
+    }
   }
 }
 
+const trendsRangeSelect = document.getElementById("trends-range");
+if (trendsRangeSelect) {
+  trendsRangeSelect.addEventListener("change", () => {
+    trendsRange = trendsRangeSelect.value;
+    const customInputs = document.getElementById("trends-custom");
+    if (customInputs) customInputs.hidden = trendsRange !== "custom";
+
+    if (trendsRange === "custom") {
+      // Start from the last 30 days
+      const fromInput = document.getElementById("trends-from");
+      const toInput = document.getElementById("trends-to");
+      const today = getTodayKey();
+      if (toInput && !toInput.value) toInput.value = today;
+      if (fromInput && !fromInput.value) fromInput.value = addDaysToKey(today, -29);
+      trendsBucket = getCustomBucket(getTrendsRange("custom"));
+    } else {
+      trendsBucket = DEFAULT_TRENDS_BUCKETS[trendsRange];
+    }
+    updateBucketSelect();
+    renderTrends();
+  });
+}
+
+["trends-from", "trends-to"].forEach((id) => {
+  document.getElementById(id)?.addEventListener("change", () => {
+    updateBucketSelect();
+    renderTrends();
+  });
+});
+
+document.getElementById("trends-bucket")?.addEventListener("change", (e) => {
+  trendsBucket = e.target.value;
+  renderTrends();
+});
+
+document.getElementById("trends-mode")?.addEventListener("change", (e) => {
+  trendsMode = e.target.value;
+  renderTrends();
+});
+
+document.getElementById("trends-normalize")?.addEventListener("change", (e) => {
+  trendsNormalize = e.target.checked;
+  renderTrends();
+});
+
 /* =========================================================
    ACTIVITY CALENDAR (MongoDB-based)
    ========================================================= */
 
 let currentCalendarDate = new Date();
 
+// Set by updateUI() so calendar navigation and the day editor can reuse them
+let calendarHabits = [];
+let calendarSchedule = null;
+let calendarCheckins = []; // Check-ins of the month shown (set by renderCalendar)
+let selectedCalendarDate = null; // YYYY-MM-DD of the day open in the editor
+
 /**
- * Renders the activity calendar showing days with habit completions
- * Fetches data from MongoDB instead of localStorage
+ * Checks whether a calendar day can be edited
+ * Editable days run from the backend's editableFrom (backfill window) to today
  *
- * @param {Array} allCheckins - All check-in records for the user
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @returns {boolean} True if check-ins on that day can be toggled
  */
-async function renderCalendar(allCheckins) {
+function isEditableDay(dateStr) {
+  if (!calendarSchedule?.editableFrom) return false;
+  return dateStr >= calendarSchedule.editableFrom && dateStr <= calendarSchedule.today;
+}
+
+/**
+ * Renders the activity calendar showing days with habit completions
+ * Fetches the shown month's check-ins from MongoDB
+ * Days inside the backfill window are clickable and open the day editor
+ */
+async function renderCalendar() {
   try {
     const year = currentCalendarDate.getFullYear();
     const month = currentCalendarDate.getMonth();
 
-    // If allCheckins is not provided, fetch it (fallback for navigation buttons)
-    if (!allCheckins) {
-      allCheckins = await apiGetAllCheckins();
-    }
+    // Only the shown month (plus the day before, for the streak highlight)
+    const monthKey = `${year}-${String(month + 1).padStart(2, "0")}`;
+    const lastDayKey = `${monthKey}-${String(new Date(year, month + 1, 0).getDate()).padStart(2, "0")}`;
+    const allCheckins = await apiGetAllCheckins({
+      from: addDaysToKey(`${monthKey}-01`, -1),
+      to: lastDayKey,
+    });
+    calendarCheckins = allCheckins;
 
     // Update month display
     const monthNames = [
@@ -600,6 +472,9 @@ async function renderCalendar(allCheckins) {
     const daysInPrevMonth = new Date(year, month, 0).getDate();
 
     const activeDays = new Set(); // Set of dates with any activity
+    const skippedDays = new Set(); // Dates with an excused (skipped) habit
+    const missedDays = new Set(); // Dates with a habit explicitly marked missed
+    const frozenDays = new Set(); // Dates covered by a streak freeze
 
     // Collect all dates with habit completions from the single batch fetch
     // Optimization: Use substring(0, 10) and a for loop
@@ -607,15 +482,15 @@ async function renderCalendar(allCheckins) {
       // Extract date from MongoDB (already in UTC midnight format)
       // Backend stores as: 2025-10-23T00:00:00.000Z
       const dateStr = allCheckins[i].date.substring(0, 10);
-      activeDays.add(dateStr);
+      if (allCheckins[i].status === "skipped") skippedDays.add(dateStr);
+      else if (allCheckins[i].status === "missed") missedDays.add(dateStr);
+      else if (allCheckins[i].status === "frozen") frozenDays.add(dateStr);
+      // Partial progress (below a habit's target) doesn't mark the day
+      else if (allCheckins[i].completed !== false) activeDays.add(dateStr);
     }
 
-    // Get today's date in local timezone (YYYY-MM-DD format)
-    const today = new Date();
-    const todayYear = today.getFullYear();
-    const todayMonth = String(today.getMonth() + 1).padStart(2, "0");
-    const todayDay = String(today.getDate()).padStart(2, "0");
-    const todayStr = `${todayYear}-${todayMonth}-${todayDay}`;
+    // Get today's date in the user's time zone (YYYY-MM-DD format)
+    const todayStr = getTodayKey();
 
     // Clear calendar
     const calendarDays = document.getElementById("calendarDays");
@@ -669,6 +544,32 @@ async function renderCalendar(allCheckins) {
         }
       }
 
+      // Days without completions show skips/misses/freezes instead
+      // (a completed habit on the same day takes priority)
+      if (!activeDays.has(dateStr)) {
+        if (missedDays.has(dateStr)) dayDiv.classList.add("missed");
+        else if (frozenDays.has(dateStr)) dayDiv.classList.add("frozen");
+        else if (skippedDays.has(dateStr)) dayDiv.classList.add("skipped");
+      }
+
+      // Past days inside the backfill window can be edited
+      if (isEditableDay(dateStr)) {
+        dayDiv.classList.add("editable");
+        dayDiv.dataset.date = dateStr;
+        dayDiv.setAttribute("role", "button");
+        dayDiv.setAttribute("tabindex", "0");
+        dayDiv.addEventListener("click", () => openDayEditor(dateStr, allCheckins));
+        dayDiv.addEventListener("keydown", (e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            openDayEditor(dateStr, allCheckins);
+          }
+        });
+      }
+      if (dateStr === selectedCalendarDate) {
+        dayDiv.classList.add("selected");
+      }
+
       calendarDays.appendChild(dayDiv);
     }
 
@@ -687,6 +588,149 @@ async function renderCalendar(allCheckins) {
   }
 }
 
+/* =========================================================
+   DAY EDITOR (Backfill check-ins)
+   ========================================================= */
+
+/**
+ * Opens the day editor for a calendar day
+ * Lists every habit that existed on that day with a checkbox showing
+ * whether it was completed; toggling calls the backend with the date
+ *
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @param {Array} allCheckins - Check-ins of the shown calendar month
+ */
+function openDayEditor(dateStr, allCheckins) {
+  const editor = document.getElementById("dayEditor");
+  const list = document.getElementById("dayEditorList");
+  if (!editor || !list) return;
+
+  selectedCalendarDate = dateStr;
+  document.querySelectorAll(".calendar-day.selected").forEach((el) => el.classList.remove("selected"));
+  document.querySelector(`.calendar-day[data-date="${dateStr}"]`)?.classList.add("selected");
+
+  // Title, e.g. "Wed, Jan 15"
+  const titleDate = new Date(`${dateStr}T00:00:00`);
+  document.getElementById("dayEditorTitle").textContent = titleDate.toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+
+  // Check-ins for this day by habit ID (may be partial for quantitative habits)
+  const dayCheckins = new Map();
+  for (let i = 0; i < allCheckins.length; i++) {
+    if (allCheckins[i].date.substring(0, 10) === dateStr) {
+      dayCheckins.set(String(allCheckins[i].habitId), allCheckins[i]);
+    }
+  }
+  const dueIds = new Set(calendarSchedule?.days?.[dateStr] || []);
+
+  // Only habits that existed on that day can be checked in
+  const habits = calendarHabits.filter((habit) => {
+    if (!habit.createdAt) return true;
+    return toLocalDateKey(new Date(habit.createdAt)) <= dateStr;
+  });
+
+  list.innerHTML = "";
+  if (habits.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "day-editor-note";
+    empty.textContent = "No habits existed on this day.";
+    list.appendChild(empty);
+  }
+
+  habits.forEach((habit) => {
+    const habitId = String(habit._id || habit.id);
+    const item = document.createElement("li");
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    const checkin = dayCheckins.get(habitId);
+    checkbox.checked = !!checkin && checkin.completed !== false;
+    checkbox.addEventListener("change", () => toggleDayCheckin(habitId, dateStr, checkbox));
+
+    const name = document.createElement("span");
+    name.textContent = habit.name; // textContent avoids XSS from habit names
+    label.append(checkbox, name);
+
+    // Amount logged vs target for quantitative habits (e.g., "3 / 8 glasses")
+    if (isQuantitativeHabit(habit)) {
+      const target = habit.target || 1;
+      const amount = checkin ? (checkin.amount ?? target) : 0;
+      const note = document.createElement("span");
+      note.className = "day-editor-note";
+      note.textContent = `${amount} / ${target}${habit.unit ? ` ${habit.unit}` : ""}`;
+      label.appendChild(note);
+    }
+
+    if (["skipped", "missed", "frozen"].includes(checkin?.status)) {
+      const note = document.createElement("span");
+      note.className = "day-editor-note";
+      note.textContent =
+        checkin.status === "missed"
+          ? "Missed"
+          : checkin.status === "frozen"
+            ? "Frozen"
+            : `Skipped · ${SKIP_REASON_LABELS[checkin.reason] || "Other"}`;
+      label.appendChild(note);
+    } else if (!dueIds.has(habitId)) {
+      const note = document.createElement("span");
+      note.className = "day-editor-note";
+      note.textContent = "Not due";
+      label.appendChild(note);
+    }
+
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  editor.hidden = false;
+}
+
+/**
+ * Saves a habit's state for a past (or today's) date from its checkbox
+ * (checked → done, unchecked → cleared; safe to retry)
+ * Reverts the checkbox and shows the backend message if rejected
+ * (e.g., date outside the backfill window)
+ *
+ * @param {string} habitId - ID of the habit
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @param {HTMLInputElement} checkbox - Checkbox that triggered the toggle
+ */
+async function toggleDayCheckin(habitId, dateStr, checkbox) {
+  const wanted = checkbox.checked;
+  checkbox.disabled = true;
+  try {
+    const result = await apiSetCheckinStatus(habitId, wanted ? "done" : "none", {
+      date: dateStr,
+    });
+    showAchievementToasts(result);
+    // Refresh stats, charts and calendar (also re-renders the editor)
+    await updateUI();
+  } catch (error) {
+    console.error("❌ Failed to toggle check-in for", dateStr, error);
+    checkbox.checked = !wanted;
+    checkbox.disabled = false;
+    alert(error.message || "Could not update this day. Please try again.");
+  }
+}
+
+/**
+ * Closes the day editor and clears the selected day
+ */
+function closeDayEditor() {
+  selectedCalendarDate = null;
+  const editor = document.getElementById("dayEditor");
+  if (editor) editor.hidden = true;
+  document.querySelectorAll(".calendar-day.selected").forEach((el) => el.classList.remove("selected"));
+}
+
+const dayEditorCloseBtn = document.getElementById("dayEditorClose");
+if (dayEditorCloseBtn) {
+  dayEditorCloseBtn.addEventListener("click", closeDayEditor);
+}
+
 /* =========================================================
    CALENDAR NAVIGATION
    ========================================================= */
@@ -696,6 +740,7 @@ const prevMonthBtn = document.getElementById("prevMonth");
 if (prevMonthBtn) {
   prevMonthBtn.addEventListener("click", () => {
     currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
+    closeDayEditor(); // The editor only knows the shown month's check-ins
     renderCalendar();
   });
 }
@@ -704,10 +749,181 @@ const nextMonthBtn = document.getElementById("nextMonth");
 if (nextMonthBtn) {
   nextMonthBtn.addEventListener("click", () => {
     currentCalendarDate.setMonth(currentCalendarDate.getMonth() + 1);
+    closeDayEditor(); // The editor only knows the shown month's check-ins
     renderCalendar();
   });
 }
 
+/* =========================================================
+   YEAR HEATMAP (calculated by the backend)
+   ========================================================= */
+
+// Year and habit shown in the heatmap ("" = all habits)
+let heatmapYear = Number(getTodayKey().slice(0, 4));
+let heatmapHabitId = "";
+
+// Cell size + gap in px (matches .heatmap-grid in progress.css)
+const HEATMAP_COLUMN_WIDTH = 15;
+
+/**
+ * Maps a day's share of due habits completed to a color level
+ *
+ * @param {Object|undefined} entry - { due, completed, habits } from the backend
+ * @returns {number} 0 (nothing done) to 4 (everything due was done)
+ */
+function getHeatmapLevel(entry) {
+  if (!entry || (entry.completed === 0 && entry.habits.length === 0)) return 0;
+  if (entry.due === 0) return 1; // Only habits that weren't due
+  const share = entry.completed / entry.due;
+  if (share >= 1) return 4;
+  if (share >= 0.66) return 3;
+  if (share >= 0.33) return 2;
+  return 1;
+}
+
+/**
+ * Builds the tooltip of a heatmap cell
+ * (e.g., "Mon, Jan 13, 2025 · 1 / 2 due · Read")
+ *
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @param {Object|undefined} entry - { due, completed, habits } from the backend
+ * @param {boolean} isFuture - True for days after today
+ * @returns {string} Tooltip text
+ */
+function getHeatmapTooltip(dateKey, entry, isFuture) {
+  const date = new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+  if (isFuture) return date;
+  if (!entry) return `${date} · Nothing due`;
+
+  const parts = [date, entry.due > 0 ? `${entry.completed} / ${entry.due} due` : "Nothing due"];
+  if (entry.habits.length > 0) parts.push(entry.habits.join(", "));
+  return parts.join(" · ");
+}
+
+/**
+ * Fills the heatmap habit filter, keeping the current selection
+ *
+ * @param {Array} habits - All habits (archived included)
+ */
+function populateHeatmapFilter(habits) {
+  const select = document.getElementById("heatmap-habit");
+  if (!select) return;
+
+  select.innerHTML = "";
+  select.appendChild(new Option("All habits", ""));
+  habits.forEach((habit) => {
+    // Option text is set as text (not HTML), so habit names can't inject markup
+    const name = habit.archived ? `${habit.name} (archived)` : habit.name;
+    select.appendChild(new Option(name, String(habit._id || habit.id)));
+  });
+
+  // Fall back to all habits if the selected one was deleted
+  if (![...select.options].some((option) => option.value === heatmapHabitId)) {
+    heatmapHabitId = "";
+  }
+  select.value = heatmapHabitId;
+}
+
+/**
+ * Renders the GitHub-style heatmap for heatmapYear
+ * One column per week (Sunday at the top), one cell per day
+ */
+async function renderHeatmap() {
+  try {
+    const data = await apiGetHeatmap(heatmapYear, { habitId: heatmapHabitId || undefined });
+
+    const grid = document.getElementById("heatmapGrid");
+    const months = document.getElementById("heatmapMonths");
+    if (!grid || !months) return;
+    grid.innerHTML = "";
+    months.innerHTML = "";
+
+    document.getElementById("heatmapYear").textContent = data.year;
+    // No navigating past the current year
+    const nextYearBtn = document.getElementById("nextYear");
+    if (nextYearBtn) nextYearBtn.disabled = data.to >= data.today;
+
+    // Blank cells so Jan 1 lands on its weekday
+    const firstWeekday = getWeekdayOfKey(data.from); // 0 = Sunday
+    for (let i = 0; i < firstWeekday; i++) {
+      const blank = document.createElement("span");
+      blank.className = "heatmap-cell empty";
+      grid.appendChild(blank);
+    }
+
+    let index = firstWeekday;
+    for (let dateKey = data.from; dateKey <= data.to; dateKey = addDaysToKey(dateKey, 1)) {
+      const entry = data.days[dateKey];
+      const isFuture = dateKey > data.today;
+      const cell = document.createElement("span");
+      cell.className = `heatmap-cell level-${isFuture ? 0 : getHeatmapLevel(entry)}`;
+      if (isFuture) cell.classList.add("future");
+      cell.title = getHeatmapTooltip(dateKey, entry, isFuture);
+      grid.appendChild(cell);
+
+      // Month label above the week column holding the 1st
+      if (dateKey.endsWith("-01")) {
+        const label = document.createElement("span");
+        label.textContent = new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, {
+          month: "short",
+        });
+        label.style.left = `${Math.floor(index / 7) * HEATMAP_COLUMN_WIDTH}px`;
+        months.appendChild(label);
+      }
+      index++;
+    }
+  } catch (error) {
+    console.error("❌ Error rendering heatmap:", error);
+  }
+}
+
+const prevYearBtn = document.getElementById("prevYear");
+if (prevYearBtn) {
+  prevYearBtn.addEventListener("click", () => {
+    heatmapYear--;
+    renderHeatmap();
+  });
+}
+
+const nextYearBtn = document.getElementById("nextYear");
+if (nextYearBtn) {
+  nextYearBtn.addEventListener("click", () => {
+    heatmapYear++;
+    renderHeatmap();
+  });
+}
+
+const heatmapHabitSelect = document.getElementById("heatmap-habit");
+if (heatmapHabitSelect) {
+  heatmapHabitSelect.addEventListener("change", () => {
+    heatmapHabitId = heatmapHabitSelect.value;
+    renderHeatmap();
+  });
+}
+
+/* =========================================================
+   SUCCESS RATE PERIOD
+   ========================================================= */
+
+// Switching the period only refetches the stats, not the whole page
+const successPeriodSelect = document.getElementById("success-period");
+if (successPeriodSelect) {
+  successPeriodSelect.addEventListener("change", async () => {
+    successPeriod = successPeriodSelect.value;
+    try {
+      const statsData = await apiGetStats(successPeriod);
+      updateSuccessRate(statsData.overall, successPeriod);
+    } catch (error) {
+      console.error("❌ Failed to load stats for", successPeriod, error);
+    }
+  });
+}
+
 /* =========================================================
    PAGE INITIALIZATION
    ========================================================= */
@@ -10,12 +10,34 @@
  * @author John Denis Nyagah
  *
  * API ENDPOINTS:
- * - Authentication: register, login, logout, changePassword, deleteAccount
+ * - Authentication: register, login, logout, logoutEverywhere,
+ *   changePassword, requestPasswordReset, resetPassword, deleteAccount
+ * - Email: verifyEmail, resendVerificationEmail, changeEmail,
+ *   cancelEmailChange
+ * - Two-Factor: verifyTwoFactorLogin, getTwoFactorStatus,
+ *   startTwoFactorSetup, confirmTwoFactorSetup, disableTwoFactor,
+ *   regenerateRecoveryCodes
+ * - Sessions: getSessions, revokeSession, revokeOtherSessions
  * - Profile Management: getUserProfile, updateUserProfile, updateProfilePicture
- * - Habits: getHabits, createHabit, updateHabit, deleteHabit
- * - Check-ins: toggleHabitCompletion, getCheckins, getHabitStreak
+ * - Habits: getHabits, createHabit, updateHabit, deleteHabit, getHabitSchedule,
+ *   getStreaks
+ * - Stats: getStats, getHeatmap, getStatsSeries
+ * - Achievements: getAchievements
+ * - Notifications: getNotifications, getUnreadNotificationCount,
+ *   markNotificationRead, markAllNotificationsRead
+ * - Push: getPushPublicKey, savePushSubscription, deletePushSubscription
+ * - Check-ins: setCheckinStatus, toggleHabitCompletion, incrementHabitAmount,
+ *   decrementHabitAmount, getCheckins, getHabitStreak
  * - Login Tracking: recordPageVisit, getTodayLoginCount
  *
+ * SESSION REFRESH:
+ * - Access tokens expire after 15 minutes; authenticated requests go
+ *   through authFetch(), which on a 401 swaps the refresh token for new
+ *   tokens (POST /auth/refresh) and retries the request once
+ * - One refresh at a time across tabs (Web Locks), so tabs never reuse
+ *   a rotated refresh token (the backend would revoke the session)
+ * - If the session can't be refreshed the user is sent to the login page
+ *
  * ERROR HANDLING:
  * - All functions use try-catch blocks
  * - Console errors prefixed with ❌ for easy testing verification
@@ -24,6 +46,7 @@
  *
  * STORAGE STRATEGY:
  * - JWT tokens stored in localStorage under key 'token'
+ * - Refresh token stored in localStorage under key 'refreshToken'
  * - User data cached in localStorage under key 'user'
  * - All data persisted to MongoDB via backend API
  *
@@ -34,8 +57,19 @@
  * ============================================================================
  */
 
+import { getBrowserTimeZone, getTodayKey } from "./date-utils.js";
+
 const API_BASE_URL = "http://localhost:5000/api";
 
+// Check-ins requested per page (backend allows up to 1000)
+const CHECKIN_PAGE_SIZE = 500;
+
+// Where users go when their session can't be refreshed
+const LOGIN_PAGE = "../login/signin_signup.html";
+
+// Refresh in progress in this tab (shared by requests failing together)
+let refreshPromise = null;
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -48,6 +82,116 @@ function getToken() {
   return localStorage.getItem("token");
 }
 
+/**
+ * Retrieves the refresh token from localStorage
+ * @returns {string|null} Refresh token or null if not found
+ */
+function getRefreshToken() {
+  return localStorage.getItem("refreshToken");
+}
+
+/**
+ * Stores the tokens from login or refresh
+ * @param {Object} tokens - { token, refreshToken }
+ */
+function storeTokens({ token, refreshToken }) {
+  localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+}
+
+/**
+ * Removes all authentication data from localStorage
+ */
+function clearSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+  // Clear user-specific login tracking cache
+  Object.keys(localStorage).forEach((key) => {
+    if (key.startsWith("lastLoginTracked_")) {
+      localStorage.removeItem(key);
+    }
+  });
+}
+
+/**
+ * fetch() for authenticated requests
+ * On a 401 the access token is refreshed and the request retried once
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (headers from getAuthHeaders())
+ * @returns {Promise<Response>} Response of the (retried) request
+ */
+async function authFetch(url, options = {}) {
+  const usedToken = getToken();
+  const response = await fetch(url, options);
+  if (response.status !== 401 || !getRefreshToken()) return response;
+
+  if (!(await refreshSession(usedToken))) return response;
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${getToken()}` },
+  });
+}
+
+/**
+ * Refresh the access token (once, however many requests ask)
+ * @param {string} expiredToken - Access token the server rejected
+ * @returns {Promise<boolean>} True if a fresh access token is stored
+ */
+function refreshSession(expiredToken) {
+  if (!refreshPromise) {
+    const run = () => requestNewTokens(expiredToken);
+    const locked = navigator.locks
+      ? navigator.locks.request("riza-token-refresh", run)
+      : run();
+    refreshPromise = locked.finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Exchange the refresh token for new tokens (POST /auth/refresh)
+ * @param {string} expiredToken - Access token the server rejected
+ * @returns {Promise<boolean>} True if a fresh access token is stored
+ */
+async function requestNewTokens(expiredToken) {
+  // Another tab refreshed while this one waited for the lock
+  if (getToken() && getToken() !== expiredToken) return true;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    const data = await response.json();
+    if (response.status === 401) {
+      // Expired or revoked: only logging in again helps
+      console.error("❌ Session expired:", data.message);
+      clearSession();
+      if (!window.location.pathname.includes("/login/")) {
+        window.location.href = LOGIN_PAGE;
+      }
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to refresh session");
+    }
+    storeTokens(data);
+    console.log("✅ Session refreshed");
+    return true;
+  } catch (error) {
+    // Network or server error: keep the tokens, a later request retries
+    console.error("❌ Session refresh error:", error);
+    return false;
+  }
+}
+
 /**
  * Constructs authorization headers for authenticated requests
  * @returns {Object} Headers object with Content-Type and Authorization
@@ -65,6 +209,7 @@ function getAuthHeaders() {
 
 /**
  * Register a new user account
+ * The browser's time zone is saved so the backend knows the user's local day
  * @param {string} name - User's full name
  * @param {string} email - User's email address
  * @param {string} password - User's password
@@ -75,7 +220,12 @@ export async function registerUser(name, email, password) {
     const response = await fetch(`${API_BASE_URL}/auth/register`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ name, email, password }),
+      body: JSON.stringify({
+        name,
+        email,
+        password,
+        timezone: getBrowserTimeZone(),
+      }),
     });
     const data = await response.json();
     if (data.token) {
@@ -92,6 +242,9 @@ export async function registerUser(name, email, password) {
 
 /**
  * Login an existing user
+ * Sends the browser's time zone (only stored if the account has none yet)
+ * Accounts with two-factor authentication get { twoFactorRequired,
+ * challengeToken } instead of tokens - finish with verifyTwoFactorLogin()
  * @param {string} email - User's email address
  * @param {string} password - User's password
  * @returns {Promise<Object>} Response with user data and token
@@ -101,11 +254,11 @@ export async function loginUser(email, password) {
     const response = await fetch(`${API_BASE_URL}/auth/login`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, timezone: getBrowserTimeZone() }),
     });
     const data = await response.json();
     if (data.token) {
-      localStorage.setItem("token", data.token);
+      storeTokens(data);
       localStorage.setItem("user", JSON.stringify(data.user));
       console.log("✅ User logged in successfully");
     }
@@ -116,20 +269,103 @@ export async function loginUser(email, password) {
   }
 }
 
+/**
+ * Finish logging in with a code from the authenticator app (or a recovery code)
+ * @param {string} challengeToken - challengeToken from loginUser()
+ * @param {string} code - 6-digit code or recovery code
+ * @returns {Promise<Object>} Response with user data and token
+ *          (recoveryCodesLeft when a recovery code was used)
+ */
+export async function verifyTwoFactorLogin(challengeToken, code) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/login/2fa`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ challengeToken, code }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to verify code");
+    }
+    storeTokens(data);
+    localStorage.setItem("user", JSON.stringify(data.user));
+    console.log("✅ User logged in successfully");
+    return data;
+  } catch (error) {
+    console.error("❌ Two-factor login error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Ask for a password reset email
+ * The answer is the same whether or not the email has an account
+ * @param {string} email - Account's email address
+ * @returns {Promise<Object>} Response message
+ */
+export async function requestPasswordReset(email) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to send reset link");
+    }
+    console.log("✅ Password reset requested");
+    return data;
+  } catch (error) {
+    console.error("❌ Password reset request error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Set a new password with the token from a reset email
+ * Every session is logged out; the user logs in with the new password
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Response message
+ */
+export async function resetPassword(token, password) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to reset password");
+    }
+    clearSession();
+    console.log("✅ Password reset successfully");
+    return data;
+  } catch (error) {
+    console.error("❌ Password reset error:", error);
+    throw error;
+  }
+}
+
 /**
  * Logout the current user
- * Clears all authentication data from localStorage
+ * Revokes this browser's access and refresh token on the server (without waiting)
+ * and clears all authentication data from localStorage
  */
 export function logoutUser() {
   try {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    // Clear user-specific login tracking cache
-    Object.keys(localStorage).forEach((key) => {
-      if (key.startsWith("lastLoginTracked_")) {
-        localStorage.removeItem(key);
-      }
-    });
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ refreshToken }),
+        keepalive: true, // Still sent if the page navigates away
+      }).catch(() => {});
+    }
+    clearSession();
     console.log("✅ User logged out successfully");
   } catch (error) {
     console.error("❌ Logout error:", error);
@@ -137,6 +373,29 @@ export function logoutUser() {
   }
 }
 
+/**
+ * Log out of every session on every device, including this one
+ * @returns {Promise<Object>} Response message
+ */
+export async function logoutEverywhere() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/logout-all`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to log out everywhere");
+    }
+    clearSession();
+    console.log("✅ Logged out everywhere");
+    return data;
+  } catch (error) {
+    console.error("❌ Logout everywhere error:", error);
+    throw error;
+  }
+}
+
 /**
  * Change user password
  * @param {string} currentPassword - User's current password
@@ -145,12 +404,16 @@ export function logoutUser() {
  */
 export async function changePassword(currentPassword, newPassword) {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/change-password`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/change-password`, {
       method: "PUT",
       headers: getAuthHeaders(),
       body: JSON.stringify({ currentPassword, newPassword }),
     });
     const data = await response.json();
+    if (response.ok && data.token) {
+      // Other sessions were logged out; this one continues with new tokens
+      storeTokens(data);
+    }
     console.log("✅ Password changed successfully");
     return data;
   } catch (error) {
@@ -159,13 +422,108 @@ export async function changePassword(currentPassword, newPassword) {
   }
 }
 
+/**
+ * Confirm an email address with the token from an emailed link
+ * Works without being logged in (the link may be opened on another device)
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<Object>} { message, email }
+ */
+export async function verifyEmail(token) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/verify-email`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to confirm email");
+    }
+    console.log("✅ Email confirmed");
+    return data;
+  } catch (error) {
+    console.error("❌ Email confirmation error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Send a new confirmation link (to the pending new address, if any)
+ * @returns {Promise<Object>} Response message
+ */
+export async function resendVerificationEmail() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/resend-verification`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to send confirmation link");
+    }
+    console.log("✅ Confirmation link sent");
+    return data;
+  } catch (error) {
+    console.error("❌ Resend confirmation error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Start changing the account's email address
+ * The address changes once the link sent to the new address is used
+ * @param {string} newEmail - Address to change to
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} { message, pendingEmail }
+ */
+export async function changeEmail(newEmail, password) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/change-email`, {
+      method: "PUT",
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ newEmail, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to change email");
+    }
+    console.log("✅ Email change requested");
+    return data;
+  } catch (error) {
+    console.error("❌ Email change error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending email change
+ * @returns {Promise<Object>} Response message
+ */
+export async function cancelEmailChange() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/change-email`, {
+      method: "DELETE",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to cancel email change");
+    }
+    console.log("✅ Email change cancelled");
+    return data;
+  } catch (error) {
+    console.error("❌ Cancel email change error:", error);
+    throw error;
+  }
+}
+
 /**
  * Delete user account permanently
  * @returns {Promise<Object>} Response message
  */
 export async function deleteAccount() {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/account`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/account`, {
       method: "DELETE",
       headers: getAuthHeaders(),
     });
@@ -189,6 +547,160 @@ export function isAuthenticated() {
   return !!getToken();
 }
 
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ============================================================================
+
+/**
+ * Get whether two-factor authentication is on
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesLeft }
+ */
+export async function getTwoFactorStatus() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/2fa`, {
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load two-factor status");
+    }
+    return data;
+  } catch (error) {
+    console.error("❌ Two-factor status error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Start setting up two-factor authentication
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCode (PNG data URL) }
+ */
+export async function startTwoFactorSetup(password) {
+  return sendTwoFactorAction("setup", { password });
+}
+
+/**
+ * Turn on two-factor authentication with a code from the app
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} { message, recoveryCodes } - shown only once
+ */
+export async function confirmTwoFactorSetup(code) {
+  return sendTwoFactorAction("confirm", { code });
+}
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} password - Current password
+ * @param {string} code - Code from the app or a recovery code
+ * @returns {Promise<Object>} Response message
+ */
+export async function disableTwoFactor(password, code) {
+  return sendTwoFactorAction("disable", { password, code });
+}
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @param {string} password - Current password
+ * @param {string} code - Code from the app or a recovery code
+ * @returns {Promise<Object>} { message, recoveryCodes } - shown only once
+ */
+export async function regenerateRecoveryCodes(password, code) {
+  return sendTwoFactorAction("recovery-codes", { password, code });
+}
+
+/**
+ * Send a two-factor settings request
+ * @param {string} path - Path below /auth/2fa/
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Response data
+ */
+async function sendTwoFactorAction(path, body) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/2fa/${path}`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update two-factor authentication");
+    }
+    console.log(`✅ Two-factor ${path} done`);
+    return data;
+  } catch (error) {
+    console.error("❌ Two-factor action error:", error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// SESSION ENDPOINTS
+// ============================================================================
+
+/**
+ * Get every device the account is signed in on
+ * @returns {Promise<Object>} { sessions: [{ id, device, ip, createdAt, lastSeenAt, current }] }
+ */
+export async function getSessions() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/sessions`, {
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load sessions");
+    }
+    return data;
+  } catch (error) {
+    console.error("❌ Get sessions error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Sign out one device
+ * Signing out this device also clears its authentication data
+ * @param {string} sessionId - Session ID from getSessions()
+ * @returns {Promise<Object>} { message, current }
+ */
+export async function revokeSession(sessionId) {
+  const data = await sendSessionAction(`/${encodeURIComponent(sessionId)}`);
+  if (data.current) clearSession();
+  return data;
+}
+
+/**
+ * Sign out every device except this one
+ * @returns {Promise<Object>} { message, revoked }
+ */
+export async function revokeOtherSessions() {
+  return sendSessionAction("");
+}
+
+/**
+ * Send a session sign-out request
+ * @param {string} path - Path below /auth/sessions ("" or "/:id")
+ * @returns {Promise<Object>} Response data
+ */
+async function sendSessionAction(path) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/sessions${path}`, {
+      method: "DELETE",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to sign out session");
+    }
+    console.log(`✅ ${data.message}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Session sign-out error:", error);
+    throw error;
+  }
+}
+
 // ============================================================================
 // USER PROFILE ENDPOINTS
 // ============================================================================
@@ -199,7 +711,7 @@ export function isAuthenticated() {
  */
 export async function getUserProfile() {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/profile`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/profile`, {
       method: "GET",
       headers: getAuthHeaders(),
     });
@@ -214,12 +726,13 @@ export async function getUserProfile() {
 
 /**
  * Update user profile information
- * @param {Object} updates - Profile fields to update
+ * @param {Object} updates - Profile fields to update (name, timezone, autoFreeze,
+ *   notificationPrefs: { weeklyDigest, streakAtRisk })
  * @returns {Promise<Object>} Updated user profile
  */
 export async function updateUserProfile(updates) {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/profile`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/profile`, {
       method: "PUT",
       headers: getAuthHeaders(),
       body: JSON.stringify(updates),
@@ -243,7 +756,7 @@ export async function updateUserProfile(updates) {
  */
 export async function updateProfilePicture(profilePicture) {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/profile-picture`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/profile-picture`, {
       method: "PUT",
       headers: getAuthHeaders(),
       body: JSON.stringify({ profilePicture }),
@@ -270,7 +783,7 @@ export async function updateProfilePicture(profilePicture) {
  */
 export async function getHabits() {
   try {
-    const response = await fetch(`${API_BASE_URL}/habits`, {
+    const response = await authFetch(`${API_BASE_URL}/habits`, {
       method: "GET",
       headers: getAuthHeaders(),
     });
@@ -290,7 +803,7 @@ export async function getHabits() {
  */
 export async function createHabit(habitData) {
   try {
-    const response = await fetch(`${API_BASE_URL}/habits`, {
+    const response = await authFetch(`${API_BASE_URL}/habits`, {
       method: "POST",
       headers: getAuthHeaders(),
       body: JSON.stringify(habitData),
@@ -312,7 +825,7 @@ export async function createHabit(habitData) {
  */
 export async function updateHabit(habitId, updates) {
   try {
-    const response = await fetch(`${API_BASE_URL}/habits/${habitId}`, {
+    const response = await authFetch(`${API_BASE_URL}/habits/${habitId}`, {
       method: "PUT",
       headers: getAuthHeaders(),
       body: JSON.stringify(updates),
@@ -333,7 +846,7 @@ export async function updateHabit(habitId, updates) {
  */
 export async function deleteHabit(habitId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/habits/${habitId}`, {
+    const response = await authFetch(`${API_BASE_URL}/habits/${habitId}`, {
       method: "DELETE",
       headers: getAuthHeaders(),
     });
@@ -346,24 +859,429 @@ export async function deleteHabit(habitId) {
   }
 }
 
-// ============================================================================
-// CHECK-IN ENDPOINTS
-// ============================================================================
+/**
+ * Archive a habit (hidden from the daily list, history kept)
+ * @param {string} habitId - ID of habit to archive
+ * @returns {Promise<Object>} { message, habit }
+ * @throws {Error} If the request fails
+ */
+export async function archiveHabit(habitId) {
+  return sendHabitAction(`${habitId}/archive`, "PUT");
+}
+
+/**
+ * Restore an archived habit to the daily list
+ * @param {string} habitId - ID of habit to restore
+ * @returns {Promise<Object>} { message, habit }
+ * @throws {Error} If the request fails
+ */
+export async function unarchiveHabit(habitId) {
+  return sendHabitAction(`${habitId}/unarchive`, "PUT");
+}
+
+/**
+ * Pause a habit for a date range (not due, streaks preserved)
+ * @param {string} habitId - ID of habit to pause
+ * @param {string} from - First paused day in YYYY-MM-DD format
+ * @param {string} to - Last paused day in YYYY-MM-DD format
+ * @returns {Promise<Object>} { message, habit }
+ * @throws {Error} If the request fails (message from the server)
+ */
+export async function pauseHabit(habitId, from, to) {
+  return sendHabitAction(`${habitId}/pauses`, "POST", { from, to });
+}
+
+/**
+ * End a current pause today or cancel an upcoming one
+ * @param {string} habitId - ID of the paused habit
+ * @param {string} pauseId - ID of the pause
+ * @returns {Promise<Object>} { message, habit }
+ * @throws {Error} If the request fails (message from the server)
+ */
+export async function resumeHabit(habitId, pauseId) {
+  return sendHabitAction(`${habitId}/pauses/${pauseId}`, "DELETE");
+}
+
+/**
+ * Send an archive/pause request for a habit
+ * @param {string} path - Path below /habits/
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - Optional JSON body
+ * @returns {Promise<Object>} Response data
+ */
+async function sendHabitAction(path, method, body) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/habits/${path}`, {
+      method,
+      headers: getAuthHeaders(),
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || "Failed to update habit");
+    console.log(`✅ ${data.message}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Habit action error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get which habits are due on each day of a date range
+ * Due-day rules (frequencies, pauses, archiving) are evaluated by the backend
+ * @param {string} from - (Optional) First day in YYYY-MM-DD format
+ * @param {string} to - (Optional) Last day in YYYY-MM-DD format
+ * @returns {Promise<Object>} { from, to, today, days: { "YYYY-MM-DD": [habitId] } }
+ */
+export async function getHabitSchedule(from, to) {
+  try {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    const query = params.toString();
+
+    const response = await authFetch(
+      `${API_BASE_URL}/habits/schedule${query ? `?${query}` : ""}`,
+      {
+        method: "GET",
+        headers: getAuthHeaders(),
+      }
+    );
+    const data = await response.json();
+    console.log("✅ Habit schedule fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get habit schedule error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the overall streak and every habit's streak
+ * Streaks are calculated and stored by the backend (streakService.js)
+ * @returns {Promise<Object>} { current, longest, habits: [{ habitId, streak, longestStreak, unit }],
+ *   freezes: { allowance, used, remaining } }
+ */
+export async function getStreaks() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/habits/streaks`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    console.log("✅ Streaks fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get streaks error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get success rate, comparison with the previous period and best day,
+ * overall and per habit (calculated by the backend from all check-ins)
+ * @param {string} period - (Optional) "week", "month", "year", "all" or a rolling
+ *   "7d", "30d", "90d", "365d" (default "week")
+ * @param {Object} options - (Optional) { habitId } to only include one habit
+ * @returns {Promise<Object>} { period, from, to, overall, habits }
+ */
+export async function getStats(period = "week", { habitId } = {}) {
+  try {
+    const params = new URLSearchParams({ period });
+    if (habitId) params.set("habitId", habitId);
+
+    const response = await authFetch(`${API_BASE_URL}/stats?${params}`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch stats");
+    }
+    console.log("✅ Stats fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get stats error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get how many due habits were completed on each day of a year
+ * (calculated by the backend with the same rules as the success rate)
+ * @param {number} year - (Optional) Calendar year, defaults to the current year
+ * @param {Object} options - (Optional) { habitId } to only include one habit
+ * @returns {Promise<Object>} { year, from, to, today, days: { "YYYY-MM-DD": { due, completed, habits } } }
+ */
+export async function getHeatmap(year, { habitId } = {}) {
+  try {
+    const params = new URLSearchParams();
+    if (year) params.set("year", String(year));
+    if (habitId) params.set("habitId", habitId);
+
+    const response = await authFetch(`${API_BASE_URL}/stats/heatmap?${params}`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch heatmap");
+    }
+    console.log("✅ Heatmap fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get heatmap error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get completions and completion rate per day, week or month of a date range,
+ * overall and per habit (used by the progress charts)
+ * @param {Object} options - { from, to } in YYYY-MM-DD format, bucket ("day", "week"
+ *   or "month") and (optional) habitId
+ * @returns {Promise<Object>} { from, to, bucket, today, buckets, habits }
+ * @throws {Error} Backend error message (e.g., "Date range too large")
+ */
+export async function getStatsSeries({ from, to, bucket = "day", habitId } = {}) {
+  try {
+    const params = new URLSearchParams({ bucket });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    if (habitId) params.set("habitId", habitId);
+
+    const response = await authFetch(`${API_BASE_URL}/stats/series?${params}`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch stats series");
+    }
+    console.log("✅ Stats series fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get stats series error:", error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// ACHIEVEMENT ENDPOINTS
+// ============================================================================
+
+/**
+ * Get every badge with the user's unlock state
+ * Badges are unlocked by check-ins (returned there as newAchievements)
+ * @returns {Promise<Object>} { achievements: [{ key, name, description, icon,
+ *   unlocked, unlockedAt }], unlockedCount, total }
+ */
+export async function getAchievements() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/achievements`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch achievements");
+    }
+    console.log("✅ Achievements fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get achievements error:", error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// NOTIFICATION ENDPOINTS
+// ============================================================================
+
+/**
+ * Get the newest notifications (sidebar inbox)
+ * Notifications are created by the backend, e.g. habit reminders
+ * @param {Object} options - (Optional) { limit: 1-100 (default 20), unread: true for unread only }
+ * @returns {Promise<Object>} { notifications: [{ _id, habitId, type, day, title,
+ *   message, read, readAt, createdAt }], unreadCount }
+ */
+export async function getNotifications({ limit, unread } = {}) {
+  try {
+    const params = new URLSearchParams();
+    if (limit) params.set("limit", limit);
+    if (unread) params.set("unread", "true");
+    const query = params.toString() ? `?${params}` : "";
+    const response = await authFetch(`${API_BASE_URL}/notifications${query}`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch notifications");
+    }
+    console.log("✅ Notifications fetched:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Get notifications error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the number of unread notifications (sidebar badge)
+ * Polled every minute, so success is not logged
+ * @returns {Promise<number>} Unread count
+ */
+export async function getUnreadNotificationCount() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/notifications/unread-count`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch unread count");
+    }
+    return data.unreadCount;
+  } catch (error) {
+    console.error("❌ Get unread notification count error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Mark one notification as read
+ * @param {string} notificationId - ID of the notification
+ * @returns {Promise<Object>} { message, notification, unreadCount }
+ */
+export async function markNotificationRead(notificationId) {
+  return sendNotificationAction(`${notificationId}/read`);
+}
+
+/**
+ * Mark every notification as read
+ * @returns {Promise<Object>} { message, updated, unreadCount }
+ */
+export async function markAllNotificationsRead() {
+  return sendNotificationAction("read-all");
+}
+
+/**
+ * Send a mark-as-read request
+ * @param {string} path - Path below /notifications/
+ * @returns {Promise<Object>} Response data
+ */
+async function sendNotificationAction(path) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/notifications/${path}`, {
+      method: "PUT",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update notifications");
+    }
+    console.log(`✅ ${data.message}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Notification action error:", error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PUSH NOTIFICATION ENDPOINTS
+// ============================================================================
+
+/**
+ * Get the key browsers need to subscribe to push notifications
+ * @returns {Promise<Object>} { enabled: boolean, publicKey: string|null }
+ *   (enabled is false when the server has no VAPID keys)
+ */
+export async function getPushPublicKey() {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/push/public-key`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch push key");
+    }
+    return data;
+  } catch (error) {
+    console.error("❌ Get push key error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save this browser's push subscription
+ * @param {PushSubscription} subscription - From pushManager.subscribe()
+ * @returns {Promise<Object>} { message, subscription: { _id, endpoint, createdAt } }
+ */
+export async function savePushSubscription(subscription) {
+  return sendPushSubscriptionRequest("POST", subscription.toJSON());
+}
+
+/**
+ * Remove this browser's push subscription
+ * @param {string} endpoint - Endpoint of the subscription
+ * @returns {Promise<Object>} { message, removed }
+ */
+export async function deletePushSubscription(endpoint) {
+  return sendPushSubscriptionRequest("DELETE", { endpoint });
+}
+
+/**
+ * Send a push subscription request
+ * @param {string} method - "POST" or "DELETE"
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ */
+async function sendPushSubscriptionRequest(method, body) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/push/subscriptions`, {
+      method,
+      headers: getAuthHeaders(),
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update push notifications");
+    }
+    console.log(`✅ ${data.message}`);
+    return data;
+  } catch (error) {
+    console.error("❌ Push subscription error:", error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// CHECK-IN ENDPOINTS
+// ============================================================================
 
 /**
  * Toggle habit completion for a specific date
+ * Flips whatever is stored - prefer setCheckinStatus for checkboxes (safe to retry)
+ * Past dates are accepted within the backend's backfill window; future dates are rejected
  * @param {string} habitId - ID of habit
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - (Optional) Date in YYYY-MM-DD format, defaults to today
  * @returns {Promise<Object>} Check-in record
+ * @throws {Error} Backend error message if the toggle was rejected
  */
 export async function toggleHabitCompletion(habitId, date) {
   try {
-    const response = await fetch(`${API_BASE_URL}/checkins/toggle`, {
+    const response = await authFetch(`${API_BASE_URL}/checkins/toggle`, {
       method: "POST",
       headers: getAuthHeaders(),
       body: JSON.stringify({ habitId, date }),
     });
     const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to toggle habit completion");
+    }
     console.log("✅ Habit completion toggled:", data);
     return data;
   } catch (error) {
@@ -373,16 +1291,97 @@ export async function toggleHabitCompletion(habitId, date) {
 }
 
 /**
- * Get all check-ins for current user
- * @returns {Promise<Array>} Array of all check-in records
+ * Set a habit's state for a day explicitly (idempotent, unlike toggling)
+ * Skipped days neither break streaks nor count as completions
+ * Frozen days use one of the month's streak freezes (past days only)
+ * @param {string} habitId - ID of habit
+ * @param {string} status - "done", "skipped", "missed", "frozen" or "none" (clear the day)
+ * @param {Object} options - (Optional) { date: "YYYY-MM-DD", reason: "rest" | "sick" | "travel" | "other", amount }
+ * @returns {Promise<Object>} { message, status, reason, amount, target, completed, checkin,
+ *   newAchievements }
+ * @throws {Error} Backend error message if the update was rejected
  */
-export async function getAllCheckins() {
+export async function setCheckinStatus(habitId, status, { date, reason, amount } = {}) {
   try {
-    const response = await fetch(`${API_BASE_URL}/checkins`, {
-      method: "GET",
+    const response = await authFetch(`${API_BASE_URL}/checkins/status`, {
+      method: "PUT",
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ habitId, date, status, reason, amount }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update check-in status");
+    }
+    console.log("✅ Check-in status set:", data);
+    return data;
+  } catch (error) {
+    console.error("❌ Set check-in status error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Add to a quantitative habit's amount for a day (e.g., one more glass of water)
+ * @param {string} habitId - ID of habit
+ * @param {string} date - (Optional) Date in YYYY-MM-DD format, defaults to today
+ * @param {number} amount - (Optional) Step size, defaults to 1
+ * @returns {Promise<Object>} { amount, target, completed, checkin, newAchievements }
+ * @throws {Error} Backend error message if the update was rejected
+ */
+export async function incrementHabitAmount(habitId, date, amount = 1) {
+  return adjustHabitAmount("increment", habitId, date, amount);
+}
+
+/**
+ * Subtract from a quantitative habit's amount for a day
+ * The check-in is removed once the amount reaches 0
+ * @param {string} habitId - ID of habit
+ * @param {string} date - (Optional) Date in YYYY-MM-DD format, defaults to today
+ * @param {number} amount - (Optional) Step size, defaults to 1
+ * @returns {Promise<Object>} { amount, target, completed, checkin, newAchievements }
+ * @throws {Error} Backend error message if the update was rejected
+ */
+export async function decrementHabitAmount(habitId, date, amount = 1) {
+  return adjustHabitAmount("decrement", habitId, date, amount);
+}
+
+/**
+ * Shared request for incrementHabitAmount/decrementHabitAmount
+ * @param {string} action - "increment" or "decrement"
+ * @param {string} habitId - ID of habit
+ * @param {string} date - (Optional) Date in YYYY-MM-DD format
+ * @param {number} amount - Step size
+ * @returns {Promise<Object>} Updated amount data
+ */
+async function adjustHabitAmount(action, habitId, date, amount) {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/checkins/${action}`, {
+      method: "POST",
       headers: getAuthHeaders(),
+      body: JSON.stringify({ habitId, date, amount }),
     });
     const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Failed to ${action} habit amount`);
+    }
+    console.log(`✅ Habit amount ${action}ed:`, data);
+    return data;
+  } catch (error) {
+    console.error(`❌ ${action} habit amount error:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the current user's check-ins, optionally limited to a date range
+ * Pages request only the days they render (e.g., this week) instead of
+ * the whole history
+ * @param {Object} range - (Optional) { from, to } in YYYY-MM-DD format (inclusive)
+ * @returns {Promise<Array>} Array of check-in records (newest first)
+ */
+export async function getAllCheckins({ from, to } = {}) {
+  try {
+    const data = await fetchCheckinPages("checkins", { from, to });
     console.log("✅ All check-ins fetched:", data);
     return data;
   } catch (error) {
@@ -396,22 +1395,14 @@ export async function getAllCheckins() {
  * @param {string} habitId - ID of habit
  * @param {string} startDate - (Optional) Start date in YYYY-MM-DD format
  * @param {string} endDate - (Optional) End date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of check-in records
+ * @returns {Promise<Array>} Array of check-in records (newest first)
  */
 export async function getCheckins(habitId, startDate, endDate) {
   try {
-    let url = `${API_BASE_URL}/checkins/${habitId}`;
-
-    // Add query parameters only if dates are provided
-    if (startDate && endDate) {
-      url += `?startDate=${startDate}&endDate=${endDate}`;
-    }
-
-    const response = await fetch(url, {
-      method: "GET",
-      headers: getAuthHeaders(),
+    const data = await fetchCheckinPages(`checkins/${habitId}`, {
+      from: startDate,
+      to: endDate,
     });
-    const data = await response.json();
     console.log("✅ Check-ins fetched:", data);
     return data;
   } catch (error) {
@@ -420,6 +1411,38 @@ export async function getCheckins(habitId, startDate, endDate) {
   }
 }
 
+/**
+ * Fetch every page of a check-in listing (follows nextCursor)
+ * @param {string} path - "checkins" or "checkins/:habitId"
+ * @param {Object} range - { from, to } (either may be undefined)
+ * @returns {Promise<Array>} All check-ins in the range
+ */
+async function fetchCheckinPages(path, { from, to }) {
+  const checkins = [];
+  let cursor = null;
+
+  do {
+    const params = new URLSearchParams({ limit: String(CHECKIN_PAGE_SIZE) });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    if (cursor) params.set("cursor", cursor);
+
+    const response = await authFetch(`${API_BASE_URL}/${path}?${params}`, {
+      method: "GET",
+      headers: getAuthHeaders(),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch check-ins");
+    }
+
+    checkins.push(...data.checkins);
+    cursor = data.nextCursor;
+  } while (cursor);
+
+  return checkins;
+}
+
 /**
  * Get current streak for a habit
  * @param {string} habitId - ID of habit
@@ -427,7 +1450,7 @@ export async function getCheckins(habitId, startDate, endDate) {
  */
 export async function getHabitStreak(habitId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/checkins/${habitId}/streak`, {
+    const response = await authFetch(`${API_BASE_URL}/checkins/${habitId}/streak`, {
       method: "GET",
       headers: getAuthHeaders(),
     });
@@ -450,7 +1473,7 @@ export async function getHabitStreak(habitId) {
  */
 export async function recordPageVisit() {
   try {
-    const response = await fetch(`${API_BASE_URL}/logins/record`, {
+    const response = await authFetch(`${API_BASE_URL}/logins/record`, {
       method: "POST",
       headers: getAuthHeaders(),
     });
@@ -469,7 +1492,7 @@ export async function recordPageVisit() {
  */
 export async function getTodayLoginCount() {
   try {
-    const response = await fetch(`${API_BASE_URL}/logins/today`, {
+    const response = await authFetch(`${API_BASE_URL}/logins/today`, {
       method: "GET",
       headers: getAuthHeaders(),
     });
@@ -493,7 +1516,7 @@ export async function trackDailyLogin() {
     // Reduces network overhead by only tracking once per user session per day
     const user = JSON.parse(localStorage.getItem("user") || "{}");
     const userId = user.id || user._id;
-    const today = new Date().toISOString().substring(0, 10);
+    const today = getTodayKey(); // User's local day (matches backend)
     const cacheKey = `lastLoginTracked_${userId}`;
 
     if (localStorage.getItem(cacheKey) === today) {
@@ -501,7 +1524,7 @@ export async function trackDailyLogin() {
       return { message: "Already tracked today", cached: true };
     }
 
-    const response = await fetch(`${API_BASE_URL}/logins/track`, {
+    const response = await authFetch(`${API_BASE_URL}/logins/track`, {
       method: "POST",
       headers: getAuthHeaders(),
     });
@@ -525,7 +1548,7 @@ export async function trackDailyLogin() {
  */
 export async function getTotalLoginDays() {
   try {
-    const response = await fetch(`${API_BASE_URL}/logins/count`, {
+    const response = await authFetch(`${API_BASE_URL}/logins/count`, {
       method: "GET",
       headers: getAuthHeaders(),
     });
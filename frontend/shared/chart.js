@@ -8,12 +8,16 @@
    
    Used By:
    - dashboard.js (weekly habit completion chart)
-   - progress.js (weekly and monthly charts)
+   - progress.js (weekly chart and the trends chart)
+   - habit-detail.js (completion by weekday)
    - habits.js (potential future charts)
    
    Chart Types Supported:
    - Bar charts (default, with rounded corners)
    - Line charts (with smooth curves)
+   - Series charts (renderSeriesChart): any date range in day/week/month
+     buckets, total or per habit (stacked bars or lines), as counts or
+     completion rates from GET /api/stats/series
    
    Key Features:
    - Dynamic data updates from backend API
@@ -40,6 +44,7 @@ import {
   getHabits as apiGetHabits,
   getAllCheckins as apiGetAllCheckins,
 } from "./api.js";
+import { addDaysToKey, getTodayKey, getWeekdayOfKey } from "./date-utils.js";
 
 /* =========================================================
    CHART INITIALIZATION FUNCTION
@@ -58,6 +63,8 @@ export function initializeProgressChart(options = {}) {
     label = "Habits Completed",
     color = "#74c69d",
     labels = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    stepSize = 1,
+    max, // Optional y-axis maximum (e.g., 100 for percentages)
   } = options;
 
   const ctx = document.getElementById(canvasId);
@@ -102,7 +109,8 @@ export function initializeProgressChart(options = {}) {
         },
         y: {
           beginAtZero: true,
-          ticks: { stepSize: 1 },
+          max,
+          ticks: { stepSize },
           grid: { color: "rgba(0,0,0,0.05)" },
         },
       },
@@ -140,45 +148,41 @@ export async function updateChartWithHabitData(chartInstance, habits = null, all
   if (!chartInstance) return;
 
   try {
-    // Optimization: Fetch only if data not already provided
-    if (!habits || !allCheckins) {
-      [habits, allCheckins] = await Promise.all([
-        apiGetHabits(),
-        apiGetAllCheckins(),
-      ]);
-    }
-
     // Performance Optimization: Hoist week boundaries and use early exit.
     // Reduces object creation from O(N) to O(N_week) and complexity to O(N_week).
-    const today = new Date();
-    const todayDay = today.getDay(); // 0 (Sun) to 6 (Sat)
+    // Week boundaries are YYYY-MM-DD keys of the user's local days, which is
+    // exactly how check-in dates are stored (midnight UTC of the local day).
+    const todayKey = getTodayKey();
+    const todayDay = getWeekdayOfKey(todayKey); // 0 (Sun) to 6 (Sat)
 
-    // Calculate Monday of this week (00:00:00)
-    const monday = new Date(today);
-    monday.setDate(today.getDate() - (todayDay === 0 ? 6 : todayDay - 1));
-    monday.setHours(0, 0, 0, 0);
-    const mondayTime = monday.getTime();
+    // Monday of this week
+    const mondayKey = addDaysToKey(todayKey, -(todayDay === 0 ? 6 : todayDay - 1));
 
-    // Calculate Sunday of this week (23:59:59)
+    // Sunday of this week
     // Fix: If today is Sunday (0), end boundary is today, not next week.
-    const sunday = new Date(today);
-    sunday.setDate(today.getDate() + (todayDay === 0 ? 0 : 7 - todayDay));
-    sunday.setHours(23, 59, 59, 999);
-    const sundayTime = sunday.getTime();
+    const sundayKey = addDaysToKey(mondayKey, 6);
+
+    // Optimization: Fetch only if data not already provided (this week only)
+    if (!habits || !allCheckins) {
+      [habits, allCheckins] = await Promise.all([
+        apiGetHabits(),
+        apiGetAllCheckins({ from: mondayKey, to: todayKey }),
+      ]);
+    }
 
     const weekData = [0, 0, 0, 0, 0, 0, 0]; // [Mon, Tue, Wed, Thu, Fri, Sat, Sun]
 
     // Efficiently process check-ins (leveraging descending sort from backend)
     for (const checkin of allCheckins) {
-      const checkinDate = new Date(checkin.date);
-      const checkinTime = checkinDate.getTime();
+      const dateKey = checkin.date.substring(0, 10);
 
       // Early exit: Since allCheckins are sorted descending, once we pass Monday, we're done.
-      if (checkinTime < mondayTime) break;
+      if (dateKey < mondayKey) break;
 
       // Only count if within this week's boundaries
-      if (checkinTime <= sundayTime) {
-        const dayIndex = checkinDate.getDay() === 0 ? 6 : checkinDate.getDay() - 1;
+      if (dateKey <= sundayKey) {
+        const weekday = getWeekdayOfKey(dateKey);
+        const dayIndex = weekday === 0 ? 6 : weekday - 1;
         weekData[dayIndex]++;
       }
     }
@@ -189,3 +193,136 @@ export async function updateChartWithHabitData(chartInstance, habits = null, all
     console.error("Failed to update chart with habit data:", error);
   }
 }
+
+/* =========================================================
+   SERIES CHART (ranges, buckets and per-habit series)
+   ========================================================= */
+
+// Colors for per-habit datasets (repeats after 8 habits)
+const SERIES_COLORS = [
+  "#2d6a4f",
+  "#74c69d",
+  "#f4a261",
+  "#e76f51",
+  "#457b9d",
+  "#a8dadc",
+  "#9b5de5",
+  "#f15bb5",
+];
+
+// Chart.js instances created by renderSeriesChart, by canvas ID
+const seriesCharts = new Map();
+
+/**
+ * Format a bucket's label for the x-axis
+ *
+ * @param {Object} bucket - { from, to } in YYYY-MM-DD format
+ * @param {string} size - "day", "week" or "month"
+ * @returns {string} Label (e.g., "Mon 13", "Jan 13", "Jan 2025")
+ */
+function formatBucketLabel(bucket, size) {
+  const date = new Date(`${bucket.from}T00:00:00.000Z`);
+  if (size === "month") {
+    return date.toLocaleDateString(undefined, { month: "short", year: "numeric", timeZone: "UTC" });
+  }
+  if (size === "week") {
+    return date.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+  }
+  return date.toLocaleDateString(undefined, { weekday: "short", day: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * Draw (or redraw) a chart from a GET /api/stats/series response
+ *
+ * Modes:
+ * - "total":   One bar dataset for all habits
+ * - "stacked": One stacked bar dataset per habit
+ * - "lines":   One line per habit
+ *
+ * With normalize, values are completion rates (%) instead of raw
+ * completions; stacked bars then show each habit's share of the
+ * bucket's due habits, so a full stack equals the overall rate.
+ *
+ * @param {string} canvasId - ID of the canvas element
+ * @param {Object} series - Response of getStatsSeries()
+ * @param {Object} options - { mode: "total" | "stacked" | "lines", normalize: boolean }
+ * @returns {Object|null} Chart instance
+ */
+export function renderSeriesChart(canvasId, series, { mode = "total", normalize = false } = {}) {
+  const ctx = document.getElementById(canvasId);
+  if (!ctx || typeof Chart === "undefined") return null;
+
+  seriesCharts.get(canvasId)?.destroy();
+
+  const labels = series.buckets.map((bucket) => formatBucketLabel(bucket, series.bucket));
+  const valueOf = (counts, total) => {
+    if (!normalize) return counts.completions;
+    if (mode === "stacked") {
+      return total.possible > 0 ? Math.round((counts.completed / total.possible) * 100) : null;
+    }
+    return counts.successRate;
+  };
+
+  const datasets =
+    mode === "total"
+      ? [
+          {
+            label: normalize ? "Completion rate (%)" : "Habits completed",
+            data: series.buckets.map((bucket) => valueOf(bucket, bucket)),
+            backgroundColor: "#2d6a4f",
+            borderColor: "#2d6a4f",
+            borderRadius: 8,
+          },
+        ]
+      : series.habits.map((habit, index) => {
+          const color = SERIES_COLORS[index % SERIES_COLORS.length];
+          return {
+            label: habit.name,
+            data: habit.buckets.map((counts, i) => valueOf(counts, series.buckets[i])),
+            backgroundColor: color,
+            borderColor: color,
+            borderRadius: mode === "stacked" ? 4 : 0,
+            tension: 0.35,
+            spanGaps: true,
+          };
+        });
+
+  const isStacked = mode === "stacked";
+  const chart = new Chart(ctx, {
+    type: mode === "lines" ? "line" : "bar",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: 3,
+      plugins: {
+        legend: { display: mode !== "total", position: "bottom" },
+        tooltip: {
+          mode: "index",
+          intersect: false,
+          callbacks: {
+            label: (context) =>
+              `${context.dataset.label}: ${context.parsed.y ?? "—"}${normalize ? "%" : ""}`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          stacked: isStacked,
+          grid: { display: false },
+          ticks: { autoSkip: true, maxTicksLimit: 12, maxRotation: 45 },
+        },
+        y: {
+          stacked: isStacked,
+          beginAtZero: true,
+          max: normalize ? 100 : undefined,
+          ticks: { precision: 0 },
+          grid: { color: "rgba(0,0,0,0.05)" },
+        },
+      },
+    },
+  });
+
+  seriesCharts.set(canvasId, chart);
+  return chart;
+}
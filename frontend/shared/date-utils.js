@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * DATE UTILITIES - USER-LOCAL CALENDAR DAYS
+ * ============================================================================
+ *
+ * Purpose:
+ * - Single place where the frontend decides what "today" is
+ * - Matches the backend: days are YYYY-MM-DD keys of the user's local day,
+ *   computed in the time zone stored on their profile (User.timezone)
+ *
+ * Why Not toISOString()?
+ * - new Date().toISOString() is the UTC day, which is already "tomorrow"
+ *   (or still "yesterday") for users east or west of UTC in the evening
+ * - Check-in dates from the API are midnight UTC of the user's local day,
+ *   so their YYYY-MM-DD prefix IS the local day key (no conversion needed)
+ *
+ * EXPORTED FUNCTIONS:
+ * - getBrowserTimeZone: IANA time zone reported by the browser
+ * - getUserTimeZone: Time zone from the cached user profile (or browser)
+ * - toLocalDateKey: YYYY-MM-DD of an instant in the user's time zone
+ * - getTodayKey: YYYY-MM-DD of today in the user's time zone
+ * - addDaysToKey: Shift a YYYY-MM-DD key by whole days
+ * - getWeekdayOfKey: Day of week (0 = Sunday) of a YYYY-MM-DD key
+ *
+ * Author: John Denis Nyagah
+ * ============================================================================
+ */
+
+const ONE_DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone name (e.g., "Africa/Nairobi"), "UTC" if unknown
+ */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch (error) {
+    return "UTC";
+  }
+}
+
+/**
+ * Get the time zone used to decide the user's "today"
+ * Prefers the time zone saved on the profile so every device agrees with the backend
+ * @returns {string} IANA time zone name
+ */
+export function getUserTimeZone() {
+  try {
+    const user = JSON.parse(localStorage.getItem("user") || "{}");
+    return user.timezone || getBrowserTimeZone();
+  } catch (error) {
+    return getBrowserTimeZone();
+  }
+}
+
+/**
+ * Format an instant as the user's local calendar day
+ * @param {Date} [date=new Date()] - Any point in time
+ * @param {string} [timeZone=getUserTimeZone()] - IANA time zone
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+export function toLocalDateKey(date = new Date(), timeZone = getUserTimeZone()) {
+  try {
+    // "en-CA" formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(date);
+  } catch (error) {
+    // Unknown time zone - fall back to the browser's local day
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+/**
+ * Get today's day key in the user's time zone
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+export function getTodayKey() {
+  return toLocalDateKey(new Date());
+}
+
+/**
+ * Shift a day key by whole days
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @param {number} amount - Days to add (negative to subtract)
+ * @returns {string} Shifted day key
+ */
+export function addDaysToKey(dateKey, amount) {
+  return new Date(Date.parse(dateKey) + amount * ONE_DAY_MS)
+    .toISOString()
+    .substring(0, 10);
+}
+
+/**
+ * Get the day of week of a day key
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export function getWeekdayOfKey(dateKey) {
+  return new Date(Date.parse(dateKey)).getUTCDay();
+}
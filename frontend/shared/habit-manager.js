@@ -8,6 +8,7 @@
  * - To provide unified CRUD operations for habits (Create, Read, Update, Delete)
  * - To integrate with backend API for persistent data storage
  * - To manage UI rendering and user interactions for habit operations
+ * - To celebrate achievements unlocked by check-ins (toast)
  *
  * Author: John Denis Nyagah
  * ============================================================================
@@ -18,11 +19,19 @@ import {
   createHabit as apiCreateHabit,
   updateHabit as apiUpdateHabit,
   deleteHabit as apiDeleteHabit,
-  toggleHabitCompletion as apiToggleCompletion,
+  incrementHabitAmount as apiIncrementAmount,
+  decrementHabitAmount as apiDecrementAmount,
   getCheckins as apiGetCheckins,
   getHabitStreak as apiGetStreak,
   getAllCheckins as apiGetAllCheckins,
+  getStreaks as apiGetStreaks,
+  archiveHabit as apiArchiveHabit,
+  unarchiveHabit as apiUnarchiveHabit,
+  pauseHabit as apiPauseHabit,
+  resumeHabit as apiResumeHabit,
+  setCheckinStatus as apiSetCheckinStatus,
 } from "./api.js";
+import { addDaysToKey, getTodayKey, getWeekdayOfKey } from "./date-utils.js";
 
 let habitsCache = null;
 let currentFilter = "all";
@@ -31,6 +40,7 @@ let isEditing = false;
 let currentHabitId = null;
 let chartInstance = null;
 let previousActiveElement = null;
+let currentHabit = null;
 
 function escapeHTML(str) {
   if (!str) return "";
@@ -42,6 +52,117 @@ function escapeHTML(str) {
     .replace(/'/g, "&#039;");
 }
 
+/**
+ * Check whether a habit tracks an amount (e.g., 8 glasses) instead of yes/no
+ * @param {Object} habit - Habit object from the API
+ * @returns {boolean} True for quantitative habits
+ */
+export function isQuantitativeHabit(habit) {
+  return (habit.target || 1) > 1 || !!habit.unit;
+}
+
+/**
+ * Keep only check-ins that reached their habit's target
+ * Partial progress (e.g., 3 of 8 glasses) doesn't count towards streaks or stats
+ * @param {Array} allCheckins - All check-in records for the user
+ * @returns {Array} Completed check-ins
+ */
+export function getCompletedCheckins(allCheckins) {
+  return allCheckins.filter((checkin) => checkin.completed !== false);
+}
+
+// Labels for skip reasons (values match Checkin.reason on the backend)
+export const SKIP_REASON_LABELS = {
+  rest: "Rest day",
+  sick: "Sick",
+  travel: "Travel",
+  other: "Other",
+};
+
+/**
+ * Keep only habits that haven't been archived
+ * Archived habits stay in stats and the calendar but not in daily lists or counts
+ * @param {Array} habits - Habit objects from the API
+ * @returns {Array} Active habits
+ */
+export function getActiveHabits(habits) {
+  return habits.filter((habit) => !habit.archived);
+}
+
+/**
+ * Format a day key for display (e.g., "Mar 7")
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @returns {string} Short readable date
+ */
+function formatDateKey(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Check whether a habit is evaluated per week / per interval instead of per day
+ * @param {Object} habit - Habit object from the API
+ * @returns {boolean} True for "weekly" and "interval" habits
+ */
+export function isFlexibleHabit(habit) {
+  return habit.frequency === "weekly" || habit.frequency === "interval";
+}
+
+/**
+ * Get the days the habit list, today's check-ins and the weekly chart show
+ * (Monday of this week through today), so only those check-ins are fetched
+ * @returns {{ from: string, to: string }} Range for getAllCheckins()
+ */
+export function getCurrentWeekRange() {
+  const today = getTodayKey();
+  return { from: getWeekStartKey(today), to: today };
+}
+
+/**
+ * Get the Monday that starts the week of a day (weeks run Mon-Sun, like the backend)
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @returns {string} Monday's day key
+ */
+export function getWeekStartKey(dateKey) {
+  const weekday = getWeekdayOfKey(dateKey); // 0 = Sunday
+  return addDaysToKey(dateKey, weekday === 0 ? -6 : 1 - weekday);
+}
+
+/**
+ * Build the badge text describing a flexible habit's progress
+ * @param {Object} habit - Weekly or interval habit
+ * @param {Array} allCheckins - All check-in records for the user
+ * @param {string} today - Today's day key
+ * @returns {string} Badge text (e.g., "2 / 3 this week", "Every 2 days")
+ */
+function getFrequencyBadgeText(habit, allCheckins, today) {
+  if (habit.frequency === "interval") return `Every ${habit.intervalDays || 2} days`;
+
+  const habitId = habit._id || habit.id;
+  const weekStart = getWeekStartKey(today);
+  const doneThisWeek = allCheckins.filter((c) => {
+    const dateStr = c.date.substring(0, 10);
+    return c.habitId === habitId && c.completed !== false && dateStr >= weekStart && dateStr <= today;
+  }).length;
+  return `${doneThisWeek} / ${habit.timesPerWeek || 1} this week`;
+}
+
+/**
+ * Build the badge text for a habit's current streak
+ * Streaks are stored on the habit by the backend (in days, weeks or intervals)
+ * @param {Object} habit - Habit object from the API
+ * @returns {string} Badge text (e.g., "🔥 5 days", "🔥 2 weeks") or "" without a streak
+ */
+function getStreakBadgeText(habit) {
+  const streak = habit.streak || 0;
+  if (streak === 0) return "";
+  const unit = { week: "week", interval: "interval" }[habit.streakUnit] || "day";
+  return `🔥 ${streak} ${unit}${streak !== 1 ? "s" : ""}`;
+}
+
 async function loadHabitsFromAPI() {
   try {
     const habits = await apiGetHabits();
@@ -101,6 +222,12 @@ function setupEventListeners(options = {}) {
     });
   }
 
+  document.querySelector(".archive-btn")?.addEventListener("click", () => {
+    if (currentHabit) toggleArchiveHabit(currentHabit);
+  });
+  document.querySelector(".pause-btn")?.addEventListener("click", savePause);
+  document.querySelector(".resume-btn")?.addEventListener("click", endPause);
+
   document.querySelectorAll(".freq-btn").forEach((btn) => {
     btn.addEventListener("click", function (e) {
       e.preventDefault();
@@ -115,6 +242,8 @@ function setupEventListeners(options = {}) {
         if (this.dataset.value === "custom") customDaysDiv.classList.remove("hidden");
         else customDaysDiv.classList.add("hidden");
       }
+      document.querySelector(".times-per-week")?.classList.toggle("hidden", this.dataset.value !== "weekly");
+      document.querySelector(".interval-days")?.classList.toggle("hidden", this.dataset.value !== "interval");
     });
   });
 
@@ -171,15 +300,27 @@ export function openModal(habitData = null) {
     el.classList.remove("active");
     el.setAttribute("aria-pressed", "false");
   });
+  document.querySelectorAll(".custom-days, .frequency-setting, .pause-settings").forEach((el) => el.classList.add("hidden"));
+  currentHabit = habitData;
 
   if (habitData) {
     isEditing = true;
     currentHabitId = habitData._id || habitData.id;
     modalTitle.textContent = "Edit Habit";
     deleteBtn?.classList.remove("hidden");
+    const archiveBtn = document.querySelector(".archive-btn");
+    if (archiveBtn) {
+      archiveBtn.classList.remove("hidden");
+      archiveBtn.textContent = habitData.archived ? "Restore" : "Archive";
+    }
+    updatePauseSettings(habitData);
 
     document.getElementById("habit-name").value = habitData.name || "";
     document.getElementById("habit-description").value = habitData.description || "";
+    const targetInput = document.getElementById("habit-target");
+    if (targetInput) targetInput.value = habitData.target || 1;
+    const unitInput = document.getElementById("habit-unit");
+    if (unitInput) unitInput.value = habitData.unit || "";
 
     const freqBtn = document.querySelector(`.freq-btn[data-value="${habitData.frequency || "daily"}"]`);
     if (freqBtn) {
@@ -192,12 +333,31 @@ export function openModal(habitData = null) {
       customDaysDiv.classList.remove("hidden");
       if (habitData.customDays) {
         habitData.customDays.forEach((day) => {
-          const checkbox = document.querySelector(`.day-checkboxes input[value="${day}"]`);
+          const checkbox = document.querySelector(`.custom-days input[value="${day}"]`);
           if (checkbox) checkbox.checked = true;
         });
       }
     }
 
+    if (habitData.frequency === "weekly") {
+      document.querySelector(".times-per-week")?.classList.remove("hidden");
+      const timesInput = document.getElementById("habit-times-per-week");
+      if (timesInput) timesInput.value = habitData.timesPerWeek || 3;
+    }
+    if (habitData.frequency === "interval") {
+      document.querySelector(".interval-days")?.classList.remove("hidden");
+      const intervalInput = document.getElementById("habit-interval-days");
+      if (intervalInput) intervalInput.value = habitData.intervalDays || 2;
+    }
+
+    // Reminder time and days (form.reset() cleared them above)
+    const reminderInput = document.getElementById("habit-reminder-time");
+    if (reminderInput) reminderInput.value = habitData.reminderTime || "";
+    (habitData.reminderDays || []).forEach((day) => {
+      const checkbox = document.querySelector(`.reminder-days input[value="${day}"]`);
+      if (checkbox) checkbox.checked = true;
+    });
+
     const iconOption = document.querySelector(`.icon-option[data-icon="${habitData.icon || "meditation.svg"}"]`);
     if (iconOption) {
       iconOption.classList.add("active");
@@ -208,6 +368,7 @@ export function openModal(habitData = null) {
     currentHabitId = null;
     modalTitle.textContent = "Add New Habit";
     deleteBtn?.classList.add("hidden");
+    document.querySelector(".archive-btn")?.classList.add("hidden");
     const defaultFreq = document.querySelector('.freq-btn[data-value="daily"]');
     if (defaultFreq) {
       defaultFreq.classList.add("active");
@@ -233,6 +394,7 @@ export function closeModal() {
   modal.setAttribute("aria-hidden", "true");
   isEditing = false;
   currentHabitId = null;
+  currentHabit = null;
 
   if (previousActiveElement && typeof previousActiveElement.focus === "function") {
     previousActiveElement.focus();
@@ -250,21 +412,60 @@ async function saveHabit() {
   const frequency = document.querySelector(".freq-btn.active")?.dataset.value || "daily";
   let customDays = [];
   if (frequency === "custom") {
-    customDays = Array.from(document.querySelectorAll('.day-checkboxes input[type="checkbox"]:checked')).map((cb) => cb.value);
+    customDays = Array.from(document.querySelectorAll('.custom-days input[type="checkbox"]:checked')).map((cb) => cb.value);
     if (customDays.length === 0) {
       alert("Please select at least one day for custom frequency");
       return;
     }
   }
 
+  // Flexible frequencies: times per week (any days) or once every N days
+  let timesPerWeek;
+  let intervalDays;
+  if (frequency === "weekly") {
+    timesPerWeek = Number(document.getElementById("habit-times-per-week")?.value);
+    if (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > 7) {
+      alert("Times per week must be a whole number from 1 to 7");
+      return;
+    }
+  }
+  if (frequency === "interval") {
+    intervalDays = Number(document.getElementById("habit-interval-days")?.value);
+    if (!Number.isInteger(intervalDays) || intervalDays < 2 || intervalDays > 365) {
+      alert("Repeat interval must be a whole number of days from 2 to 365");
+      return;
+    }
+  }
+
   const icon = document.querySelector(".icon-option.active")?.dataset.icon || "meditation.svg";
 
+  // Daily target (1 = simple yes/no habit) and optional unit
+  const targetValue = document.getElementById("habit-target")?.value;
+  const target = targetValue ? Number(targetValue) : 1;
+  if (!Number.isFinite(target) || target < 1) {
+    alert("Daily target must be at least 1");
+    return;
+  }
+  const unit = document.getElementById("habit-unit")?.value.trim() || "";
+
+  // Optional reminder: local "HH:MM" (empty = off) and weekdays (none = every due day)
+  const reminderTime = document.getElementById("habit-reminder-time")?.value || null;
+  const reminderDays = reminderTime
+    ? Array.from(document.querySelectorAll('.reminder-days input[type="checkbox"]:checked')).map((cb) => cb.value)
+    : [];
+
   const habit = {
     name,
     description: document.getElementById("habit-description")?.value || "",
     frequency,
     customDays,
+    timesPerWeek,
+    intervalDays,
     icon,
+    target,
+    unit,
+    reminderTime,
+    reminderDays,
   };
 
   const saveBtn = document.querySelector(".save-btn");
@@ -302,7 +503,12 @@ export async function updateHabit(updatedHabit) {
 }
 
 export async function deleteHabit(habitId, habitName = "this habit") {
-  if (!confirm(`Are you sure you want to delete "${habitName}"?`)) return;
+  if (
+    !confirm(
+      `Are you sure you want to delete "${habitName}"? All of its check-ins will be lost.\n\nTip: archive it instead to keep its history.`
+    )
+  )
+    return;
   await apiDeleteHabit(habitId);
   await loadHabitsFromAPI();
   if (onHabitChangeCallback) await onHabitChangeCallback();
@@ -310,19 +516,110 @@ export async function deleteHabit(habitId, habitName = "this habit") {
   await refreshHabitDisplay();
 }
 
+/**
+ * Archive an active habit or restore an archived one
+ * @param {Object} habit - Habit object from the API
+ */
+export async function toggleArchiveHabit(habit) {
+  const habitId = habit._id || habit.id;
+  try {
+    if (habit.archived) await apiUnarchiveHabit(habitId);
+    else await apiArchiveHabit(habitId);
+    await loadHabitsFromAPI();
+    if (onHabitChangeCallback) await onHabitChangeCallback();
+    closeModal();
+    await refreshHabitDisplay();
+  } catch (error) {
+    console.error("Failed to archive habit:", error);
+    alert(error.message || "Failed to update habit.");
+  }
+}
+
+/**
+ * Show the current/upcoming pause of a habit in the modal, or the pause form
+ * @param {Object} habit - Habit object from the API
+ */
+function updatePauseSettings(habit) {
+  const pauseSettings = document.querySelector(".pause-settings");
+  if (!pauseSettings || habit.archived) return;
+  pauseSettings.classList.remove("hidden");
+
+  const today = getTodayKey();
+  const pause = (habit.pauses || []).find((p) => p.to.substring(0, 10) >= today);
+  const status = document.getElementById("pause-status");
+  const fromInput = document.getElementById("habit-pause-from");
+  const toInput = document.getElementById("habit-pause-to");
+
+  if (pause) {
+    const from = pause.from.substring(0, 10);
+    const to = pause.to.substring(0, 10);
+    status.textContent =
+      from <= today ? `Paused until ${formatDateKey(to)}` : `Pause planned: ${formatDateKey(from)} – ${formatDateKey(to)}`;
+  }
+  status?.classList.toggle("hidden", !pause);
+  [fromInput, toInput, document.querySelector(".pause-btn")].forEach((el) => el?.classList.toggle("hidden", !!pause));
+  document.querySelector(".resume-btn")?.classList.toggle("hidden", !pause);
+  if (fromInput) fromInput.value = today;
+  if (toInput) toInput.value = addDaysToKey(today, 6);
+}
+
+async function savePause() {
+  if (!currentHabitId) return;
+  const from = document.getElementById("habit-pause-from")?.value;
+  const to = document.getElementById("habit-pause-to")?.value;
+  if (!from || !to || from > to) {
+    alert("Please choose a valid pause start and end date");
+    return;
+  }
+  try {
+    const { habit } = await apiPauseHabit(currentHabitId, from, to);
+    await loadHabitsFromAPI();
+    currentHabit = { ...currentHabit, ...habit };
+    updatePauseSettings(currentHabit);
+    await refreshHabitDisplay();
+  } catch (error) {
+    console.error("Failed to pause habit:", error);
+    alert(error.message || "Failed to pause habit.");
+  }
+}
+
+async function endPause() {
+  if (!currentHabit) return;
+  const today = getTodayKey();
+  const pause = (currentHabit.pauses || []).find((p) => p.to.substring(0, 10) >= today);
+  if (!pause) return;
+  try {
+    const { habit } = await apiResumeHabit(currentHabitId, pause._id);
+    await loadHabitsFromAPI();
+    currentHabit = { ...currentHabit, ...habit };
+    updatePauseSettings(currentHabit);
+    await refreshHabitDisplay();
+  } catch (error) {
+    console.error("Failed to resume habit:", error);
+    alert(error.message || "Failed to resume habit.");
+  }
+}
+
 export async function updateHabitSummaryList(elementId = "habit-list", habits = null, allCheckins = null) {
   const habitList = document.getElementById(elementId);
   if (!habitList) return;
 
   try {
     if (!habits || !allCheckins) {
-      [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins()]);
+      [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins(getCurrentWeekRange())]);
     }
-    const today = new Date().toISOString().substring(0, 10);
+    const today = getTodayKey(); // User's local day (matches backend)
 
-    if (currentFilter !== "all") habits = habits.filter((h) => h.frequency === currentFilter);
+    // Archived habits only appear in the "Archived" view
+    const showArchived = currentFilter === "archived";
+    habits = showArchived ? habits.filter((h) => h.archived) : getActiveHabits(habits);
+    if (currentFilter !== "all" && !showArchived) habits = habits.filter((h) => h.frequency === currentFilter);
 
     habitList.innerHTML = "";
+    if (habits.length === 0 && showArchived) {
+      habitList.innerHTML = `<li class="empty-message"><p>No archived habits.</p></li>`;
+      return;
+    }
     if (habits.length === 0) {
       habitList.innerHTML = `
         <li class="empty-message">
@@ -332,23 +629,60 @@ export async function updateHabitSummaryList(elementId = "habit-list", habits =
       return;
     }
 
-    // Optimization: Early-exit loop to identify today's completions.
+    // Optimization: Early-exit loop to identify today's check-ins.
     // Leverages descending sort from backend to reduce complexity to O(TodayCheckins).
-    const completedToday = new Set();
+    // Map of habitId → today's check-in (may be partial for quantitative habits)
+    const checkinsToday = new Map();
     for (let i = 0; i < allCheckins.length; i++) {
       const dateStr = allCheckins[i].date.substring(0, 10);
       if (dateStr < today) break;
       if (dateStr === today) {
-        completedToday.add(allCheckins[i].habitId);
+        checkinsToday.set(allCheckins[i].habitId, allCheckins[i]);
       }
     }
 
     habits.forEach((habit) => {
       const habitId = habit._id || habit.id;
-      const isCompleted = completedToday.has(habitId);
+      const checkin = checkinsToday.get(habitId);
+      const isCompleted = !!checkin && checkin.completed !== false;
+      const dayStatus = checkin?.status || "done"; // "skipped"/"missed" have no progress
+      const isDue = habit.dueToday !== false; // Computed by backend scheduleService
       const item = document.createElement("li");
-      item.className = `habit-item ${isCompleted ? "completed" : ""}`;
+      item.className = `habit-item ${isCompleted ? "completed" : ""} ${isDue ? "" : "not-due"} ${
+        dayStatus !== "done" ? dayStatus : ""
+      }`;
       const escapedName = escapeHTML(habit.name);
+
+      // Quantitative habits show today's amount against the target (e.g., 3 / 8 glasses)
+      const isQuantitative = isQuantitativeHabit(habit);
+      const target = habit.target || 1;
+      const amount = checkin && dayStatus === "done" ? (checkin.amount ?? target) : 0;
+      const progressPercent = Math.min(100, Math.round((amount / target) * 100));
+      const progressHTML = isQuantitative
+        ? `
+            <div class="habit-progress" aria-label="${amount} of ${target} ${escapeHTML(habit.unit || "")}">
+              <div class="habit-progress-bar"><span style="width: ${progressPercent}%"></span></div>
+              <span class="habit-progress-text">${amount} / ${target}${habit.unit ? ` ${escapeHTML(habit.unit)}` : ""}</span>
+            </div>`
+        : "";
+      // Skip with a reason, mark missed, or clear (tri-state next to the checkbox)
+      const statusSelectHTML = `
+          <select class="status-select" aria-label="Skip or mark ${escapedName} as missed today" title="Skip or mark missed">
+            <option value="" ${dayStatus === "done" ? "selected" : ""} disabled>Skip…</option>
+            ${Object.entries(SKIP_REASON_LABELS)
+              .map(
+                ([value, label]) =>
+                  `<option value="skipped:${value}" ${dayStatus === "skipped" && checkin.reason === value ? "selected" : ""}>Skip: ${label}</option>`
+              )
+              .join("")}
+            <option value="missed" ${dayStatus === "missed" ? "selected" : ""}>Missed</option>
+            ${dayStatus !== "done" ? `<option value="none">Clear</option>` : ""}
+          </select>`;
+      const amountButtonsHTML = isQuantitative
+        ? `
+          <button class="btn-outline amount-btn decrement-btn" aria-label="Decrease ${escapedName}" title="Decrease" ${amount === 0 ? "disabled" : ""}><i class="fa-solid fa-minus"></i></button>
+          <button class="btn-outline amount-btn increment-btn" aria-label="Increase ${escapedName}" title="Increase"><i class="fa-solid fa-plus"></i></button>`
+        : "";
       item.innerHTML = `
         <div class="habit-left">
           <label class="checkbox-container">
@@ -357,11 +691,25 @@ export async function updateHabitSummaryList(elementId = "habit-list", habits =
           </label>
           <img src="../assets/habit-icons/${escapeHTML(habit.icon || "meditation.svg")}" class="icon" alt="">
           <div class="habit-info">
-            <span class="habit-name">${escapedName}</span>
+            <a class="habit-name" href="../habit-detail/habit-detail.html?id=${encodeURIComponent(habitId)}" title="View ${escapedName} history">${escapedName}</a>
             ${habit.description ? `<span class="habit-description">${escapeHTML(habit.description)}</span>` : ""}
+            ${habit.archived
+              ? `<span class="habit-due-badge">Archived</span>`
+              : dayStatus === "skipped"
+              ? `<span class="habit-due-badge">Skipped · ${SKIP_REASON_LABELS[checkin.reason] || "Other"}</span>`
+              : dayStatus === "missed"
+              ? `<span class="habit-due-badge">Missed</span>`
+              : habit.pausedUntil
+              ? `<span class="habit-due-badge">Paused until ${formatDateKey(habit.pausedUntil)}</span>`
+              : isFlexibleHabit(habit)
+              ? `<span class="habit-due-badge">${getFrequencyBadgeText(habit, allCheckins, today)}</span>`
+              : isDue ? "" : `<span class="habit-due-badge">Not due today</span>`}
+            ${getStreakBadgeText(habit) ? `<span class="habit-streak-badge" title="Longest: ${habit.longestStreak || 0}">${getStreakBadgeText(habit)}</span>` : ""}
+            ${progressHTML}
           </div>
         </div>
-        <div class="habit-actions">
+        <div class="habit-actions">${habit.archived ? "" : amountButtonsHTML + statusSelectHTML}
+          ${habit.archived ? `<button class="btn-outline restore-btn" aria-label="Restore ${escapedName} habit" title="Restore ${escapedName} habit"><i class="fa-solid fa-box-open"></i></button>` : ""}
           <button class="btn-outline edit-btn" aria-label="Edit ${escapedName} habit" title="Edit ${escapedName} habit"><i class="fa-solid fa-pen"></i></button>
           <button class="btn-outline delete-btn-item" aria-label="Delete ${escapedName} habit" title="Delete ${escapedName} habit"><i class="fa-solid fa-trash"></i></button>
         </div>
@@ -370,6 +718,18 @@ export async function updateHabitSummaryList(elementId = "habit-list", habits =
       item.querySelector("input").addEventListener("change", function () {
         toggleHabitCompletion(habitId, this);
       });
+      if (habit.archived) {
+        item.querySelector(".checkbox-container input").disabled = true;
+        item.querySelector(".restore-btn").addEventListener("click", () => toggleArchiveHabit(habit));
+      } else {
+        item.querySelector(".status-select").addEventListener("change", function () {
+          setHabitDayStatus(habitId, this.value);
+        });
+      }
+      if (!habit.archived && isQuantitative) {
+        item.querySelector(".increment-btn").addEventListener("click", () => adjustHabitAmount(habitId, 1));
+        item.querySelector(".decrement-btn").addEventListener("click", () => adjustHabitAmount(habitId, -1));
+      }
       item.querySelector(".edit-btn").addEventListener("click", () => openModal(habit));
       item.querySelector(".delete-btn-item").addEventListener("click", () => deleteHabit(habitId, habit.name));
       habitList.appendChild(item);
@@ -379,50 +739,156 @@ export async function updateHabitSummaryList(elementId = "habit-list", habits =
   }
 }
 
+/**
+ * Save today's state from a habit checkbox
+ * The checkbox is the source of truth: checked → done, unchecked → cleared,
+ * so double-clicks, retries and other open tabs can't invert it
+ * @param {string} habitId - ID of the habit
+ * @param {HTMLInputElement} checkbox - Checkbox that changed
+ */
 export async function toggleHabitCompletion(habitId, checkbox) {
+  const wanted = checkbox.checked;
+  checkbox.disabled = true;
   try {
-    await apiToggleCompletion(habitId);
+    const result = await apiSetCheckinStatus(habitId, wanted ? "done" : "none");
+    showAchievementToasts(result);
     const item = checkbox.closest(".habit-item");
-    if (item) item.classList.toggle("completed", checkbox.checked);
+    if (item) item.classList.toggle("completed", wanted);
     await refreshHabitDisplay();
   } catch (error) {
     console.error("Failed to toggle:", error);
-    checkbox.checked = !checkbox.checked;
+    checkbox.checked = !wanted;
+  } finally {
+    checkbox.disabled = false;
   }
 }
 
-export async function updateStreakCount(habits = null, allCheckins = null) {
-  const streakElement = document.getElementById("streak-count");
-  if (!streakElement) return;
+/**
+ * Skip today with a reason, mark it missed, or clear it
+ * @param {string} habitId - ID of the habit
+ * @param {string} value - "skipped:<reason>", "missed" or "none"
+ */
+export async function setHabitDayStatus(habitId, value) {
+  const [status, reason] = value.split(":");
+  try {
+    const result = await apiSetCheckinStatus(habitId, status, { reason });
+    showAchievementToasts(result);
+    await refreshHabitDisplay();
+  } catch (error) {
+    console.error("Failed to set status:", error);
+    alert(error.message || "Failed to update habit.");
+    await refreshHabitDisplay();
+  }
+}
 
-  if (!habits || !allCheckins) {
-    [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins()]);
+/**
+ * Add or remove one unit of today's progress for a quantitative habit
+ * @param {string} habitId - ID of the habit
+ * @param {number} direction - 1 to increment, -1 to decrement
+ */
+export async function adjustHabitAmount(habitId, direction) {
+  try {
+    const result =
+      direction > 0 ? await apiIncrementAmount(habitId) : await apiDecrementAmount(habitId);
+    showAchievementToasts(result);
+    await refreshHabitDisplay();
+  } catch (error) {
+    console.error("Failed to update amount:", error);
   }
+}
+
+// How long an achievement toast stays on screen (ms)
+const ACHIEVEMENT_TOAST_MS = 6000;
 
-  // Optimization: Create a Set of unique completion dates for O(1) lookups
-  // This resolves the O(Streak * Habits * Checkins) performance bottleneck
-  const completionDates = new Set(allCheckins.map(c => c.date.substring(0, 10)));
-
-  let streak = 0;
-  let checkDate = new Date();
-  while (true) {
-    const dateStr = checkDate.toISOString().substring(0, 10);
-    if (completionDates.has(dateStr)) {
-      streak++;
-      checkDate.setDate(checkDate.getDate() - 1);
-    } else break;
+/**
+ * Celebrate the badges a check-in unlocked with a toast each
+ * Badges are unlocked by the backend (achievementService.js) and returned
+ * with every check-in response as newAchievements
+ * @param {Object} result - Check-in response from the API
+ */
+export function showAchievementToasts(result) {
+  const achievements = result?.newAchievements || [];
+  if (achievements.length === 0) return;
+
+  let container = document.getElementById("achievement-toasts");
+  if (!container) {
+    container = document.createElement("div");
+    container.id = "achievement-toasts";
+    container.className = "achievement-toasts";
+    container.setAttribute("aria-live", "polite");
+    document.body.appendChild(container);
   }
+
+  achievements.forEach((achievement) => {
+    const toast = document.createElement("div");
+    toast.className = "achievement-toast";
+    toast.setAttribute("role", "status");
+    toast.innerHTML = `
+      <span class="achievement-toast-icon" aria-hidden="true">
+        <img src="../assets/icons/${escapeHTML(achievement.icon)}.svg" alt="" />
+      </span>
+      <div>
+        <span class="achievement-toast-label">Achievement unlocked!</span>
+        <strong>${escapeHTML(achievement.name)}</strong>
+        <p>${escapeHTML(achievement.description)}</p>
+      </div>
+    `;
+    container.appendChild(toast);
+
+    const dismiss = () => {
+      toast.classList.remove("show");
+      setTimeout(() => toast.remove(), 300);
+    };
+    toast.addEventListener("click", dismiss);
+    setTimeout(() => toast.classList.add("show"), 10);
+    setTimeout(dismiss, ACHIEVEMENT_TOAST_MS);
+  });
+}
+
+/**
+ * Show the overall streak (consecutive days with a completed habit)
+ * Streaks are calculated by the backend; days where nothing was due
+ * neither extend nor break them
+ * @param {Object} streaks - (Optional) Pre-fetched backend streaks ({ current, longest })
+ */
+export async function updateStreakCount(streaks = null) {
+  const streakElement = document.getElementById("streak-count");
+  if (!streakElement) return;
+
+  if (!streaks) streaks = await apiGetStreaks();
+  const streak = streaks?.current || 0;
   streakElement.textContent = `${streak} day${streak !== 1 ? "s" : ""}`;
 }
 
+/**
+ * Show how many streak freezes are left this month
+ * (a freeze covers a missed due day so it doesn't break the streak)
+ * @param {string} elementId - Element to fill
+ * @param {Object} freezes - { allowance, used, remaining } from the backend
+ */
+export function updateFreezeCount(elementId, freezes) {
+  const el = document.getElementById(elementId);
+  if (!el) return;
+
+  // Freezes can be turned off on the server (STREAK_FREEZES_PER_MONTH=0)
+  if (!freezes?.allowance) {
+    el.hidden = true;
+    return;
+  }
+  el.hidden = false;
+  el.textContent = `❄️ ${freezes.remaining} of ${freezes.allowance} streak freeze${
+    freezes.allowance !== 1 ? "s" : ""
+  } left this month`;
+}
+
 async function updateTodayCheckins(habits = null, allCheckins = null) {
   const el = document.querySelector(".checkins-status");
   if (!el) return;
 
   if (!habits || !allCheckins) {
-    [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins()]);
+    [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins(getCurrentWeekRange())]);
   }
-  const today = new Date().toISOString().substring(0, 10);
+  const today = getTodayKey(); // User's local day (matches backend)
 
   // Optimization: Early-exit loop for today's completions.
   // Reduces O(TotalCheckins) to O(TodayCheckins) using pre-sorted backend data.
@@ -430,27 +896,29 @@ async function updateTodayCheckins(habits = null, allCheckins = null) {
   for (let i = 0; i < allCheckins.length; i++) {
     const dateStr = allCheckins[i].date.substring(0, 10);
     if (dateStr < today) break;
-    if (dateStr === today) {
+    if (dateStr === today && allCheckins[i].completed !== false) {
       completedToday.add(allCheckins[i].habitId);
     }
   }
 
-  const completed = completedToday.size;
-  el.textContent = `${completed}/${habits.length} habits completed`;
+  // Only habits due today count towards today's total
+  const dueHabits = habits.filter((h) => h.dueToday !== false);
+  const completed = dueHabits.filter((h) => completedToday.has(h._id || h.id)).length;
+  el.textContent = `${completed}/${dueHabits.length} habits completed`;
 }
 
 export async function refreshHabitDisplay() {
-  const [habits, allCheckins] = await Promise.all([getHabitsData(), apiGetAllCheckins()]);
+  const [habits, allCheckins, streaks] = await Promise.all([getHabitsData(), apiGetAllCheckins(getCurrentWeekRange()), apiGetStreaks()]);
 
   await Promise.all([
     updateHabitSummaryList("habit-list", habits, allCheckins),
-    updateStreakCount(habits, allCheckins),
+    updateStreakCount(streaks),
     updateTodayCheckins(habits, allCheckins),
   ]);
 
   if (chartInstance) {
     import("./chart.js").then((m) =>
-      m.updateChartWithHabitData(chartInstance, habits, allCheckins)
+      m.updateChartWithHabitData(chartInstance, habits, getCompletedCheckins(allCheckins))
     );
   }
 }
@@ -464,6 +932,11 @@ window.habitManager = {
   deleteHabit,
   updateHabitSummaryList,
   toggleHabitCompletion,
+  adjustHabitAmount,
+  toggleArchiveHabit,
+  setHabitDayStatus,
   updateStreakCount,
+  updateFreezeCount,
   refreshHabitDisplay,
+  showAchievementToasts,
 };
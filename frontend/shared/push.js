@@ -0,0 +1,132 @@
+/* =========================================================
+   RIZA HABIT TRACKER | PUSH NOTIFICATIONS
+
+   Purpose:
+   - Turns browser push notifications on and off for this device
+   - Registers the service worker (sw.js) that shows them
+
+   Used By: profile.js (Push Notifications setting)
+
+   Flow:
+   - Enable: ask permission → register sw.js → subscribe with the
+     server's VAPID key → POST /api/push/subscriptions
+   - Disable: unsubscribe → DELETE /api/push/subscriptions
+
+   Author: John Denis Nyagah
+   ========================================================= */
+
+import {
+  deletePushSubscription as apiDeletePushSubscription,
+  getPushPublicKey as apiGetPushPublicKey,
+  savePushSubscription as apiSavePushSubscription,
+} from "./api.js";
+
+// Service worker in the frontend folder, so its scope covers every page
+const SERVICE_WORKER_URL = new URL("../sw.js", import.meta.url);
+
+/* =========================================================
+   STATUS
+   ========================================================= */
+
+/**
+ * Check whether this browser can receive push notifications
+ * @returns {boolean} True if supported
+ */
+export function isPushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
+
+/**
+ * Get this browser's current push subscription
+ * @returns {Promise<PushSubscription|null>} Subscription or null
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/* =========================================================
+   ENABLE / DISABLE
+   ========================================================= */
+
+/**
+ * Turn push notifications on for this browser
+ * @returns {Promise<void>}
+ * @throws {Error} If unsupported, permission is denied or the server has push off
+ */
+export async function enablePushNotifications() {
+  if (!isPushSupported()) {
+    throw new Error("This browser doesn't support push notifications");
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    throw new Error("Notification permission was not granted");
+  }
+
+  const { enabled, publicKey } = await apiGetPushPublicKey();
+  if (!enabled) {
+    throw new Error("Push notifications are not available");
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+
+  // A subscription made with another key can't be reused
+  let subscription = await registration.pushManager.getSubscription();
+  if (subscription && !hasServerKey(subscription, publicKey)) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+  }
+
+  await apiSavePushSubscription(subscription);
+}
+
+/**
+ * Turn push notifications off for this browser
+ * @returns {Promise<void>}
+ */
+export async function disablePushNotifications() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  const { endpoint } = subscription;
+  await subscription.unsubscribe();
+  await apiDeletePushSubscription(endpoint);
+}
+
+/* =========================================================
+   HELPERS
+   ========================================================= */
+
+/**
+ * Decode a base64url VAPID key for pushManager.subscribe()
+ * @param {string} base64Url - Key from GET /api/push/public-key
+ * @returns {Uint8Array} Raw key bytes
+ */
+function urlBase64ToUint8Array(base64Url) {
+  const padding = "=".repeat((4 - (base64Url.length % 4)) % 4);
+  const base64 = (base64Url + padding).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a subscription was made with the given server key
+ * @param {PushSubscription} subscription - Existing subscription
+ * @param {string} publicKey - Current VAPID public key (base64url)
+ * @returns {boolean} True if the keys match
+ */
+function hasServerKey(subscription, publicKey) {
+  const current = subscription.options?.applicationServerKey;
+  if (!current) return true;
+  const expected = urlBase64ToUint8Array(publicKey);
+  const actual = new Uint8Array(current);
+  return actual.length === expected.length && actual.every((byte, i) => byte === expected[i]);
+}
@@ -0,0 +1,61 @@
+/* =========================================================
+   RIZA HABIT TRACKER | SERVICE WORKER
+
+   Purpose:
+   - Shows push notifications from the backend (habit reminders)
+     even when no Riza tab is open
+   - Opens (or focuses) the habit's page when one is clicked
+
+   Registered By: shared/push.js (when push is turned on in Profile)
+
+   Scope:
+   - Lives in the frontend folder so it controls every page
+
+   Payload (see backend/services/pushService.js):
+   - { title, body, url, tag }
+   - url is relative to the frontend folder
+
+   Author: John Denis Nyagah
+   ========================================================= */
+
+/* =========================================================
+   PUSH
+   ========================================================= */
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "Riza", {
+      body: payload.body || "",
+      icon: new URL("assets/logo.png", self.location).href,
+      tag: payload.tag,
+      data: { url: new URL(payload.url || "dashboard/dashboard.html", self.location).href },
+    })
+  );
+});
+
+/* =========================================================
+   NOTIFICATION CLICK
+   ========================================================= */
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || new URL("dashboard/dashboard.html", self.location).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      // Reuse an open Riza tab instead of opening another one
+      const existing = windows.find((client) => client.url.startsWith(self.registration.scope));
+      if (existing) {
+        return existing.navigate(url).then((client) => (client || existing).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});